@@ -0,0 +1,78 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { describeInfographic } from './api';
+import { useI18n } from './i18n';
+import './accessibility-styles.css';
+
+// Alt text, long description and plain-language summary of the image shown in
+// Step 4 (see server/accessibility.js). Written by the server after each run;
+// images without one (another variant or revision picked) get it on display.
+// The long description is what the image's aria-describedby points at.
+function Accessibility({ infographicId, imageUrl, description, onChange, descriptionId }) {
+    const { t, modelErrorMessage } = useI18n();
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+    const describedRef = useRef(null); // Image last described automatically, so a failure is not retried in a loop
+
+    const describe = useCallback(async () => {
+        setBusy(true);
+        setError('');
+        try {
+            onChange(await describeInfographic(infographicId));
+        } catch (err) {
+            setError(t('accessibility.failed', { message: modelErrorMessage(err) || (err.response && err.response.data.error ? err.response.data.error : err.message) }));
+        } finally {
+            setBusy(false);
+        }
+    }, [infographicId, onChange, t, modelErrorMessage]);
+
+    useEffect(() => {
+        if (description || describedRef.current === imageUrl) return;
+        describedRef.current = imageUrl;
+        describe();
+    }, [description, imageUrl, describe]);
+
+    return (
+        <div className="accessibility-section">
+            <div className="accessibility-header">
+                <h3>{t('accessibility.title')}</h3>
+                <button className="link-btn" onClick={describe} disabled={busy}>
+                    {busy ? t('accessibility.describing') : t('accessibility.describeAgain')}
+                </button>
+            </div>
+
+            {!description && busy && <p className="hint">{t('accessibility.describing')}</p>}
+
+            {description && (
+                <div lang={description.language}>
+                    <h4>{t('accessibility.altText')}</h4>
+                    <p className="accessibility-alt">{description.altText}</p>
+
+                    <details id={descriptionId}>
+                        <summary>{t('accessibility.longDescription')}</summary>
+                        {description.longDescription.map((section, index) => (
+                            <div key={index} className="accessibility-part">
+                                {section.heading && <h5>{section.heading}</h5>}
+                                <p>{section.text}</p>
+                            </div>
+                        ))}
+                    </details>
+
+                    {description.summary && (
+                        <details>
+                            <summary>{t('accessibility.summary')}</summary>
+                            <p>{description.summary}</p>
+                        </details>
+                    )}
+
+                    <a href={`/api/infographics/${infographicId}/accessibility.md`} className="btn secondary">
+                        {t('accessibility.download')}
+                    </a>
+                </div>
+            )}
+
+            {error && <p className="error-msg">{error}</p>}
+        </div>
+    );
+}
+
+export default Accessibility;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { changePassword, saveOwnKey, listApiTokens, createApiToken, revokeApiToken } from './api';
+import { useI18n } from './i18n';
+import { useSession } from './session';
+import './account-styles.css';
+
+const errorMessage = (err, t, key) => (err.response && err.response.data.error ? err.response.data.error : t(key, { message: err.message }));
+
+// The signed-in user's quota, password, own Gemini key and API tokens
+function Account({ onClose }) {
+    const { t, locale } = useI18n();
+    const { session, refresh, setUser } = useSession();
+    const { user, ownKeys } = session;
+    const [passwords, setPasswords] = useState({ current: '', next: '' });
+    const [ownKey, setOwnKey] = useState('');
+    const [tokens, setTokens] = useState([]);
+    const [tokenLabel, setTokenLabel] = useState('');
+    const [newToken, setNewToken] = useState(''); // Shown once, right after it was created
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        refresh().catch(err => console.error('Failed to load account', err));
+    }, [refresh]);
+
+    useEffect(() => {
+        listApiTokens()
+            .then(setTokens)
+            .catch(err => setError(t('account.loadFailed', { message: err.message })));
+    }, [t]);
+
+    const run = async (action, done, failure) => {
+        setBusy(true);
+        setMessage('');
+        setError('');
+        try {
+            await action();
+            if (done) setMessage(t(done));
+        } catch (err) {
+            setError(errorMessage(err, t, failure));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handlePassword = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await changePassword(passwords.current, passwords.next);
+            setPasswords({ current: '', next: '' });
+        }, 'account.passwordChanged', 'account.saveFailed');
+    };
+
+    const handleOwnKey = (key) => run(async () => {
+        setUser(await saveOwnKey(key));
+        setOwnKey('');
+    }, key === null ? 'account.keyRemoved' : 'account.keySaved', 'account.saveFailed');
+
+    const handleCreateToken = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const { token, info } = await createApiToken(tokenLabel);
+            setTokens([...tokens, info]);
+            setNewToken(token);
+            setTokenLabel('');
+        }, null, 'account.saveFailed');
+    };
+
+    const handleRevoke = (token) => {
+        if (!window.confirm(t('account.revokeConfirm', { label: token.label || `…${token.hint}` }))) return;
+        run(async () => {
+            await revokeApiToken(token.id);
+            setTokens(tokens.filter(other => other.id !== token.id));
+        }, null, 'account.saveFailed');
+    };
+
+    const { limit, used, remaining } = user.usage;
+
+    return (
+        <div className="card">
+            <h2>{t('account.title', { username: user.username })}</h2>
+
+            <section className="account-section">
+                <h3>{t('account.quota')}</h3>
+                <p>
+                    {limit === null
+                        ? t('account.quotaUnlimited', { used })
+                        : t('account.quotaStatus', { used, limit, remaining })}
+                </p>
+                {user.ownKey && ownKeys !== 'off' && <p className="hint">{t('account.quotaOwnKey')}</p>}
+            </section>
+
+            {ownKeys !== 'off' && (
+                <section className="account-section">
+                    <h3>{t('account.ownKey')}</h3>
+                    <p className="hint">{t(ownKeys === 'required' ? 'account.ownKeyRequired' : 'account.ownKeyOptional')}</p>
+                    {user.ownKey && (
+                        <div className="account-row">
+                            <span>{t('account.ownKeySet', { hint: user.ownKey.hint })}</span>
+                            <button className="link-btn danger" onClick={() => handleOwnKey(null)} disabled={busy}>{t('common.remove')}</button>
+                        </div>
+                    )}
+                    <div className="account-row">
+                        <input
+                            type="password"
+                            autoComplete="off"
+                            placeholder={t('account.ownKeyPlaceholder')}
+                            value={ownKey}
+                            onChange={(e) => setOwnKey(e.target.value)}
+                        />
+                        <button className="btn secondary" onClick={() => handleOwnKey(ownKey)} disabled={busy || !ownKey.trim()}>
+                            {user.ownKey ? t('account.replaceKey') : t('account.saveKey')}
+                        </button>
+                    </div>
+                </section>
+            )}
+
+            <section className="account-section">
+                <h3>{t('account.tokens')}</h3>
+                <p className="hint">{t('account.tokensHint')}</p>
+                {tokens.length > 0 && (
+                    <ul className="account-tokens">
+                        {tokens.map(token => (
+                            <li key={token.id}>
+                                <span>{token.label || t('account.unnamedToken')} · …{token.hint} · {new Date(token.createdAt).toLocaleDateString(locale)}</span>
+                                <button className="link-btn danger" onClick={() => handleRevoke(token)} disabled={busy}>{t('account.revoke')}</button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                {newToken && (
+                    <div className="account-new-token">
+                        <p>{t('account.tokenOnce')}</p>
+                        <code>{newToken}</code>
+                    </div>
+                )}
+                <form className="account-row" onSubmit={handleCreateToken}>
+                    <input type="text" placeholder={t('account.tokenLabel')} value={tokenLabel} onChange={(e) => setTokenLabel(e.target.value)} />
+                    <button type="submit" className="btn secondary" disabled={busy}>{t('account.createToken')}</button>
+                </form>
+            </section>
+
+            <section className="account-section">
+                <h3>{t('account.password')}</h3>
+                <form onSubmit={handlePassword}>
+                    <label className="account-field">
+                        {t('account.currentPassword')}
+                        <input
+                            type="password"
+                            autoComplete="current-password"
+                            value={passwords.current}
+                            onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+                            required
+                        />
+                    </label>
+                    <label className="account-field">
+                        {t('account.newPassword')}
+                        <input
+                            type="password"
+                            autoComplete="new-password"
+                            minLength="8"
+                            value={passwords.next}
+                            onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+                            required
+                        />
+                    </label>
+                    <button type="submit" className="btn secondary" disabled={busy}>{t('account.changePassword')}</button>
+                </form>
+            </section>
+
+            {message && <p className="account-message">{message}</p>}
+            {error && <p className="error-msg">{error}</p>}
+
+            <div className="btn-group">
+                <button className="btn secondary" onClick={onClose}>{t('common.back')}</button>
+            </div>
+        </div>
+    );
+}
+
+export default Account;
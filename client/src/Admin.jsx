@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { getUsage, createAccount, updateAccount, deleteAccount } from './api';
+import { useI18n } from './i18n';
+import { useSession } from './session';
+import PromptTemplates from './PromptTemplates';
+import './account-styles.css';
+
+const EMPTY_ACCOUNT = { username: '', password: '', role: 'user', quota: '' };
+
+const USAGE_DAYS = [1, 7, 30];
+
+const count = (bucket, kinds) => kinds.reduce((sum, kind) => sum + (bucket[kind] || 0), 0);
+
+// Admin view: accounts with their quota and model calls, and managing them;
+// below them the prompt templates
+function Admin({ onClose }) {
+    const { t } = useI18n();
+    const { session } = useSession();
+    const [days, setDays] = useState(30);
+    const [users, setUsers] = useState([]);
+    const [form, setForm] = useState(EMPTY_ACCOUNT);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        getUsage(days)
+            .then(setUsers)
+            .catch(err => setError(t('admin.loadFailed', { message: err.message })));
+    }, [days, t]);
+
+    const run = async (action) => {
+        setBusy(true);
+        setError('');
+        try {
+            await action();
+            setUsers(await getUsage(days));
+        } catch (err) {
+            setError(err.response && err.response.data.error ? err.response.data.error : t('admin.saveFailed', { message: err.message }));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        run(async () => {
+            await createAccount({ ...form, quota: form.quota === '' ? null : Number(form.quota) });
+            setForm(EMPTY_ACCOUNT);
+        });
+    };
+
+    const handleDelete = (user) => {
+        if (!window.confirm(t('admin.deleteConfirm', { username: user.username }))) return;
+        run(() => deleteAccount(user.id));
+    };
+
+    return (
+        <div className="card">
+            <h2>{t('admin.title')}</h2>
+
+            <div className="account-row">
+                <span>{t('admin.period')}</span>
+                <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+                    {USAGE_DAYS.map(option => <option key={option} value={option}>{t('admin.days', { count: option })}</option>)}
+                </select>
+            </div>
+
+            <div className="admin-table-wrap">
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>{t('admin.user')}</th>
+                            <th>{t('admin.role')}</th>
+                            <th>{t('admin.today')}</th>
+                            <th>{t('admin.quota')}</th>
+                            <th>{t('admin.images')}</th>
+                            <th>{t('admin.textCalls')}</th>
+                            <th>{t('admin.ownKeyCalls')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {users.map(user => {
+                            const self = user.id === session.user.id;
+                            return (
+                                <tr key={user.id} className={user.disabled ? 'disabled' : ''}>
+                                    <td>
+                                        {user.username}
+                                        {user.ownKey && <span className="admin-badge">{t('admin.ownKey')}</span>}
+                                    </td>
+                                    <td>
+                                        <select
+                                            value={user.role}
+                                            disabled={busy || self || !session.authEnabled}
+                                            onChange={(e) => run(() => updateAccount(user.id, { role: e.target.value }))}
+                                        >
+                                            <option value="user">{t('admin.role.user')}</option>
+                                            <option value="admin">{t('admin.role.admin')}</option>
+                                        </select>
+                                    </td>
+                                    <td>{user.usage.limit === null ? user.usage.used : `${user.usage.used} / ${user.usage.limit}`}</td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            className="admin-quota"
+                                            placeholder={t('admin.defaultQuota')}
+                                            defaultValue={user.quota === null ? '' : user.quota}
+                                            disabled={busy || !session.authEnabled}
+                                            onBlur={(e) => {
+                                                const quota = e.target.value === '' ? null : Number(e.target.value);
+                                                if (quota !== user.quota) run(() => updateAccount(user.id, { quota }));
+                                            }}
+                                        />
+                                    </td>
+                                    <td>{count(user.total.shared, ['image', 'edit'])}</td>
+                                    <td>{count(user.total.shared, ['text', 'ocr'])}</td>
+                                    <td>{count(user.total.own, ['text', 'image', 'edit', 'ocr'])}</td>
+                                    <td className="admin-actions">
+                                        {!self && session.authEnabled && (
+                                            <>
+                                                <button className="link-btn" onClick={() => run(() => updateAccount(user.id, { disabled: !user.disabled }))} disabled={busy}>
+                                                    {user.disabled ? t('admin.enable') : t('admin.disable')}
+                                                </button>
+                                                <button className="link-btn danger" onClick={() => handleDelete(user)} disabled={busy}>{t('common.delete')}</button>
+                                            </>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            {session.authEnabled && (
+                <form className="account-section" onSubmit={handleCreate}>
+                    <h3>{t('admin.newAccount')}</h3>
+                    <div className="account-row">
+                        <input type="text" placeholder={t('auth.username')} value={form.username} onChange={(e) => setForm({ ...form, username: e.target.value })} required />
+                        <input type="password" autoComplete="new-password" placeholder={t('auth.password')} minLength="8" value={form.password} onChange={(e) => setForm({ ...form, password: e.target.value })} required />
+                        <select value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}>
+                            <option value="user">{t('admin.role.user')}</option>
+                            <option value="admin">{t('admin.role.admin')}</option>
+                        </select>
+                        <input type="number" min="0" className="admin-quota" placeholder={t('admin.defaultQuota')} value={form.quota} onChange={(e) => setForm({ ...form, quota: e.target.value })} />
+                        <button type="submit" className="btn secondary" disabled={busy}>{t('admin.create')}</button>
+                    </div>
+                </form>
+            )}
+
+            {error && <p className="error-msg">{error}</p>}
+
+            <PromptTemplates />
+
+            <div className="btn-group">
+                <button className="btn secondary" onClick={onClose}>{t('common.back')}</button>
+            </div>
+        </div>
+    );
+}
+
+export default Admin;
@@ -1,126 +1,765 @@
-import React, { useState, useEffect } from 'react';
-import { uploadPDF, processText, generatePrompt, generateInfographic } from './api';
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    listFormats, uploadDocuments, processText, importDocument, generatePrompt, createJob, getJob, watchJob, jobError,
+    getInfographic, selectVariant, regenerateVariant, renderInfographic, refineInfographic, setCurrentRevision,
+    factCheckInfographic, listBrandKits, createBatch, listLanguages
+} from './api';
+import History from './History';
+import BrandKits from './BrandKits';
+import BatchResults from './BatchResults';
+import TextLayer from './TextLayer';
+import Accessibility from './Accessibility';
+import ShareLinks from './ShareLinks';
+import Account from './Account';
+import Admin from './Admin';
+import { useSession } from './session';
+import { useI18n, UI_LOCALES } from './i18n';
+import { AUDIENCES, FOCUSES, TERMS } from './choices';
 import './App.css';
 import './step1-styles.css';
 
+// Lets a reloaded page reattach to a job that is still running
+const ACTIVE_JOB_KEY = 'myinfographic.activeJob';
+const ACTIVE_BATCH_KEY = 'myinfographic.activeBatch';
+
+// Select value that reveals the field for any other BCP-47 code
+const OTHER_LANGUAGE = 'other';
+
+// Figures the image model is given per run (server/pipeline.js MAX_FIGURES)
+const MAX_FIGURES = 6;
+
+// File types the server's extractors read, by extension, with the source kind they produce
+const FILE_KINDS = {
+    '.pdf': 'pdf', '.docx': 'docx', '.html': 'html', '.htm': 'html', '.md': 'markdown', '.markdown': 'markdown',
+    '.tex': 'latex', '.zip': 'latex', '.epub': 'epub'
+};
+
+const fileKind = (name) => {
+    const extension = Object.keys(FILE_KINDS).find(candidate => name.toLowerCase().endsWith(candidate));
+    return extension ? FILE_KINDS[extension] : null;
+};
+
+// Only runs with several documents send them as labelled sources
+const multipleSources = (sources) => (sources && sources.length > 1 ? sources : undefined);
+
 function App() {
-    const [step, setStep] = useState(1); // 1: Upload, 2: Options, 3: Processing, 4: Result
-    const [file, setFile] = useState(null);
+    const { t, locale, setLocale, languageName, modelErrorMessage } = useI18n();
+    const { session, signOut } = useSession();
+    // Status line shown in Step 3 for each stage reported by the job API
+    const stageMessage = (stage) => t(`stage.${stage}`);
+    const [view, setView] = useState('wizard'); // 'wizard', 'history', 'account' or 'admin'
+    const [step, setStep] = useState(1); // 1: Upload, 2: Options, 3: Processing, 4: Result, 5: Review prompt, 6: Batch results
+    const [files, setFiles] = useState([]); // Uploaded documents of this session
+    const [extraSources, setExtraSources] = useState([]); // Added text snippets and imported papers: { name, kind, text, document? }
+    const [identifier, setIdentifier] = useState(''); // DOI, arXiv ID or URL to import
+    const [importing, setImporting] = useState(false);
     const [pdfText, setPdfText] = useState('');
-    const [inputMode, setInputMode] = useState('pdf'); // 'pdf' or 'text'
+    const [pdfDocument, setPdfDocument] = useState(null); // Structured sections returned by the server
+    const [pdfSources, setPdfSources] = useState([]); // Labelled sources (S1, S2, ...) of a multi-document run
+    const [extractionWarnings, setExtractionWarnings] = useState([]); // Files with pages that could not be read
+    const [pdfFigures, setPdfFigures] = useState([]); // Figures found in the sources: { id, label, caption, page, url, source }
+    const [pdfTables, setPdfTables] = useState([]); // Captioned tables found in the sources: { id, label, caption, rows, source }
+    const [picked, setPicked] = useState([]); // Ids of the figures and tables to feature
+    const [findingFigures, setFindingFigures] = useState(false);
+    const [inputMode, setInputMode] = useState('file'); // 'file', 'text' or 'import'
     const [textInput, setTextInput] = useState('');
+    const [source, setSource] = useState({}); // Name/kind of the input, stored with the result
     const [options, setOptions] = useState({
-        language: 'Deutsch', // BASIC
+        language: 'de', // BASIC - BCP-47 code (or language name) of the infographic text
         audience: 'General public', // BASIC
         focus: 'Balanced overview', // BASIC - neutral default
+        sourceMode: 'synthesise', // BASIC - with several documents: 'synthesise' or 'compare'
+        format: 'slide-16-9', // BASIC - output preset (aspect ratio, size, layout)
+        brand: '', // BASIC - brand kit id; '' = none, style notes only
         terms: 'Include & Explain', // ADVANCED
-        styleNotes: '' // ADVANCED - optional style customization
+        styleNotes: '', // ADVANCED - optional style customization
+        reviewPrompt: false, // ADVANCED - pause to review/edit the prompt before rendering
+        variants: 1, // ADVANCED - number of images to render from the prompt (1-4)
+        grounding: true, // ADVANCED - let the image model use Google Search (may add facts not in the paper)
+        reuseImage: true // ADVANCED - reuse the cached image when the prompt and settings have not changed
     });
+    const [formats, setFormats] = useState([{ id: 'slide-16-9', label: 'Slide 16:9', aspectRatio: '16:9' }]);
+    const [languages, setLanguages] = useState([{ tag: 'de', nativeName: 'Deutsch' }, { tag: 'en', nativeName: 'English' }]); // Offered output languages
+    const [brandKits, setBrandKits] = useState([]);
+    const [showBrandKits, setShowBrandKits] = useState(false);
+    const [batchMode, setBatchMode] = useState(false);
+    const [batchAxes, setBatchAxes] = useState({ languages: [], audiences: [], focuses: [] }); // Ticked values in batch mode
+    const [batchCells, setBatchCells] = useState([]); // Combinations of the running or finished batch, see BatchResults
+    const [batchId, setBatchId] = useState(null); // Stored batch, for the zip download
     const [showAdvanced, setShowAdvanced] = useState(false);
     const [status, setStatus] = useState('');
+    const [prompt, setPrompt] = useState('');
+    const [promptTemplate, setPromptTemplate] = useState(null); // Version and hash of the prompt template the prompt was written with
     const [resultImage, setResultImage] = useState('');
+    const [variants, setVariants] = useState([]); // Image URLs of all variants of the result
+    const [selectedVariant, setSelectedVariant] = useState(0);
+    const [infographicId, setInfographicId] = useState(null); // History id of the result
+    const [imageVersion, setImageVersion] = useState(0); // Bumped when a variant is re-rendered
+    const [regenerating, setRegenerating] = useState(null); // Index of the variant being re-rendered, or 'all'
+    const [revisions, setRevisions] = useState([]); // Refinements of the result, oldest first
+    const [currentRevision, setCurrentRevisionState] = useState(0); // 0 = unrefined favourite variant
+    const [instruction, setInstruction] = useState('');
+    const [refining, setRefining] = useState(false);
+    const [factCheck, setFactCheck] = useState(null); // Report for the image shown, see server/factcheck.js
+    const [textLayer, setTextLayer] = useState(null); // Editable text of the image shown, see server/layout.js
+    const [accessibility, setAccessibility] = useState(null); // Alt text and descriptions of the image shown, see server/accessibility.js
+    const [reusedImage, setReusedImage] = useState(false); // The last run took its image from the server's cache
+    const [checking, setChecking] = useState(false);
     const [error, setError] = useState('');
+    const stopWatchingRef = useRef(null); // Stops the SSE subscription of the active job
+
+    // Any change to the inputs means they have to be extracted again
+    const clearExtracted = () => {
+        setPdfText('');
+        setPdfDocument(null);
+        setPdfSources([]);
+        setExtractionWarnings([]);
+        setPdfFigures([]);
+        setPdfTables([]);
+        setPicked([]);
+    };
 
     const handleFileUpload = async (e) => {
-        const selectedFile = e.target.files[0];
-        if (selectedFile) {
+        const selectedFiles = Array.from(e.target.files);
+        e.target.value = ''; // Lets the same file be picked again after removing it
+        if (selectedFiles.length === 0) return;
+
+        for (const selectedFile of selectedFiles) {
             if (selectedFile.size > 50 * 1024 * 1024) {
-                setError('File size exceeds 50MB limit.');
+                setError(t('error.fileTooLarge', { name: selectedFile.name }));
                 return;
             }
-            if (selectedFile.type !== 'application/pdf') {
-                setError('Only PDF files are allowed.');
+            if (!fileKind(selectedFile.name)) {
+                setError(t('error.unsupportedFile', { name: selectedFile.name }));
                 return;
             }
+        }
 
-            // Warning for large files
-            if (selectedFile.size > 25 * 1024 * 1024) {
-                setError('⚠️ Large file detected. Processing may take longer and results might be affected due to file size.');
-            } else {
-                setError('');
-            }
+        // Warning for large files
+        if (selectedFiles.some(selectedFile => selectedFile.size > 25 * 1024 * 1024)) {
+            setError(t('error.largeFile'));
+        } else {
+            setError('');
+        }
+
+        const updated = [...files, ...selectedFiles];
+        setFiles(updated);
+        setSource({ name: updated[0].name, kind: fileKind(updated[0].name) });
+        clearExtracted();
+    };
+
+    const removeFile = (index) => {
+        setFiles(files.filter((_, i) => i !== index));
+        clearExtracted();
+    };
+
+    // Keeps the pasted text as a source of its own and clears the box for the next one
+    const snippetName = () => t('step1.snippetName', { number: extraSources.filter(extra => extra.kind === 'text').length + 1 });
 
-            setFile(selectedFile);
+    const addSnippet = () => {
+        setExtraSources([...extraSources, { name: snippetName(), kind: 'text', text: textInput }]);
+        setTextInput('');
+        clearExtracted();
+    };
+
+    const removeExtraSource = (index) => {
+        setExtraSources(extraSources.filter((_, i) => i !== index));
+        clearExtracted();
+    };
+
+    // Resolves a DOI / arXiv ID / URL on the server; the paper arrives extracted, with its citation
+    const importPaper = async () => {
+        if (!identifier.trim()) return;
+        setImporting(true);
+        setError('');
+        try {
+            const imported = await importDocument(identifier);
+            setExtraSources([...extraSources, {
+                name: imported.metadata.title || identifier.trim(),
+                kind: imported.kind,
+                text: imported.text,
+                document: imported.document,
+                figures: imported.figures,
+                tables: imported.tables
+            }]);
+            setSource({ name: imported.metadata.title || identifier.trim(), kind: imported.kind });
+            setIdentifier('');
+            clearExtracted();
+        } catch (err) {
+            console.error('Import Error:', err);
+            setError(err.response && err.response.data.error ? err.response.data.error : t('error.importFailed', { message: err.message }));
+        } finally {
+            setImporting(false);
         }
     };
 
+    // Corrections to an imported paper's citation (title, authors, venue, year)
+    const updateCitation = (index, changes) => {
+        setExtraSources(extraSources.map((extra, i) => {
+            if (i !== index) return extra;
+            const citation = { ...extra.document.citation, ...changes };
+            return {
+                ...extra,
+                name: citation.title,
+                document: { ...extra.document, title: citation.title, authors: citation.authors, citation }
+            };
+        }));
+        clearExtracted();
+    };
+
+    // Text sources of the session: added snippets and imports plus what is in the text box
+    const textSources = () => (inputMode === 'text' && textInput.trim().length >= 100
+        ? [...extraSources, { name: snippetName(), kind: 'text', text: textInput }]
+        : extraSources);
+    const sourceCount = pdfSources.length || files.length + textSources().length;
+
     const handleOptionChange = (e) => {
         setOptions({ ...options, [e.target.name]: e.target.value });
     };
 
-    const startProcess = async () => {
-        if (inputMode === 'pdf' && !file) {
-            setError('Please upload a PDF file first.');
-            return;
+    // Extracted text is kept in state, so prompt regeneration and image
+    // re-renders never upload or parse the same input twice.
+    const extractInput = async () => {
+        if (pdfText) {
+            return { text: pdfText, document: pdfDocument, sources: pdfSources };
         }
-        if (inputMode === 'text' && !textInput.trim()) {
-            setError('Please enter some text first.');
-            return;
+
+        const texts = textSources();
+        let extracted;
+        if (files.length === 0 && texts.length === 1 && texts[0].document) {
+            // Imported, already extracted
+            extracted = { text: texts[0].text, document: texts[0].document, sources: texts, figures: texts[0].figures, tables: texts[0].tables };
+        } else if (files.length === 0 && texts.length === 1) {
+            setStatus(t('status.processingText'));
+            extracted = await processText(texts[0].text);
+        } else {
+            setStatus(t(files.length + texts.length > 1 ? 'status.uploadingMany' : 'status.uploadingOne'));
+            extracted = await uploadDocuments(files, texts, options.language); // The language is the OCR hint
         }
 
-        setStep(3);
-        setError('');
+        setPdfText(extracted.text);
+        setPdfDocument(extracted.document);
+        setPdfSources(extracted.sources || []);
+        setPdfFigures(extracted.figures || []);
+        setPdfTables(extracted.tables || []);
+        return extracted;
+    };
 
+    // Step 2: reads the documents right away, instead of when generating, so
+    // the figures and tables in them can be picked
+    const findFigures = async () => {
+        setFindingFigures(true);
+        setError('');
         try {
-            let extractedText;
+            const extracted = await extractInput();
+            setExtractionWarnings(extracted.warnings || []);
+        } catch (err) {
+            console.error('Extraction Error:', err);
+            setError(err.response && err.response.data.error ? err.response.data.error : t('error.readFailed', { message: err.message }));
+        } finally {
+            setFindingFigures(false);
+            setStatus('');
+        }
+    };
 
-            // Step 1: Get text (either from PDF or direct input)
-            if (inputMode === 'pdf') {
-                setStatus('Uploading and analyzing PDF...');
-                const uploadRes = await uploadPDF(file);
-                extractedText = uploadRes.text;
-            } else {
-                setStatus('Processing your text...');
-                const textRes = await processText(textInput);
-                extractedText = textRes.text;
-            }
+    const togglePicked = (id) => {
+        setPicked(picked.includes(id) ? picked.filter(other => other !== id) : [...picked, id]);
+    };
 
-            setPdfText(extractedText);
+    // The picked figures and tables, sent with the run
+    const references = () => ({
+        figures: pdfFigures.filter(figure => picked.includes(figure.id)),
+        tables: pdfTables.filter(table => picked.includes(table.id))
+    });
+    const pickedFigureCount = pdfFigures.filter(figure => picked.includes(figure.id)).length;
+    const mayHaveFigures = files.some(file => fileKind(file.name) === 'pdf') || extraSources.some(extra => extra.figures || extra.tables);
 
-            // Step 2: Generate Prompt
-            setStatus('Generating infographic prompt...');
-            const promptRes = await generatePrompt(
-                extractedText,
-                options.audience,
-                options.terms,
-                options.focus,
-                options.language,
-                options.styleNotes // Pass style notes to backend
-            );
+    // `fresh` asks for a new prompt even if the server has one for the same input and options
+    const createPrompt = async (extracted, fresh = false) => {
+        setStatus(stageMessage('prompting'));
+        const promptRes = await generatePrompt(
+            extracted.text,
+            options.audience,
+            options.terms,
+            options.focus,
+            options.language,
+            options.styleNotes, // Pass style notes to backend
+            extracted.document, // Lets the server pick sections by focus
+            options.format,
+            multipleSources(extracted.sources),
+            options.sourceMode,
+            references(),
+            options.brand || undefined,
+            fresh
+        );
+        setPrompt(promptRes.prompt);
+        setPromptTemplate(promptRes.template || null);
+        return promptRes.prompt;
+    };
 
-            // Step 3: Generate Infographic
-            setStatus('Creating infographic with Nano Banana Pro...');
-            const infographicRes = await generateInfographic(promptRes.prompt);
+    // Follows a job until it finishes; resolves when the infographic is ready
+    const followJob = (jobId) => new Promise((resolve, reject) => {
+        localStorage.setItem(ACTIVE_JOB_KEY, jobId);
+        if (stopWatchingRef.current) stopWatchingRef.current();
 
-            console.log('Infographic Response:', infographicRes);
+        stopWatchingRef.current = watchJob(jobId, (job) => {
+            if (job.result.text && (job.result.document || job.result.sources)) {
+                setPdfText(job.result.text);
+                setPdfDocument(job.result.document);
+                setPdfSources(job.result.sources || []);
+                if (job.result.figures) setPdfFigures(job.result.figures);
+                if (job.result.tables) setPdfTables(job.result.tables);
+            }
+            if (job.result.prompt) {
+                setPrompt(job.result.prompt);
+            }
 
-            if (!infographicRes.imageUrl) {
-                throw new Error('No image URL returned from server');
+            if (job.status === 'running') {
+                setStatus(stageMessage(job.stage));
+                return;
             }
 
-            setResultImage(infographicRes.imageUrl);
-            setStatus('Completed!');
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            if (job.status === 'failed') {
+                reject(jobError(job));
+                return;
+            }
+
+            setResultImage(job.result.imageUrl);
+            setVariants(job.result.variants || [job.result.imageUrl]);
+            setSelectedVariant(0);
+            setInfographicId(job.result.infographicId || null);
+            setRevisions([]);
+            setCurrentRevisionState(0);
+            setFactCheck(null);
+            setTextLayer(null);
+            setAccessibility(job.result.accessibility || null);
+            setReusedImage(!!job.result.reusedImage);
+            setPromptTemplate(job.result.template || null);
+            setStatus(stageMessage('done'));
             setStep(4);
+            resolve();
+        }, (err) => {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+            reject(err);
+        });
+    });
+
+    const runJob = async (input, overrides = {}) => {
+        setStatus(stageMessage('queued'));
+        const job = await createJob({ ...input, source, options: { ...options, ...references(), ...overrides } });
+        await followJob(job.id);
+    };
+
+    // Follows a batch job; the matrix in Step 6 fills in as combinations finish
+    const followBatch = (jobId) => new Promise((resolve, reject) => {
+        localStorage.setItem(ACTIVE_BATCH_KEY, jobId);
+        if (stopWatchingRef.current) stopWatchingRef.current();
+
+        stopWatchingRef.current = watchJob(jobId, (job) => {
+            if (job.result.text && (job.result.document || job.result.sources)) {
+                setPdfText(job.result.text);
+                setPdfDocument(job.result.document);
+                setPdfSources(job.result.sources || []);
+            }
+            if (job.result.cells) {
+                setBatchCells(job.result.cells);
+            }
+
+            if (job.status === 'running') {
+                setStatus(stageMessage(job.stage));
+                return;
+            }
+
+            localStorage.removeItem(ACTIVE_BATCH_KEY);
+            if (job.status === 'failed') {
+                reject(jobError(job));
+                return;
+            }
+            setBatchId(job.result.batchId);
+            setStatus(stageMessage('done'));
+            resolve();
+        }, (err) => {
+            localStorage.removeItem(ACTIVE_BATCH_KEY);
+            reject(err);
+        });
+    });
+
+    const runBatch = async (task) => {
+        setStep(6);
+        setBatchCells([]);
+        setBatchId(null);
+        setError('');
+
+        try {
+            await task();
+        } catch (err) {
+            console.error('Batch Error:', err);
+            setError(modelErrorMessage(err) || (err.response && err.response.data.error ? err.response.data.error : t('error.generic', { message: err.message || t('error.unknown') })));
+        }
+    };
+
+    const toggleAxis = (axis, value) => {
+        const ticked = batchAxes[axis];
+        setBatchAxes({ ...batchAxes, [axis]: ticked.includes(value) ? ticked.filter(other => other !== value) : [...ticked, value] });
+    };
+    const batchCount = batchAxes.languages.length * batchAxes.audiences.length * batchAxes.focuses.length;
+
+    // "Arabisch — العربية" in a German interface
+    const languageLabel = (tag) => {
+        const offered = languages.find(language => language.tag === tag);
+        const name = languageName(tag);
+        return offered && offered.nativeName && offered.nativeName !== name ? `${name} — ${offered.nativeName}` : name;
+    };
+    const languageChoice = languages.some(language => language.tag === options.language) ? options.language : OTHER_LANGUAGE;
+    // Offered languages plus any other code ticked from the single-run choice
+    const batchLanguages = [
+        ...languages.map(language => language.tag),
+        ...batchAxes.languages.filter(tag => !languages.some(language => language.tag === tag))
+    ];
+
+    // Batch mode: the document is extracted once on the server, then rendered
+    // for every ticked combination
+    const startBatch = async () => {
+        if (!pdfText && sourceCount === 0) {
+            setError(t(inputMode === 'file' ? 'error.noFile' : 'error.noText'));
+            return;
+        }
+        if (batchCount === 0) {
+            setError(t('error.batchEmpty'));
+            return;
+        }
+
+        await runBatch(async () => {
+            setStatus(stageMessage('queued'));
+            const texts = textSources();
+            const input = pdfText
+                ? { text: pdfText, document: pdfDocument, sources: multipleSources(pdfSources) }
+                : { files, sources: texts.length > 0 ? texts : undefined };
+            const job = await createBatch({ ...input, source, options: { ...options, ...references(), ...batchAxes } });
+            await followBatch(job.id);
+        });
+    };
 
+    const runStep = async (task) => {
+        setStep(3);
+        setError('');
+
+        try {
+            await task();
         } catch (err) {
             console.error('Process Error:', err);
-            setError(`An error occurred: ${err.message || 'Unknown error'}`);
+            // Refusals (daily quota, rate limit) come with a message from the server
+            setError(modelErrorMessage(err) || (err.response && err.response.data.error ? err.response.data.error : t('error.generic', { message: err.message || t('error.unknown') })));
             // Do not reset step immediately so user can see the error
             // setStep(2);
         }
     };
 
+    const startProcess = async () => {
+        if (!pdfText && sourceCount === 0) {
+            setError(t(inputMode === 'file' ? 'error.noFile' : 'error.noText'));
+            return;
+        }
+
+        await runStep(async () => {
+            // Uploaded files are read first, so pages that could not be read
+            // (scans) are flagged before an image is generated from them
+            let extracted = pdfText ? await extractInput() : null;
+            if (!extracted && files.length > 0) {
+                extracted = await extractInput();
+                if (extracted.warnings && extracted.warnings.length > 0) {
+                    setExtractionWarnings(extracted.warnings);
+                    setStatus('');
+                    setStep(2);
+                    return;
+                }
+            }
+
+            if (options.reviewPrompt) {
+                await createPrompt(extracted || await extractInput());
+                setStatus('');
+                setStep(5);
+                return;
+            }
+
+            // The whole pipeline runs as a server-side job; reuse the extracted text if we have it
+            if (extracted) {
+                await runJob({ text: extracted.text, document: extracted.document, sources: multipleSources(extracted.sources) });
+            } else {
+                const texts = textSources();
+                await runJob({ sources: texts.length > 0 ? texts : undefined });
+            }
+        });
+    };
+
+    // Review step: write a fresh prompt from the current options
+    const regeneratePrompt = async () => {
+        await runStep(async () => {
+            await createPrompt(await extractInput(), true);
+            setStatus('');
+            setStep(5);
+        });
+    };
+
+    // A finished prompt is rendered with the template version it was written with, so the result is tagged with it
+    const promptTemplateOption = () => promptTemplate ? { template: promptTemplate.version } : {};
+
+    // Review step: render the (possibly edited) prompt as it stands
+    const approvePrompt = async () => {
+        if (!prompt.trim()) {
+            setError(t('error.emptyPrompt'));
+            return;
+        }
+        await runStep(() => runJob({ prompt, text: pdfText, document: pdfDocument, sources: multipleSources(pdfSources) }, promptTemplateOption()));
+    };
+
+    // Step 4: the images came from the cache; pay for new ones after all. The
+    // stored infographic is rendered again in place, so the history keeps one entry.
+    const renderAnew = async () => {
+        setRegenerating('all');
+        setError('');
+        try {
+            const job = await renderInfographic(infographicId);
+            const result = await waitForJob(job.id);
+            setImageVersion(imageVersion + 1);
+            setReusedImage(false);
+            setFactCheck(null);
+            setTextLayer(null);
+            setAccessibility(result.accessibility || null);
+        } catch (err) {
+            console.error('Render Error:', err);
+            setError(t('error.renderAnewFailed', { message: modelErrorMessage(err) || err.message }));
+        } finally {
+            setRegenerating(null);
+        }
+    };
+
     const reset = () => {
         setStep(1);
-        setFile(null);
-        setPdfText('');
+        setFiles([]);
+        setExtraSources([]);
+        clearExtracted();
+        setSource({});
+        setPrompt('');
+        setPromptTemplate(null);
         setResultImage('');
+        setVariants([]);
+        setInfographicId(null);
+        setReusedImage(false);
+        setRevisions([]);
+        setCurrentRevisionState(0);
+        setInstruction('');
+        setFactCheck(null);
+        setTextLayer(null);
+        setAccessibility(null);
+        setBatchCells([]);
+        setBatchId(null);
         setStatus('');
         setError('');
     };
 
+    // Waits for a job without taking over Step 3 (used for edits on the result page)
+    const waitForJob = (jobId) => new Promise((resolve, reject) => {
+        watchJob(jobId, (job) => {
+            if (job.status === 'done') resolve(job.result);
+            if (job.status === 'failed') reject(jobError(job));
+        }, reject);
+    });
+
+    // Marks a variant as the favourite; the stored infographic follows the choice
+    const pickVariant = async (index) => {
+        setSelectedVariant(index);
+        setResultImage(variants[index]);
+        setCurrentRevisionState(0); // Refinements belong to the previous favourite
+        setFactCheck(null);
+        setTextLayer(null);
+        setAccessibility(null);
+        if (!infographicId) return;
+        try {
+            await selectVariant(infographicId, index);
+        } catch (err) {
+            console.error('Variant Error:', err);
+        }
+    };
+
+    // Re-renders one variant in place; the other variants stay as they are
+    const rerenderVariant = async (index) => {
+        setRegenerating(index);
+        setError('');
+        try {
+            const job = await regenerateVariant(infographicId, index);
+            const result = await waitForJob(job.id);
+            setImageVersion(imageVersion + 1);
+            setReusedImage(false);
+            if (index === selectedVariant && currentRevision === 0) {
+                setFactCheck(null);
+                setTextLayer(null);
+                setAccessibility(result.accessibility || null);
+            }
+        } catch (err) {
+            console.error('Variant Error:', err);
+            setError(t('error.regenerateFailed', { number: index + 1, message: modelErrorMessage(err) || err.message }));
+        } finally {
+            setRegenerating(null);
+        }
+    };
+
+    // Sends a follow-up instruction ("make the title larger") as a multi-turn edit
+    const applyRefinement = async () => {
+        if (!instruction.trim()) return;
+        setRefining(true);
+        setError('');
+        try {
+            const job = await refineInfographic(infographicId, instruction);
+            const result = await waitForJob(job.id);
+            setRevisions(result.revisions);
+            setCurrentRevisionState(result.revision);
+            setResultImage(result.imageUrl);
+            setInstruction('');
+            setFactCheck(null);
+            setTextLayer(null);
+            setAccessibility(result.accessibility || null);
+        } catch (err) {
+            console.error('Refine Error:', err);
+            setError(t('error.refineFailed', { message: modelErrorMessage(err) || err.message }));
+        } finally {
+            setRefining(false);
+        }
+    };
+
+    const stepRevision = async (number) => {
+        setCurrentRevisionState(number);
+        setResultImage(number === 0 ? variants[selectedVariant] : revisions[number - 1].imageUrl);
+        setFactCheck(null);
+        setTextLayer(null);
+        setAccessibility(null);
+        try {
+            await setCurrentRevision(infographicId, number);
+        } catch (err) {
+            console.error('Revision Error:', err);
+        }
+    };
+
+    // Compares the claims and numbers in the image with the source document
+    const runFactCheck = async (ocr = false) => {
+        setChecking(true);
+        setError('');
+        try {
+            const job = await factCheckInfographic(infographicId, ocr);
+            const result = await waitForJob(job.id);
+            setFactCheck(result.factCheck);
+        } catch (err) {
+            console.error('Fact Check Error:', err);
+            setError(t('error.factCheckFailed', { message: err.message }));
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    // Stored images keep their URL when re-rendered, so the version busts the browser cache
+    const displayUrl = (url) => url.startsWith('data:') ? url : `${url}?v=${imageVersion}`;
+    const downloadUrl = (url) => url.startsWith('data:') ? url : `${url}?download=1`;
+
+    // Loads a stored infographic's input and options back into the wizard
+    const loadFromHistory = async (item) => {
+        const record = await getInfographic(item.id);
+        setPdfText(record.text);
+        setPdfDocument(record.document);
+        setPdfSources(record.sources);
+        setSource(record.source);
+        // New prompts are written with the active template, not the one this infographic was made with
+        setOptions({ ...options, ...record.options, template: undefined });
+        setError('');
+        setView('wizard');
+        return record;
+    };
+
+    const openFromHistory = async (item) => {
+        try {
+            const record = await loadFromHistory(item);
+            setPrompt(record.prompt);
+            setPromptTemplate(record.template || null);
+            setResultImage(record.currentRevision > 0
+                ? record.revisions[record.currentRevision - 1].imageUrl
+                : record.variants[record.selected].imageUrl);
+            setVariants(record.variants.map(variant => variant.imageUrl));
+            setSelectedVariant(record.selected);
+            setInfographicId(record.id);
+            setReusedImage(false);
+            setRevisions(record.revisions);
+            setCurrentRevisionState(record.currentRevision);
+            setFactCheck(record.factCheck);
+            setTextLayer(record.layout);
+            setAccessibility(record.accessibility);
+            setStep(4);
+        } catch (err) {
+            console.error('History Error:', err);
+        }
+    };
+
+    // Remix: same input, new options; continues at Step 2 without re-uploading
+    const remixFromHistory = async (item) => {
+        try {
+            await loadFromHistory(item);
+            setPrompt('');
+            setPromptTemplate(null);
+            setResultImage('');
+            setVariants([]);
+            setInfographicId(null);
+            setReusedImage(false);
+            setRevisions([]);
+            setCurrentRevisionState(0);
+            setFactCheck(null);
+            setTextLayer(null);
+            setAccessibility(null);
+            setStep(2);
+        } catch (err) {
+            console.error('History Error:', err);
+        }
+    };
+
     const [apiStatus, setApiStatus] = useState({ llm: false, nanoBanana: false });
 
+    // Reattach to jobs started before the page was reloaded. Kept in a ref so
+    // the mount effect below runs once yet calls the current runStep and runBatch.
+    const reattachJobsRef = useRef(null);
+    reattachJobsRef.current = () => {
+        const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+        if (jobId) {
+            getJob(jobId)
+                .then(() => runStep(() => followJob(jobId)))
+                .catch(() => localStorage.removeItem(ACTIVE_JOB_KEY));
+        }
+        const batchJobId = localStorage.getItem(ACTIVE_BATCH_KEY);
+        if (batchJobId) {
+            getJob(batchJobId)
+                .then(() => runBatch(() => followBatch(batchJobId)))
+                .catch(() => localStorage.removeItem(ACTIVE_BATCH_KEY));
+        }
+    };
+
+    useEffect(() => {
+        reattachJobsRef.current();
+        return () => {
+            if (stopWatchingRef.current) stopWatchingRef.current();
+        };
+    }, []);
+
+    useEffect(() => {
+        // Load the output presets offered in Step 2
+        listFormats()
+            .then(setFormats)
+            .catch(err => console.error('Failed to load formats', err));
+        listLanguages()
+            .then(setLanguages)
+            .catch(err => console.error('Failed to load languages', err));
+        // ... and the brand kits
+        listBrandKits()
+            .then(setBrandKits)
+            .catch(err => console.error('Failed to load brand kits', err));
+    }, []);
+
     useEffect(() => {
         // Check API status on load
         fetch('/api/status')
@@ -135,261 +774,814 @@ function App() {
         <div className="app-container">
             <header className="app-header">
                 <div className="logo">📊 MyInfographic</div>
+                <nav className="header-nav">
+                    <button className="link-btn" onClick={() => setView(view === 'history' ? 'wizard' : 'history')}>
+                        {view === 'history' ? t('app.backToGenerator') : t('app.history')}
+                    </button>
+                    {session.authEnabled && (
+                        <button className="link-btn" onClick={() => setView(view === 'account' ? 'wizard' : 'account')}>
+                            {t('app.account', { username: session.user.username })}
+                        </button>
+                    )}
+                    {session.user.role === 'admin' && (
+                        <button className="link-btn" onClick={() => setView(view === 'admin' ? 'wizard' : 'admin')}>
+                            {t('app.admin')}
+                        </button>
+                    )}
+                    {session.authEnabled && (
+                        <button className="link-btn" onClick={signOut}>{t('app.signOut')}</button>
+                    )}
+                    <select className="locale-select" value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('app.interfaceLanguage')}>
+                        {Object.entries(UI_LOCALES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+                    </select>
+                </nav>
             </header>
 
-            <main>
-                {/* Step 1: Upload/Input */}
-                {step === 1 && (
-                    <div className="card">
-                        {/* Main Explainer Image */}
-                        <div className="explainer-section">
-                            <img
-                                src="/explainer.jpg"
-                                alt="How it works"
-                                className="explainer-img"
-                            />
-                        </div>
+            {view === 'history' && (
+                <main>
+                    <History onOpen={openFromHistory} onRemix={remixFromHistory} onClose={() => setView('wizard')} />
+                </main>
+            )}
 
-                        {/* Toggleable Examples Link */}
-                        <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
-                            <button
-                                onClick={() => setShowExamples(!showExamples)}
-                                className="link-btn"
-                            >
-                                {showExamples ? 'Hide examples' : 'View example infographics'}
-                            </button>
-                        </div>
+            {view === 'account' && (
+                <main>
+                    <Account onClose={() => setView('wizard')} />
+                </main>
+            )}
 
-                        {/* Hidden Examples */}
-                        {showExamples && (
-                            <div className="example-images-grid fade-in">
-                                <div className="example-item">
-                                    <img
-                                        src="/examples/breast-cancer.png"
-                                        alt="Example: Kids audience"
-                                        className="example-img"
+            {view === 'admin' && (
+                <main>
+                    <Admin onClose={() => setView('wizard')} />
+                </main>
+            )}
+
+            {view === 'wizard' && (
+                <main>
+                    {/* Step 1: Upload/Input */}
+                    {step === 1 && (
+                        <div className="card">
+                            {/* Main Explainer Image */}
+                            <div className="explainer-section">
+                                <img
+                                    src="/explainer.jpg"
+                                    alt={t('step1.howItWorks')}
+                                    className="explainer-img"
+                                />
+                            </div>
+
+                            {/* Toggleable Examples Link */}
+                            <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
+                                <button
+                                    onClick={() => setShowExamples(!showExamples)}
+                                    className="link-btn"
+                                >
+                                    {showExamples ? t('step1.hideExamples') : t('step1.showExamples')}
+                                </button>
+                            </div>
+
+                            {/* Hidden Examples */}
+                            {showExamples && (
+                                <div className="example-images-grid fade-in">
+                                    <div className="example-item">
+                                        <img
+                                            src="/examples/breast-cancer.png"
+                                            alt={t('step1.exampleKids')}
+                                            className="example-img"
+                                        />
+                                        <p className="example-caption">{t('audience.kids')}</p>
+                                    </div>
+                                    <div className="example-item">
+                                        <img
+                                            src="/examples/narrative-engine.png"
+                                            alt={t('step1.exampleExperts')}
+                                            className="example-img"
+                                        />
+                                        <p className="example-caption">{t('audience.experts')}</p>
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Input Mode Toggle */}
+                            <div className="input-mode-toggle">
+                                <button
+                                    className={`toggle-btn ${inputMode === 'file' ? 'active' : ''}`}
+                                    onClick={() => { setInputMode('file'); clearExtracted(); setError(''); }}
+                                >
+                                    {t('step1.modeFile')}
+                                </button>
+                                <button
+                                    className={`toggle-btn ${inputMode === 'text' ? 'active' : ''}`}
+                                    onClick={() => { setInputMode('text'); clearExtracted(); setError(''); }}
+                                >
+                                    {t('step1.modeText')}
+                                </button>
+                                <button
+                                    className={`toggle-btn ${inputMode === 'import' ? 'active' : ''}`}
+                                    onClick={() => { setInputMode('import'); clearExtracted(); setError(''); }}
+                                >
+                                    {t('step1.modeImport')}
+                                </button>
+                            </div>
+
+                            {/* File Upload Mode */}
+                            {inputMode === 'file' && (
+                                <div className="upload-section">
+                                    <input
+                                        type="file"
+                                        accept={Object.keys(FILE_KINDS).join(',')}
+                                        multiple
+                                        onChange={handleFileUpload}
+                                        id="file-input"
+                                        style={{ display: 'none' }}
                                     />
-                                    <p className="example-caption">Kids (10 years old)</p>
+                                    <label htmlFor="file-input" className="upload-box-clean">
+                                        {files.length === 1 && extraSources.length === 0 ? (
+                                            <div className="file-info">
+                                                <span style={{ fontSize: '2rem' }}>📄</span>
+                                                <div style={{ marginLeft: '1rem', textAlign: 'left' }}>
+                                                    <div style={{ fontWeight: '500', marginBottom: '0.25rem' }}>{files[0].name}</div>
+                                                    <div style={{ fontSize: '0.85rem', color: '#888' }}>
+                                                        {t('step1.fileSize', { size: (files[0].size / 1024 / 1024).toFixed(2) })}
+                                                    </div>
+                                                </div>
+                                            </div>
+                                        ) : (
+                                            <div className="upload-placeholder">
+                                                <span style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>⬆️</span>
+                                                <p style={{ fontSize: '1.1rem', margin: 0 }}>
+                                                    {files.length > 0 ? t('step1.addAnotherFile') : t('step1.dropFile')}
+                                                </p>
+                                                <p style={{ fontSize: '0.85rem', color: '#888', margin: '0.5rem 0 0' }}>
+                                                    {t('step1.fileTypes')}
+                                                </p>
+                                            </div>
+                                        )}
+                                    </label>
                                 </div>
-                                <div className="example-item">
-                                    <img
-                                        src="/examples/narrative-engine.png"
-                                        alt="Example: Expert audience"
-                                        className="example-img"
+                            )}
+
+                            {/* Text Input Mode */}
+                            {inputMode === 'text' && (
+                                <div className="text-input-section">
+                                    <textarea
+                                        value={textInput}
+                                        onChange={(e) => { setTextInput(e.target.value); setSource({ kind: 'text' }); clearExtracted(); setError(''); }}
+                                        placeholder={t('step1.pastePlaceholder')}
+                                        rows="8"
+                                        className="text-input-area"
                                     />
-                                    <p className="example-caption">Expert researchers</p>
+                                    <div style={{
+                                        textAlign: 'right',
+                                        fontSize: '0.85rem',
+                                        color: textInput.length >= 100 ? '#4ade80' : '#888',
+                                        marginTop: '0.5rem'
+                                    }}>
+                                        {t('step1.minLength', { count: textInput.length })}
+                                    </div>
+                                    <button className="link-btn" onClick={addSnippet} disabled={textInput.trim().length < 100}>
+                                        {t('step1.addSnippet')}
+                                    </button>
                                 </div>
-                            </div>
-                        )}
+                            )}
+
+                            {/* Import Mode */}
+                            {inputMode === 'import' && (
+                                <div className="import-section">
+                                    <input
+                                        type="text"
+                                        value={identifier}
+                                        onChange={(e) => setIdentifier(e.target.value)}
+                                        onKeyDown={(e) => { if (e.key === 'Enter') importPaper(); }}
+                                        placeholder={t('step1.importPlaceholder')}
+                                        disabled={importing}
+                                    />
+                                    <button className="btn secondary" onClick={importPaper} disabled={importing || !identifier.trim()}>
+                                        {importing ? t('step1.fetching') : t('step1.import')}
+                                    </button>
+                                </div>
+                            )}
+
+                            {/* Everything collected for a multi-document infographic */}
+                            {files.length > 1 || extraSources.length > 0 ? (
+                                <div className="source-list">
+                                    <p>{t('step1.sources', { count: sourceCount })}</p>
+                                    <ul>
+                                        {files.map((file, index) => (
+                                            <li key={`file-${index}`}>
+                                                <span>📄 {file.name}</span>
+                                                <button className="link-btn" onClick={() => removeFile(index)} title={t('common.remove')}>✕</button>
+                                            </li>
+                                        ))}
+                                        {extraSources.map((extra, index) => (extra.document && extra.document.citation ? (
+                                            <li key={`import-${index}`} className="imported-source">
+                                                <div className="source-row">
+                                                    <span>🔗 {extra.name}</span>
+                                                    <button className="link-btn" onClick={() => removeExtraSource(index)} title={t('common.remove')}>✕</button>
+                                                </div>
+                                                <div className="citation-fields">
+                                                    <input
+                                                        value={extra.document.citation.title || ''}
+                                                        onChange={(e) => updateCitation(index, { title: e.target.value })}
+                                                        placeholder={t('citation.title')}
+                                                    />
+                                                    <input
+                                                        value={(extra.document.citation.authors || []).join(', ')}
+                                                        onChange={(e) => updateCitation(index, { authors: e.target.value.split(',').map(name => name.trimStart()) })}
+                                                        placeholder={t('citation.authors')}
+                                                    />
+                                                    <input
+                                                        value={extra.document.citation.venue || ''}
+                                                        onChange={(e) => updateCitation(index, { venue: e.target.value })}
+                                                        placeholder={t('citation.venue')}
+                                                    />
+                                                    <input
+                                                        type="number"
+                                                        value={extra.document.citation.year || ''}
+                                                        onChange={(e) => updateCitation(index, { year: parseInt(e.target.value, 10) || undefined })}
+                                                        placeholder={t('citation.year')}
+                                                    />
+                                                </div>
+                                            </li>
+                                        ) : (
+                                            <li key={`text-${index}`}>
+                                                <span>📝 {t('step1.snippet', { name: extra.name, count: extra.text.length })}</span>
+                                                <button className="link-btn" onClick={() => removeExtraSource(index)} title={t('common.remove')}>✕</button>
+                                            </li>
+                                        )))}
+                                    </ul>
+                                </div>
+                            ) : null}
+
+                            {error && <p className="error-msg">{error}</p>}
 
-                        {/* Input Mode Toggle */}
-                        <div className="input-mode-toggle">
-                            <button
-                                className={`toggle-btn ${inputMode === 'pdf' ? 'active' : ''}`}
-                                onClick={() => { setInputMode('pdf'); setError(''); }}
-                            >
-                                📄 PDF
-                            </button>
                             <button
-                                className={`toggle-btn ${inputMode === 'text' ? 'active' : ''}`}
-                                onClick={() => { setInputMode('text'); setError(''); }}
+                                className="btn primary"
+                                onClick={() => setStep(2)}
+                                disabled={sourceCount === 0}
                             >
-                                📝 Text
+                                {t('step1.continue')}
                             </button>
                         </div>
+                    )}
+                    {/* Step 2: Options */}
+                    {step === 2 && (
+                        <div className="card">
+                            <h2>{t('step2.title')}</h2>
+                            <p style={{ marginBottom: '2rem', color: '#888' }}>
+                                {t('step2.intro')}
+                            </p>
 
-                        {/* PDF Upload Mode */}
-                        {inputMode === 'pdf' && (
-                            <div className="upload-section">
-                                <input
-                                    type="file"
-                                    accept="application/pdf"
-                                    onChange={handleFileUpload}
-                                    id="file-input"
-                                    style={{ display: 'none' }}
-                                />
-                                <label htmlFor="file-input" className="upload-box-clean">
-                                    {file ? (
-                                        <div className="file-info">
-                                            <span style={{ fontSize: '2rem' }}>📄</span>
-                                            <div style={{ marginLeft: '1rem', textAlign: 'left' }}>
-                                                <div style={{ fontWeight: '500', marginBottom: '0.25rem' }}>{file.name}</div>
-                                                <div style={{ fontSize: '0.85rem', color: '#888' }}>
-                                                    {(file.size / 1024 / 1024).toFixed(2)} MB
-                                                </div>
+                            {/* BASIC SETTINGS */}
+                            <div className="settings-section">
+                                <div className="option-group">
+                                    <label className="checkbox-label">
+                                        <input
+                                            type="checkbox"
+                                            checked={batchMode}
+                                            onChange={(e) => {
+                                                setBatchMode(e.target.checked);
+                                                // Start from the current choices
+                                                if (e.target.checked && batchCount === 0) {
+                                                    setBatchAxes({ languages: [options.language], audiences: [options.audience], focuses: [options.focus] });
+                                                }
+                                            }}
+                                        />
+                                        {t('step2.batch')}
+                                    </label>
+                                </div>
+
+                                {batchMode ? (
+                                    <div className="batch-axes">
+                                        <div className="option-group">
+                                            <label>{t('step2.outputLanguages')}</label>
+                                            <div className="batch-languages">
+                                                {batchLanguages.map(tag => (
+                                                    <label key={tag} className="checkbox-label">
+                                                        <input type="checkbox" checked={batchAxes.languages.includes(tag)} onChange={() => toggleAxis('languages', tag)} />
+                                                        {languageLabel(tag)}
+                                                    </label>
+                                                ))}
                                             </div>
                                         </div>
-                                    ) : (
-                                        <div className="upload-placeholder">
-                                            <span style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>⬆️</span>
-                                            <p style={{ fontSize: '1.1rem', margin: 0 }}>Click or drag PDF here</p>
+                                        {[['audiences', 'step2.targetAudiences', AUDIENCES], ['focuses', 'step2.contentFocus', FOCUSES]].map(([axis, label, choices]) => (
+                                            <div key={axis} className="option-group">
+                                                <label>{t(label)}</label>
+                                                {Object.entries(choices).map(([choice, key]) => (
+                                                    <label key={choice} className="checkbox-label">
+                                                        <input type="checkbox" checked={batchAxes[axis].includes(choice)} onChange={() => toggleAxis(axis, choice)} />
+                                                        {t(key)}
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        ))}
+                                    </div>
+                                ) : (
+                                    <>
+                                        <div className="option-group">
+                                            <label>{t('step2.outputLanguage')}</label>
+                                            <select
+                                                value={languageChoice}
+                                                onChange={(e) => setOptions({ ...options, language: e.target.value === OTHER_LANGUAGE ? '' : e.target.value })}
+                                            >
+                                                {languages.map(language => (
+                                                    <option key={language.tag} value={language.tag}>{languageLabel(language.tag)}</option>
+                                                ))}
+                                                <option value={OTHER_LANGUAGE}>{t('step2.otherLanguage')}</option>
+                                            </select>
+                                            {languageChoice === OTHER_LANGUAGE && (
+                                                <input
+                                                    type="text"
+                                                    className="language-code"
+                                                    value={options.language}
+                                                    onChange={(e) => setOptions({ ...options, language: e.target.value })}
+                                                    placeholder={t('step2.languageCode')}
+                                                />
+                                            )}
                                         </div>
-                                    )}
-                                </label>
-                            </div>
-                        )}
-
-                        {/* Text Input Mode */}
-                        {inputMode === 'text' && (
-                            <div className="text-input-section">
-                                <textarea
-                                    value={textInput}
-                                    onChange={(e) => { setTextInput(e.target.value); setError(''); }}
-                                    placeholder="Paste your text here..."
-                                    rows="8"
-                                    className="text-input-area"
-                                />
-                                <div style={{
-                                    textAlign: 'right',
-                                    fontSize: '0.85rem',
-                                    color: textInput.length >= 100 ? '#4ade80' : '#888',
-                                    marginTop: '0.5rem'
-                                }}>
-                                    {textInput.length} / 100 min
-                                </div>
-                            </div>
-                        )}
-
-                        {error && <p className="error-msg">{error}</p>}
-
-                        <button
-                            className="btn primary"
-                            onClick={() => setStep(2)}
-                            disabled={inputMode === 'pdf' ? !file : textInput.length < 100}
-                        >
-                            Continue →
-                        </button>
-                    </div>
-                )}
-                {/* Step 2: Options */}
-                {step === 2 && (
-                    <div className="card">
-                        <h2>Configure Your Infographic</h2>
-                        <p style={{ marginBottom: '2rem', color: '#888' }}>
-                            Quick start with defaults, or customize with advanced settings below.
-                        </p>
-
-                        {/* BASIC SETTINGS */}
-                        <div className="settings-section">
-                            <div className="option-group">
-                                <label>Output Language</label>
-                                <select value={options.language} onChange={(e) => setOptions({ ...options, language: e.target.value })}>
-                                    <option>Deutsch</option>
-                                    <option>English</option>
-                                </select>
-                            </div>
 
-                            <div className="option-group">
-                                <label>Target Audience</label>
-                                <select value={options.audience} onChange={(e) => setOptions({ ...options, audience: e.target.value })}>
-                                    <option>General public</option>
-                                    <option>Kids (10 years old)</option>
-                                    <option>High school students</option>
-                                    <option>Undergraduate</option>
-                                    <option>Graduate/Professional</option>
-                                    <option>Expert researchers</option>
-                                </select>
-                            </div>
+                                        <div className="option-group">
+                                            <label>{t('step2.targetAudience')}</label>
+                                            <select value={options.audience} onChange={(e) => setOptions({ ...options, audience: e.target.value })}>
+                                                {Object.entries(AUDIENCES).map(([audience, key]) => <option key={audience} value={audience}>{t(key)}</option>)}
+                                            </select>
+                                        </div>
 
-                            <div className="option-group">
-                                <label>Content Focus</label>
-                                <select value={options.focus} onChange={(e) => setOptions({ ...options, focus: e.target.value })}>
-                                    <option>Balanced overview</option>
-                                    <option>Core scientific concepts</option>
-                                    <option>Methodology & process</option>
-                                    <option>Results & findings</option>
-                                    <option>Broader implications</option>
-                                </select>
-                            </div>
-                        </div>
+                                        <div className="option-group">
+                                            <label>{t('step2.contentFocus')}</label>
+                                            <select value={options.focus} onChange={(e) => setOptions({ ...options, focus: e.target.value })}>
+                                                {Object.entries(FOCUSES).map(([focus, key]) => <option key={focus} value={focus}>{t(key)}</option>)}
+                                            </select>
+                                        </div>
+                                    </>
+                                )}
 
-                        {/* ADVANCED SETTINGS TOGGLE */}
-                        <div className="advanced-toggle" onClick={() => setShowAdvanced(!showAdvanced)}>
-                            <span>{showAdvanced ? '▼' : '▶'} Advanced Settings</span>
-                        </div>
+                                {sourceCount > 1 && (
+                                    <div className="option-group">
+                                        <label>{t('step2.multipleSources', { count: sourceCount })}</label>
+                                        <select value={options.sourceMode} onChange={(e) => setOptions({ ...options, sourceMode: e.target.value })}>
+                                            <option value="synthesise">{t('step2.synthesise')}</option>
+                                            <option value="compare">{t('step2.compare')}</option>
+                                        </select>
+                                    </div>
+                                )}
 
-                        {/* ADVANCED SETTINGS */}
-                        {showAdvanced && (
-                            <div className="settings-section advanced-section">
                                 <div className="option-group">
-                                    <label>Technical Terms</label>
-                                    <select value={options.terms} onChange={(e) => setOptions({ ...options, terms: e.target.value })}>
-                                        <option>Include & Explain</option>
-                                        <option>Include without explanation</option>
-                                        <option>Exclude, simplify to context</option>
+                                    <label>{t('step2.outputFormat')}</label>
+                                    <select value={options.format} onChange={(e) => setOptions({ ...options, format: e.target.value })}>
+                                        {formats.map(format => (
+                                            <option key={format.id} value={format.id}>{format.label} ({format.aspectRatio})</option>
+                                        ))}
                                     </select>
                                 </div>
 
                                 <div className="option-group">
                                     <label>
-                                        Style Notes <span style={{ color: '#888', fontSize: '0.85rem' }}>(optional)</span>
+                                        {t('step2.brandKit')}{' '}
+                                        <button className="link-btn" onClick={() => setShowBrandKits(!showBrandKits)}>
+                                            {showBrandKits ? t('common.close') : t('step2.manageBrandKits')}
+                                        </button>
                                     </label>
-                                    <textarea
-                                        value={options.styleNotes}
-                                        onChange={(e) => setOptions({ ...options, styleNotes: e.target.value })}
-                                        placeholder="e.g., 'Use vibrant colors', 'Minimalist design', 'Hand-drawn style'..."
-                                        rows="3"
-                                        style={{
-                                            width: '100%',
-                                            padding: '0.75rem',
-                                            borderRadius: '8px',
-                                            border: '1px solid rgba(255, 255, 255, 0.2)',
-                                            background: 'rgba(255, 255, 255, 0.05)',
-                                            color: '#fff',
-                                            fontSize: '0.95rem',
-                                            fontFamily: 'inherit',
-                                            resize: 'vertical'
+                                    <select value={options.brand} onChange={(e) => setOptions({ ...options, brand: e.target.value })}>
+                                        <option value="">{t('step2.noBrandKit')}</option>
+                                        {brandKits.map(kit => (
+                                            <option key={kit.id} value={kit.id}>{kit.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                {showBrandKits && (
+                                    <BrandKits
+                                        kits={brandKits}
+                                        onSaved={(kit) => setBrandKits(kits => [...kits.filter(other => other.id !== kit.id), kit].sort((a, b) => a.name.localeCompare(b.name)))}
+                                        onDeleted={(id) => {
+                                            setBrandKits(kits => kits.filter(kit => kit.id !== id));
+                                            if (options.brand === id) setOptions({ ...options, brand: '' });
                                         }}
+                                        onClose={() => setShowBrandKits(false)}
                                     />
-                                    <p style={{ fontSize: '0.8rem', color: '#888', marginTop: '0.5rem' }}>
-                                        Describe visual style preferences only (colors, layout, artistic approach)
+                                )}
+                            </div>
+
+                            {/* ADVANCED SETTINGS TOGGLE */}
+                            <div className="advanced-toggle" onClick={() => setShowAdvanced(!showAdvanced)}>
+                                <span>{showAdvanced ? '▼' : '▶'} {t('step2.advanced')}</span>
+                            </div>
+
+                            {/* ADVANCED SETTINGS */}
+                            {showAdvanced && (
+                                <div className="settings-section advanced-section">
+                                    <div className="option-group">
+                                        <label>{t('step2.terms')}</label>
+                                        <select value={options.terms} onChange={(e) => setOptions({ ...options, terms: e.target.value })}>
+                                            {Object.entries(TERMS).map(([terms, key]) => <option key={terms} value={terms}>{t(key)}</option>)}
+                                        </select>
+                                    </div>
+
+                                    <div className="option-group">
+                                        <label>
+                                            {t('step2.styleNotes')} <span style={{ color: '#888', fontSize: '0.85rem' }}>{t('common.optional')}</span>
+                                        </label>
+                                        <textarea
+                                            value={options.styleNotes}
+                                            onChange={(e) => setOptions({ ...options, styleNotes: e.target.value })}
+                                            placeholder={t('step2.styleNotesPlaceholder')}
+                                            rows="3"
+                                            style={{
+                                                width: '100%',
+                                                padding: '0.75rem',
+                                                borderRadius: '8px',
+                                                border: '1px solid rgba(255, 255, 255, 0.2)',
+                                                background: 'rgba(255, 255, 255, 0.05)',
+                                                color: '#fff',
+                                                fontSize: '0.95rem',
+                                                fontFamily: 'inherit',
+                                                resize: 'vertical'
+                                            }}
+                                        />
+                                        <p style={{ fontSize: '0.8rem', color: '#888', marginTop: '0.5rem' }}>
+                                            {t('step2.styleNotesHint')}
+                                        </p>
+                                    </div>
+
+                                    <div className="option-group">
+                                        <label>{t('step2.variants')}</label>
+                                        <select value={options.variants} onChange={(e) => setOptions({ ...options, variants: parseInt(e.target.value, 10) })}>
+                                            <option value={1}>{t('step2.oneImage')}</option>
+                                            {[2, 3, 4].map(count => <option key={count} value={count}>{t('step2.imagesToCompare', { count })}</option>)}
+                                        </select>
+                                    </div>
+
+                                    <div className="option-group">
+                                        <label className="checkbox-label">
+                                            <input
+                                                type="checkbox"
+                                                checked={options.reviewPrompt}
+                                                onChange={(e) => setOptions({ ...options, reviewPrompt: e.target.checked })}
+                                            />
+                                            {t('step2.reviewPrompt')}
+                                        </label>
+                                    </div>
+
+                                    <div className="option-group">
+                                        <label className="checkbox-label">
+                                            <input
+                                                type="checkbox"
+                                                checked={options.grounding !== false}
+                                                onChange={(e) => setOptions({ ...options, grounding: e.target.checked })}
+                                            />
+                                            {t('step2.grounding')}
+                                        </label>
+                                        <p style={{ fontSize: '0.8rem', color: '#888', marginTop: '0.5rem' }}>
+                                            {t('step2.groundingHint')}
+                                        </p>
+                                    </div>
+
+                                    <div className="option-group">
+                                        <label className="checkbox-label">
+                                            <input
+                                                type="checkbox"
+                                                checked={options.reuseImage !== false}
+                                                onChange={(e) => setOptions({ ...options, reuseImage: e.target.checked })}
+                                            />
+                                            {t('step2.reuseImage')}
+                                        </label>
+                                        <p style={{ fontSize: '0.8rem', color: '#888', marginTop: '0.5rem' }}>
+                                            {t('step2.reuseImageHint')}
+                                        </p>
+                                    </div>
+                                </div>
+                            )}
+
+                            {mayHaveFigures && (
+                                <div className="figure-picker">
+                                    <h3>{t('figures.title')}</h3>
+                                    {!pdfText ? (
+                                        <>
+                                            <p className="hint">{t('figures.intro')}</p>
+                                            <button className="btn secondary" onClick={findFigures} disabled={findingFigures}>
+                                                {findingFigures ? t('figures.reading') : t('figures.find')}
+                                            </button>
+                                        </>
+                                    ) : pdfFigures.length === 0 && pdfTables.length === 0 ? (
+                                        <p className="hint">{t('figures.none')}</p>
+                                    ) : (
+                                        <>
+                                            <p className="hint">
+                                                {t('figures.pick', { max: MAX_FIGURES })}
+                                            </p>
+                                            <div className="figure-grid">
+                                                {pdfFigures.map(figure => (
+                                                    <label key={figure.id} className={`figure-option ${picked.includes(figure.id) ? 'picked' : ''}`} title={figure.caption}>
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={picked.includes(figure.id)}
+                                                            disabled={!picked.includes(figure.id) && pickedFigureCount >= MAX_FIGURES}
+                                                            onChange={() => togglePicked(figure.id)}
+                                                        />
+                                                        <img src={figure.url} alt={figure.caption || figure.label} loading="lazy" />
+                                                        <span>{figure.label}{sourceCount > 1 && figure.source ? ` [${figure.source}]` : ''} · {t('figures.page', { page: figure.page })}</span>
+                                                    </label>
+                                                ))}
+                                                {pdfTables.map(table => (
+                                                    <label key={table.id} className={`figure-option ${picked.includes(table.id) ? 'picked' : ''}`} title={table.caption}>
+                                                        <input type="checkbox" checked={picked.includes(table.id)} onChange={() => togglePicked(table.id)} />
+                                                        <table>
+                                                            <tbody>
+                                                                {table.rows.slice(0, 4).map((row, rowIndex) => (
+                                                                    <tr key={rowIndex}>{row.map((cell, cellIndex) => <td key={cellIndex}>{cell}</td>)}</tr>
+                                                                ))}
+                                                            </tbody>
+                                                        </table>
+                                                        <span>{table.label}{sourceCount > 1 && table.source ? ` [${table.source}]` : ''} · {t('figures.page', { page: table.page })}</span>
+                                                    </label>
+                                                ))}
+                                            </div>
+                                        </>
+                                    )}
+                                </div>
+                            )}
+
+                            {extractionWarnings.length > 0 && (
+                                <div className="extraction-quality">
+                                    <h3>{t('quality.title')}</h3>
+                                    {extractionWarnings.map((warning, index) => <p key={index}>{warning}</p>)}
+                                    {pdfSources.filter(pdfSource => pdfSource.quality).map(pdfSource => (
+                                        <div key={pdfSource.label} className="page-quality">
+                                            <span>{pdfSource.name}</span>
+                                            <ol>
+                                                {pdfSource.quality.pages.map(page => (
+                                                    <li
+                                                        key={page.page}
+                                                        className={`page-${page.quality}`}
+                                                        title={t('quality.page', { page: page.page, quality: t(`quality.${page.quality}`) }) + (page.method === 'ocr' ? t('quality.ocr', { confidence: page.confidence }) : '')}
+                                                    >
+                                                        {page.page}
+                                                    </li>
+                                                ))}
+                                            </ol>
+                                        </div>
+                                    ))}
+                                    <p className="hint">
+                                        {t('quality.hint')}
                                     </p>
                                 </div>
+                            )}
+
+                            {error && <p className="error-msg">{error}</p>}
+
+                            <div className="btn-group">
+                                <button className="btn secondary" onClick={() => setStep(1)}>{t('common.back')}</button>
+                                {batchMode ? (
+                                    <button className="btn primary" onClick={startBatch} disabled={batchCount === 0}>
+                                        {batchCount === 1 ? t('step2.generateBatchOne') : t('step2.generateBatch', { count: batchCount })}
+                                    </button>
+                                ) : (
+                                    <button className="btn primary" onClick={startProcess}>
+                                        {extractionWarnings.length > 0 ? t('step2.generateAnyway') : t('step2.generate')}
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Step 3: Processing */}
+                    {step === 3 && (
+                        <div className="card processing-section">
+                            {!error ? (
+                                <>
+                                    <div className="spinner"></div>
+                                    <h2>{t('step3.processing')}</h2>
+                                    <p className="status-text">{status}</p>
+                                </>
+                            ) : (
+                                <>
+                                    <h2 style={{ color: '#ef4444' }}>{t('step3.error')}</h2>
+                                    <p className="error-msg" style={{ fontSize: '1.1rem', marginBottom: '1.5rem' }}>{error}</p>
+                                    <button className="btn secondary" onClick={() => setStep(prompt && options.reviewPrompt ? 5 : 2)}>{t('step3.tryAgain')}</button>
+                                </>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Step 4: Result */}
+                    {step === 4 && (
+                        <div className="card result-section">
+                            <h2>{t('step4.ready')}</h2>
+                            <div className="image-container">
+                                <img
+                                    src={displayUrl(resultImage)}
+                                    alt={accessibility ? accessibility.altText : t('step4.imageAlt')}
+                                    aria-describedby={accessibility ? 'infographic-description' : undefined}
+                                />
                             </div>
-                        )}
 
-                        {error && <p className="error-msg">{error}</p>}
+                            {reusedImage && currentRevision === 0 && (
+                                <div className="cache-notice">
+                                    <span>{t('step4.reusedImage')}</span>
+                                    {infographicId && (
+                                        <button className="link-btn" onClick={renderAnew} disabled={regenerating !== null}>
+                                            {regenerating === 'all' ? t('step4.rendering') : t('step4.renderAnew')}
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+
+                            {infographicId && (
+                                <Accessibility
+                                    infographicId={infographicId}
+                                    imageUrl={displayUrl(resultImage)}
+                                    description={accessibility}
+                                    onChange={setAccessibility}
+                                    descriptionId="infographic-description"
+                                />
+                            )}
+
+                            {variants.length > 1 && (
+                                <div className="variant-grid">
+                                    {variants.map((url, index) => (
+                                        <div key={url} className={`variant-item ${index === selectedVariant ? 'selected' : ''}`}>
+                                            <button className="variant-thumb" onClick={() => pickVariant(index)} title={t('step4.useVariant')}>
+                                                <img src={displayUrl(url)} alt={t('step4.variant', { number: index + 1 })} />
+                                            </button>
+                                            <div className="variant-actions">
+                                                <span>{index === selectedVariant ? t('step4.favourite') : t('step4.variant', { number: index + 1 })}</span>
+                                                {infographicId && (
+                                                    <button
+                                                        className="link-btn"
+                                                        onClick={() => rerenderVariant(index)}
+                                                        disabled={regenerating !== null}
+                                                    >
+                                                        {regenerating === index ? t('step4.rendering') : t('step4.regenerate')}
+                                                    </button>
+                                                )}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {infographicId && (
+                                <div className="refine-section">
+                                    {revisions.length > 0 && (
+                                        <div className="revision-stepper">
+                                            <button
+                                                className="link-btn"
+                                                onClick={() => stepRevision(currentRevision - 1)}
+                                                disabled={currentRevision === 0 || refining}
+                                            >
+                                                {t('step4.previous')}
+                                            </button>
+                                            <span>
+                                                {currentRevision === 0 ? t('step4.original') : t('step4.revision', { number: currentRevision, total: revisions.length })}
+                                            </span>
+                                            <button
+                                                className="link-btn"
+                                                onClick={() => stepRevision(currentRevision + 1)}
+                                                disabled={currentRevision === revisions.length || refining}
+                                            >
+                                                {t('step4.next')}
+                                            </button>
+                                        </div>
+                                    )}
+                                    {currentRevision > 0 && (
+                                        <p className="revision-note">“{revisions[currentRevision - 1].instruction}”</p>
+                                    )}
+
+                                    <div className="option-group">
+                                        <label>{t('step4.refine')}</label>
+                                        <textarea
+                                            value={instruction}
+                                            onChange={(e) => setInstruction(e.target.value)}
+                                            placeholder={t('step4.refinePlaceholder')}
+                                            rows="2"
+                                            disabled={refining}
+                                        />
+                                    </div>
+                                    <button className="btn secondary" onClick={applyRefinement} disabled={refining || !instruction.trim()}>
+                                        {refining ? t('step4.applying') : t('step4.applyRefinement')}
+                                    </button>
+                                </div>
+                            )}
+
+                            {infographicId && (
+                                <div className="fact-check-section">
+                                    <div className="fact-check-header">
+                                        <h3>{t('factCheck.title')}</h3>
+                                        <div>
+                                            <button className="link-btn" onClick={() => runFactCheck(false)} disabled={checking}>
+                                                {checking ? t('factCheck.checking') : (factCheck ? t('factCheck.checkAgain') : t('factCheck.check'))}
+                                            </button>
+                                            <button className="link-btn" onClick={() => runFactCheck(true)} disabled={checking} title={t('factCheck.ocrHint')}>
+                                                {t('factCheck.checkOcr')}
+                                            </button>
+                                        </div>
+                                    </div>
+
+                                    {factCheck && (
+                                        <>
+                                            <p className="fact-check-summary">
+                                                <span className="claim-badge supported">{t('factCheck.supportedCount', { count: factCheck.summary.supported })}</span>
+                                                <span className="claim-badge unsupported">{t('factCheck.unsupportedCount', { count: factCheck.summary.unsupported })}</span>
+                                                <span className="claim-badge contradicted">{t('factCheck.contradictedCount', { count: factCheck.summary.contradicted })}</span>
+                                                <span className="fact-check-source">
+                                                    {factCheck.textSource === 'ocr' ? t('factCheck.fromOcr') : t('factCheck.fromModel')}
+                                                </span>
+                                            </p>
+                                            <ul className="claim-list">
+                                                {factCheck.claims.map((claim, index) => (
+                                                    <li key={index} className={`claim ${claim.status}`}>
+                                                        <span className="claim-status">{t(`factCheck.${claim.status}`)}</span>
+                                                        <p>{claim.text}</p>
+                                                        {claim.note && <p className="claim-note">{claim.note}</p>}
+                                                        {claim.passage && <blockquote>{claim.passage}</blockquote>}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </>
+                                    )}
+                                </div>
+                            )}
 
-                        <div className="btn-group">
-                            <button className="btn secondary" onClick={() => setStep(1)}>← Back</button>
-                            <button className="btn primary" onClick={startProcess}>Generate Infographic</button>
+                            {infographicId && (
+                                <TextLayer
+                                    infographicId={infographicId}
+                                    imageUrl={displayUrl(resultImage)}
+                                    layout={textLayer}
+                                    onChange={setTextLayer}
+                                />
+                            )}
+
+                            {infographicId && <ShareLinks infographicId={infographicId} />}
+
+                            {error && <p className="error-msg">{error}</p>}
+
+                            <div className="btn-group">
+                                <a href={downloadUrl(resultImage)} download={resultImage.startsWith('data:image/svg') ? 'infographic.svg' : 'infographic.png'} className="btn primary" target="_blank" rel="noreferrer">{t('step4.download')}</a>
+                                {variants.length > 1 && infographicId && (
+                                    <a href={`/api/infographics/${infographicId}/zip`} className="btn secondary">{t('step4.downloadAll')}</a>
+                                )}
+                                <button className="btn secondary" onClick={() => setStep(5)}>{t('step4.editPrompt')}</button>
+                                {batchCells.length > 0 && (
+                                    <button className="btn secondary" onClick={() => setStep(6)}>{t('step4.batchResults')}</button>
+                                )}
+                                <button className="btn secondary" onClick={reset}>{t('common.startOver')}</button>
+                            </div>
                         </div>
-                    </div>
-                )}
-
-                {/* Step 3: Processing */}
-                {step === 3 && (
-                    <div className="card processing-section">
-                        {!error ? (
-                            <>
-                                <div className="spinner"></div>
-                                <h2>Processing...</h2>
-                                <p className="status-text">{status}</p>
-                            </>
-                        ) : (
-                            <>
-                                <h2 style={{ color: '#ef4444' }}>Error</h2>
-                                <p className="error-msg" style={{ fontSize: '1.1rem', marginBottom: '1.5rem' }}>{error}</p>
-                                <button className="btn secondary" onClick={() => setStep(2)}>Try Again</button>
-                            </>
-                        )}
-                    </div>
-                )}
-
-                {/* Step 4: Result */}
-                {step === 4 && (
-                    <div className="card result-section">
-                        <h2>Your Infographic is Ready!</h2>
-                        <div className="image-container">
-                            <img src={resultImage} alt="Generated Infographic" />
+                    )}
+
+                    {/* Step 5: Review Prompt */}
+                    {step === 5 && (
+                        <div className="card">
+                            <h2>{t('step5.title')}</h2>
+                            <p style={{ marginBottom: '1.5rem', color: '#888' }}>
+                                {t('step5.intro')}
+                            </p>
+
+                            <div className="option-group">
+                                <textarea
+                                    value={prompt}
+                                    onChange={(e) => { setPrompt(e.target.value); setError(''); }}
+                                    rows="16"
+                                    className="prompt-editor"
+                                    dir="auto"
+                                />
+                            </div>
+
+                            {error && <p className="error-msg">{error}</p>}
+
+                            <div className="btn-group">
+                                <button className="btn secondary" onClick={() => setStep(2)}>{t('step5.changeOptions')}</button>
+                                <button className="btn secondary" onClick={regeneratePrompt}>{t('step5.regenerate')}</button>
+                            </div>
+                            <button className="btn primary" onClick={approvePrompt}>{t('step5.approve')}</button>
                         </div>
-                        <div className="btn-group">
-                            <a href={resultImage} download="infographic.png" className="btn primary" target="_blank" rel="noreferrer">Download Image</a>
-                            <button className="btn secondary" onClick={reset}>Start Over</button>
+                    )}
+
+                    {/* Step 6: Batch Results */}
+                    {step === 6 && (
+                        <div className="card">
+                            <h2>{t('batch.title')}</h2>
+                            {batchCells.length === 0 ? (
+                                !error && (
+                                    <div className="processing-section">
+                                        <div className="spinner"></div>
+                                        <p className="status-text">{status}</p>
+                                    </div>
+                                )
+                            ) : (
+                                <BatchResults cells={batchCells} batchId={batchId} onOpen={(id) => openFromHistory({ id })} />
+                            )}
+
+                            {error && <p className="error-msg">{error}</p>}
+
+                            <div className="btn-group">
+                                <button className="btn secondary" onClick={() => setStep(2)}>{t('step5.changeOptions')}</button>
+                                <button className="btn secondary" onClick={reset}>{t('common.startOver')}</button>
+                            </div>
                         </div>
-                    </div>
-                )}
-            </main>
+                    )}
+                </main>
+            )}
         </div>
     );
 }
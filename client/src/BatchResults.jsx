@@ -0,0 +1,70 @@
+import React from 'react';
+import { useI18n } from './i18n';
+import { AUDIENCES, FOCUSES, choiceLabel } from './choices';
+import './batch-styles.css';
+
+// Cell states that show a status line instead of a thumbnail
+const CELL_STATUS = ['queued', 'prompting', 'rendering'];
+
+const unique = (values) => [...new Set(values)];
+
+// Results of a batch run as a matrix: one row per audience, one column per
+// language and focus mode. Cells fill in as the server finishes them.
+function BatchResults({ cells, batchId, onOpen }) {
+    const { t, languageName, modelErrorMessage } = useI18n();
+    const audiences = unique(cells.map(cell => cell.audience));
+    const columns = unique(cells.map(cell => `${cell.language}\n${cell.focus}`)).map(key => key.split('\n'));
+    const showFocus = unique(cells.map(cell => cell.focus)).length > 1;
+    const find = (audience, [language, focus]) => cells.find(cell =>
+        cell.audience === audience && cell.language === language && cell.focus === focus);
+    const finished = cells.filter(cell => cell.status === 'done' || cell.status === 'failed').length;
+
+    return (
+        <div className="batch-results">
+            <p className="hint">{t('batch.finished', { done: finished, total: cells.length })}</p>
+            <div className="batch-matrix-wrapper">
+                <table className="batch-matrix">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            {columns.map(([language, focus]) => (
+                                <th key={`${language}-${focus}`}>
+                                    {languageName(language)}
+                                    {showFocus && <span className="batch-focus">{choiceLabel(t, FOCUSES, focus)}</span>}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {audiences.map(audience => (
+                            <tr key={audience}>
+                                <th scope="row">{choiceLabel(t, AUDIENCES, audience)}</th>
+                                {columns.map(column => {
+                                    const cell = find(audience, column);
+                                    return (
+                                        <td key={column.join('-')} className={`batch-cell ${cell.status}`}>
+                                            {cell.status === 'done' && (
+                                                <button className="batch-thumb" onClick={() => onOpen(cell.infographicId)} title={t('common.open')}>
+                                                    <img src={cell.imageUrl} alt={`${choiceLabel(t, AUDIENCES, audience)}, ${languageName(column[0])}, ${choiceLabel(t, FOCUSES, column[1])}`} loading="lazy" />
+                                                </button>
+                                            )}
+                                            {cell.status === 'failed' && <span className="batch-error" title={modelErrorMessage(cell) || cell.error}>{t('batch.failed')}</span>}
+                                            {CELL_STATUS.includes(cell.status) && <span className="batch-status">{t(`batch.${cell.status}`)}</span>}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {batchId && (
+                <div className="btn-group">
+                    <a href={`/api/batches/${batchId}/zip`} className="btn primary">{t('step4.downloadAll')}</a>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default BatchResults;
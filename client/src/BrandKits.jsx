@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { saveBrandKit, deleteBrandKit } from './api';
+import { useI18n } from './i18n';
+import './brand-styles.css';
+
+const EMPTY_KIT = { name: '', palette: ['#8b5cf6'], typography: '', iconStyle: '', footer: '', logoPlacement: 'top-left' };
+
+// Placement → message key of its label
+const LOGO_PLACEMENTS = {
+    'top-left': 'brands.topLeft',
+    'top-right': 'brands.topRight',
+    'bottom-left': 'brands.bottomLeft',
+    'bottom-right': 'brands.bottomRight',
+    'footer-center': 'brands.footerCenter'
+};
+
+const MAX_COLORS = 8;
+
+// Editor for the brand kits offered in Step 2: create, change and delete
+function BrandKits({ kits, onSaved, onDeleted, onClose }) {
+    const { t } = useI18n();
+    const [editing, setEditing] = useState(null); // Id of the kit being edited, 'new', or null
+    const [form, setForm] = useState(EMPTY_KIT);
+    const [logo, setLogo] = useState(undefined); // File to upload, null to remove, undefined to keep
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const edit = (kit) => {
+        setEditing(kit ? kit.id : 'new');
+        setForm(kit ? { ...EMPTY_KIT, ...kit } : EMPTY_KIT);
+        setLogo(undefined);
+        setError('');
+    };
+
+    const setColor = (index, color) => setForm({ ...form, palette: form.palette.map((other, i) => (i === index ? color : other)) });
+
+    const handleSave = async () => {
+        if (!form.name.trim()) {
+            setError(t('brands.nameRequired'));
+            return;
+        }
+        setSaving(true);
+        setError('');
+        try {
+            const saved = await saveBrandKit(form, logo, editing === 'new' ? undefined : editing);
+            onSaved(saved);
+            setEditing(null);
+        } catch (err) {
+            setError(err.response && err.response.data.error ? err.response.data.error : t('brands.saveFailed', { message: err.message }));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (kit) => {
+        if (!window.confirm(t('brands.deleteConfirm', { name: kit.name }))) return;
+        try {
+            await deleteBrandKit(kit.id);
+            onDeleted(kit.id);
+        } catch (err) {
+            setError(t('common.deleteFailed', { message: err.message }));
+        }
+    };
+
+    return (
+        <div className="brand-kits">
+            {!editing && (
+                <>
+                    {kits.length === 0 && <p className="hint">{t('brands.empty')}</p>}
+                    <ul className="brand-list">
+                        {kits.map(kit => (
+                            <li key={kit.id}>
+                                {kit.logoUrl && <img src={kit.logoUrl} alt="" />}
+                                <span className="brand-name">{kit.name}</span>
+                                <span className="brand-swatches">
+                                    {kit.palette.map(color => <span key={color} style={{ background: color }} title={color} />)}
+                                </span>
+                                {kit.editable && (
+                                    <>
+                                        <button className="link-btn" onClick={() => edit(kit)}>{t('common.edit')}</button>
+                                        <button className="link-btn danger" onClick={() => handleDelete(kit)}>{t('common.delete')}</button>
+                                    </>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                    <div className="btn-group">
+                        <button className="btn secondary" onClick={onClose}>{t('common.done')}</button>
+                        <button className="btn secondary" onClick={() => edit(null)}>{t('brands.new')}</button>
+                    </div>
+                </>
+            )}
+
+            {editing && (
+                <div className="brand-form">
+                    <div className="option-group">
+                        <label>{t('brands.name')}</label>
+                        <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder={t('brands.namePlaceholder')} />
+                    </div>
+
+                    <div className="option-group">
+                        <label>{t('brands.palette')} <span className="hint">{t('brands.paletteHint')}</span></label>
+                        <div className="brand-palette">
+                            {form.palette.map((color, index) => (
+                                <span key={index} className="brand-color">
+                                    <input type="color" value={color} onChange={(e) => setColor(index, e.target.value)} />
+                                    <button className="link-btn" onClick={() => setForm({ ...form, palette: form.palette.filter((_, i) => i !== index) })} title={t('common.remove')}>✕</button>
+                                </span>
+                            ))}
+                            {form.palette.length < MAX_COLORS && (
+                                <button className="link-btn" onClick={() => setForm({ ...form, palette: [...form.palette, '#ffffff'] })}>{t('brands.addColour')}</button>
+                            )}
+                        </div>
+                    </div>
+
+                    <div className="option-group">
+                        <label>{t('brands.typography')}</label>
+                        <input type="text" value={form.typography} onChange={(e) => setForm({ ...form, typography: e.target.value })} placeholder={t('brands.typographyPlaceholder')} />
+                    </div>
+
+                    <div className="option-group">
+                        <label>{t('brands.iconStyle')}</label>
+                        <input type="text" value={form.iconStyle} onChange={(e) => setForm({ ...form, iconStyle: e.target.value })} placeholder={t('brands.iconStylePlaceholder')} />
+                    </div>
+
+                    <div className="option-group">
+                        <label>{t('brands.footer')}</label>
+                        <input type="text" value={form.footer} onChange={(e) => setForm({ ...form, footer: e.target.value })} placeholder={t('brands.footerPlaceholder')} />
+                    </div>
+
+                    <div className="option-group">
+                        <label>{t('brands.logo')} <span className="hint">{t('brands.logoHint')}</span></label>
+                        {form.logoUrl && logo === undefined && (
+                            <div className="brand-logo">
+                                <img src={form.logoUrl} alt={t('brands.currentLogo')} />
+                                <button className="link-btn danger" onClick={() => setLogo(null)}>{t('common.remove')}</button>
+                            </div>
+                        )}
+                        <input type="file" accept="image/png,image/jpeg,image/webp" onChange={(e) => setLogo(e.target.files[0] || undefined)} />
+                    </div>
+
+                    <div className="option-group">
+                        <label>{t('brands.logoPlacement')}</label>
+                        <select value={form.logoPlacement} onChange={(e) => setForm({ ...form, logoPlacement: e.target.value })}>
+                            {Object.entries(LOGO_PLACEMENTS).map(([value, key]) => <option key={value} value={value}>{t(key)}</option>)}
+                        </select>
+                    </div>
+
+                    <div className="btn-group">
+                        <button className="btn secondary" onClick={() => setEditing(null)}>{t('common.cancel')}</button>
+                        <button className="btn primary" onClick={handleSave} disabled={saving}>{saving ? t('common.saving') : t('brands.save')}</button>
+                    </div>
+                </div>
+            )}
+
+            {error && <p className="error-msg">{error}</p>}
+        </div>
+    );
+}
+
+export default BrandKits;
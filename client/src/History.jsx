@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { listInfographics, deleteInfographic } from './api';
+import { useI18n } from './i18n';
+import { AUDIENCES, choiceLabel } from './choices';
+import './history-styles.css';
+
+// Gallery of previously generated infographics
+function History({ onOpen, onRemix, onClose }) {
+    const { t, locale, languageName } = useI18n();
+    const [items, setItems] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        listInfographics()
+            .then(setItems)
+            .catch(err => setError(t('history.loadFailed', { message: err.message })))
+            .finally(() => setLoading(false));
+    }, [t]);
+
+    const handleDelete = async (item) => {
+        if (!window.confirm(t('history.deleteConfirm', { title: item.title }))) return;
+        try {
+            await deleteInfographic(item.id);
+            setItems(items.filter(other => other.id !== item.id));
+        } catch (err) {
+            setError(t('common.deleteFailed', { message: err.message }));
+        }
+    };
+
+    return (
+        <div className="card">
+            <h2>{t('history.title')}</h2>
+
+            {loading && <p className="history-empty">{t('history.loading')}</p>}
+            {!loading && items.length === 0 && !error && (
+                <p className="history-empty">{t('history.empty')}</p>
+            )}
+            {error && <p className="error-msg">{error}</p>}
+
+            <div className="history-grid">
+                {items.map(item => (
+                    <div key={item.id} className="history-item fade-in">
+                        <button className="history-thumb" onClick={() => onOpen(item)} title={t('common.open')}>
+                            <img src={item.imageUrl} alt={item.altText || item.title} loading="lazy" />
+                        </button>
+                        <div className="history-meta">
+                            <div className="history-title">{item.title}</div>
+                            <div className="history-details">
+                                {new Date(item.createdAt).toLocaleString(locale)}
+                                {item.options.audience && ` · ${choiceLabel(t, AUDIENCES, item.options.audience)}`}
+                                {item.options.language && ` · ${languageName(item.options.language)}`}
+                                {item.template && ` · ${t('history.template', { version: item.template.version })}`}
+                            </div>
+                        </div>
+                        <div className="history-actions">
+                            <button className="link-btn" onClick={() => onOpen(item)}>{t('common.open')}</button>
+                            <a className="link-btn" href={`${item.imageUrl}?download=1`}>{t('history.download')}</a>
+                            <button className="link-btn" onClick={() => onRemix(item)}>{t('history.remix')}</button>
+                            <button className="link-btn danger" onClick={() => handleDelete(item)}>{t('common.delete')}</button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <div className="btn-group">
+                <button className="btn secondary" onClick={onClose}>{t('common.back')}</button>
+            </div>
+        </div>
+    );
+}
+
+export default History;
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { signIn, signUp } from './api';
+import { useI18n, UI_LOCALES } from './i18n';
+import './account-styles.css';
+
+// Sign-in page, and sign-up where the server allows it (ALLOW_SIGNUP)
+function Login({ signupEnabled, onSignedIn }) {
+    const { t, locale, setLocale } = useI18n();
+    const [mode, setMode] = useState('signIn'); // 'signIn' or 'signUp'
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError('');
+        try {
+            onSignedIn(await (mode === 'signUp' ? signUp : signIn)(username, password));
+        } catch (err) {
+            setError(err.response && err.response.data.error ? err.response.data.error : t('auth.failed', { message: err.message }));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="app-container">
+            <header className="app-header">
+                <div className="logo">📊 MyInfographic</div>
+                <nav className="header-nav">
+                    <select className="locale-select" value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('app.interfaceLanguage')}>
+                        {Object.entries(UI_LOCALES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+                    </select>
+                </nav>
+            </header>
+            <main>
+                <form className="card login-card" onSubmit={handleSubmit}>
+                    <h2>{mode === 'signUp' ? t('auth.signUpTitle') : t('auth.signInTitle')}</h2>
+                    <label className="account-field">
+                        {t('auth.username')}
+                        <input type="text" autoComplete="username" value={username} onChange={(e) => setUsername(e.target.value)} required />
+                    </label>
+                    <label className="account-field">
+                        {t('auth.password')}
+                        <input
+                            type="password"
+                            autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'}
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            required
+                        />
+                    </label>
+                    {error && <p className="error-msg">{error}</p>}
+                    <div className="btn-group">
+                        <button type="submit" className="btn primary" disabled={busy}>
+                            {mode === 'signUp' ? t('auth.signUp') : t('auth.signIn')}
+                        </button>
+                    </div>
+                    {signupEnabled && (
+                        <button type="button" className="link-btn" onClick={() => setMode(mode === 'signUp' ? 'signIn' : 'signUp')}>
+                            {mode === 'signUp' ? t('auth.haveAccount') : t('auth.noAccount')}
+                        </button>
+                    )}
+                </form>
+            </main>
+        </div>
+    );
+}
+
+export default Login;
@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    listPromptTemplates, getPromptTemplate, savePromptTemplate, activatePromptTemplate, previewPromptTemplate,
+    comparePromptTemplates, listInfographics, watchJob
+} from './api';
+import { useI18n } from './i18n';
+import './account-styles.css';
+
+const versionLabel = (t, template) => template.builtIn ? t('templates.builtIn') : t('templates.version', { version: template.version });
+
+// Admin: the prompt template versions, an editor that saves new ones, a
+// preview of the instructions they give the text model, and an A/B comparison
+// that renders one document from the history with two versions side by side
+function PromptTemplates() {
+    const { t, locale, modelErrorMessage } = useI18n();
+    const [templates, setTemplates] = useState([]);
+    const [variables, setVariables] = useState({});
+    const [body, setBody] = useState('');
+    const [basedOn, setBasedOn] = useState(null); // Version loaded into the editor
+    const [note, setNote] = useState('');
+    const [infographics, setInfographics] = useState([]);
+    const [sample, setSample] = useState(''); // History infographic for previews and comparisons; '' for placeholders
+    const [preview, setPreview] = useState('');
+    const [versions, setVersions] = useState(['', '']); // A and B
+    const [comparison, setComparison] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+    const stopWatchingRef = useRef(null);
+
+    const edit = async (version) => {
+        const template = await getPromptTemplate(version);
+        setBody(template.body);
+        setBasedOn(template.version);
+        setPreview('');
+    };
+
+    useEffect(() => {
+        listPromptTemplates()
+            .then(data => {
+                setTemplates(data.templates);
+                setVariables(data.variables);
+                const active = data.templates.find(template => template.active) || data.templates[0];
+                setVersions([String(active.version), '']);
+                return edit(active.version);
+            })
+            .catch(err => setError(t('templates.loadFailed', { message: err.message })));
+        listInfographics()
+            .then(items => setInfographics(items.filter(item => item.source.kind !== 'prompt')))
+            .catch(() => setInfographics([]));
+        return () => stopWatchingRef.current && stopWatchingRef.current();
+    }, [t]);
+
+    const run = async (action) => {
+        setBusy(true);
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            setError(err.response && err.response.data.error ? err.response.data.error : t('admin.saveFailed', { message: err.message }));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const refresh = async () => setTemplates((await listPromptTemplates()).templates);
+
+    const handleSave = (activate) => run(async () => {
+        const saved = await savePromptTemplate(body, note, activate);
+        setBasedOn(saved.version);
+        setNote('');
+        await refresh();
+    });
+
+    const handlePreview = () => run(async () => {
+        setPreview(await previewPromptTemplate({ body, infographicId: sample || undefined }));
+    });
+
+    const handleCompare = () => run(async () => {
+        if (stopWatchingRef.current) stopWatchingRef.current();
+        const job = await comparePromptTemplates(sample, versions.map(Number));
+        setComparison({ status: 'running', sides: [] });
+        stopWatchingRef.current = watchJob(job.id, (update) => {
+            setComparison({ status: update.status, error: modelErrorMessage(update) || update.error, sides: update.result.comparison || [] });
+        }, (err) => setComparison({ status: 'failed', error: err.message, sides: [] }));
+    });
+
+    const comparing = comparison && comparison.status === 'running';
+    const canCompare = sample && versions[0] !== '' && versions[1] !== '' && versions[0] !== versions[1];
+
+    return (
+        <div className="account-section">
+            <h3>{t('templates.title')}</h3>
+            <p className="hint">{t('templates.intro')}</p>
+
+            <div className="admin-table-wrap">
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>{t('templates.versionColumn')}</th>
+                            <th>{t('templates.note')}</th>
+                            <th>{t('templates.author')}</th>
+                            <th>{t('templates.created')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {templates.map(template => (
+                            <tr key={template.version}>
+                                <td>
+                                    {versionLabel(t, template)}
+                                    {template.active && <span className="admin-badge">{t('templates.active')}</span>}
+                                </td>
+                                <td>{template.builtIn ? '' : template.note}</td>
+                                <td>{template.author || ''}</td>
+                                <td>{template.createdAt ? new Date(template.createdAt).toLocaleString(locale) : ''}</td>
+                                <td className="admin-actions">
+                                    <button className="link-btn" onClick={() => run(() => edit(template.version))} disabled={busy}>{t('templates.edit')}</button>
+                                    {!template.active && (
+                                        <button className="link-btn" onClick={() => run(async () => { await activatePromptTemplate(template.version); await refresh(); })} disabled={busy}>
+                                            {t('templates.activate')}
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="account-field">
+                <label htmlFor="template-body">
+                    {basedOn === null ? t('templates.editor') : t('templates.editorBasedOn', { version: basedOn })}
+                </label>
+                <textarea
+                    id="template-body"
+                    className="template-editor"
+                    value={body}
+                    onChange={(e) => setBody(e.target.value)}
+                    rows={16}
+                    spellCheck={false}
+                />
+            </div>
+            <details className="template-variables">
+                <summary>{t('templates.variables')}</summary>
+                <p className="hint">{t('templates.syntax')}</p>
+                <dl>
+                    {Object.entries(variables).map(([name, description]) => (
+                        <React.Fragment key={name}>
+                            <dt><code>{`{{${name}}}`}</code></dt>
+                            <dd>{description}</dd>
+                        </React.Fragment>
+                    ))}
+                </dl>
+            </details>
+            <div className="account-row">
+                <input type="text" placeholder={t('templates.notePlaceholder')} value={note} onChange={(e) => setNote(e.target.value)} maxLength={200} />
+                <button className="btn secondary" onClick={() => handleSave(false)} disabled={busy || !body.trim()}>{t('templates.save')}</button>
+                <button className="btn primary" onClick={() => handleSave(true)} disabled={busy || !body.trim()}>{t('templates.saveActivate')}</button>
+            </div>
+
+            <h4>{t('templates.tryOut')}</h4>
+            <div className="account-row">
+                <span>{t('templates.sample')}</span>
+                <select value={sample} onChange={(e) => { setSample(e.target.value); setPreview(''); }}>
+                    <option value="">{t('templates.placeholders')}</option>
+                    {infographics.map(item => <option key={item.id} value={item.id}>{item.title}</option>)}
+                </select>
+                <button className="btn secondary" onClick={handlePreview} disabled={busy || !body.trim()}>{t('templates.preview')}</button>
+            </div>
+            {preview && <pre className="template-preview">{preview}</pre>}
+
+            <div className="account-row">
+                {['A', 'B'].map((side, index) => (
+                    <select
+                        key={side}
+                        value={versions[index]}
+                        onChange={(e) => setVersions(versions.map((version, other) => other === index ? e.target.value : version))}
+                        aria-label={t('templates.side', { side })}
+                    >
+                        <option value="">{t('templates.side', { side })}</option>
+                        {templates.map(template => <option key={template.version} value={template.version}>{versionLabel(t, template)}</option>)}
+                    </select>
+                ))}
+                <button className="btn primary" onClick={handleCompare} disabled={busy || comparing || !canCompare}>{t('templates.compare')}</button>
+            </div>
+            {!sample && <p className="hint">{t('templates.compareHint')}</p>}
+
+            {comparison && (
+                <div className="template-comparison">
+                    {comparison.sides.map(side => (
+                        <div key={side.version} className="template-side">
+                            <h4>{versionLabel(t, templates.find(template => template.version === side.version) || side)}</h4>
+                            {side.status === 'done' && <img src={side.imageUrl} alt={t('templates.result', { version: side.version })} />}
+                            {side.status === 'failed' && <p className="error-msg">{modelErrorMessage(side) || side.error}</p>}
+                            {side.status !== 'done' && side.status !== 'failed' && <p className="hint">{t(`batch.${side.status}`)}</p>}
+                            {side.prompt && (
+                                <details>
+                                    <summary>{t('templates.prompt')}</summary>
+                                    <pre className="template-preview">{side.prompt}</pre>
+                                </details>
+                            )}
+                        </div>
+                    ))}
+                    {comparison.status === 'failed' && comparison.sides.length === 0 && <p className="error-msg">{comparison.error}</p>}
+                </div>
+            )}
+
+            {error && <p className="error-msg">{error}</p>}
+        </div>
+    );
+}
+
+export default PromptTemplates;
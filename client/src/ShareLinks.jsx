@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { listShareLinks, createShareLink, revokeShareLink } from './api';
+import { useI18n } from './i18n';
+import './share-styles.css';
+
+const EXPIRY_DAYS = [7, 30, 90, 365];
+
+// Public links to the infographic shown in Step 4 (see server/shares.js): each
+// opens a viewer page that needs no sign-in, and comes with an <iframe> snippet
+// for embedding. Links follow the current image and can expire or be revoked.
+function ShareLinks({ infographicId }) {
+    const { t, locale } = useI18n();
+    const [shares, setShares] = useState([]);
+    const [expiresInDays, setExpiresInDays] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [copied, setCopied] = useState(''); // Text last copied, for the button's feedback
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setShares([]);
+        setError('');
+        listShareLinks(infographicId)
+            .then(setShares)
+            .catch(err => setError(t('share.loadFailed', { message: err.response && err.response.data.error ? err.response.data.error : err.message })));
+    }, [infographicId, t]);
+
+    const run = async (action) => {
+        setBusy(true);
+        setError('');
+        try {
+            await action();
+            setShares(await listShareLinks(infographicId));
+        } catch (err) {
+            setError(t('share.failed', { message: err.response && err.response.data.error ? err.response.data.error : err.message }));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCreate = () => run(() => createShareLink(infographicId, expiresInDays ? Number(expiresInDays) : null));
+
+    const handleRevoke = (share) => {
+        if (!window.confirm(t('share.revokeConfirm'))) return;
+        run(() => revokeShareLink(share.token));
+    };
+
+    const copy = async (text) => {
+        await navigator.clipboard.writeText(text);
+        setCopied(text);
+    };
+
+    const copyButton = (text) => (
+        <button className="link-btn" onClick={() => copy(text).catch(() => setCopied(''))}>
+            {copied === text ? t('share.copied') : t('share.copy')}
+        </button>
+    );
+
+    return (
+        <div className="share-section">
+            <h3>{t('share.title')}</h3>
+            <p className="hint">{t('share.intro')}</p>
+
+            <div className="share-create">
+                <label htmlFor="share-expiry">{t('share.expiry')}</label>
+                <select id="share-expiry" value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)}>
+                    <option value="">{t('share.never')}</option>
+                    {EXPIRY_DAYS.map(days => <option key={days} value={days}>{t('share.days', { count: days })}</option>)}
+                </select>
+                <button className="btn secondary" onClick={handleCreate} disabled={busy}>
+                    {busy ? t('share.creating') : t('share.create')}
+                </button>
+            </div>
+
+            {shares.length === 0 && !error && <p className="hint">{t('share.none')}</p>}
+
+            <ul className="share-list">
+                {shares.map(share => (
+                    <li key={share.token} className={`share-link ${share.status}`}>
+                        <div className="share-link-header">
+                            <span className="share-status">{t(`share.status.${share.status}`)}</span>
+                            <span className="hint">
+                                {share.expiresAt ? t('share.expires', { date: new Date(share.expiresAt).toLocaleDateString(locale) }) : t('share.noExpiry')}
+                            </span>
+                            {share.status === 'active' && (
+                                <button className="link-btn" onClick={() => handleRevoke(share)} disabled={busy}>{t('share.revoke')}</button>
+                            )}
+                        </div>
+                        {share.status === 'active' && (
+                            <>
+                                <div className="share-field">
+                                    <label>{t('share.link')}</label>
+                                    <input type="text" value={share.url} readOnly onFocus={(e) => e.target.select()} />
+                                    {copyButton(share.url)}
+                                    <a href={share.url} className="link-btn" target="_blank" rel="noreferrer">{t('share.open')}</a>
+                                </div>
+                                <div className="share-field">
+                                    <label>{t('share.embed')}</label>
+                                    <textarea value={share.embedCode} rows={3} readOnly onFocus={(e) => e.target.select()} />
+                                    {copyButton(share.embedCode)}
+                                </div>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {error && <p className="error-msg">{error}</p>}
+        </div>
+    );
+}
+
+export default ShareLinks;
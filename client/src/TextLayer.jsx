@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { buildTextLayer, saveTextLayer, listExportFormats } from './api';
+import { useI18n } from './i18n';
+import './text-layer-styles.css';
+
+const ROLES = ['title', 'subtitle', 'heading', 'text', 'bullets', 'label', 'footer'];
+
+const NEW_BLOCK = { role: 'label', text: '', x: 0.4, y: 0.45, width: 0.2, height: 0.06, fontSize: 0.018, align: 'center', color: '#1f2937', background: null };
+
+// Box edges are stored as fractions and edited as percentages
+const toPercent = (fraction) => Math.round(fraction * 1000) / 10;
+
+// Editable text of the image shown in Step 4 (see server/layout.js): built
+// once by the text model, corrected here by hand, then downloaded with the
+// artwork as SVG, HTML or PowerPoint with the text as real text.
+function TextLayer({ infographicId, imageUrl, layout, onChange }) {
+    const { t, modelErrorMessage } = useI18n();
+    const [formats, setFormats] = useState([]);
+    const [draft, setDraft] = useState(layout); // Edits not saved yet
+    const [selected, setSelected] = useState(null); // Index of the block being edited
+    const [aspectRatio, setAspectRatio] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        listExportFormats()
+            .then(setFormats)
+            .catch(err => console.error('Failed to load export formats', err));
+    }, []);
+
+    useEffect(() => {
+        setDraft(layout);
+        setSelected(null);
+    }, [layout]);
+
+    const dirty = draft !== layout;
+
+    const run = async (action, failure) => {
+        setBusy(true);
+        setError('');
+        try {
+            onChange(await action());
+        } catch (err) {
+            setError(t(failure, { message: modelErrorMessage(err) || (err.response && err.response.data.error ? err.response.data.error : err.message) }));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const build = () => run(() => buildTextLayer(infographicId), 'textLayer.buildFailed');
+    const save = () => run(() => saveTextLayer(infographicId, { direction: draft.direction, blocks: draft.blocks }), 'textLayer.saveFailed');
+
+    const setBlock = (index, changes) => setDraft({
+        ...draft,
+        blocks: draft.blocks.map((block, i) => (i === index ? { ...block, ...changes } : block))
+    });
+    const setText = (index, text) => setBlock(index, draft.blocks[index].role === 'bullets' ? { text, items: text.split('\n') } : { text });
+    const addBlock = () => {
+        setDraft({ ...draft, blocks: [...draft.blocks, NEW_BLOCK] });
+        setSelected(draft.blocks.length);
+    };
+    const removeBlock = (index) => {
+        setDraft({ ...draft, blocks: draft.blocks.filter((_, i) => i !== index) });
+        setSelected(null);
+    };
+
+    const block = selected !== null ? draft.blocks[selected] : null;
+
+    return (
+        <div className="text-layer-section">
+            <div className="text-layer-header">
+                <h3>{t('textLayer.title')}</h3>
+                <button className="link-btn" onClick={build} disabled={busy}>
+                    {busy && !draft ? t('textLayer.building') : (draft ? t('textLayer.rebuild') : t('textLayer.build'))}
+                </button>
+            </div>
+            {!draft && <p className="hint">{t('textLayer.intro')}</p>}
+
+            {draft && (
+                <>
+                    <p className="hint">{t('textLayer.editHint')}</p>
+                    <div
+                        className="text-layer-preview"
+                        dir={draft.direction}
+                        style={aspectRatio ? { aspectRatio } : undefined}
+                    >
+                        <img src={imageUrl} alt="" onLoad={(e) => setAspectRatio(e.target.naturalWidth / e.target.naturalHeight)} />
+                        {aspectRatio && draft.blocks.map((item, index) => (
+                            <button
+                                key={index}
+                                className={`text-layer-box ${item.role}${index === selected ? ' selected' : ''}`}
+                                onClick={() => setSelected(index)}
+                                style={{
+                                    left: `${item.x * 100}%`,
+                                    top: `${item.y * 100}%`,
+                                    width: `${item.width * 100}%`,
+                                    height: `${item.height * 100}%`,
+                                    fontSize: `${item.fontSize * 100}cqh`,
+                                    textAlign: item.align,
+                                    color: item.color,
+                                    background: item.background || 'transparent'
+                                }}
+                            >
+                                {item.role === 'bullets'
+                                    ? <ul>{item.text.split('\n').map((line, i) => <li key={i}>{line}</li>)}</ul>
+                                    : item.text}
+                            </button>
+                        ))}
+                    </div>
+
+                    {block && (
+                        <div className="text-layer-editor">
+                            <div className="text-layer-row">
+                                <select value={block.role} onChange={(e) => setBlock(selected, { role: e.target.value, items: e.target.value === 'bullets' ? block.text.split('\n') : undefined })}>
+                                    {ROLES.map(role => <option key={role} value={role}>{t(`textLayer.role.${role}`)}</option>)}
+                                </select>
+                                <button className="link-btn danger" onClick={() => removeBlock(selected)}>{t('common.remove')}</button>
+                            </div>
+                            <textarea rows="3" dir="auto" value={block.text} onChange={(e) => setText(selected, e.target.value)} />
+                            <div className="text-layer-row">
+                                {[['x', 'textLayer.left'], ['y', 'textLayer.top'], ['width', 'textLayer.width'], ['height', 'textLayer.height'], ['fontSize', 'textLayer.fontSize']].map(([key, label]) => (
+                                    <label key={key}>
+                                        {t(label)}
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max="100"
+                                            step="0.1"
+                                            value={toPercent(block[key])}
+                                            onChange={(e) => setBlock(selected, { [key]: (parseFloat(e.target.value) || 0) / 100 })}
+                                        />
+                                    </label>
+                                ))}
+                            </div>
+                            <div className="text-layer-row">
+                                <label>
+                                    {t('textLayer.align')}
+                                    <select value={block.align} onChange={(e) => setBlock(selected, { align: e.target.value })}>
+                                        {['start', 'left', 'center', 'right'].map(align => <option key={align} value={align}>{t(`textLayer.align.${align}`)}</option>)}
+                                    </select>
+                                </label>
+                                <label>
+                                    {t('textLayer.color')}
+                                    <input type="color" value={block.color} onChange={(e) => setBlock(selected, { color: e.target.value })} />
+                                </label>
+                                <label className="checkbox-label">
+                                    <input
+                                        type="checkbox"
+                                        checked={!!block.background}
+                                        onChange={(e) => setBlock(selected, { background: e.target.checked ? '#ffffff' : null })}
+                                    />
+                                    {t('textLayer.cover')}
+                                </label>
+                                {block.background && (
+                                    <input type="color" value={block.background} onChange={(e) => setBlock(selected, { background: e.target.value })} />
+                                )}
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="text-layer-row">
+                        <button className="link-btn" onClick={addBlock}>{t('textLayer.add')}</button>
+                        {dirty && (
+                            <>
+                                <button className="link-btn" onClick={() => setDraft(layout)} disabled={busy}>{t('textLayer.discard')}</button>
+                                <button className="btn primary" onClick={save} disabled={busy}>{busy ? t('common.saving') : t('textLayer.save')}</button>
+                            </>
+                        )}
+                    </div>
+
+                    <div className="text-layer-row text-layer-exports">
+                        <span>{dirty ? t('textLayer.saveFirst') : t('textLayer.download')}</span>
+                        {formats.map(format => (dirty
+                            ? <span key={format.name} className="btn secondary disabled">{format.label}</span>
+                            : <a key={format.name} href={`/api/infographics/${infographicId}/export/${format.name}`} className="btn secondary">{format.label}</a>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {error && <p className="error-msg">{error}</p>}
+        </div>
+    );
+}
+
+export default TextLayer;
@@ -1,8 +1,30 @@
 import axios from 'axios';
 
-export const uploadPDF = async (file) => {
+export const listFormats = async () => {
+    const response = await axios.get('/api/formats');
+    return response.data.formats;
+};
+
+export const listExportFormats = async () => {
+    const response = await axios.get('/api/export-formats');
+    return response.data.formats;
+};
+
+export const listLanguages = async () => {
+    const response = await axios.get('/api/languages');
+    return response.data.languages;
+};
+
+// Uploads one or more documents (PDF, DOCX, HTML, Markdown, LaTeX, EPUB), plus
+// any text snippets ({ name, text }) that belong to the same run; several
+// inputs come back as labelled `sources`. The output language is the hint for
+// OCR of scanned pages; pages that could not be read are listed in `warnings`.
+// Figures and tables found in PDFs come back in `figures` and `tables`.
+export const uploadDocuments = async (files, texts = [], language) => {
     const formData = new FormData();
-    formData.append('pdf', file);
+    files.forEach(file => formData.append('pdf', file));
+    formData.append('texts', JSON.stringify(texts));
+    if (language) formData.append('language', language);
     const response = await axios.post('/api/upload', formData, {
         headers: {
             'Content-Type': 'multipart/form-data',
@@ -16,9 +38,26 @@ export const processText = async (text) => {
     return response.data;
 };
 
-export const generatePrompt = async (text, audience, terms, focus, language, styleNotes) => {
+// Resolves a DOI, arXiv ID or URL and returns the extracted paper with its
+// citation metadata: { text, document, metadata, kind, figures?, tables? }
+export const importDocument = async (identifier) => {
+    const response = await axios.post('/api/import', { identifier });
+    return response.data;
+};
+
+// `references` are the figures and tables picked to feature: { figures, tables };
+// `brand` is the id of a brand kit. Resolves with { prompt, template }, the
+// version and hash of the prompt template the prompt was written with.
+export const generatePrompt = async (text, audience, terms, focus, language, styleNotes, document, format, sources, sourceMode, references = {}, brand, fresh = false) => {
     const response = await axios.post('/api/generate-prompt', {
+        ...references,
+        brand,
+        fresh,
         text,
+        document,
+        sources,
+        sourceMode,
+        format,
         audience,
         terms,
         focus,
@@ -28,10 +67,11 @@ export const generatePrompt = async (text, audience, terms, focus, language, sty
     return response.data;
 };
 
-export const generateInfographic = async (prompt) => {
+export const generateInfographic = async (prompt, format) => {
     try {
         const response = await axios.post('/api/generate-infographic', {
             prompt,
+            format,
         });
         return response.data;
     } catch (error) {
@@ -39,3 +79,319 @@ export const generateInfographic = async (prompt) => {
         throw error;
     }
 };
+
+// Starts a background generation job. Pass `files` for document uploads and/or
+// `sources` for text snippets, `text`/`document` (and `sources`) for input
+// that was already extracted, or `prompt` to render an existing prompt only.
+export const createJob = async ({ files = [], sources, text, document, source, prompt, options }) => {
+    if (files.length > 0) {
+        const formData = new FormData();
+        files.forEach(file => formData.append('pdf', file));
+        if (sources) formData.append('sources', JSON.stringify(sources));
+        if (source) formData.append('source', JSON.stringify(source));
+        formData.append('options', JSON.stringify(options));
+        const response = await axios.post('/api/jobs', formData, {
+            headers: {
+                'Content-Type': 'multipart/form-data',
+            },
+        });
+        return response.data;
+    }
+
+    const response = await axios.post('/api/jobs', { text, document, sources, source, prompt, options });
+    return response.data;
+};
+
+// Starts a batch run: `options.audiences`, `languages` and `focuses` list the
+// combinations to render; returns a job to follow with watchJob
+export const createBatch = async ({ files = [], sources, text, document, source, options }) => {
+    if (files.length > 0) {
+        const formData = new FormData();
+        files.forEach(file => formData.append('pdf', file));
+        if (sources) formData.append('sources', JSON.stringify(sources));
+        formData.append('source', JSON.stringify(source));
+        formData.append('options', JSON.stringify(options));
+        const response = await axios.post('/api/batches', formData, {
+            headers: {
+                'Content-Type': 'multipart/form-data',
+            },
+        });
+        return response.data;
+    }
+
+    const response = await axios.post('/api/batches', { text, document, sources, source, options });
+    return response.data;
+};
+
+export const getJob = async (id) => {
+    const response = await axios.get(`/api/jobs/${id}`);
+    return response.data;
+};
+
+// Follows a job through its stages via Server-Sent Events, falling back to
+// polling if the stream cannot be kept open. Returns a function that stops watching.
+export const watchJob = (id, onUpdate, onError) => {
+    let stopped = false;
+    let pollTimer = null;
+
+    const handle = (job) => {
+        if (stopped) return;
+        onUpdate(job);
+        if (job.status !== 'running') stop();
+    };
+
+    const poll = async () => {
+        try {
+            handle(await getJob(id));
+        } catch (error) {
+            stop();
+            onError(error);
+            return;
+        }
+        if (!stopped) pollTimer = setTimeout(poll, 2000);
+    };
+
+    const source = new EventSource(`/api/jobs/${id}/events`);
+    ['queued', 'extracting', 'prompting', 'rendering', 'done', 'failed'].forEach(stage => {
+        source.addEventListener(stage, (event) => handle(JSON.parse(event.data)));
+    });
+    source.onerror = () => {
+        source.close();
+        if (!stopped && !pollTimer) poll();
+    };
+
+    const stop = () => {
+        stopped = true;
+        source.close();
+        clearTimeout(pollTimer);
+    };
+
+    return stop;
+};
+
+// The error of a failed job, carrying its code (e.g. safety_blocked) for the message
+export const jobError = (job) => Object.assign(new Error(job.error), { code: job.code });
+
+export const listInfographics = async () => {
+    const response = await axios.get('/api/infographics');
+    return response.data.infographics;
+};
+
+export const getInfographic = async (id) => {
+    const response = await axios.get(`/api/infographics/${id}`);
+    return response.data;
+};
+
+export const deleteInfographic = async (id) => {
+    await axios.delete(`/api/infographics/${id}`);
+};
+
+export const selectVariant = async (id, index) => {
+    const response = await axios.put(`/api/infographics/${id}/selection`, { index });
+    return response.data;
+};
+
+// Re-renders one variant; returns a job to follow with watchJob
+export const regenerateVariant = async (id, index) => {
+    const response = await axios.post(`/api/infographics/${id}/variants/${index}/regenerate`);
+    return response.data;
+};
+
+// Re-renders every variant instead of reusing cached images; returns a job to
+// follow with watchJob
+export const renderInfographic = async (id) => {
+    const response = await axios.post(`/api/infographics/${id}/render`);
+    return response.data;
+};
+
+// Applies a follow-up instruction to the current image (or to `revision`);
+// returns a job to follow with watchJob
+export const refineInfographic = async (id, instruction, revision) => {
+    const response = await axios.post(`/api/infographics/${id}/refine`, { instruction, revision });
+    return response.data;
+};
+
+export const setCurrentRevision = async (id, number) => {
+    const response = await axios.put(`/api/infographics/${id}/revision`, { number });
+    return response.data;
+};
+
+// Checks the current image against the source text; returns a job whose
+// result holds the report. `ocr` reads the image instead of the model's text.
+export const factCheckInfographic = async (id, ocr = false) => {
+    const response = await axios.post(`/api/infographics/${id}/fact-check`, { ocr });
+    return response.data;
+};
+
+// Builds the editable text layer of the current image with the text model
+export const buildTextLayer = async (id) => {
+    const response = await axios.post(`/api/infographics/${id}/layout`);
+    return response.data.layout;
+};
+
+export const saveTextLayer = async (id, layout) => {
+    const response = await axios.put(`/api/infographics/${id}/layout`, layout);
+    return response.data.layout;
+};
+
+// Writes the alt text, long description and summary of the current image again
+export const describeInfographic = async (id) => {
+    const response = await axios.post(`/api/infographics/${id}/accessibility`);
+    return response.data.accessibility;
+};
+
+// Share links of an infographic, newest first, revoked and expired ones included
+export const listShareLinks = async (id) => {
+    const response = await axios.get(`/api/infographics/${id}/shares`);
+    return response.data.shares;
+};
+
+// Publishes the infographic under a new public link; `expiresInDays` null for one that does not expire
+export const createShareLink = async (id, expiresInDays = null) => {
+    const response = await axios.post(`/api/infographics/${id}/shares`, { expiresInDays });
+    return response.data;
+};
+
+export const revokeShareLink = async (token) => {
+    await axios.delete(`/api/shares/${token}`);
+};
+
+export const listBrandKits = async () => {
+    const response = await axios.get('/api/brands');
+    return response.data.brands;
+};
+
+// Creates a brand kit, or updates it when `id` is given. `logo` is a File to
+// upload, or null to remove the current logo.
+export const saveBrandKit = async ({ name, palette, typography, iconStyle, footer, logoPlacement }, logo, id) => {
+    const formData = new FormData();
+    formData.append('name', name);
+    formData.append('palette', palette.join(','));
+    formData.append('typography', typography);
+    formData.append('iconStyle', iconStyle);
+    formData.append('footer', footer);
+    formData.append('logoPlacement', logoPlacement);
+    if (logo) formData.append('logo', logo);
+    if (logo === null) formData.append('removeLogo', 'true');
+    const response = id
+        ? await axios.put(`/api/brands/${id}`, formData, { headers: { 'Content-Type': 'multipart/form-data' } })
+        : await axios.post('/api/brands', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+    return response.data;
+};
+
+export const deleteBrandKit = async (id) => {
+    await axios.delete(`/api/brands/${id}`);
+};
+
+// Calls the handler whenever the server answers 401 (session expired or revoked)
+export const onSignedOut = (handler) => {
+    const id = axios.interceptors.response.use(response => response, (error) => {
+        if (error.response && error.response.status === 401) handler();
+        return Promise.reject(error);
+    });
+    return () => axios.interceptors.response.eject(id);
+};
+
+// { authEnabled, signupEnabled, ownKeys, user } of this browser
+export const getSession = async () => {
+    const response = await axios.get('/api/auth/session');
+    return response.data;
+};
+
+export const signIn = async (username, password) => {
+    const response = await axios.post('/api/auth/login', { username, password });
+    return response.data.user;
+};
+
+export const signUp = async (username, password) => {
+    const response = await axios.post('/api/auth/signup', { username, password });
+    return response.data.user;
+};
+
+export const signOut = async () => {
+    await axios.post('/api/auth/logout');
+};
+
+export const changePassword = async (current, password) => {
+    await axios.put('/api/account/password', { current, password });
+};
+
+// Stores the user's own Gemini key (encrypted on the server), or removes it with null
+export const saveOwnKey = async (key) => {
+    const response = key === null
+        ? await axios.delete('/api/account/key')
+        : await axios.put('/api/account/key', { key });
+    return response.data.user;
+};
+
+export const listApiTokens = async () => {
+    const response = await axios.get('/api/account/tokens');
+    return response.data.tokens;
+};
+
+// Resolves with { token, info }; the token is not shown again
+export const createApiToken = async (label) => {
+    const response = await axios.post('/api/account/tokens', { label });
+    return response.data;
+};
+
+export const revokeApiToken = async (id) => {
+    await axios.delete(`/api/account/tokens/${id}`);
+};
+
+// Admin: every account with its quota and model calls over the last `days`
+export const getUsage = async (days = 30) => {
+    const response = await axios.get('/api/admin/usage', { params: { days } });
+    return response.data.users;
+};
+
+export const createAccount = async (fields) => {
+    const response = await axios.post('/api/admin/users', fields);
+    return response.data;
+};
+
+// Changes role, quota (null for the server default) or disabled
+export const updateAccount = async (id, changes) => {
+    const response = await axios.put(`/api/admin/users/${id}`, changes);
+    return response.data;
+};
+
+export const deleteAccount = async (id) => {
+    await axios.delete(`/api/admin/users/${id}`);
+};
+
+// Admin: prompt template versions, newest first, and the variables they can use
+export const listPromptTemplates = async () => {
+    const response = await axios.get('/api/admin/templates');
+    return response.data;
+};
+
+export const getPromptTemplate = async (version) => {
+    const response = await axios.get(`/api/admin/templates/${version}`);
+    return response.data;
+};
+
+// Saves the body as a new version; `activate` also makes it the one prompts are written with
+export const savePromptTemplate = async (body, note, activate = false) => {
+    const response = await axios.post('/api/admin/templates', { body, note, activate });
+    return response.data;
+};
+
+export const activatePromptTemplate = async (version) => {
+    const response = await axios.put('/api/admin/templates/active', { version });
+    return response.data;
+};
+
+// The instructions the text model would get from `body` (or a saved `version`),
+// for a history infographic or, without one, with placeholders
+export const previewPromptTemplate = async ({ body, version, infographicId }) => {
+    const response = await axios.post('/api/admin/templates/preview', { body, version, infographicId });
+    return response.data.systemPrompt;
+};
+
+// Renders a history infographic's document with two template versions; returns
+// a job to follow with watchJob, whose `comparison` fills in side by side
+export const comparePromptTemplates = async (infographicId, versions) => {
+    const response = await axios.post('/api/admin/templates/compare', { infographicId, versions });
+    return response.data;
+};
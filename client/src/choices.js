@@ -0,0 +1,27 @@
+// Choices offered in Step 2. The values go to the server as they are (and into
+// the prompt, so they stay English); the interface shows them by message key.
+export const AUDIENCES = {
+    'General public': 'audience.general',
+    'Kids (10 years old)': 'audience.kids',
+    'High school students': 'audience.highSchool',
+    'Undergraduate': 'audience.undergraduate',
+    'Graduate/Professional': 'audience.graduate',
+    'Expert researchers': 'audience.experts'
+};
+
+export const FOCUSES = {
+    'Balanced overview': 'focus.balanced',
+    'Core scientific concepts': 'focus.concepts',
+    'Methodology & process': 'focus.methods',
+    'Results & findings': 'focus.results',
+    'Broader implications': 'focus.implications'
+};
+
+export const TERMS = {
+    'Include & Explain': 'terms.explain',
+    'Include without explanation': 'terms.include',
+    'Exclude, simplify to context': 'terms.exclude'
+};
+
+// Label of a stored value; values from older runs or other clients show as they are
+export const choiceLabel = (t, choices, value) => (choices[value] ? t(choices[value]) : value);
@@ -0,0 +1,64 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import en from './locales/en.json';
+import de from './locales/de.json';
+
+// Message catalogues of the interface, by language. English is the reference:
+// a key missing from another catalogue falls back to it.
+const CATALOGUES = { en, de };
+
+// Names shown in the interface language switcher
+export const UI_LOCALES = { en: 'English', de: 'Deutsch' };
+
+const LOCALE_KEY = 'myinfographic.locale';
+
+// The saved choice, else the first browser language we have a catalogue for
+const initialLocale = () => {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (CATALOGUES[saved]) return saved;
+    const preferred = (navigator.languages || [navigator.language || 'en'])
+        .map(tag => tag.split('-')[0].toLowerCase())
+        .find(tag => CATALOGUES[tag]);
+    return preferred || 'en';
+};
+
+// "{name}" placeholders are replaced by params; unknown keys show as-is so they stand out
+const translate = (locale, key, params = {}) => {
+    const message = CATALOGUES[locale][key] ?? en[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+};
+
+const I18nContext = createContext(null);
+
+export function I18nProvider({ children }) {
+    const [locale, setLocale] = useState(initialLocale);
+
+    useEffect(() => {
+        localStorage.setItem(LOCALE_KEY, locale);
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    // Rebuilt only when the locale changes, so effects can depend on t
+    const value = useMemo(() => ({
+        locale,
+        setLocale,
+        t: (key, params) => translate(locale, key, params),
+        // Name of a language (BCP-47 tag) in the interface language; names typed in by hand pass through
+        languageName: (tag) => {
+            try {
+                return new Intl.DisplayNames([locale], { type: 'language', fallback: 'none' }).of(tag) || tag;
+            } catch (err) {
+                return tag;
+            }
+        },
+        // Words a failed model call by its code (see server/model-errors.js) for the user; null for other errors
+        modelErrorMessage: (err) => {
+            const code = (err.response && err.response.data && err.response.data.code) || err.code;
+            return en[`modelError.${code}`] ? translate(locale, `modelError.${code}`) : null;
+        }
+    }), [locale]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+// { locale, setLocale, t, languageName, modelErrorMessage } of the nearest I18nProvider
+export const useI18n = () => useContext(I18nContext);
@@ -1,10 +1,16 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { I18nProvider } from './i18n.jsx'
+import { SessionProvider } from './session.jsx'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
-        <App />
+        <I18nProvider>
+            <SessionProvider>
+                <App />
+            </SessionProvider>
+        </I18nProvider>
     </React.StrictMode>,
 )
@@ -0,0 +1,47 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { getSession, onSignedOut, signOut as endSession } from './api';
+import { useI18n } from './i18n';
+import Login from './Login';
+
+const SessionContext = createContext(null);
+
+// Who is signed in (see server/auth.js). Shows the sign-in page instead of
+// its children until someone is; with accounts switched off on the server
+// (AUTH=off) the children show right away.
+export function SessionProvider({ children }) {
+    const { t } = useI18n();
+    const [session, setSession] = useState(null); // { authEnabled, signupEnabled, ownKeys, user }
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        getSession()
+            .then(setSession)
+            .catch(err => setError(t('auth.loadFailed', { message: err.message })));
+        // An expired or revoked session sends the user back to the sign-in page
+        return onSignedOut(() => setSession(current => current && { ...current, user: null }));
+    }, [t]);
+
+    // Reloads the user, e.g. for today's quota after generating
+    const refresh = useCallback(() => getSession().then(setSession), []);
+
+    const value = useMemo(() => ({
+        session,
+        refresh,
+        setUser: (user) => setSession(current => ({ ...current, user })),
+        signOut: async () => {
+            await endSession();
+            setSession(current => ({ ...current, user: null }));
+        }
+    }), [session, refresh]);
+
+    if (!session) {
+        return error ? <div className="app-container"><p className="error-msg">{error}</p></div> : null;
+    }
+    if (!session.user) {
+        return <Login signupEnabled={session.signupEnabled} onSignedIn={value.setUser} />;
+    }
+    return <SessionContext.Provider value={value}>{children}</SessionContext.Provider>;
+}
+
+// { session, refresh, setUser, signOut } of the nearest SessionProvider
+export const useSession = () => useContext(SessionContext);
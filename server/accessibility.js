@@ -0,0 +1,163 @@
+// Accessible descriptions of a rendered infographic, for readers who cannot
+// see it: a concise alt text, a long description that follows the
+// infographic's sections, and a plain-language summary at the audience's
+// level. They are written in the infographic's language by the text model,
+// kept with the image they describe, and travel with every download, as
+// metadata inside the image and as a sidecar file.
+const { getProvider } = require('./providers');
+const { resolveLanguage } = require('./languages');
+const { escapeXml, pngChunk } = require('./encoding');
+
+// Screen readers read alt text in one go; longer text belongs in the long description
+const MAX_ALT_TEXT = 250;
+
+const languageOf = (language) => {
+    try {
+        return resolveLanguage(language);
+    } catch (error) {
+        return resolveLanguage('en');
+    }
+};
+
+function buildDescriptionPrompt({ prompt, text, audience, language }) {
+    return `
+ACCESSIBLE DESCRIPTION
+You describe an infographic for blind and low-vision readers who use a screen reader. You are given the prompt it was generated from${text ? ' and the text the image model returned with it' : ''}, and the image itself if you can see images.
+
+IMAGE PROMPT:
+${prompt}
+${text ? `
+TEXT RETURNED BY THE IMAGE MODEL:
+${text}
+` : ''}
+- Audience: ${audience || 'General public'}
+- Language: ${language.name} (${language.tag})
+
+Write, in ${language.name}:
+- altText: one or two sentences (at most ${MAX_ALT_TEXT} characters) saying what the infographic shows and its main message. Do not start with "Image of" or "Infographic of".
+- longDescription: the infographic section by section in its reading order, as a list of { "heading", "text" }. Give every number, label and the relationships that arrows, charts and diagrams show; describe charts by their data, not their look.
+- summary: the content as plain-language text for the audience above, in short sentences and without jargon, that works without the image.
+
+Describe only what the infographic contains; do not add facts.
+
+OUTPUT FORMAT:
+{
+  "altText": "...",
+  "longDescription": [ { "heading": "...", "text": "..." } ],
+  "summary": "..."
+}
+`;
+}
+
+/**
+ * Check the descriptions the model wrote.
+ * @param {object} raw
+ * @returns {{altText: string, longDescription: Array<{heading: string, text: string}>, summary: string}}
+ * @throws {Error} If the alt text or the long description is missing
+ */
+function normalizeDescription(raw) {
+    const altText = String((raw && raw.altText) || '').replace(/\s+/g, ' ').trim();
+    const longDescription = (Array.isArray(raw && raw.longDescription) ? raw.longDescription : [])
+        .map(section => ({ heading: String((section && section.heading) || '').trim(), text: String((section && section.text) || '').trim() }))
+        .filter(section => section.text);
+    if (!altText || longDescription.length === 0) {
+        throw new Error('The description is missing its alt text or long description');
+    }
+    return {
+        altText: altText.length > MAX_ALT_TEXT ? `${altText.slice(0, MAX_ALT_TEXT - 1).replace(/\s+\S*$/, '')}…` : altText,
+        longDescription,
+        summary: String(raw.summary || '').trim()
+    };
+}
+
+/**
+ * Write the alt text, long description and plain-language summary of a
+ * rendered image with the configured text provider.
+ * @param {object} params
+ * @param {string} params.prompt - Prompt the image was rendered from
+ * @param {string} [params.text] - Text the image model returned with it
+ * @param {{mimeType: string, data: string}} [params.image] - The image (base64), for models that can see
+ * @param {string} [params.audience] - Audience of the summary
+ * @param {string} [params.language] - Language of the infographic, and of the descriptions
+ * @returns {Promise<{altText: string, longDescription: object[], summary: string, language: string}>}
+ * @throws {Error} If the model's answer cannot be read
+ */
+async function describeInfographic({ prompt, text, image, audience, language }) {
+    const outputLanguage = languageOf(language);
+    const content = await getProvider('text').generateText(
+        buildDescriptionPrompt({ prompt, text, audience, language: outputLanguage }),
+        { images: image ? [image] : [] }
+    );
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    return { ...normalizeDescription(JSON.parse(jsonMatch ? jsonMatch[0] : content)), language: outputLanguage.tag };
+}
+
+/**
+ * The descriptions as a Markdown sidecar file, readable as plain text.
+ * @param {object} description - As returned by describeInfographic
+ * @param {string} title
+ * @returns {string}
+ */
+function sidecarText({ altText, longDescription, summary }, title) {
+    return [
+        `# ${title}`,
+        '',
+        '## Alt text',
+        '',
+        altText,
+        '',
+        '## Long description',
+        '',
+        ...longDescription.flatMap(section => [section.heading ? `### ${section.heading}\n\n${section.text}` : section.text, '']),
+        ...(summary ? ['## Summary', '', summary, ''] : [])
+    ].join('\n');
+}
+
+// International text chunk: keyword, no compression, language tag, UTF-8 text
+function itxtChunk(keyword, text, language) {
+    const data = Buffer.concat([
+        Buffer.from(keyword, 'latin1'), Buffer.from([0, 0, 0]),
+        Buffer.from(language, 'ascii'), Buffer.from([0]),
+        Buffer.from([0]),
+        Buffer.from(text, 'utf8')
+    ]);
+    return pngChunk('iTXt', data);
+}
+
+/**
+ * Put the descriptions into the image file: PNG images get iTXt chunks
+ * (Title, Description with the alt text, and the long description and
+ * summary), SVG images a <title> and <desc>. Other types come back unchanged.
+ * @param {{mimeType: string, buffer: Buffer}} image
+ * @param {object} description - As returned by describeInfographic
+ * @param {string} title
+ * @returns {Buffer}
+ */
+function embedDescription({ mimeType, buffer }, description, title) {
+    const { altText, longDescription, summary, language } = description;
+    const longText = longDescription.map(section => (section.heading ? `${section.heading}: ${section.text}` : section.text)).join('\n');
+
+    if (mimeType === 'image/png') {
+        // Text chunks may go anywhere after the header; put them before IEND (the last 12 bytes)
+        const end = buffer.length - 12;
+        if (buffer.toString('ascii', end + 4, end + 8) !== 'IEND') return buffer;
+        const chunks = [
+            itxtChunk('Title', title, language),
+            itxtChunk('Description', altText, language),
+            itxtChunk('Long Description', longText, language),
+            ...(summary ? [itxtChunk('Summary', summary, language)] : [])
+        ];
+        return Buffer.concat([buffer.subarray(0, end), ...chunks, buffer.subarray(end)]);
+    }
+    if (mimeType === 'image/svg+xml') {
+        const svg = buffer.toString('utf8').replace(/<title>[\s\S]*?<\/title>\s*|<desc>[\s\S]*?<\/desc>\s*/g, '');
+        return Buffer.from(svg.replace(/(<svg\b[^>]*>)/, `$1\n  <title>${escapeXml(title)}</title>\n  <desc xml:lang="${language}">${escapeXml(`${altText}\n\n${longText}`)}</desc>`));
+    }
+    return buffer;
+}
+
+module.exports = {
+    describeInfographic,
+    sidecarText,
+    embedDescription
+};
@@ -0,0 +1,381 @@
+// User accounts: a username and password for the browser, API tokens for
+// scripts, a daily image quota and optionally the user's own Gemini key. Each
+// account is a JSON file in DATA_DIR/users. Passwords and tokens are kept as
+// hashes only; own keys are encrypted with KEY_ENCRYPTION_SECRET.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./store');
+
+const USERS_DIR = path.join(DATA_DIR, 'users');
+
+const ROLES = ['user', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_DAYS = parseInt(process.env.SESSION_DAYS, 10) || 30;
+const MAX_TOKENS = 20;
+
+const userPath = (id) => path.join(USERS_DIR, `${id}.json`);
+
+// Ids are generated by us; anything else must not reach the filesystem
+const isValidId = (id) => /^[a-f0-9-]{36}$/.test(id);
+
+const fail = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `scrypt$${salt}$${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+};
+
+const checkPassword = (password, stored) => {
+    const [, salt, hash] = String(stored).split('$');
+    if (!salt || !hash) return false;
+    return crypto.timingSafeEqual(crypto.scryptSync(password, salt, 64), Buffer.from(hash, 'hex'));
+};
+
+// AES-256-GCM with a key derived from the server secret; null when no secret is configured
+const encryptionKey = () => (process.env.KEY_ENCRYPTION_SECRET
+    ? crypto.createHash('sha256').update(process.env.KEY_ENCRYPTION_SECRET).digest()
+    : null);
+
+const encrypt = (plain) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+};
+
+const decrypt = ({ iv, tag, data }) => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// What clients see: no hashes, no key, only whether there is one
+const present = ({ passwordHash, tokens, geminiKey, ...user }) => ({
+    ...user,
+    ownKey: geminiKey ? { hint: geminiKey.hint, updatedAt: geminiKey.updatedAt } : null
+});
+
+const presentToken = ({ hash, ...token }) => token;
+
+async function readUser(id) {
+    if (!isValidId(id)) return null;
+    try {
+        return JSON.parse(await fs.readFile(userPath(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeUser(user) {
+    await fs.mkdir(USERS_DIR, { recursive: true });
+    // Write-then-rename so a crash never leaves a half-written account behind
+    const target = userPath(user.id);
+    user.updatedAt = new Date().toISOString();
+    await fs.writeFile(`${target}.tmp`, JSON.stringify(user, null, 2));
+    await fs.rename(`${target}.tmp`, target);
+}
+
+async function readAllUsers() {
+    let files;
+    try {
+        files = await fs.readdir(USERS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const users = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => readUser(path.basename(file, '.json'))));
+    return users.filter(Boolean);
+}
+
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw fail(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+};
+
+// A daily image quota: a whole number, or null for the server default
+const parseQuota = (quota) => {
+    if (quota === null || quota === undefined || quota === '') return null;
+    const value = Number(quota);
+    if (!Number.isInteger(value) || value < 0) {
+        throw fail('The quota must be a whole number of images per day');
+    }
+    return value;
+};
+
+/**
+ * @returns {Promise<object[]>} All accounts, by username
+ */
+async function listUsers() {
+    return (await readAllUsers()).map(present).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getUser(id) {
+    const user = await readUser(id);
+    return user ? present(user) : null;
+}
+
+/**
+ * Create an account.
+ * @param {object} fields
+ * @param {string} fields.username - Letters, digits, dots, dashes and underscores
+ * @param {string} fields.password
+ * @param {string} [fields.role] - 'user' (default) or 'admin'
+ * @param {number|null} [fields.quota] - Images per day; null for the default
+ * @returns {Promise<object>}
+ * @throws {Error} With status 400 for invalid fields, 409 if the username is taken
+ */
+async function createUser({ username, password, role = 'user', quota = null }) {
+    const name = normalizeUsername(username);
+    if (!/^[a-z0-9._-]{3,40}$/.test(name)) {
+        throw fail('Usernames have 3 to 40 letters, digits, dots, dashes or underscores');
+    }
+    validatePassword(password);
+    if (!ROLES.includes(role)) {
+        throw fail(`Invalid role. Use one of: ${ROLES.join(', ')}`);
+    }
+    if ((await readAllUsers()).some(user => user.username === name)) {
+        throw fail('This username is taken', 409);
+    }
+
+    const user = {
+        id: crypto.randomUUID(),
+        username: name,
+        passwordHash: hashPassword(password),
+        role,
+        quota: parseQuota(quota),
+        disabled: false,
+        geminiKey: null,
+        tokens: [],
+        createdAt: new Date().toISOString()
+    };
+    await writeUser(user);
+    return present(user);
+}
+
+/**
+ * Change an account's role, quota or whether it may sign in. Fields left out
+ * keep their value.
+ * @param {string} id
+ * @param {{role?: string, quota?: number|null, disabled?: boolean}} changes
+ * @returns {Promise<object|null>} The account, or null if the id is unknown
+ * @throws {Error} With status 400 for invalid fields
+ */
+async function updateUser(id, { role, quota, disabled }) {
+    const user = await readUser(id);
+    if (!user) return null;
+    if (role !== undefined) {
+        if (!ROLES.includes(role)) {
+            throw fail(`Invalid role. Use one of: ${ROLES.join(', ')}`);
+        }
+        user.role = role;
+    }
+    if (quota !== undefined) user.quota = parseQuota(quota);
+    if (disabled !== undefined) {
+        user.disabled = !!disabled;
+        // Signing out everywhere is the point of disabling an account
+        if (user.disabled) user.tokens = [];
+    }
+    await writeUser(user);
+    return present(user);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether an account was deleted
+ */
+async function deleteUser(id) {
+    if (!await readUser(id)) return false;
+    await fs.rm(userPath(id), { force: true });
+    return true;
+}
+
+/**
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<object|null>} The account, or null if the name or password is wrong
+ *   or the account is disabled
+ */
+async function verifyPassword(username, password) {
+    const name = normalizeUsername(username);
+    const user = (await readAllUsers()).find(candidate => candidate.username === name);
+    if (!user || user.disabled || !checkPassword(String(password || ''), user.passwordHash)) return null;
+    return present(user);
+}
+
+/**
+ * @param {string} id
+ * @param {string} current - Current password
+ * @param {string} next - New password
+ * @returns {Promise<boolean>} Whether the current password was right
+ * @throws {Error} With status 400 if the new password is too short
+ */
+async function changePassword(id, current, next) {
+    const user = await readUser(id);
+    if (!user || !checkPassword(String(current || ''), user.passwordHash)) return false;
+    validatePassword(next);
+    user.passwordHash = hashPassword(next);
+    await writeUser(user);
+    return true;
+}
+
+/**
+ * Issue a token for an account: a browser session (expires after
+ * SESSION_DAYS) or an API token for scripts (until revoked). Only its hash is
+ * kept, so the token is shown once.
+ * @param {string} id
+ * @param {{kind?: 'session'|'api', label?: string}} [options]
+ * @returns {Promise<{token: string, info: object}|null>} The token, or null if the id is unknown
+ * @throws {Error} With status 400 if the account has too many API tokens
+ */
+async function issueToken(id, { kind = 'session', label = '' } = {}) {
+    const user = await readUser(id);
+    if (!user) return null;
+
+    const now = Date.now();
+    // Expired sessions are dropped whenever a new token is issued
+    user.tokens = user.tokens.filter(token => !token.expiresAt || Date.parse(token.expiresAt) > now);
+    if (kind === 'api' && user.tokens.filter(token => token.kind === 'api').length >= MAX_TOKENS) {
+        throw fail(`An account has at most ${MAX_TOKENS} API tokens; revoke one first`);
+    }
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const info = {
+        id: crypto.randomUUID(),
+        kind,
+        label: String(label || '').trim().slice(0, 80),
+        hint: secret.slice(-4),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: kind === 'session' ? new Date(now + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString() : null
+    };
+    user.tokens.push({ ...info, hash: sha256(secret) });
+    await writeUser(user);
+    // The account id in front lets a token be checked without reading every account
+    return { token: `${user.id}.${secret}`, info };
+}
+
+/**
+ * @param {string} token - As returned by issueToken
+ * @returns {Promise<{user: object, tokenId: string}|null>} The account the token belongs to,
+ *   or null if the token is unknown, expired or revoked, or the account disabled
+ */
+async function resolveToken(token) {
+    const [id, secret] = String(token || '').split('.');
+    const user = id && secret ? await readUser(id) : null;
+    if (!user || user.disabled) return null;
+    const hash = sha256(secret);
+    const match = user.tokens.find(candidate => crypto.timingSafeEqual(Buffer.from(candidate.hash), Buffer.from(hash)));
+    if (!match || (match.expiresAt && Date.parse(match.expiresAt) <= Date.now())) return null;
+    return { user: present(user), tokenId: match.id };
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object[]|null>} The account's API tokens (without secrets), or null if the id is unknown
+ */
+async function listTokens(id) {
+    const user = await readUser(id);
+    if (!user) return null;
+    return user.tokens.filter(token => token.kind === 'api').map(presentToken);
+}
+
+/**
+ * @param {string} id
+ * @param {string} tokenId
+ * @returns {Promise<boolean>} Whether a token was revoked
+ */
+async function revokeToken(id, tokenId) {
+    const user = await readUser(id);
+    if (!user || !user.tokens.some(token => token.id === tokenId)) return false;
+    user.tokens = user.tokens.filter(token => token.id !== tokenId);
+    await writeUser(user);
+    return true;
+}
+
+/**
+ * Store the account's own Gemini key, encrypted, or remove it.
+ * @param {string} id
+ * @param {string|null} key
+ * @returns {Promise<object|null>} The account, or null if the id is unknown
+ * @throws {Error} With status 400 if no KEY_ENCRYPTION_SECRET is configured or the key is blank
+ */
+async function setOwnKey(id, key) {
+    const user = await readUser(id);
+    if (!user) return null;
+    if (key === null) {
+        user.geminiKey = null;
+    } else {
+        if (!encryptionKey()) {
+            throw fail('Own keys cannot be stored: the server has no KEY_ENCRYPTION_SECRET');
+        }
+        const plain = String(key || '').trim();
+        if (!plain) {
+            throw fail('Enter a Gemini API key');
+        }
+        user.geminiKey = { ...encrypt(plain), hint: plain.slice(-4), updatedAt: new Date().toISOString() };
+    }
+    await writeUser(user);
+    return present(user);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<string|null>} The account's own Gemini key in plain text, if it has one
+ */
+async function getOwnKey(id) {
+    const user = await readUser(id);
+    if (!user || !user.geminiKey || !encryptionKey()) return null;
+    try {
+        return decrypt(user.geminiKey);
+    } catch (error) {
+        // Stored under another secret; the user has to enter it again
+        console.error('Own Key Error:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Create the admin account named by ADMIN_USERNAME and ADMIN_PASSWORD unless
+ * it exists, so a fresh deployment can be signed in to.
+ * @returns {Promise<object|null>} The created account, if one was created
+ */
+async function ensureAdmin() {
+    const username = normalizeUsername(process.env.ADMIN_USERNAME);
+    if (!username || !process.env.ADMIN_PASSWORD) return null;
+    if ((await readAllUsers()).some(user => user.username === username)) return null;
+    return createUser({ username, password: process.env.ADMIN_PASSWORD, role: 'admin' });
+}
+
+module.exports = {
+    ROLES,
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    verifyPassword,
+    changePassword,
+    issueToken,
+    resolveToken,
+    listTokens,
+    revokeToken,
+    setOwnKey,
+    getOwnKey,
+    ensureAdmin
+};
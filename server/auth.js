@@ -0,0 +1,167 @@
+// Authentication for the API: a session cookie set at sign-in (the browser,
+// including image and event-stream requests) or an API token in the
+// Authorization header (scripts). Each signed-in request runs in a context
+// (see context.js) naming the user and their own Gemini key, if the
+// deployment takes own keys, and counting their model calls (see usage.js).
+//
+// AUTH=off switches accounts off for local development: every request then
+// runs as one built-in admin.
+const { resolveToken, getOwnKey } = require('./accounts');
+const { runInContext, currentContext } = require('./context');
+const { recordCall, quotaStatus, rateLimit } = require('./usage');
+
+const AUTH_ENABLED = process.env.AUTH !== 'off';
+const SIGNUP_ENABLED = process.env.ALLOW_SIGNUP === 'true';
+
+// 'off': everyone uses the shared key; 'optional': an own key replaces it
+// (and its quota); 'required': only own keys are used
+const OWN_KEY_MODES = ['off', 'optional', 'required'];
+const OWN_KEYS = OWN_KEY_MODES.includes(process.env.OWN_GEMINI_KEYS) ? process.env.OWN_GEMINI_KEYS : 'off';
+
+const SESSION_COOKIE = 'myinfographic_session';
+const LOGIN_ATTEMPTS_PER_MINUTE = 10;
+
+const LOCAL_USER = { id: 'local', username: 'local', role: 'admin', quota: null, disabled: false, ownKey: null };
+
+// Paths under /api that can be reached without signing in
+const PUBLIC_PATHS = ['/status', '/auth/session', '/auth/login', '/auth/signup', '/auth/logout', '/v1/openapi.json', '/oembed'];
+
+const parseCookies = (header) => Object.fromEntries(String(header || '')
+    .split(';')
+    .map(pair => pair.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, value]) => [name, decodeURIComponent(value)]));
+
+/**
+ * Set the session cookie after sign-in.
+ * @param {object} res
+ * @param {string} token - Session token (see accounts.issueToken)
+ * @param {string} expiresAt - ISO date
+ */
+const setSessionCookie = (res, token, expiresAt) => res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    expires: new Date(expiresAt)
+});
+
+const clearSessionCookie = (res) => res.clearCookie(SESSION_COOKIE);
+
+/**
+ * @param {object} req
+ * @returns {string|null} Bearer token, else the session cookie
+ */
+const requestToken = (req) => {
+    const header = req.get('authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+    return parseCookies(req.get('cookie'))[SESSION_COOKIE] || null;
+};
+
+/**
+ * Middleware for /api: resolves the user (req.user, req.tokenId) and runs the
+ * rest of the request in their context. Anything but PUBLIC_PATHS answers 401
+ * without a valid session or token.
+ */
+async function authenticate(req, res, next) {
+    let found = null;
+    if (!AUTH_ENABLED) {
+        found = { user: LOCAL_USER, tokenId: null };
+    } else {
+        const token = requestToken(req);
+        found = token ? await resolveToken(token) : null;
+    }
+    if (!found) {
+        if (PUBLIC_PATHS.includes(req.path)) {
+            req.user = null;
+            return next();
+        }
+        return res.status(401).json({ error: 'Sign in to use this server', code: 'unauthenticated' });
+    }
+
+    const { user, tokenId } = found;
+    req.user = user;
+    req.tokenId = tokenId;
+    const geminiKey = OWN_KEYS !== 'off' && user.ownKey ? await getOwnKey(user.id) : null;
+    runInContext({
+        user,
+        geminiKey,
+        onModelCall: (kind) => {
+            if (OWN_KEYS === 'required' && !geminiKey) {
+                const error = new Error('This server only uses your own Gemini key. Add it under Account first.');
+                error.status = 403;
+                error.code = 'own_key_required';
+                throw error;
+            }
+            recordCall(user, kind, { ownKey: !!geminiKey });
+        }
+    }, next);
+}
+
+const requireAdmin = (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can do this' });
+    }
+    next();
+};
+
+/**
+ * Whether a user may see and change a stored record (infographic, job, batch,
+ * share link): their own, and any as an admin. Records made before accounts
+ * existed have no owner and are left to admins.
+ * @param {object} user - req.user
+ * @param {{owner: string|null}} record
+ * @returns {boolean}
+ */
+const mayAccess = (user, record) => Boolean(user) && (user.role === 'admin' || (Boolean(record.owner) && record.owner === user.id));
+
+const tooManyRequests = (res, wait) => res
+    .set('Retry-After', String(wait))
+    .status(429)
+    .json({ error: `Too many requests; try again in ${wait} s`, code: 'rate_limited' });
+
+/**
+ * Middleware for the routes that call the models: at most
+ * RATE_LIMIT_PER_MINUTE requests per user and minute.
+ */
+const limitRate = (req, res, next) => {
+    const wait = rateLimit(`user:${req.user.id}`);
+    if (wait > 0) return tooManyRequests(res, wait);
+    next();
+};
+
+/**
+ * Middleware for the routes that render images: refuses them up front once
+ * the day's quota is used up (see usage.js), unless an own key pays.
+ */
+const requireQuota = (req, res, next) => {
+    const { geminiKey } = currentContext() || {};
+    const { limit, remaining } = quotaStatus(req.user);
+    if (!geminiKey && limit !== null && remaining <= 0) {
+        return res.status(429).json({ error: `Daily limit of ${limit} images reached; it resets at midnight UTC`, code: 'quota_exceeded' });
+    }
+    next();
+};
+
+/**
+ * Middleware for sign-in and sign-up: slows down password guessing per client address.
+ */
+const limitLogins = (req, res, next) => {
+    const wait = rateLimit(`login:${req.ip}`, LOGIN_ATTEMPTS_PER_MINUTE);
+    if (wait > 0) return tooManyRequests(res, wait);
+    next();
+};
+
+module.exports = {
+    AUTH_ENABLED,
+    SIGNUP_ENABLED,
+    OWN_KEYS,
+    setSessionCookie,
+    clearSessionCookie,
+    requestToken,
+    authenticate,
+    requireAdmin,
+    mayAccess,
+    limitRate,
+    requireQuota,
+    limitLogins
+};
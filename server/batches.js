@@ -0,0 +1,141 @@
+// Batch runs: one document rendered for several audiences × languages × focus
+// modes. The combinations are worked through a few at a time; the finished
+// batch is a JSON file in DATA_DIR/batches that points at the infographics in
+// the history, so its images can be downloaded together later.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./store');
+const { resolveLanguage } = require('./languages');
+
+const BATCHES_DIR = path.join(DATA_DIR, 'batches');
+
+// Every combination is a prompt call plus an image call
+const MAX_COMBINATIONS = parseInt(process.env.MAX_BATCH_COMBINATIONS, 10) || 24;
+// Image calls running at once per batch; the image API rate-limits beyond a few
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
+
+const batchPath = (id) => path.join(BATCHES_DIR, `${id}.json`);
+
+// Ids are generated by us; anything else must not reach the filesystem
+const isValidId = (id) => /^[a-f0-9-]{36}$/.test(id);
+
+const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// Distinct, non-empty values of a list option
+const values = (list) => [...new Set((Array.isArray(list) ? list : []).map(value => String(value).trim()).filter(Boolean))];
+
+/**
+ * Every combination of the ticked audiences, languages and focus modes, as the
+ * cells of the batch (languages vary slowest, focus modes fastest).
+ * @param {object} options
+ * @param {string[]} options.audiences
+ * @param {string[]} options.languages
+ * @param {string[]} options.focuses
+ * @returns {Array<{audience: string, language: string, focus: string, status: string}>}
+ * @throws {Error} With status 400 if a list is empty, a language is not supported
+ *   or there are too many combinations
+ */
+function batchCells({ audiences, languages, focuses }) {
+    const lists = { audiences: values(audiences), languages: values(languages), focuses: values(focuses) };
+    const empty = Object.keys(lists).find(name => lists[name].length === 0);
+    if (empty) {
+        throw fail(`Pick at least one of ${empty}`);
+    }
+    lists.languages.forEach(resolveLanguage);
+    const count = lists.audiences.length * lists.languages.length * lists.focuses.length;
+    if (count > MAX_COMBINATIONS) {
+        throw fail(`Too many combinations (${count}). A batch renders at most ${MAX_COMBINATIONS}.`);
+    }
+    return lists.languages.flatMap(language => lists.audiences.flatMap(audience =>
+        lists.focuses.map(focus => ({ audience, language, focus, status: 'queued' }))));
+}
+
+/**
+ * Run `worker` for every item, at most `limit` at a time.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function(*): Promise} worker - Must handle its own errors
+ * @returns {Promise<void>}
+ */
+async function runLimited(items, limit, worker) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            await worker(items[next++]);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+/**
+ * Store a finished batch.
+ * @param {object} data
+ * @param {string} data.title
+ * @param {object} data.source - { name, kind }
+ * @param {object} data.options - Options shared by all cells
+ * @param {object[]} data.cells - { audience, language, focus, status, infographicId?, error? }
+ * @param {string} [data.owner] - Id of the user it belongs to
+ * @returns {Promise<object>} The stored batch
+ */
+async function saveBatch({ title, source, options, cells, owner }) {
+    const batch = {
+        id: crypto.randomUUID(),
+        owner: owner || null,
+        title,
+        source: source || {},
+        options: options || {},
+        cells: cells.map(({ audience, language, focus, status, infographicId, error }) => ({
+            audience, language, focus, status, infographicId: infographicId || null, error: error || null
+        })),
+        createdAt: new Date().toISOString()
+    };
+    await fs.mkdir(BATCHES_DIR, { recursive: true });
+    // Write-then-rename so a crash never leaves a half-written batch behind
+    const target = batchPath(batch.id);
+    await fs.writeFile(`${target}.tmp`, JSON.stringify(batch, null, 2));
+    await fs.rename(`${target}.tmp`, target);
+    return batch;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getBatch(id) {
+    if (!isValidId(id)) return null;
+    try {
+        return JSON.parse(await fs.readFile(batchPath(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// "Kids (10 years old)" → "kids-10-years-old", for file names in the zip
+const slug = (value) => String(value).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'x';
+
+/**
+ * File name of a cell's image in the zip download.
+ * @param {object} cell
+ * @param {number} index
+ * @param {string} extension - e.g. ".png"
+ * @returns {string} e.g. "03-deutsch-kids-10-years-old-results-findings.png"
+ */
+const cellFileName = (cell, index, extension) =>
+    `${String(index + 1).padStart(2, '0')}-${slug(cell.language)}-${slug(cell.audience)}-${slug(cell.focus)}${extension}`;
+
+module.exports = {
+    MAX_COMBINATIONS,
+    BATCH_CONCURRENCY,
+    batchCells,
+    runLimited,
+    saveBatch,
+    getBatch,
+    cellFileName
+};
@@ -0,0 +1,232 @@
+// Brand kits: named style presets (palette, typography, icon style, logo and
+// footer text) that a lab or institute sets up once and picks in Step 2. Each
+// kit is a JSON file in DATA_DIR/brands, with its logo next to it. Kits are
+// shared: everyone can pick them, only their owner and admins change them.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./store');
+
+const BRANDS_DIR = path.join(DATA_DIR, 'brands');
+
+// Logos are sent to the image model as reference images, which takes these types
+const LOGO_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+
+const LOGO_PLACEMENTS = {
+    'top-left': 'the top-left corner',
+    'top-right': 'the top-right corner',
+    'bottom-left': 'the bottom-left corner',
+    'bottom-right': 'the bottom-right corner',
+    'footer-center': 'the centre of the footer'
+};
+
+const MAX_COLORS = 8;
+
+const kitPath = (id) => path.join(BRANDS_DIR, `${id}.json`);
+
+// Ids are generated by us; anything else must not reach the filesystem
+const isValidId = (id) => /^[a-f0-9-]{36}$/.test(id);
+
+const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// What clients see: the logo as a URL instead of a file name
+const present = ({ logo, ...kit }) => ({ ...kit, logoUrl: logo ? `/api/brands/${kit.id}/logo` : null });
+
+async function readKit(id) {
+    if (!isValidId(id)) return null;
+    try {
+        return JSON.parse(await fs.readFile(kitPath(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeKit(kit) {
+    await fs.mkdir(BRANDS_DIR, { recursive: true });
+    // Write-then-rename so a crash never leaves a half-written kit behind
+    const target = kitPath(kit.id);
+    await fs.writeFile(`${target}.tmp`, JSON.stringify(kit, null, 2));
+    await fs.rename(`${target}.tmp`, target);
+}
+
+// Palette from a list or a comma-separated string of hex colours
+function parsePalette(palette) {
+    const colors = (Array.isArray(palette) ? palette : String(palette || '').split(','))
+        .map(color => String(color).trim().toLowerCase())
+        .filter(Boolean);
+    const invalid = colors.find(color => !/^#[0-9a-f]{6}$/.test(color));
+    if (invalid) {
+        throw fail(`Invalid colour "${invalid}". Use hex colours like #0055a4.`);
+    }
+    if (colors.length > MAX_COLORS) {
+        throw fail(`Too many colours. A palette has at most ${MAX_COLORS}.`);
+    }
+    return colors;
+}
+
+const text = (value, max) => String(value || '').trim().slice(0, max);
+
+/**
+ * @returns {Promise<object[]>} All brand kits, by name
+ */
+async function listBrandKits() {
+    let files;
+    try {
+        files = await fs.readdir(BRANDS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const kits = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => readKit(path.basename(file, '.json'))));
+    return kits.filter(Boolean).map(present).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getBrandKit(id) {
+    const kit = await readKit(id);
+    return kit ? present(kit) : null;
+}
+
+/**
+ * Create a brand kit, or update one when `id` is given. Fields left out of an
+ * update keep their value.
+ * @param {object} fields
+ * @param {string} fields.name
+ * @param {string[]|string} [fields.palette] - Hex colours, main colour first
+ * @param {string} [fields.typography] - e.g. "Headings in a bold geometric sans (Futura), body in Source Sans"
+ * @param {string} [fields.iconStyle] - e.g. "Flat line icons, 2px strokes, no fills"
+ * @param {string} [fields.footer] - Footer or acknowledgement text, printed as given
+ * @param {string} [fields.logoPlacement] - One of LOGO_PLACEMENTS
+ * @param {object} [logo] - New logo { buffer, mimetype }, or null to remove it
+ * @param {string} [id]
+ * @param {string} [owner] - Id of the account creating the kit; updates keep the owner
+ * @returns {Promise<object|null>} The kit, or null if `id` is unknown
+ * @throws {Error} With status 400 for invalid fields
+ */
+async function saveBrandKit(fields, logo, id, owner) {
+    const existing = id ? await readKit(id) : null;
+    if (id && !existing) return null;
+
+    const kit = existing || { id: crypto.randomUUID(), owner: owner || null, name: '', palette: [], logo: null, createdAt: new Date().toISOString() };
+    const has = (name) => fields[name] !== undefined;
+
+    if (has('name') || !existing) kit.name = text(fields.name, 80);
+    if (!kit.name) {
+        throw fail('A brand kit needs a name');
+    }
+    if (has('palette')) kit.palette = parsePalette(fields.palette);
+    ['typography', 'iconStyle', 'footer'].forEach(name => {
+        if (has(name) || !existing) kit[name] = text(fields[name], 500);
+    });
+    if (has('logoPlacement') || !existing) {
+        kit.logoPlacement = fields.logoPlacement || 'top-left';
+        if (!LOGO_PLACEMENTS[kit.logoPlacement]) {
+            throw fail(`Invalid logo placement. Use one of: ${Object.keys(LOGO_PLACEMENTS).join(', ')}`);
+        }
+    }
+
+    if (logo !== undefined) {
+        if (logo && !LOGO_TYPES[logo.mimetype]) {
+            throw fail('The logo must be a PNG, JPEG or WebP image');
+        }
+        if (logo && logo.buffer.length > MAX_LOGO_BYTES) {
+            throw fail('The logo must be smaller than 2 MB');
+        }
+        if (kit.logo) {
+            await fs.rm(path.join(BRANDS_DIR, kit.logo.file), { force: true });
+        }
+        kit.logo = null;
+        if (logo) {
+            // A fresh name per write, so browsers never show a cached old logo
+            const file = `${kit.id}-logo-${crypto.randomBytes(4).toString('hex')}.${LOGO_TYPES[logo.mimetype]}`;
+            await fs.mkdir(BRANDS_DIR, { recursive: true });
+            await fs.writeFile(path.join(BRANDS_DIR, file), logo.buffer);
+            kit.logo = { file, mimeType: logo.mimetype };
+        }
+    }
+
+    kit.updatedAt = new Date().toISOString();
+    await writeKit(kit);
+    return present(kit);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether a kit was deleted
+ */
+async function deleteBrandKit(id) {
+    const kit = await readKit(id);
+    if (!kit) return false;
+    if (kit.logo) {
+        await fs.rm(path.join(BRANDS_DIR, kit.logo.file), { force: true });
+    }
+    await fs.rm(kitPath(id), { force: true });
+    return true;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<{path: string, mimeType: string}|null>} Location of the kit's logo file
+ */
+async function getBrandLogo(id) {
+    const kit = await readKit(id);
+    if (!kit || !kit.logo) return null;
+    return { path: path.join(BRANDS_DIR, kit.logo.file), mimeType: kit.logo.mimeType };
+}
+
+/**
+ * The kit and its logo for a run.
+ * @param {string} id
+ * @returns {Promise<{kit: object, logo: {mimeType: string, data: string}|null}>} Logo as base64
+ * @throws {Error} With status 400 if there is no such kit
+ */
+async function loadBrandKit(id) {
+    const kit = await readKit(id);
+    if (!kit) {
+        throw fail('Brand kit not found. It may have been deleted; pick another one in Step 2.');
+    }
+    const logo = kit.logo
+        ? { mimeType: kit.logo.mimeType, data: (await fs.readFile(path.join(BRANDS_DIR, kit.logo.file))).toString('base64') }
+        : null;
+    return { kit: present(kit), logo };
+}
+
+/**
+ * The kit as instructions for the prompt writer and the image model.
+ * @param {object} kit
+ * @param {number} [logoImage] - Number of the reference image that holds the logo
+ * @returns {string}
+ */
+function brandInstructions(kit, logoImage) {
+    return [
+        `BRAND KIT "${kit.name}" (apply to the whole design; it overrides other style notes):`,
+        kit.palette.length > 0 && `- Colour palette: ${kit.palette.join(', ')} (the first is the main colour). Use only these colours, plus white, black and greys for text and backgrounds.`,
+        kit.typography && `- Typography: ${kit.typography}`,
+        kit.iconStyle && `- Icon style: ${kit.iconStyle}`,
+        logoImage && `- Logo: reference image ${logoImage} is the logo. Place it in ${LOGO_PLACEMENTS[kit.logoPlacement] || LOGO_PLACEMENTS['top-left']}, small and with clear space around it. Reproduce it exactly; do not redraw, recolour or distort it.`,
+        kit.footer && `- Footer: print exactly "${kit.footer}" in small type along the bottom edge.`
+    ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+    LOGO_PLACEMENTS,
+    MAX_LOGO_BYTES,
+    listBrandKits,
+    getBrandKit,
+    saveBrandKit,
+    deleteBrandKit,
+    getBrandLogo,
+    loadBrandKit,
+    brandInstructions
+};
@@ -0,0 +1,164 @@
+// Disk cache for the expensive steps of a run: reading an uploaded document,
+// writing the prompt for a document and options, and rendering an image from
+// a prompt. Entries live in DATA_DIR/cache/<kind>/<key>.json and are keyed by
+// a hash of everything that goes into the step, so changed input can never
+// hit a stale entry.
+//
+// Entries belong to the user a run is for (see context.js): the user's id goes
+// into every key, so nobody is handed a prompt or image that someone else
+// rendered, perhaps with their own Gemini key.
+//
+// Entries expire after CACHE_TTL_HOURS; once the cache grows past
+// CACHE_MAX_MB, the least recently used entries are removed. CACHE=off turns
+// it off.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./store');
+const { currentContext } = require('./context');
+
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+const CACHE_ENABLED = process.env.CACHE !== 'off';
+const MAX_BYTES = (parseInt(process.env.CACHE_MAX_MB, 10) || 500) * 1024 * 1024;
+const TTL_MS = (parseInt(process.env.CACHE_TTL_HOURS, 10) || 7 * 24) * 60 * 60 * 1000;
+
+const KINDS = ['extraction', 'prompt', 'image'];
+
+const entryPath = (kind, key) => path.join(CACHE_DIR, kind, `${key}.json`);
+
+// Whom entries are kept for; runs outside a request (the command line) share one cache
+const cacheOwner = () => {
+    const context = currentContext();
+    return context && context.user ? context.user.id : null;
+};
+
+/**
+ * Key for a cache entry of the current user: a hash of the user's id and the
+ * parts, in order. Buffers are hashed by content, everything else by its JSON.
+ * @param {...*} parts
+ * @returns {string}
+ */
+function cacheKey(...parts) {
+    const hash = crypto.createHash('sha256');
+    [cacheOwner(), ...parts].forEach(part => {
+        hash.update(Buffer.isBuffer(part) ? part : JSON.stringify(part === undefined ? null : part));
+        hash.update('\0');
+    });
+    return hash.digest('hex');
+}
+
+/**
+ * @param {string} kind - One of KINDS
+ * @param {string} key - See cacheKey
+ * @returns {Promise<*|null>} The cached value, or null if there is none or it expired
+ */
+async function readCache(kind, key) {
+    if (!CACHE_ENABLED) return null;
+    const file = entryPath(kind, key);
+    try {
+        const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        if (Date.now() - Date.parse(entry.createdAt) > TTL_MS) {
+            await fs.promises.unlink(file).catch(() => {});
+            return null;
+        }
+        // The access time records the last use and the modification time the creation, for pruning
+        await fs.promises.utimes(file, new Date(), new Date(entry.createdAt)).catch(() => {});
+        return entry.value;
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Cache Error:', error.message);
+        return null;
+    }
+}
+
+let pruning = null;
+
+// Removes expired entries, then the least recently used ones until the cache fits
+async function prune() {
+    const entries = [];
+    for (const kind of KINDS) {
+        const dir = path.join(CACHE_DIR, kind);
+        const names = await fs.promises.readdir(dir).catch(() => []);
+        for (const name of names) {
+            const file = path.join(dir, name);
+            const stat = await fs.promises.stat(file).catch(() => null);
+            if (stat) entries.push({ file, size: stat.size, used: Math.max(stat.atimeMs, stat.mtimeMs), created: stat.mtimeMs });
+        }
+    }
+
+    const now = Date.now();
+    let total = 0;
+    const kept = [];
+    for (const entry of entries) {
+        if (now - entry.created > TTL_MS) {
+            await fs.promises.unlink(entry.file).catch(() => {});
+        } else {
+            total += entry.size;
+            kept.push(entry);
+        }
+    }
+    kept.sort((a, b) => a.used - b.used);
+    while (total > MAX_BYTES && kept.length > 0) {
+        const oldest = kept.shift();
+        await fs.promises.unlink(oldest.file).catch(() => {});
+        total -= oldest.size;
+    }
+}
+
+const schedulePrune = () => {
+    if (pruning) return;
+    pruning = prune()
+        .catch(error => console.error('Cache Error:', error.message))
+        .finally(() => { pruning = null; });
+};
+
+/**
+ * Store a value (anything JSON can hold).
+ * @param {string} kind - One of KINDS
+ * @param {string} key - See cacheKey
+ * @param {*} value
+ */
+async function writeCache(kind, key, value) {
+    if (!CACHE_ENABLED) return;
+    const file = entryPath(kind, key);
+    try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        // Write-then-rename so a concurrent read never sees half an entry
+        const temporary = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        const createdAt = new Date();
+        await fs.promises.writeFile(temporary, JSON.stringify({ createdAt: createdAt.toISOString(), value }));
+        await fs.promises.utimes(temporary, createdAt, createdAt);
+        await fs.promises.rename(temporary, file);
+        schedulePrune();
+    } catch (error) {
+        // A full disk costs the cache, not the run
+        console.error('Cache Error:', error.message);
+    }
+}
+
+/**
+ * Return the cached value for a key, or compute and cache it.
+ * @param {string} kind - One of KINDS
+ * @param {string} key - See cacheKey
+ * @param {function(): Promise<*>} compute
+ * @param {object} [options]
+ * @param {boolean} [options.reuse=true] - false computes anew and replaces the entry
+ * @returns {Promise<{value: *, cached: boolean}>}
+ */
+async function cached(kind, key, compute, { reuse = true } = {}) {
+    const hit = reuse ? await readCache(kind, key) : null;
+    if (hit !== null) {
+        console.log(`Reused cached ${kind}`);
+        return { value: hit, cached: true };
+    }
+    const value = await compute();
+    await writeCache(kind, key, value);
+    return { value, cached: false };
+}
+
+module.exports = {
+    CACHE_ENABLED,
+    cacheKey,
+    readCache,
+    writeCache,
+    cached
+};
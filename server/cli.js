@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+// myinfographic: generate infographics from the command line, e.g. for every
+// new preprint in a folder. Runs the pipeline in-process with the keys and
+// providers configured in the environment (.env), or calls a server's public
+// API (/api/v1) with --server and an API token. Writes the images, with their
+// description embedded, and manifest.json to the output directory.
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage: myinfographic [options] <file|directory>...
+
+Makes one infographic per document, or one from all of them with --combine.
+Directories are searched for the document types the server reads.
+
+Options:
+  -a, --audience <text>   Target audience (default: "General public")
+  -t, --terms <text>      Technical terms (default: "Include & Explain")
+  -f, --focus <text>      Content focus (default: "Balanced overview")
+  -l, --language <tag>    Output language, BCP-47 code or name (default: en)
+      --format <id>       Output format preset (default: slide-16-9)
+      --style <notes>     Style notes for the prompt
+      --variants <n>      Images per infographic, 1-4 (default: 1)
+      --brand <id>        Brand kit id
+      --template <n>      Prompt template version (default: the active one)
+      --no-grounding      Render without Google Search grounding
+      --force             Render anew even if the same prompt was rendered before
+      --combine           One infographic from all documents
+      --compare           With --combine: compare the documents instead of synthesising them
+  -r, --recursive         Search directories recursively
+  -o, --out <dir>         Output directory (default: ./infographics)
+  -s, --server <url>      Call this server instead of running in-process
+                          (or MYINFOGRAPHIC_SERVER)
+      --token <token>     API token for the server (or MYINFOGRAPHIC_TOKEN)
+  -h, --help              Show this help
+
+Exit status: 0 if every infographic was made, 1 if any failed, 2 on wrong usage.`;
+
+const OPTIONS = {
+    audience: { type: 'string', short: 'a', default: 'General public' },
+    terms: { type: 'string', short: 't', default: 'Include & Explain' },
+    focus: { type: 'string', short: 'f', default: 'Balanced overview' },
+    language: { type: 'string', short: 'l', default: 'en' },
+    format: { type: 'string', default: 'slide-16-9' },
+    style: { type: 'string' },
+    variants: { type: 'string', default: '1' },
+    brand: { type: 'string' },
+    template: { type: 'string' },
+    'no-grounding': { type: 'boolean', default: false },
+    force: { type: 'boolean', default: false },
+    combine: { type: 'boolean', default: false },
+    compare: { type: 'boolean', default: false },
+    recursive: { type: 'boolean', short: 'r', default: false },
+    out: { type: 'string', short: 'o', default: 'infographics' },
+    server: { type: 'string', short: 's' },
+    token: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const POLL_INTERVAL_MS = 2000;
+const JOB_TIMEOUT_MS = 30 * 60 * 1000;
+const EXTENSIONS = { 'image/png': '.png', 'image/jpeg': '.jpg', 'image/webp': '.webp', 'image/svg+xml': '.svg' };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class UsageError extends Error {}
+
+// Runs the pipeline in this process, storing results in the local history (DATA_DIR)
+function localBackend() {
+    const { MAX_SOURCES, MAX_VARIANTS, SOURCE_MODES } = require('./pipeline');
+    const { FORMATS } = require('./formats');
+    const { supportedExtensions } = require('./extractors');
+    const { validateRun, runInfographic } = require('./runs');
+    const { getInfographic, getInfographicImage } = require('./store');
+    const { embedDescription } = require('./accessibility');
+
+    return {
+        name: 'in-process',
+        capabilities: async () => ({
+            formats: FORMATS.map(format => ({ id: format.id })),
+            extensions: supportedExtensions(),
+            sourceModes: Object.keys(SOURCE_MODES),
+            maxSources: MAX_SOURCES,
+            maxVariants: MAX_VARIANTS
+        }),
+        run: async (files, options, onStage) => {
+            await validateRun({ options });
+            const result = await runInfographic({
+                files: files.map(file => ({ originalname: file.name, buffer: file.buffer })),
+                options
+            }, { stage: onStage, partial: () => {} });
+            if (!result.infographicId) {
+                throw new Error('The result could not be stored');
+            }
+            const infographic = await getInfographic(result.infographicId);
+            const images = await Promise.all(infographic.variants.map(async (variant, index) => {
+                const image = await getInfographicImage(infographic.id, { variant: index });
+                const buffer = await fs.promises.readFile(image.path);
+                // The first variant is the current image until someone picks another
+                return {
+                    mimeType: image.mimeType,
+                    buffer: index === 0 && infographic.accessibility
+                        ? embedDescription({ mimeType: image.mimeType, buffer }, infographic.accessibility, infographic.title)
+                        : buffer
+                };
+            }));
+            return {
+                infographicId: infographic.id,
+                prompt: result.prompt,
+                altText: result.accessibility ? result.accessibility.altText : null,
+                reusedImage: result.reusedImage,
+                images
+            };
+        }
+    };
+}
+
+// Calls the public API of a server (see openapi.js)
+function httpBackend(server, token) {
+    const base = `${server.replace(/\/+$/, '')}/api/v1`;
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+    const request = async (method, route, body) => {
+        for (;;) {
+            const response = await fetch(`${base}${route}`, { method, headers, body });
+            if (response.ok) return response;
+            const error = await response.json().catch(() => ({ error: response.statusText }));
+            // Wait out the rate limit; anything else (including the daily quota) fails the input
+            if (response.status === 429 && error.code === 'rate_limited') {
+                await sleep((parseInt(response.headers.get('retry-after'), 10) || 10) * 1000);
+                continue;
+            }
+            throw new Error(`${error.error || response.statusText} (HTTP ${response.status}${error.code ? `, ${error.code}` : ''})`);
+        }
+    };
+
+    return {
+        name: base,
+        capabilities: async () => (await request('GET', '/capabilities')).json(),
+        run: async (files, options, onStage) => {
+            const form = new FormData();
+            form.append('request', JSON.stringify({ options }));
+            files.forEach(file => form.append('files', new Blob([file.buffer]), file.name));
+            let job = await (await request('POST', '/jobs', form)).json();
+
+            const started = Date.now();
+            let stage = null;
+            while (job.status === 'running') {
+                if (job.stage !== stage) onStage(stage = job.stage);
+                if (Date.now() - started > JOB_TIMEOUT_MS) {
+                    throw new Error(`Job ${job.id} did not finish within ${JOB_TIMEOUT_MS / 60000} minutes`);
+                }
+                await sleep(POLL_INTERVAL_MS);
+                job = await (await request('GET', `/jobs/${job.id}`)).json();
+            }
+            if (job.status === 'failed') {
+                throw new Error(job.error);
+            }
+
+            const { infographicId, prompt, variants, altText, reusedImage } = job.result;
+            if (!infographicId) {
+                throw new Error('The server could not store the result');
+            }
+            const images = await Promise.all(variants.map(async (url, index) => {
+                const response = await request('GET', `/infographics/${infographicId}/image?variant=${index}`);
+                return { mimeType: response.headers.get('content-type').split(';')[0], buffer: Buffer.from(await response.arrayBuffer()) };
+            }));
+            return { infographicId, prompt, altText, reusedImage, images };
+        }
+    };
+}
+
+// The documents named on the command line, directories expanded
+async function collectInputs(paths, extensions, recursive) {
+    const found = [];
+    const visit = async (entry, explicit) => {
+        const stat = await fs.promises.stat(entry).catch(() => null);
+        if (!stat) {
+            throw new UsageError(`No such file or directory: ${entry}`);
+        }
+        if (stat.isDirectory()) {
+            if (!explicit && !recursive) return;
+            const names = (await fs.promises.readdir(entry)).sort();
+            for (const name of names) {
+                if (!name.startsWith('.')) await visit(path.join(entry, name), false);
+            }
+        } else if (explicit || extensions.includes(path.extname(entry).toLowerCase())) {
+            found.push(entry);
+        }
+    };
+    for (const entry of paths) {
+        await visit(entry, true);
+    }
+    return found;
+}
+
+// Run options as the API takes them (see schemas.RunOptions)
+function runOptions(values, capabilities) {
+    const variants = parseInt(values.variants, 10);
+    if (!(variants >= 1 && variants <= capabilities.maxVariants)) {
+        throw new UsageError(`--variants must be between 1 and ${capabilities.maxVariants}`);
+    }
+    if (!capabilities.formats.some(format => format.id === values.format)) {
+        throw new UsageError(`Unknown --format "${values.format}". Available: ${capabilities.formats.map(format => format.id).join(', ')}`);
+    }
+    if (values.template !== undefined && !/^\d+$/.test(values.template)) {
+        throw new UsageError('--template must be a version number');
+    }
+    return {
+        audience: values.audience,
+        terms: values.terms,
+        focus: values.focus,
+        language: values.language,
+        format: values.format,
+        variants,
+        grounding: !values['no-grounding'],
+        reuseImage: !values.force,
+        ...(values.style ? { styleNotes: values.style } : {}),
+        ...(values.brand ? { brand: values.brand } : {}),
+        ...(values.template !== undefined ? { template: parseInt(values.template, 10) } : {}),
+        ...(values.combine ? { sourceMode: values.compare ? 'compare' : 'synthesise' } : {})
+    };
+}
+
+// A file name not taken yet in this run, e.g. paper.png, paper-2.png for the second variant
+const uniqueName = (taken, base, extension) => {
+    let name = `${base}${extension}`;
+    for (let number = 2; taken.has(name); number++) {
+        name = `${base}-${number}${extension}`;
+    }
+    taken.add(name);
+    return name;
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length === 0) {
+        throw new UsageError('Name at least one file or directory');
+    }
+
+    const server = values.server || process.env.MYINFOGRAPHIC_SERVER;
+    const backend = server ? httpBackend(server, values.token || process.env.MYINFOGRAPHIC_TOKEN) : localBackend();
+    const capabilities = await backend.capabilities();
+    const options = runOptions(values, capabilities);
+
+    const inputs = await collectInputs(positionals, capabilities.extensions, values.recursive);
+    if (inputs.length === 0) {
+        throw new UsageError(`No documents found. Readable types: ${capabilities.extensions.join(', ')}`);
+    }
+    if (values.combine && inputs.length > capabilities.maxSources) {
+        throw new UsageError(`--combine takes at most ${capabilities.maxSources} documents, found ${inputs.length}`);
+    }
+
+    // One run per document, or one for all of them
+    const runs = values.combine ? [inputs] : inputs.map(input => [input]);
+    await fs.promises.mkdir(values.out, { recursive: true });
+    const taken = new Set(['manifest.json']);
+    const results = [];
+
+    for (const [index, run] of runs.entries()) {
+        const label = run.length > 1 ? `${path.basename(run[0])} + ${run.length - 1} more` : path.basename(run[0]);
+        const progress = (stage) => console.error(`[${index + 1}/${runs.length}] ${label}: ${stage}`);
+        progress('reading');
+        try {
+            const files = await Promise.all(run.map(async (input) => ({ name: path.basename(input), buffer: await fs.promises.readFile(input) })));
+            const { infographicId, prompt, altText, reusedImage, images } = await backend.run(files, options, progress);
+            const base = path.basename(run[0], path.extname(run[0]));
+            const written = [];
+            for (const image of images) {
+                const name = uniqueName(taken, base, EXTENSIONS[image.mimeType] || '.bin');
+                await fs.promises.writeFile(path.join(values.out, name), image.buffer);
+                written.push(name);
+            }
+            results.push({ inputs: run, status: 'done', infographicId, images: written, reusedImage, altText, prompt });
+            progress(`done → ${written.join(', ')}${reusedImage ? ' (reused cached image; --force renders anew)' : ''}`);
+        } catch (error) {
+            results.push({ inputs: run, status: 'failed', error: error.message });
+            progress(`failed: ${error.message}`);
+        }
+    }
+
+    const manifest = { createdAt: new Date().toISOString(), backend: backend.name, options, results };
+    await fs.promises.writeFile(path.join(values.out, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    const failed = results.filter(result => result.status === 'failed').length;
+    console.error(`${results.length - failed} of ${results.length} infographics written to ${values.out}`);
+    return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        // parseArgs reports unknown or malformed options with a code
+        const usage = error instanceof UsageError || (error.code && error.code.startsWith('ERR_PARSE_ARGS'));
+        console.error(usage ? `${error.message}\n\n${USAGE}` : `myinfographic: ${error.message}`);
+        process.exit(usage ? 2 : 1);
+    });
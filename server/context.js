@@ -0,0 +1,29 @@
+// Who a request runs for, available anywhere down the call chain (pipeline,
+// providers, jobs started by the request) without passing it along by hand.
+// Set by the auth middleware; see auth.js.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function, and everything it starts, in a request context.
+ * @param {object} context
+ * @param {object} context.user - Signed-in account (see accounts.js)
+ * @param {string} [context.geminiKey] - The user's own Gemini key, used instead of the shared one
+ * @param {function(string): void} [context.onModelCall] - Called with the capability
+ *   ('text', 'image', 'edit', 'ocr') before each model call; may throw to refuse it
+ * @param {number} [context.deadline] - Time (ms since epoch) by which model calls,
+ *   retries and fallbacks must be done; see model-errors.js
+ * @param {function} fn
+ */
+const runInContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * @returns {object|null} Context of the request being handled, if any
+ */
+const currentContext = () => storage.getStore() || null;
+
+module.exports = {
+    runInContext,
+    currentContext
+};
@@ -0,0 +1,409 @@
+// Turns the flat text coming out of pdf-parse (or pasted by the user) into a
+// structured document, and picks the parts of it that go into the LLM prompt.
+
+// Rough conversion used for the prompt budget; good enough for English and
+// German prose, which is all the token budget has to guard against.
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.PROMPT_TOKEN_BUDGET, 10) || 8000;
+
+// Canonical section kinds, matched against the heading text
+const SECTION_KINDS = [
+    { kind: 'abstract', pattern: /^(abstract|summary)$/i },
+    { kind: 'introduction', pattern: /^introduction/i },
+    { kind: 'background', pattern: /^(background|related work|literature review|theory|theoretical (background|framework))/i },
+    { kind: 'methods', pattern: /^(methods?|materials and methods|methodology|experimental|experiments?|study design|data( and methods)?|approach)/i },
+    { kind: 'results', pattern: /^(results|findings|evaluation)/i },
+    { kind: 'discussion', pattern: /^discussion/i },
+    { kind: 'conclusion', pattern: /^(conclusions?|concluding remarks|outlook|implications|limitations)/i },
+    { kind: 'references', pattern: /^(references|bibliography|literature cited|works cited)$/i },
+    { kind: 'acknowledgements', pattern: /^(acknowledge?ments?|funding|author contributions|conflicts? of interest|competing interests)/i },
+    { kind: 'appendix', pattern: /^(appendix|supplementary)/i }
+];
+
+// Which section kinds to read first for each focus mode offered in Step 2
+const FOCUS_PRIORITIES = {
+    'Balanced overview': ['introduction', 'methods', 'results', 'discussion', 'conclusion'],
+    'Core scientific concepts': ['introduction', 'background', 'discussion', 'conclusion'],
+    'Methodology & process': ['methods', 'results', 'introduction'],
+    'Results & findings': ['results', 'discussion', 'conclusion', 'captions'],
+    'Broader implications': ['discussion', 'conclusion', 'introduction', 'results']
+};
+
+// Sections that never make it into the prompt
+const EXCLUDED_KINDS = ['references', 'acknowledgements', 'appendix'];
+
+const UNNUMBERED_HEADING = /^(?:[IVX]+\.\s+)?([A-Za-z][A-Za-z &-]{2,40})$/;
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,2})*)\.?\s+([A-Z][^\n]{1,80})$/;
+const CAPTION = /^(fig(?:ure)?|table)\.?\s*(\d+|[IVX]+)\s*[.:|—–-]?\s*(.*)$/i;
+const INLINE_ABSTRACT = /^abstract\s*[:.—–-]\s*(.+)$/i;
+
+const classifyHeading = (heading) => {
+    const match = SECTION_KINDS.find(({ pattern }) => pattern.test(heading.trim()));
+    return match ? match.kind : 'other';
+};
+
+const normalizeText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/-\n(?=[a-z])/g, '') // re-join hyphenated line breaks
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n');
+
+const looksLikeTitleLine = (line) => line.split(/\s+/).length >= 3
+    && line.length < 200
+    && !/[.:]$/.test(line)
+    && !/(doi|https?:|www\.|©|issn|vol\.|journal|received|accepted|preprint|arxiv)/i.test(line)
+    && !/@/.test(line);
+
+// Author lines are mostly capitalised name tokens joined by commas or "and"
+const looksLikeAuthorLine = (line) => {
+    const words = line.split(/[\s,;&]+/).filter(word => word && !/^(and|\d+|[*†‡§¶])$/.test(word));
+    const capitalised = words.filter(word => /^[A-ZÀ-Ý][\p{L}.'-]*[\d*†‡§¶]*$/u.test(word));
+    return words.length > 1
+        && capitalised.length / words.length >= 0.7
+        && !/[.:;]\s*$/.test(line)
+        && line.length < 300;
+};
+
+const AFFILIATION = /(universit|department|institut|faculty|school of|college|laborator|hospital|centre|center for)/i;
+
+// Detects a section heading on a single line. Numbered headings must follow
+// on from the previous top-level number so that table rows and affiliation
+// markers are not mistaken for sections.
+const detectHeading = (line, lastTopNumber) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.length > 90 || /[.,;:]$/.test(trimmed)) return null;
+
+    const numbered = trimmed.match(NUMBERED_HEADING);
+    if (numbered) {
+        const number = numbered[1];
+        const heading = numbered[2].trim();
+        const top = parseInt(number.split('.')[0], 10);
+        const isSubsection = number.includes('.');
+        const wordCount = heading.split(/\s+/).length;
+        if (wordCount > 10 || /\d{3,}|[,@]/.test(heading) || AFFILIATION.test(heading)) return null;
+        if (!isSubsection && top !== lastTopNumber + 1) return null;
+        if (isSubsection && top !== lastTopNumber) return null;
+        return { number, heading, isSubsection };
+    }
+
+    const unnumbered = trimmed.match(UNNUMBERED_HEADING);
+    if (unnumbered && classifyHeading(unnumbered[1]) !== 'other') {
+        return { number: null, heading: unnumbered[1].trim(), isSubsection: false };
+    }
+
+    return null;
+};
+
+const splitReferences = (text) => {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const entries = [];
+    const startsEntry = /^(\[\d+\]|\d+\.\s|\d+\s[A-Z])/;
+    const numbered = lines.filter(line => startsEntry.test(line)).length >= Math.min(3, lines.length);
+
+    lines.forEach(line => {
+        if (entries.length === 0 || (numbered ? startsEntry.test(line) : /\(\d{4}[a-z]?\)|\b\d{4}\.\s*$/.test(entries[entries.length - 1]))) {
+            entries.push(line);
+        } else {
+            entries[entries.length - 1] += ' ' + line;
+        }
+    });
+
+    return entries;
+};
+
+const extractCaptions = (lines) => {
+    const captions = [];
+    let current = null;
+
+    lines.forEach(line => {
+        const trimmed = line.trim();
+        const match = trimmed.match(CAPTION);
+        if (match && match[3]) {
+            current = {
+                type: /^t/i.test(match[1]) ? 'table' : 'figure',
+                label: `${/^t/i.test(match[1]) ? 'Table' : 'Figure'} ${match[2]}`,
+                text: match[3]
+            };
+            captions.push(current);
+        } else if (current && trimmed && current.text.length < 600 && !/[.!?]$/.test(current.text)) {
+            current.text += ' ' + trimmed;
+        } else {
+            current = null;
+        }
+    });
+
+    // The same caption is often repeated in the running text ("see Figure 2")
+    // or split over pages; keep the first full occurrence per label.
+    const seen = new Set();
+    return captions.filter(caption => {
+        if (seen.has(caption.label)) return false;
+        seen.add(caption.label);
+        return true;
+    });
+};
+
+/**
+ * Structure raw document text into title, authors, abstract, numbered
+ * sections, figure/table captions and references.
+ * @param {string} rawText - Text as returned by pdf-parse or pasted by the user
+ * @param {object} [meta] - Optional metadata (e.g. PDF info) used as a fallback for the title
+ * @returns {object} Structured document
+ */
+function structureDocument(rawText, meta = {}) {
+    const text = normalizeText(rawText || '');
+    const lines = text.split('\n');
+
+    const sections = [];
+    const rawPreamble = [];
+    let current = null;
+    let lastTopNumber = 0;
+
+    lines.forEach(line => {
+        const heading = detectHeading(line, lastTopNumber);
+
+        if (heading && !heading.isSubsection) {
+            if (heading.number) lastTopNumber = parseInt(heading.number, 10);
+            current = {
+                number: heading.number,
+                heading: heading.heading,
+                kind: classifyHeading(heading.heading),
+                lines: []
+            };
+            sections.push(current);
+            return;
+        }
+
+        if (current) {
+            current.lines.push(line);
+        } else {
+            rawPreamble.push(line);
+        }
+    });
+
+    // Title and authors come from the first lines before any section
+    const preambleLines = rawPreamble.map(line => line.trim()).filter(Boolean);
+    let preamble = preambleLines;
+    let abstract = '';
+    const inlineAbstractIndex = preambleLines.findIndex(line => INLINE_ABSTRACT.test(line));
+    if (inlineAbstractIndex !== -1) {
+        abstract = [preambleLines[inlineAbstractIndex].match(INLINE_ABSTRACT)[1], ...preambleLines.slice(inlineAbstractIndex + 1)].join(' ');
+        preamble = preambleLines.slice(0, inlineAbstractIndex);
+    }
+
+    const titleIndex = preamble.findIndex(looksLikeTitleLine);
+    let title = meta.title || '';
+    let authors = [];
+    if (titleIndex !== -1) {
+        title = preamble[titleIndex];
+        let next = titleIndex + 1;
+        // Titles frequently wrap onto a second line
+        if (preamble[next] && !looksLikeAuthorLine(preamble[next]) && looksLikeTitleLine(preamble[next])) {
+            title += ' ' + preamble[next];
+            next++;
+        }
+        if (preamble[next] && looksLikeAuthorLine(preamble[next])) {
+            authors = preamble[next]
+                .replace(/[\d*†‡§¶]+/g, '')
+                .split(/\s*(?:,|;|\band\b|&)\s*/)
+                .map(name => name.trim())
+                .filter(name => name.length > 2);
+        }
+    }
+
+    const abstractSection = sections.find(section => section.kind === 'abstract');
+    if (abstractSection) {
+        abstract = abstractSection.lines.join(' ').replace(/\s+/g, ' ').trim();
+    } else if (!abstract && sections.length > 0) {
+        // Without a heading, take the first long paragraph before the body
+        const paragraph = rawPreamble.join('\n').split(/\n\s*\n/).find(p => p.length > 400);
+        abstract = paragraph ? paragraph.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    const referencesSection = sections.find(section => section.kind === 'references');
+    const references = referencesSection ? splitReferences(referencesSection.lines.join('\n')) : [];
+
+    const bodySections = sections
+        .filter(section => section.kind !== 'abstract' && section.kind !== 'references')
+        .map(section => ({
+            number: section.number,
+            heading: section.heading,
+            kind: section.kind,
+            text: section.lines.join('\n').replace(/\n{2,}/g, '\n\n').trim()
+        }))
+        .filter(section => section.text.length > 0);
+
+    // Documents without recognisable headings (pasted notes, short texts)
+    // become a single body section so nothing is lost.
+    if (bodySections.length === 0) {
+        const body = rawPreamble.join('\n').trim();
+        if (body) {
+            bodySections.push({ number: null, heading: 'Body', kind: 'other', text: body });
+        }
+    }
+
+    return {
+        title,
+        authors,
+        abstract,
+        sections: bodySections,
+        captions: extractCaptions(lines),
+        references
+    };
+}
+
+/**
+ * Structure a document whose headings are marked up in the source (Word
+ * heading styles, HTML/Markdown headings, LaTeX sectioning), so nothing has
+ * to be guessed from the layout. Subsections are folded into their top-level
+ * section under their own heading line.
+ * @param {object} outline
+ * @param {string} [outline.title]
+ * @param {string[]} [outline.authors]
+ * @param {string} [outline.abstract]
+ * @param {string} [outline.preamble] - Text before the first heading
+ * @param {Array<{heading: string, level: number, text: string}>} outline.sections - In reading order
+ * @returns {object} Same shape as structureDocument
+ */
+function structureOutline({ title = '', authors = [], abstract = '', preamble = '', sections: allSections = [] }) {
+    // A lone top-level heading above all the others is the document title,
+    // and the text right under it belongs to the preamble
+    let sections = allSections;
+    let lead = preamble;
+    if (sections.length > 1 && sections.filter(section => section.level <= sections[0].level).length === 1) {
+        title = title || sections[0].heading;
+        lead = [preamble, sections[0].text].filter(Boolean).join('\n\n');
+        sections = sections.slice(1);
+    }
+
+    const topLevel = Math.min(...sections.map(section => section.level));
+    const grouped = [];
+    sections.forEach(section => {
+        const numbered = section.heading.match(/^(\d{1,2}(?:\.\d{1,2})*)\.?\s+(.+)$/);
+        const heading = numbered ? numbered[2].trim() : section.heading.trim();
+        if (section.level === topLevel || grouped.length === 0) {
+            grouped.push({ number: numbered ? numbered[1] : null, heading, kind: classifyHeading(heading), parts: [section.text] });
+        } else {
+            grouped[grouped.length - 1].parts.push(`${section.heading.trim()}\n${section.text}`);
+        }
+    });
+
+    let documentAbstract = abstract;
+    const abstractSection = grouped.find(section => section.kind === 'abstract');
+    if (!documentAbstract && abstractSection) {
+        documentAbstract = abstractSection.parts.join(' ');
+    }
+    const referencesSection = grouped.find(section => section.kind === 'references');
+
+    const bodySections = grouped
+        .filter(section => section.kind !== 'abstract' && section.kind !== 'references')
+        .map(section => ({
+            number: section.number,
+            heading: section.heading,
+            kind: section.kind,
+            text: normalizeText(section.parts.join('\n\n')).trim()
+        }))
+        .filter(section => section.text.length > 0);
+
+    // Text before the first heading is the whole body of a document without
+    // headings, and otherwise stands in for an abstract that is not marked up
+    const leadText = normalizeText(lead).trim();
+    if (leadText && bodySections.length === 0) {
+        bodySections.push({ number: null, heading: 'Body', kind: 'other', text: leadText });
+    } else if (leadText && !documentAbstract) {
+        documentAbstract = leadText;
+    }
+
+    const allText = [lead, ...sections.map(section => section.text)].join('\n');
+    return {
+        title: title.trim(),
+        authors,
+        abstract: documentAbstract.replace(/\s+/g, ' ').trim(),
+        sections: bodySections,
+        captions: extractCaptions(normalizeText(allText).split('\n')),
+        references: referencesSection ? splitReferences(referencesSection.parts.join('\n')) : []
+    };
+}
+
+// Cut text to at most maxChars, preferring to end on a sentence boundary
+const clip = (text, maxChars) => {
+    if (text.length <= maxChars) return text;
+    const cut = text.slice(0, maxChars);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('.\n'));
+    return (sentenceEnd > maxChars * 0.6 ? cut.slice(0, sentenceEnd + 1) : cut) + ' […]';
+};
+
+/**
+ * Select the parts of a structured document that fit a token budget,
+ * reading the sections that matter for the chosen focus first.
+ * @param {object} document - Output of structureDocument
+ * @param {string} focus - One of the Step 2 focus modes
+ * @param {object} [options]
+ * @param {number} [options.tokenBudget] - Approximate token budget for the document content
+ * @returns {string} Document content for the prompt
+ */
+function selectContent(document, focus, { tokenBudget = DEFAULT_TOKEN_BUDGET } = {}) {
+    const budget = tokenBudget * CHARS_PER_TOKEN;
+    const priorities = FOCUS_PRIORITIES[focus] || FOCUS_PRIORITIES['Balanced overview'];
+
+    const header = [
+        document.title && `Title: ${document.title}`,
+        document.authors && document.authors.length > 0 && `Authors: ${document.authors.join(', ')}`,
+        document.abstract && `Abstract: ${clip(document.abstract, Math.floor(budget / 4))}`
+    ].filter(Boolean).join('\n');
+
+    const candidates = document.sections
+        .filter(section => !EXCLUDED_KINDS.includes(section.kind))
+        .map(section => ({
+            label: [section.number, section.heading].filter(Boolean).join(' '),
+            kind: section.kind,
+            text: section.text
+        }));
+
+    if (document.captions && document.captions.length > 0) {
+        candidates.push({
+            label: 'Figure and table captions',
+            kind: 'captions',
+            text: document.captions.map(caption => `${caption.label}: ${caption.text}`).join('\n')
+        });
+    }
+
+    // Sections the focus asks for weigh three times as much as the rest
+    const prioritised = (candidate) => priorities.includes(candidate.kind);
+    const weighted = candidates.map((candidate, index) => ({ ...candidate, index, weight: prioritised(candidate) ? 3 : 1 }));
+
+    // Fill the budget shortest-first (relative to weight): short sections go in
+    // whole, and whatever they leave over is shared by the long ones.
+    let remaining = budget - header.length;
+    let remainingWeight = weighted.reduce((sum, candidate) => sum + candidate.weight, 0);
+    const picked = [];
+
+    weighted
+        .slice()
+        .sort((a, b) => a.text.length / a.weight - b.text.length / b.weight)
+        .forEach(candidate => {
+            const allowance = Math.floor(remaining * candidate.weight / remainingWeight);
+            remainingWeight -= candidate.weight;
+            if (allowance < 200) return;
+
+            const text = clip(candidate.text, allowance);
+            remaining -= text.length + candidate.label.length;
+            picked.push({ ...candidate, text });
+        });
+
+    // Present the selection in document order so the model reads a coherent paper
+    const body = picked
+        .sort((a, b) => a.index - b.index)
+        .map(candidate => `## ${candidate.label}\n${candidate.text}`)
+        .join('\n\n');
+
+    return [header, body].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+    DEFAULT_TOKEN_BUDGET,
+    FOCUS_PRIORITIES,
+    EXCLUDED_KINDS,
+    structureDocument,
+    structureOutline,
+    selectContent
+};
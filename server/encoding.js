@@ -0,0 +1,43 @@
+// Small encoders shared by the exporters, the share pages and the image code:
+// escaping text for XML, SVG and HTML, and writing PNG chunks.
+
+// The same four characters are special in XML and in HTML text and attributes
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeHtml = escapeXml;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * One PNG chunk: length, type, data and the CRC of type and data.
+ * @param {string} type - Four ASCII letters, e.g. 'IHDR' or 'iTXt'
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+const pngChunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type, 'ascii'), data])));
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, crc]);
+};
+
+module.exports = {
+    escapeXml,
+    escapeHtml,
+    pngChunk
+};
@@ -0,0 +1,61 @@
+// Self-contained HTML page: the artwork fills a box of its own aspect ratio
+// and the text blocks sit over it as headings, paragraphs and lists. Sizes are
+// in container units, so the text scales with the page and wraps by itself.
+const { escapeHtml } = require('../encoding');
+
+const TAGS = { title: 'h1', subtitle: 'p', heading: 'h2', text: 'p', label: 'p', footer: 'p' };
+
+const percent = (fraction) => `${(fraction * 100).toFixed(2)}%`;
+
+function renderBlock(block) {
+    const style = [
+        `left:${percent(block.x)}`,
+        `top:${percent(block.y)}`,
+        `width:${percent(block.width)}`,
+        `height:${percent(block.height)}`,
+        `font-size:${(block.fontSize * 100).toFixed(2)}cqh`,
+        `text-align:${block.align}`,
+        `color:${block.color}`,
+        block.background ? `background:${block.background}` : ''
+    ].filter(Boolean).join(';');
+
+    if (block.role === 'bullets') {
+        return `<ul class="block bullets" style="${style}">${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    }
+    const tag = TAGS[block.role];
+    return `<${tag} class="block ${block.role}" style="${style}">${escapeHtml(block.text).replace(/\n/g, '<br>')}</${tag}>`;
+}
+
+function render({ layout, image, width, height, title, altText, language }) {
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}" dir="${layout.direction}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: #1f2937; }
+  .infographic { position: relative; width: min(100vw, calc(100vh * ${width} / ${height})); aspect-ratio: ${width} / ${height}; container-type: size; }
+  .infographic img { position: absolute; inset: 0; width: 100%; height: 100%; }
+  .block { position: absolute; box-sizing: border-box; margin: 0; overflow: hidden; font-family: Helvetica, Arial, sans-serif; line-height: 1.25; overflow-wrap: break-word; }
+  .title, .heading { font-weight: 700; }
+  .bullets { padding-inline-start: 1.2em; }
+</style>
+</head>
+<body>
+<main class="infographic">
+  <img src="data:${image.mimeType};base64,${image.data}" alt="${escapeHtml(altText)}">
+  ${layout.blocks.map(renderBlock).join('\n  ')}
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    name: 'html',
+    label: 'HTML page',
+    extension: '.html',
+    mimeType: 'text/html',
+    render
+};
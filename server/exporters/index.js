@@ -0,0 +1,106 @@
+// Editable export registry. An exporter is a module in this directory that
+// exports:
+//
+//   name                        - format id in /api/infographics/:id/export/:name
+//   label                       - shown in Step 4
+//   extension                   - file extension of the download ('.svg', ...)
+//   mimeType                    - content type of the download
+//   render({ layout, image, width, height, title, altText, language })
+//                               - returns (or resolves with) the file as a string or Buffer:
+//                                 the artwork ({ mimeType, data (base64) }) with the text
+//                                 layer (see layout.js) set over it as real text. width and
+//                                 height are the artwork's size in pixels, language the
+//                                 BCP-47 tag of the text and altText the description
+//                                 of the artwork for screen readers (see accessibility.js)
+//
+// Every module dropped in here is offered automatically.
+const fs = require('fs');
+const path = require('path');
+const { getFormat } = require('../formats');
+
+const exporters = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => require(path.join(__dirname, file)));
+
+// JPEG start-of-frame markers carry the size; C4, C8 and CC are other segments
+const isStartOfFrame = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+/**
+ * Pixel size of a PNG, JPEG or SVG image, read from its header.
+ * @param {{mimeType: string, buffer: Buffer}} image
+ * @returns {{width: number, height: number}|null} null if the size cannot be read
+ */
+function imageSize({ mimeType, buffer }) {
+    if (mimeType === 'image/png' && buffer.length >= 24) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (mimeType === 'image/jpeg') {
+        let offset = 2;
+        while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+            const marker = buffer[offset + 1];
+            if (isStartOfFrame(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+    }
+    if (mimeType === 'image/svg+xml') {
+        const svg = buffer.toString('utf8', 0, 2048);
+        const width = parseFloat((svg.match(/<svg\b[^>]*\bwidth="([\d.]+)/) || [])[1]);
+        const height = parseFloat((svg.match(/<svg\b[^>]*\bheight="([\d.]+)/) || [])[1]);
+        return width && height ? { width, height } : null;
+    }
+    return null;
+}
+
+/**
+ * @returns {Array<{name: string, label: string, extension: string}>} The offered export formats
+ */
+const listExporters = () => exporters.map(({ name, label, extension }) => ({ name, label, extension }));
+
+/**
+ * Set the text layer over the artwork in an editable format.
+ * @param {string} name - Exporter name
+ * @param {object} params
+ * @param {object} params.layout - Text layer, see layout.js
+ * @param {{mimeType: string, buffer: Buffer}} params.image - The artwork
+ * @param {string} [params.format] - Output preset id; its aspect ratio is used
+ *   when the image size cannot be read
+ * @param {string} [params.title]
+ * @param {string} [params.altText] - Description of the artwork, defaults to the title
+ * @param {string} [params.language] - BCP-47 tag of the text
+ * @returns {Promise<{body: string|Buffer, mimeType: string, extension: string}>}
+ * @throws {Error} With status 404 if there is no such exporter
+ */
+async function exportInfographic(name, { layout, image, format, title, altText, language }) {
+    const exporter = exporters.find(candidate => candidate.name === name);
+    if (!exporter) {
+        const error = new Error(`Unknown export format "${name}". Available: ${exporters.map(candidate => candidate.name).join(', ')}`);
+        error.status = 404;
+        throw error;
+    }
+
+    let size = imageSize(image);
+    if (!size) {
+        const [w, h] = getFormat(format).aspectRatio.split(':').map(Number);
+        size = { width: 2048, height: Math.round(2048 * h / w) };
+    }
+    const body = await exporter.render({
+        layout,
+        image: { mimeType: image.mimeType, data: image.buffer.toString('base64') },
+        width: size.width,
+        height: size.height,
+        title: title || 'Infographic',
+        altText: altText || title || 'Infographic',
+        language: language || 'en'
+    });
+    return { body, mimeType: exporter.mimeType, extension: exporter.extension };
+}
+
+module.exports = {
+    exporters,
+    imageSize,
+    listExporters,
+    exportInfographic
+};
@@ -0,0 +1,159 @@
+// PowerPoint slide (Office Open XML): one slide the size of the artwork, the
+// artwork as its picture and each text block as a text box over it, so the
+// text can be corrected in PowerPoint, Keynote or LibreOffice Impress. The
+// package holds only the parts a presentation requires (one master, one blank
+// layout and a plain theme).
+const JSZip = require('jszip');
+const { escapeXml } = require('../encoding');
+
+const NS = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" '
+    + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" '
+    + 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Slide width of a 16:9 PowerPoint slide (13.33 in), in EMU; the height follows the artwork
+const SLIDE_WIDTH = 12192000;
+const EMU_PER_POINT = 12700;
+
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+
+const ALIGN = { left: 'l', center: 'ctr', right: 'r' };
+
+const relationships = (rels) => `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels
+    .map(([id, type, target]) => `<Relationship Id="${id}" Type="${type.startsWith('http') ? type : `${REL}/${type}`}" Target="${target}"/>`)
+    .join('')}</Relationships>`;
+
+const emptyTree = '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>'
+    + '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+
+const xfrm = (x, y, cx, cy) => `<a:xfrm><a:off x="${Math.round(x)}" y="${Math.round(y)}"/><a:ext cx="${Math.round(cx)}" cy="${Math.round(cy)}"/></a:xfrm>`;
+
+const THEME = `${XML_HEADER}<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="MyInfographic"><a:themeElements>`
+    + '<a:clrScheme name="MyInfographic"><a:dk1><a:srgbClr val="1F2937"/></a:dk1><a:lt1><a:srgbClr val="FFFFFF"/></a:lt1>'
+    + '<a:dk2><a:srgbClr val="111827"/></a:dk2><a:lt2><a:srgbClr val="F8FAFC"/></a:lt2>'
+    + ['8B5CF6', 'EC4899', '06B6D4', '22C55E', 'F59E0B', 'EF4444'].map((color, index) => `<a:accent${index + 1}><a:srgbClr val="${color}"/></a:accent${index + 1}>`).join('')
+    + '<a:hlink><a:srgbClr val="0EA5E9"/></a:hlink><a:folHlink><a:srgbClr val="6366F1"/></a:folHlink></a:clrScheme>'
+    + '<a:fontScheme name="MyInfographic">'
+    + ['major', 'minor'].map(kind => `<a:${kind}Font><a:latin typeface="Arial"/><a:ea typeface=""/><a:cs typeface=""/></a:${kind}Font>`).join('')
+    + '</a:fontScheme><a:fmtScheme name="MyInfographic">'
+    + `<a:fillStyleLst>${'<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>'.repeat(3)}</a:fillStyleLst>`
+    + `<a:lnStyleLst>${'<a:ln w="9525"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>'.repeat(3)}</a:lnStyleLst>`
+    + `<a:effectStyleLst>${'<a:effectStyle><a:effectLst/></a:effectStyle>'.repeat(3)}</a:effectStyleLst>`
+    + `<a:bgFillStyleLst>${'<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>'.repeat(3)}</a:bgFillStyleLst>`
+    + '</a:fmtScheme></a:themeElements></a:theme>';
+
+const MASTER = `${XML_HEADER}<p:sldMaster ${NS}><p:cSld><p:spTree>${emptyTree}</p:spTree></p:cSld>`
+    + '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" '
+    + 'accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>'
+    + '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst></p:sldMaster>';
+
+const LAYOUT = `${XML_HEADER}<p:sldLayout ${NS} type="blank" preserve="1"><p:cSld name="Blank"><p:spTree>${emptyTree}</p:spTree></p:cSld>`
+    + '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>';
+
+function paragraph(text, { block, direction, size, language, bullet }) {
+    const align = block.align === 'start' ? (direction === 'rtl' ? 'r' : 'l') : ALIGN[block.align];
+    const properties = `algn="${align}"${direction === 'rtl' ? ' rtl="1"' : ''}${bullet ? ' marL="285750" indent="-285750"' : ''}`;
+    const bulletStyle = bullet ? '<a:buFont typeface="Arial"/><a:buChar char="•"/>' : '<a:buNone/>';
+    const bold = ['title', 'heading'].includes(block.role) ? ' b="1"' : '';
+    return `<a:p><a:pPr ${properties}>${bulletStyle}</a:pPr>`
+        + `<a:r><a:rPr lang="${escapeXml(language)}" sz="${size}"${bold} dirty="0"><a:solidFill><a:srgbClr val="${block.color.slice(1).toUpperCase()}"/></a:solidFill></a:rPr>`
+        + `<a:t>${escapeXml(text)}</a:t></a:r></a:p>`;
+}
+
+function textBox(block, index, { slideWidth, slideHeight, direction, language }) {
+    // Font size in hundredths of a point, within what PowerPoint accepts
+    const size = Math.min(Math.max(Math.round(block.fontSize * slideHeight / EMU_PER_POINT * 100), 100), 400000);
+    const paragraphs = block.role === 'bullets'
+        ? block.items.map(item => paragraph(item, { block, direction, size, language, bullet: true }))
+        : block.text.split('\n').map(line => paragraph(line, { block, direction, size, language }));
+    const fill = block.background ? `<a:solidFill><a:srgbClr val="${block.background.slice(1).toUpperCase()}"/></a:solidFill>` : '<a:noFill/>';
+
+    return `<p:sp><p:nvSpPr><p:cNvPr id="${index + 3}" name="${escapeXml(`${block.role} ${index + 1}`)}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>`
+        + `<p:spPr>${xfrm(block.x * slideWidth, block.y * slideHeight, block.width * slideWidth, block.height * slideHeight)}`
+        + `<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>${fill}</p:spPr>`
+        + '<p:txBody><a:bodyPr wrap="square" lIns="0" tIns="0" rIns="0" bIns="0" rtlCol="0"><a:normAutofit/></a:bodyPr><a:lstStyle/>'
+        + `${paragraphs.join('')}</p:txBody></p:sp>`;
+}
+
+function slide({ layout, image, slideWidth, slideHeight, altText, language }) {
+    // PowerPoint shows SVG pictures through an extension of the picture element
+    const svgBlip = image.mimeType === 'image/svg+xml'
+        ? '<a:extLst><a:ext uri="{96DAC541-7B7A-43D3-8B79-37D633B846F1}"><asvg:svgBlip xmlns:asvg="http://schemas.microsoft.com/office/drawing/2016/SVG/main" r:embed="rId2"/></a:ext></a:extLst>'
+        : '';
+    const picture = `<p:pic><p:nvPicPr><p:cNvPr id="2" name="Artwork" descr="${escapeXml(altText)}"/><p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>`
+        + `<p:blipFill><a:blip r:embed="rId2">${svgBlip}</a:blip><a:stretch><a:fillRect/></a:stretch></p:blipFill>`
+        + `<p:spPr>${xfrm(0, 0, slideWidth, slideHeight)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>`;
+    const boxes = layout.blocks.map((block, index) => textBox(block, index, { slideWidth, slideHeight, direction: layout.direction, language }));
+
+    return `${XML_HEADER}<p:sld ${NS}><p:cSld><p:spTree>${emptyTree}${picture}${boxes.join('')}</p:spTree></p:cSld>`
+        + '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>';
+}
+
+async function render({ layout, image, width, height, title, altText, language }) {
+    const slideWidth = SLIDE_WIDTH;
+    const slideHeight = Math.round(SLIDE_WIDTH * height / width);
+    const extension = EXTENSIONS[image.mimeType] || 'png';
+    const zip = new JSZip();
+    // Parts only: Office packages have no folder entries
+    const add = (name, content) => zip.file(name, content, { createFolders: false });
+
+    add('[Content_Types].xml', `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + `<Default Extension="${extension}" ContentType="${image.mimeType}"/>`
+        + `<Override PartName="/ppt/presentation.xml" ContentType="${CONTENT_TYPE}.presentationml.presentation.main+xml"/>`
+        + `<Override PartName="/ppt/slideMasters/slideMaster1.xml" ContentType="${CONTENT_TYPE}.presentationml.slideMaster+xml"/>`
+        + `<Override PartName="/ppt/slideLayouts/slideLayout1.xml" ContentType="${CONTENT_TYPE}.presentationml.slideLayout+xml"/>`
+        + `<Override PartName="/ppt/slides/slide1.xml" ContentType="${CONTENT_TYPE}.presentationml.slide+xml"/>`
+        + `<Override PartName="/ppt/theme/theme1.xml" ContentType="${CONTENT_TYPE}.theme+xml"/>`
+        + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+        + `<Override PartName="/docProps/app.xml" ContentType="${CONTENT_TYPE}.extended-properties+xml"/>`
+        + '</Types>');
+    add('_rels/.rels', relationships([
+        ['rId1', 'officeDocument', 'ppt/presentation.xml'],
+        ['rId2', 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', 'docProps/core.xml'],
+        ['rId3', 'extended-properties', 'docProps/app.xml']
+    ]));
+    add('docProps/core.xml', `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" `
+        + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+        + `<dc:title>${escapeXml(title)}</dc:title><dc:language>${escapeXml(language)}</dc:language>`
+        + `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString()}</dcterms:created></cp:coreProperties>`);
+    add('docProps/app.xml', `${XML_HEADER}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">`
+        + '<Application>MyInfographic</Application><Slides>1</Slides></Properties>');
+
+    add('ppt/presentation.xml', `${XML_HEADER}<p:presentation ${NS}>`
+        + '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>'
+        + '<p:sldIdLst><p:sldId id="256" r:id="rId2"/></p:sldIdLst>'
+        + `<p:sldSz cx="${slideWidth}" cy="${slideHeight}"/><p:notesSz cx="6858000" cy="9144000"/></p:presentation>`);
+    add('ppt/_rels/presentation.xml.rels', relationships([
+        ['rId1', 'slideMaster', 'slideMasters/slideMaster1.xml'],
+        ['rId2', 'slide', 'slides/slide1.xml'],
+        ['rId3', 'theme', 'theme/theme1.xml']
+    ]));
+    add('ppt/theme/theme1.xml', THEME);
+    add('ppt/slideMasters/slideMaster1.xml', MASTER);
+    add('ppt/slideMasters/_rels/slideMaster1.xml.rels', relationships([
+        ['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml'],
+        ['rId2', 'theme', '../theme/theme1.xml']
+    ]));
+    add('ppt/slideLayouts/slideLayout1.xml', LAYOUT);
+    add('ppt/slideLayouts/_rels/slideLayout1.xml.rels', relationships([['rId1', 'slideMaster', '../slideMasters/slideMaster1.xml']]));
+    add('ppt/slides/slide1.xml', slide({ layout, image, slideWidth, slideHeight, altText, language }));
+    add('ppt/slides/_rels/slide1.xml.rels', relationships([
+        ['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml'],
+        ['rId2', 'image', `../media/artwork.${extension}`]
+    ]));
+    add(`ppt/media/artwork.${extension}`, Buffer.from(image.data, 'base64'));
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+    name: 'pptx',
+    label: 'PowerPoint slide',
+    extension: '.pptx',
+    mimeType: `${CONTENT_TYPE}.presentationml.presentation`,
+    render
+};
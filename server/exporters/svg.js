@@ -0,0 +1,75 @@
+// Editable SVG: the artwork as an embedded image, each text block as SVG text
+// over it, one group per block. SVG has no text wrapping of its own, so lines
+// are broken by an estimate of the character width; Inkscape, Illustrator and
+// Figma can edit the text from there.
+const { escapeXml } = require('../encoding');
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const LINE_HEIGHT = 1.25;
+// Average character width of a sans-serif font, relative to its size
+const CHAR_WIDTH = 0.55;
+
+const wrap = (text, maxChars) => {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        if (line && (line + ' ' + word).length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = (line + ' ' + word).trim();
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+};
+
+// 'start' is the left edge in left-to-right text and the right edge otherwise
+const physicalAlign = (align, direction) => {
+    if (align !== 'start') return align;
+    return direction === 'rtl' ? 'right' : 'left';
+};
+
+function renderBlock(block, index, { width, height, direction }) {
+    const x = block.x * width;
+    const y = block.y * height;
+    const boxWidth = block.width * width;
+    const fontSize = block.fontSize * height;
+    const maxChars = Math.max(4, Math.floor(boxWidth / (fontSize * CHAR_WIDTH)));
+    const paragraphs = block.role === 'bullets' ? block.items.map(item => `• ${item}`) : block.text.split('\n');
+    const lines = paragraphs.flatMap(paragraph => wrap(paragraph, maxChars));
+
+    const align = physicalAlign(block.align, direction);
+    const anchorX = align === 'center' ? x + boxWidth / 2 : (align === 'right' ? x + boxWidth : x);
+    // In right-to-left text, 'start' anchors on the right
+    const anchor = align === 'center' ? 'middle' : ((align === 'right') === (direction === 'rtl') ? 'start' : 'end');
+    const weight = ['title', 'heading'].includes(block.role) ? ' font-weight="700"' : '';
+    const tspans = lines
+        .map((line, i) => `<tspan x="${anchorX.toFixed(1)}" dy="${i === 0 ? 0 : (fontSize * LINE_HEIGHT).toFixed(1)}">${escapeXml(line)}</tspan>`)
+        .join('');
+
+    return `<g id="text-${index + 1}" data-role="${block.role}">
+    ${block.background ? `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${boxWidth.toFixed(1)}" height="${(block.height * height).toFixed(1)}" fill="${block.background}"/>\n    ` : ''}`
+        + `<text y="${(y + fontSize).toFixed(1)}" font-size="${fontSize.toFixed(1)}"${weight} fill="${block.color}" text-anchor="${anchor}"${direction === 'rtl' ? ' direction="rtl"' : ''}>${tspans}</text>
+  </g>`;
+}
+
+function render({ layout, image, width, height, title, altText, language }) {
+    const blocks = layout.blocks.map((block, index) => renderBlock(block, index, { width, height, direction: layout.direction }));
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}" xml:lang="${escapeXml(language)}">
+  <title>${escapeXml(title)}</title>
+  <desc>${escapeXml(altText)}</desc>
+  <image id="artwork" width="${width}" height="${height}" href="data:${image.mimeType};base64,${image.data}"/>
+  ${blocks.join('\n  ')}
+</svg>
+`;
+}
+
+module.exports = {
+    name: 'svg',
+    label: 'SVG (vector editors)',
+    extension: '.svg',
+    mimeType: 'image/svg+xml',
+    render
+};
@@ -0,0 +1,86 @@
+// Word documents: paragraphs from word/document.xml, with the headings taken
+// from their paragraph style (Heading 1–6, or any style with an outline
+// level, so localised style names work too) and the title and authors from
+// the document properties.
+const JSZip = require('jszip');
+const { decodeEntities } = require('./html');
+
+const attribute = (xml, tag) => (xml.match(new RegExp(`<w:${tag}\\b[^>]*\\bw:val="([^"]*)"`)) || [])[1];
+
+// Style id → heading level (1–6), or 0 for the Title style
+function headingStyles(stylesXml) {
+    const levels = {};
+    for (const [style] of stylesXml.matchAll(/<w:style\b[\s\S]*?<\/w:style>/g)) {
+        const id = (style.match(/\bw:styleId="([^"]+)"/) || [])[1];
+        const name = (attribute(style, 'name') || '').toLowerCase();
+        const outline = attribute(style, 'outlineLvl');
+        const heading = name.match(/^heading (\d)$/);
+        if (!id) continue;
+        if (name === 'title') levels[id] = 0;
+        else if (heading) levels[id] = parseInt(heading[1], 10);
+        else if (outline !== undefined && parseInt(outline, 10) < 6) levels[id] = parseInt(outline, 10) + 1;
+    }
+    return levels;
+}
+
+const paragraphText = (paragraph) => decodeEntities(paragraph
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:br\b[^>]*\/>/g, '\n')
+    .replace(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<[^>]+>/g, (match, text) => text || ''))
+    .trim();
+
+async function extract(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const documentFile = zip.file('word/document.xml');
+    if (!documentFile) {
+        throw new Error('Not a Word document (word/document.xml is missing)');
+    }
+    const stylesFile = zip.file('word/styles.xml');
+    const coreFile = zip.file('docProps/core.xml');
+    const levels = headingStyles(stylesFile ? await stylesFile.async('string') : '');
+    const core = coreFile ? await coreFile.async('string') : '';
+
+    let title = decodeEntities((core.match(/<dc:title>([^<]*)<\/dc:title>/) || [])[1] || '').trim();
+    const creator = decodeEntities((core.match(/<dc:creator>([^<]*)<\/dc:creator>/) || [])[1] || '');
+    const preamble = [];
+    const sections = [];
+    const lines = [];
+
+    const xml = await documentFile.async('string');
+    for (const [paragraph] of xml.matchAll(/<w:p\b[\s\S]*?<\/w:p>/g)) {
+        const text = paragraphText(paragraph);
+        if (!text) continue;
+        lines.push(text);
+
+        const style = attribute(paragraph, 'pStyle');
+        const outline = attribute(paragraph, 'outlineLvl');
+        const level = style in levels ? levels[style] : (outline !== undefined ? parseInt(outline, 10) + 1 : undefined);
+        if (level === 0) {
+            title = title || text;
+        } else if (level >= 1 && level <= 6) {
+            sections.push({ heading: text, level, text: '' });
+        } else if (sections.length > 0) {
+            const section = sections[sections.length - 1];
+            section.text += `${text}\n`;
+        } else {
+            preamble.push(text);
+        }
+    }
+
+    return {
+        text: lines.join('\n'),
+        outline: {
+            title,
+            authors: creator.split(/\s*;\s*/).filter(Boolean),
+            preamble: preamble.join('\n'),
+            sections
+        }
+    };
+}
+
+module.exports = {
+    name: 'docx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    extract
+};
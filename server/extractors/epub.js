@@ -0,0 +1,71 @@
+// EPUB books and reports: the chapters in reading order (the package's
+// spine), each split at its headings like an HTML page, and the title and
+// authors from the package metadata.
+const path = require('path');
+const JSZip = require('jszip');
+const { decodeEntities, htmlToText, htmlSections } = require('./html');
+
+const elementText = (xml, tag) => [...xml.matchAll(new RegExp(`<(?:dc:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:dc:)?${tag}>`, 'gi'))]
+    .map(match => decodeEntities(match[1].replace(/<[^>]+>/g, '')).trim())
+    .filter(Boolean);
+
+const attributeOf = (tag, name) => {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"|\\b${name}\\s*=\\s*'([^']*)'`, 'i'));
+    return match ? decodeEntities(match[1] !== undefined ? match[1] : match[2]) : undefined;
+};
+
+async function extract(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const container = zip.file('META-INF/container.xml');
+    const rootfile = container && ((await container.async('string')).match(/<rootfile\b[^>]*>/i) || [])[0];
+    const packagePath = rootfile && attributeOf(rootfile, 'full-path');
+    const packageFile = packagePath && zip.file(packagePath);
+    if (!packageFile) {
+        throw new Error('Not an EPUB (META-INF/container.xml or the package document is missing)');
+    }
+
+    const opf = await packageFile.async('string');
+    const base = path.posix.dirname(packagePath);
+    const manifest = {};
+    for (const [item] of opf.matchAll(/<item\b[^>]*>/gi)) {
+        manifest[attributeOf(item, 'id')] = { href: attributeOf(item, 'href'), type: attributeOf(item, 'media-type') || '' };
+    }
+    const spine = [...opf.matchAll(/<itemref\b[^>]*>/gi)]
+        .map(([itemref]) => manifest[attributeOf(itemref, 'idref')])
+        .filter(item => item && /html/.test(item.type));
+
+    const texts = [];
+    const sections = [];
+    let preamble = '';
+    for (const item of spine) {
+        const file = zip.file(path.posix.normalize(path.posix.join(base === '.' ? '' : base, decodeURIComponent(item.href.split('#')[0]))));
+        if (!file) continue;
+        const html = await file.async('string');
+        const chapter = htmlSections(html);
+        texts.push(htmlToText(html));
+        if (sections.length === 0) {
+            preamble = [preamble, chapter.preamble].filter(Boolean).join('\n\n');
+        } else if (chapter.preamble) {
+            // Text ahead of a chapter's first heading continues the previous section
+            sections[sections.length - 1].text += `\n\n${chapter.preamble}`;
+        }
+        sections.push(...chapter.sections);
+    }
+
+    return {
+        text: texts.filter(Boolean).join('\n\n'),
+        outline: {
+            title: elementText(opf, 'title')[0] || '',
+            authors: elementText(opf, 'creator'),
+            preamble,
+            sections
+        }
+    };
+}
+
+module.exports = {
+    name: 'epub',
+    mimeTypes: ['application/epub+zip'],
+    extensions: ['.epub'],
+    extract
+};
@@ -0,0 +1,118 @@
+// HTML pages and files: the headings give the structure, the Highwire
+// `citation_*` meta tags most publishers and repositories emit give the
+// title and authors. The helpers are shared with the paper importers and the
+// EPUB extractor.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] || match;
+});
+
+// All <meta name|property="..." content="..."> pairs, attribute order-independent
+function metaTags(html) {
+    const tags = [];
+    for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+        const key = (tag.match(/\b(?:name|property)\s*=\s*["']([^"']+)["']/i) || [])[1];
+        const content = (tag.match(/\bcontent\s*=\s*"([^"]*)"|\bcontent\s*=\s*'([^']*)'/i) || []).slice(1).find(value => value !== undefined);
+        if (key && content !== undefined) {
+            tags.push({ key: key.toLowerCase(), content: decodeEntities(content).trim() });
+        }
+    }
+    return tags;
+}
+
+/**
+ * Citation metadata of an article page.
+ * @param {string} html
+ * @returns {{title?: string, authors: string[], venue?: string, year?: number, doi?: string, pdfUrl?: string}}
+ */
+function htmlMetadata(html) {
+    const tags = metaTags(html);
+    const first = (...keys) => {
+        const tag = keys.map(key => tags.find(candidate => candidate.key === key)).find(Boolean);
+        return tag ? tag.content : undefined;
+    };
+    const date = first('citation_publication_date', 'citation_date', 'citation_online_date', 'dc.date');
+    const pageTitle = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+
+    return {
+        title: first('citation_title', 'dc.title', 'og:title') || (pageTitle && decodeEntities(pageTitle).trim()),
+        authors: tags.filter(tag => tag.key === 'citation_author' || tag.key === 'dc.creator').map(tag => tag.content),
+        venue: first('citation_journal_title', 'citation_conference_title', 'citation_publisher', 'og:site_name'),
+        year: date && parseInt((date.match(/\d{4}/) || [])[0], 10) || undefined,
+        doi: first('citation_doi', 'dc.identifier'),
+        pdfUrl: first('citation_pdf_url')
+    };
+}
+
+// The article (or main, or body) element without scripts, navigation and comments
+const contentOf = (html) => (html.match(/<article\b[\s\S]*<\/article>/i) || html.match(/<main\b[\s\S]*<\/main>/i) || html.match(/<body\b[\s\S]*<\/body>/i) || [html])[0]
+    .replace(/<(script|style|noscript|nav|header|footer|aside|svg|form)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+// Markup to text, with block elements on their own lines
+const markupToText = (fragment) => decodeEntities(fragment
+    .replace(/<(h[1-6])\b[^>]*>/gi, '\n\n')
+    .replace(/<\/(h[1-6])>/gi, '\n')
+    .replace(/<(br|\/p|\/div|\/li|\/tr|\/section|\/figcaption|\/blockquote)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Readable text of a page: the article (or main) element if there is one,
+ * with block elements on their own lines and all markup removed.
+ * @param {string} html
+ * @returns {string}
+ */
+const htmlToText = (html) => markupToText(contentOf(html));
+
+/**
+ * Sections of a page, split at its h1–h6 headings.
+ * @param {string} html
+ * @returns {{preamble: string, sections: Array<{heading: string, level: number, text: string}>}}
+ */
+function htmlSections(html) {
+    const content = contentOf(html);
+    const headings = [...content.matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi)];
+
+    const sections = headings.map((match, index) => {
+        const end = index + 1 < headings.length ? headings[index + 1].index : content.length;
+        return {
+            heading: markupToText(match[2]),
+            level: parseInt(match[1], 10),
+            text: markupToText(content.slice(match.index + match[0].length, end))
+        };
+    }).filter(section => section.heading);
+
+    return { preamble: markupToText(content.slice(0, headings.length > 0 ? headings[0].index : content.length)), sections };
+}
+
+async function extract(buffer) {
+    const html = buffer.toString('utf8');
+    const metadata = htmlMetadata(html);
+    const { preamble, sections } = htmlSections(html);
+
+    return {
+        text: htmlToText(html),
+        outline: { title: metadata.title, authors: metadata.authors, preamble, sections }
+    };
+}
+
+module.exports = {
+    name: 'html',
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml'],
+    extract,
+    decodeEntities,
+    htmlMetadata,
+    htmlToText,
+    htmlSections
+};
@@ -0,0 +1,107 @@
+// Document extractor registry. An extractor is a module in this directory that
+// exports:
+//
+//   name                        - stored as the source kind ('pdf', 'docx', ...)
+//   mimeTypes                   - MIME types it reads
+//   extensions                  - file extensions it reads ('.docx', ...)
+//   extract(buffer, { filename, language })
+//                               - resolves with { text, outline?, meta?, quality?, figures?, tables? }:
+//                                 the plain text, either the marked-up structure (see
+//                                 document.structureOutline) or hints for guessing it
+//                                 from the text ({ title }), and optionally a report on
+//                                 how well the text could be read (see pdf.js); the
+//                                 language is a hint for OCR. Figures are
+//                                 { label, caption, page, width, height, png (Buffer) },
+//                                 tables { label, caption, page, rows (arrays of cell text) }
+//
+// The extension decides first, since browsers report many of these formats as
+// application/octet-stream; the MIME type is the fallback.
+const fs = require('fs');
+const path = require('path');
+const { structureDocument, structureOutline } = require('../document');
+const { hashContent, saveFigure } = require('../store');
+const { cacheKey, cached } = require('../cache');
+
+const extractors = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => require(path.join(__dirname, file)));
+
+const fail = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Extractor for an uploaded file, or null if no extractor reads it.
+ * @param {{mimetype?: string, originalname?: string}} file
+ * @returns {object|null}
+ */
+function findExtractor({ mimetype, originalname }) {
+    const extension = path.extname(originalname || '').toLowerCase();
+    return extractors.find(extractor => extension && extractor.extensions.includes(extension))
+        || extractors.find(extractor => extractor.mimeTypes.includes(mimetype))
+        || null;
+}
+
+// File types for error messages, e.g. ".pdf, .docx, .html, ..."
+const supportedExtensions = () => extractors.flatMap(extractor => extractor.extensions);
+
+// Figure images are stored (see store.saveFigure) and referred to by id and URL
+const storeFigure = async ({ png, ...figure }) => {
+    const id = await saveFigure(png);
+    return { id, ...figure, url: `/api/figures/${id}` };
+};
+
+/**
+ * Extract text and structure from an uploaded file with the matching extractor.
+ * Figures and tables found in it come back with ids, so a run can pick the
+ * ones to feature.
+ * @param {{buffer: Buffer, mimetype?: string, originalname?: string}} file
+ * @param {object} [options]
+ * @param {string} [options.language] - Language of the run, used as the OCR hint
+ * @returns {Promise<{text: string, document: object, kind: string, quality?: object, figures?: object[], tables?: object[]}>}
+ */
+async function extractFile(file, { language } = {}) {
+    const extractor = findExtractor(file);
+    if (!extractor) {
+        throw fail(`Unsupported file type. Upload one of: ${supportedExtensions().join(', ')}`, 400);
+    }
+    // The same file is read once (until the cache entry expires); the language is the OCR hint
+    const key = cacheKey(extractor.name, file.originalname || '', language || '', file.buffer);
+    const { value } = await cached('extraction', key, () => readFile(extractor, file, language));
+    return value;
+}
+
+async function readFile(extractor, file, language) {
+    let extracted;
+    try {
+        extracted = await extractor.extract(file.buffer, { filename: file.originalname, language });
+    } catch (error) {
+        // A damaged or mislabelled upload is the client's problem, not ours
+        console.error(`${extractor.name} extraction failed:`, error);
+        throw fail(`Could not read ${file.originalname || 'the file'} as ${extractor.name.toUpperCase()}: ${error.message}`, 400);
+    }
+
+    const { text, outline, meta, quality, figures = [], tables = [] } = extracted;
+    if (!text || !text.trim()) {
+        const scanned = quality && quality.poorPages && quality.poorPages.length > 0 ? ' (its scanned pages could not be read)' : '';
+        throw fail(`No text found in ${file.originalname || 'the file'}${scanned}`, 400);
+    }
+    const document = outline && outline.sections ? structureOutline(outline) : structureDocument(text, meta);
+    return {
+        text,
+        document,
+        kind: extractor.name,
+        ...(quality ? { quality } : {}),
+        ...(figures.length > 0 ? { figures: await Promise.all(figures.map(storeFigure)) } : {}),
+        ...(tables.length > 0 ? { tables: tables.map(table => ({ id: hashContent(JSON.stringify(table)).slice(0, 16), ...table })) } : {})
+    };
+}
+
+module.exports = {
+    extractors,
+    findExtractor,
+    supportedExtensions,
+    extractFile
+};
@@ -0,0 +1,201 @@
+// LaTeX sources: a single .tex file, or a .zip of a whole project (an
+// Overleaf download), whose main file is the one with \documentclass and
+// whose \input / \include files are pulled in where they are referenced.
+// Sectioning commands give the structure; \title, \author, the abstract
+// environment, figure and table captions and the bibliography are read
+// from the markup.
+const path = require('path');
+const JSZip = require('jszip');
+
+const SECTION_LEVELS = { part: 0, chapter: 1, section: 2, subsection: 3, subsubsection: 4, paragraph: 5 };
+
+// Deepest \input nesting followed, guarding against files that include each other
+const MAX_INCLUDE_DEPTH = 10;
+
+const stripComments = (source) => source.replace(/(?<!\\)%.*$/gm, '');
+
+// Content of the brace group starting at `start` (which must be "{"), and the index after it
+function readGroup(source, start) {
+    let depth = 0;
+    for (let index = start; index < source.length; index++) {
+        if (source[index] === '\\') {
+            index++;
+        } else if (source[index] === '{') {
+            depth++;
+        } else if (source[index] === '}' && --depth === 0) {
+            return { content: source.slice(start + 1, index), end: index + 1 };
+        }
+    }
+    return { content: source.slice(start + 1), end: source.length };
+}
+
+// Argument of the first \command{...}, skipping a starred form and an optional [...] argument
+function commandArgument(source, command) {
+    const match = new RegExp(`\\\\${command}\\*?\\s*(?:\\[[^\\]]*\\]\\s*)?\\{`).exec(source);
+    return match ? readGroup(source, match.index + match[0].length - 1).content : '';
+}
+
+// The source without every \command{...}, nested braces included
+function removeCommand(source, command) {
+    const pattern = new RegExp(`\\\\${command}\\*?\\s*(?:\\[[^\\]]*\\]\\s*)?\\{`);
+    let result = source;
+    let match;
+    while ((match = pattern.exec(result)) !== null) {
+        const { end } = readGroup(result, match.index + match[0].length - 1);
+        result = result.slice(0, match.index) + result.slice(end);
+    }
+    return result;
+}
+
+// Markup to readable text: formatting commands keep their argument, references and labels go
+function latexToText(source) {
+    let text = source
+        .replace(/\\(?:label|ref|eqref|cref|Cref|autoref|pageref|thanks|footnote|inst|orcid|email|vspace|hspace|includegraphics|bibliographystyle|bibliography)\*?(?:\[[^\]]*\])?\{[^{}]*\}/g, '')
+        .replace(/[ ~]*\\(?:cite[pt]?|citep|citet|citeauthor|citeyear)\*?(?:\[[^\]]*\])*\{[^{}]*\}/g, '')
+        .replace(/\\(?:begin|end)\{[^}]*\}(?:\[[^\]]*\])?(?:\{[^}]*\})?/g, '\n')
+        .replace(/\\item\s*(?:\[([^\]]*)\])?/g, (match, label) => `\n- ${label ? `${label} ` : ''}`)
+        .replace(/\\\\(?:\[[^\]]*\])?|\\newline\b|\\par\b/g, '\n')
+        .replace(/\\(?:maketitle|tableofcontents|centering|noindent|clearpage|newpage|appendix|small|footnotesize|large|Large|hline|toprule|midrule|bottomrule)\b/g, '');
+
+    // Innermost \command{argument} first until none are left
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(/\\[a-zA-Z]+\*?(?:\[[^\]]*\])?\{([^{}]*)\}/g, '$1');
+    } while (text !== previous);
+
+    return text
+        .replace(/(?<!\\)&/g, ' | ')
+        .replace(/(?<!\\)~/g, ' ')
+        .replace(/(?<!\\)\$+/g, '')
+        .replace(/(?<!\\)[{}]/g, '')
+        .replace(/\\[a-zA-Z]+\*?/g, '')
+        .replace(/\\([%&$#_{}])/g, '$1')
+        .replace(/``|''/g, '"')
+        .replace(/---/g, '—')
+        .replace(/--/g, '–')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Captions as "Figure 2. ..." / "Table 1. ..." lines, numbered per environment like LaTeX does
+function numberCaptions(body) {
+    const counters = { figure: 0, table: 0 };
+    return body.replace(/\\begin\{(figure|table)\*?\}([\s\S]*?)\\end\{\1\*?\}/g, (match, kind, content) => {
+        const caption = commandArgument(content, 'caption');
+        if (!caption) return match;
+        counters[kind]++;
+        const label = kind === 'figure' ? 'Figure' : 'Table';
+        return `\n\n${label} ${counters[kind]}. ${latexToText(caption).replace(/\n/g, ' ')}\n\n`;
+    });
+}
+
+function bibliography(source) {
+    const block = (source.match(/\\begin\{thebibliography\}[\s\S]*?\\end\{thebibliography\}/) || [])[0];
+    if (!block) return '';
+    return block.split(/\\bibitem(?:\[[^\]]*\])?\{[^}]*\}/).slice(1)
+        .map((entry, index) => `[${index + 1}] ${latexToText(entry.replace(/\\end\{thebibliography\}/, '')).replace(/\s+/g, ' ')}`)
+        .join('\n');
+}
+
+// The project's files by path, text files only
+async function projectFiles(buffer, filename) {
+    if (!/\.zip$/i.test(filename || '') && buffer.subarray(0, 2).toString() !== 'PK') {
+        return { files: { [filename || 'main.tex']: buffer.toString('utf8') }, main: filename || 'main.tex' };
+    }
+
+    const zip = await JSZip.loadAsync(buffer);
+    const files = {};
+    for (const entry of Object.values(zip.files)) {
+        if (!entry.dir && /\.(tex|bbl|ltx)$/i.test(entry.name) && !entry.name.startsWith('__MACOSX/')) {
+            files[entry.name] = await entry.async('string');
+        }
+    }
+    // The main file declares the document class; prefer the shallowest, then the usual names
+    const candidates = Object.keys(files)
+        .filter(name => /\.(tex|ltx)$/i.test(name) && /\\documentclass/.test(stripComments(files[name])))
+        .sort((a, b) => a.split('/').length - b.split('/').length
+            || Number(!/^(main|ms|paper|manuscript)\./i.test(path.basename(a))) - Number(!/^(main|ms|paper|manuscript)\./i.test(path.basename(b))));
+    if (candidates.length === 0) {
+        throw new Error('No .tex file with \\documentclass found in the archive');
+    }
+    return { files, main: candidates[0] };
+}
+
+// Replace \input / \include / \subfile with the referenced files, relative to the main file's folder
+function resolveIncludes(source, files, root, depth = 0) {
+    return stripComments(source).replace(/\\(?:input|include|subfile)\{([^}]+)\}/g, (match, name) => {
+        const target = path.posix.normalize(path.posix.join(root, name.trim()));
+        const file = [target, `${target}.tex`].find(candidate => candidate in files);
+        if (!file || depth >= MAX_INCLUDE_DEPTH) return '';
+        return resolveIncludes(files[file], files, root, depth + 1);
+    });
+}
+
+async function extract(buffer, { filename } = {}) {
+    const { files, main } = await projectFiles(buffer, filename);
+    const root = path.posix.dirname(main);
+    const source = resolveIncludes(files[main], files, root === '.' ? '' : root);
+
+    const preambleEnd = source.indexOf('\\begin{document}');
+    const header = preambleEnd >= 0 ? source.slice(0, preambleEnd) : '';
+    let body = preambleEnd >= 0 ? source.slice(preambleEnd + '\\begin{document}'.length) : source;
+    body = body.replace(/\\end\{document\}[\s\S]*$/, '');
+
+    // \title and \author may sit before or after \begin{document}
+    const title = latexToText(commandArgument(header, 'title') || commandArgument(body, 'title')).replace(/\s+/g, ' ');
+    const authorBlock = commandArgument(header, 'author') || commandArgument(body, 'author');
+    const authors = authorBlock
+        .split(/\\and\b|\\\\|,/)
+        .map(author => latexToText(author).split('\n')[0].replace(/[\d*†‡]+$/, '').trim())
+        .filter(author => author && !/(universit|institut|department|@)/i.test(author));
+    const abstract = latexToText((body.match(/\\begin\{abstract\}([\s\S]*?)\\end\{abstract\}/) || [])[1] || '');
+
+    // A .bbl next to the main file holds the compiled bibliography of a BibTeX project
+    const bbl = files[main.replace(/\.(tex|ltx)$/i, '.bbl')] || '';
+    const references = bibliography(body) || bibliography(bbl);
+
+    body = numberCaptions(body)
+        .replace(/\\begin\{abstract\}[\s\S]*?\\end\{abstract\}/, '')
+        .replace(/\\begin\{thebibliography\}[\s\S]*?\\end\{thebibliography\}/, '');
+    body = ['title', 'author', 'date'].reduce(removeCommand, body);
+
+    // Split the body at the sectioning commands
+    const pattern = /\\(part|chapter|section|subsection|subsubsection|paragraph)\*?\s*(?:\[[^\]]*\])?\s*\{/g;
+    const sections = [];
+    let preamble = '';
+    let last = 0;
+    let current = null;
+    let match;
+    while ((match = pattern.exec(body)) !== null) {
+        const chunk = body.slice(last, match.index);
+        if (current) current.text = latexToText(chunk);
+        else preamble = chunk;
+        const { content, end } = readGroup(body, match.index + match[0].length - 1);
+        current = { heading: latexToText(content).replace(/\s+/g, ' '), level: SECTION_LEVELS[match[1]], text: '' };
+        sections.push(current);
+        last = end;
+        pattern.lastIndex = end;
+    }
+    if (current) current.text = latexToText(body.slice(last));
+    else preamble = body.slice(last);
+
+    if (references) {
+        sections.push({ heading: 'References', level: Math.min(...sections.map(section => section.level), 2), text: references });
+    }
+
+    const leadText = latexToText(preamble);
+    return {
+        text: [title, abstract, leadText, ...sections.map(section => `${section.heading}\n${section.text}`)].filter(Boolean).join('\n\n'),
+        outline: { title, authors, abstract, preamble: leadText, sections }
+    };
+}
+
+module.exports = {
+    name: 'latex',
+    mimeTypes: ['application/x-tex', 'text/x-tex', 'application/x-latex', 'application/zip', 'application/x-zip-compressed'],
+    extensions: ['.tex', '.ltx', '.zip'],
+    extract
+};
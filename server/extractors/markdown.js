@@ -0,0 +1,82 @@
+// Markdown write-ups: ATX (#) and setext (===, ---) headings, and the title
+// and authors from a YAML front matter block if there is one.
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)\r?\n/;
+
+// The few front matter keys we need; a full YAML parser would be overkill
+function frontMatter(yaml) {
+    const value = (key) => {
+        const match = yaml.match(new RegExp(`^${key}:[ \\t]*(.*)$`, 'mi'));
+        return match ? match[1].trim().replace(/^(["'])(.*)\1$/, '$2') : '';
+    };
+    const listed = (key) => {
+        const block = yaml.match(new RegExp(`^${key}:[ \\t]*\\n((?:[ \\t]+-.*\\n?)+)`, 'mi'));
+        if (block) {
+            return block[1].split('\n')
+                .map(line => line.replace(/^\s*-\s*/, '').replace(/^name:\s*/, '').trim().replace(/^(["'])(.*)\1$/, '$2'))
+                .filter(Boolean);
+        }
+        const inline = value(key).replace(/^\[(.*)\]$/, '$1');
+        return inline ? inline.split(/\s*(?:,|;|\band\b)\s*/).map(name => name.replace(/^(["'])(.*)\1$/, '$2')).filter(Boolean) : [];
+    };
+    return { title: value('title'), authors: listed('authors').length > 0 ? listed('authors') : listed('author'), abstract: value('abstract') };
+}
+
+// Inline markup to plain text
+const plain = (text) => text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(?<![\w*])(\*|_)(\S.*?)\1(?!\w)/g, '$2')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .trim();
+
+async function extract(buffer) {
+    let source = buffer.toString('utf8').replace(/^\ufeff/, '');
+    let meta = { title: '', authors: [], abstract: '' };
+    const front = source.match(FRONT_MATTER);
+    if (front) {
+        meta = frontMatter(front[1]);
+        source = source.slice(front[0].length);
+    }
+
+    const lines = source.split(/\r?\n/);
+    const preamble = [];
+    const sections = [];
+    let fenced = false;
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        if (/^\s{0,3}(```|~~~)/.test(line)) fenced = !fenced;
+        const atx = !fenced && line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        const underline = !fenced && line.trim() && !/^\s{0,3}[-*+]\s/.test(line)
+            && (lines[index + 1] || '').match(/^\s{0,3}(=+|-+)\s*$/);
+
+        if (atx) {
+            sections.push({ heading: plain(atx[2]), level: atx[1].length, text: '' });
+        } else if (underline) {
+            sections.push({ heading: plain(line), level: underline[1][0] === '=' ? 1 : 2, text: '' });
+            index++;
+        } else if (sections.length > 0) {
+            sections[sections.length - 1].text += `${line}\n`;
+        } else {
+            preamble.push(line);
+        }
+    }
+
+    sections.forEach(section => { section.text = plain(section.text); });
+    return {
+        text: plain(source),
+        outline: { ...meta, preamble: plain(preamble.join('\n')), sections }
+    };
+}
+
+module.exports = {
+    name: 'markdown',
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown'],
+    extract
+};
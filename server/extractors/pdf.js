@@ -0,0 +1,474 @@
+// PDFs: plain text from pdf-parse, page by page; the structure is guessed
+// from the layout of that text (see document.structureDocument). Pages with
+// little or garbled text that carry an image (scans) are read with OCR
+// instead, and every page is scored so a bad extraction can be caught before
+// it is turned into an infographic. Embedded images and tables are picked up
+// with their captions, so the infographic can show the paper's own results.
+const zlib = require('zlib');
+const pdfParse = require('pdf-parse');
+const { OCR_ENABLED, recognize } = require('../ocr');
+const { pngChunk } = require('../encoding');
+
+// The pdf.js build pdf-parse runs, for its operator constants
+const PDFJS_VERSION = 'v1.10.100';
+const { OPS, PDFJS } = require(`pdf-parse/lib/pdf.js/${PDFJS_VERSION}/build/pdf.js`);
+
+// Reading a page's operators loads its fonts, which pdf.js would install with
+// a <style> element; without a DOM that throws where nothing can catch it.
+// Glyph outlines are all we need, so keep fonts out of the document.
+PDFJS.disableFontFace = true;
+
+// pdf.js pixel layouts of decoded images (its ImageKind, which the build does not export)
+const ImageKind = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+// A page below either of these is a candidate for OCR
+const MIN_PAGE_CHARS = 100;
+const MIN_READABILITY = 0.6;
+
+// OCR takes seconds per page; longer scans are read up to this page
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES, 10) || 30;
+
+// Images smaller than this on the page (in points, 72 to the inch) or in
+// pixels are logos and icons, not figures; images covering most of the page
+// are scans or backgrounds
+const MIN_FIGURE_POINTS = 72;
+const MIN_FIGURE_PIXELS = 64;
+const MAX_FIGURE_COVERAGE = 0.7;
+// Figures are stored at most this wide or high, and at most this many per document
+const MAX_FIGURE_SIDE = 1600;
+const MAX_FIGURES = 40;
+
+// A gap this many font sizes wide separates table cells rather than words
+const CELL_GAP = 1;
+
+const FIGURE_CAPTION = /^fig(?:ure)?\.?\s*(\d+|[IVX]+)\b\s*[.:|—–-]?\s*(.*)$/i;
+const TABLE_CAPTION = /^table\s*(\d+|[IVX]+)\b\s*[.:|—–-]?\s*(.*)$/i;
+
+// Share of the page's tokens that look like words or numbers; text layers with
+// a broken font encoding come out as symbol soup and score low
+function readability(text) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return 0;
+    const wordLike = tokens.filter(token => /^[("'[]*[\p{L}\p{N}][\p{L}\p{N}\p{M}'’.,:;%/-]*[)"'\].,:;!?]*$/u.test(token)
+        && !/[\p{Co}\ufffd]/u.test(token));
+    return wordLike.length / tokens.length;
+}
+
+// Text items of a page with their baseline position, width and font size (PDF units)
+async function textItems(page) {
+    const content = await page.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    return content.items.map(item => ({
+        str: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width,
+        size: Math.hypot(item.transform[2], item.transform[3]) || 10
+    }));
+}
+
+// Text items joined the way pdf-parse does it: a new line whenever the baseline moves
+function pageText(items) {
+    let lastY;
+    let text = '';
+    for (const item of items) {
+        text += lastY === item.y || lastY === undefined ? item.str : `\n${item.str}`;
+        lastY = item.y;
+    }
+    return text;
+}
+
+// Lines of a page from top to bottom, each split into cells where items are
+// further apart than a word space: { y, size, cells: [{ x, right, text }] }
+function pageLines(items) {
+    const lines = [];
+    items
+        .filter(item => item.str.trim())
+        .sort((a, b) => b.y - a.y || a.x - b.x)
+        .forEach(item => {
+            const last = lines[lines.length - 1];
+            if (last && Math.abs(last.y - item.y) <= Math.max(2, item.size * 0.3)) {
+                last.items.push(item);
+            } else {
+                lines.push({ y: item.y, size: item.size, items: [item] });
+            }
+        });
+
+    return lines.map(({ y, size, items: lineItems }) => {
+        const cells = [];
+        lineItems.sort((a, b) => a.x - b.x).forEach(item => {
+            const cell = cells[cells.length - 1];
+            if (cell && item.x - cell.right <= item.size * CELL_GAP) {
+                cell.text += (item.x - cell.right > item.size * 0.1 && !/\s$/.test(cell.text) ? ' ' : '') + item.str;
+                cell.right = Math.max(cell.right, item.x + item.width);
+            } else {
+                cells.push({ x: item.x, right: item.x + item.width, text: item.str });
+            }
+        });
+        cells.forEach(cell => { cell.text = cell.text.replace(/\s+/g, ' ').trim(); });
+        return { y, size, cells };
+    });
+}
+
+// pdf.js transform matrices are [a, b, c, d, e, f]; this is m1 × m2 as the canvas applies it
+const multiply = (m1, m2) => [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+// Images painted on the page, as pdf.js decoded them ({ width, height, kind, data }),
+// each with the box it is drawn in ({ left, bottom, right, top }, PDF units)
+async function pageImages(page) {
+    const operators = await page.getOperatorList();
+    const images = [];
+    const stack = [];
+    let matrix = [1, 0, 0, 1, 0, 0];
+    operators.fnArray.forEach((fn, index) => {
+        const args = operators.argsArray[index];
+        let image = null;
+        if (fn === OPS.save) {
+            stack.push(matrix);
+        } else if (fn === OPS.restore) {
+            matrix = stack.pop() || matrix;
+        } else if (fn === OPS.transform) {
+            matrix = multiply(matrix, args);
+        } else if (fn === OPS.paintFormXObjectBegin) {
+            stack.push(matrix);
+            if (args[0]) matrix = multiply(matrix, args[0]);
+        } else if (fn === OPS.paintFormXObjectEnd) {
+            matrix = stack.pop() || matrix;
+        } else if (fn === OPS.paintImageXObject || fn === OPS.paintJpegXObject) {
+            image = page.objs.get(args[0]);
+        } else if (fn === OPS.paintInlineImageXObject) {
+            image = args[0];
+        }
+        if (image && image.data) {
+            // Images are drawn into the unit square of the current transform
+            const xs = [matrix[4], matrix[0] + matrix[4], matrix[2] + matrix[4], matrix[0] + matrix[2] + matrix[4]];
+            const ys = [matrix[5], matrix[1] + matrix[5], matrix[3] + matrix[5], matrix[1] + matrix[3] + matrix[5]];
+            images.push({ image, box: { left: Math.min(...xs), bottom: Math.min(...ys), right: Math.max(...xs), top: Math.max(...ys) } });
+        }
+    });
+    return images;
+}
+
+const largestImage = (images) => images.reduce((largest, { image }) =>
+    (!largest || image.width * image.height > largest.width * largest.height ? image : largest), null);
+
+// Decoded pdf.js image → 8-bit PNG: greyscale, which is all OCR needs, or in
+// colour for figures. Only every `step`-th pixel is kept, to shrink large images.
+function toPng({ width, height, kind, data }, { color = false, step = 1 } = {}) {
+    const outWidth = Math.ceil(width / step);
+    const outHeight = Math.ceil(height / step);
+    const channels = color && kind !== ImageKind.GRAYSCALE_1BPP ? 3 : 1;
+    const rowLength = outWidth * channels + 1; // Each row starts with filter type 0
+    const rows = Buffer.alloc(rowLength * outHeight);
+    const inChannels = kind === ImageKind.RGBA_32BPP ? 4 : 3;
+    const rowBytes = (width + 7) >> 3;
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            const sourceX = x * step;
+            const sourceY = y * step;
+            const at = y * rowLength + 1 + x * channels;
+            if (kind === ImageKind.GRAYSCALE_1BPP) {
+                rows[at] = data[sourceY * rowBytes + (sourceX >> 3)] & (128 >> (sourceX & 7)) ? 255 : 0;
+                continue;
+            }
+            const offset = (sourceY * width + sourceX) * inChannels;
+            if (channels === 3) {
+                rows[at] = data[offset];
+                rows[at + 1] = data[offset + 1];
+                rows[at + 2] = data[offset + 2];
+            } else {
+                rows[at] = (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) / 1000;
+            }
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(outWidth, 0);
+    header.writeUInt32BE(outHeight, 4);
+    header.set([8, channels === 3 ? 2 : 0, 0, 0, 0], 8); // 8 bits per channel, RGB or greyscale
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(rows)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+const crossesMiddle = (cell, view) => {
+    const middle = (view[0] + view[2]) / 2;
+    const slack = (view[2] - view[0]) * 0.02;
+    return cell.x < middle - slack && cell.right > middle + slack;
+};
+
+// Page geometry for finding captions and tables; on a two-column page (where
+// hardly any line runs across the middle) each column is read on its own
+function pageLayout(lines, view) {
+    const crossing = lines.filter(line => line.cells.some(cell => crossesMiddle(cell, view))).length;
+    return { view, columns: lines.length > 0 && crossing / lines.length < 0.25 };
+}
+
+// Which column of the page a cell sits in: 'left', 'right', or 'full' on a
+// single-column page and for cells that run across the middle
+function columnOf(cell, { view, columns }) {
+    if (!columns || crossesMiddle(cell, view)) return 'full';
+    return cell.x < (view[0] + view[2]) / 2 ? 'left' : 'right';
+}
+
+const cellsIn = (line, column, layout) => column === 'full'
+    ? line.cells
+    : line.cells.filter(cell => columnOf(cell, layout) === column);
+
+// Caption starting at lines[index] (in `cell`), with the lines it continues on
+function readCaption(lines, index, cell, column, layout) {
+    let text = cell.text;
+    let end = index;
+    while (end + 1 < lines.length && text.length < 600 && !/[.!?]$/.test(text)) {
+        const next = cellsIn(lines[end + 1], column, layout);
+        if (next.length !== 1 || lines[end].y - lines[end + 1].y > lines[end].size * 1.8) break;
+        text += ` ${next[0].text}`;
+        end++;
+    }
+    return { text, end };
+}
+
+// Rows of cells to a grid: the row with the most cells sets the columns, and
+// every other cell goes into the column it starts in
+function toGrid(rows) {
+    const widest = rows.reduce((best, row) => (row.cells.length > best.cells.length ? row : best));
+    const starts = widest.cells.map(cell => cell.x);
+    return rows.map(row => {
+        const grid = starts.map(() => '');
+        row.cells.forEach(cell => {
+            let column = 0;
+            starts.forEach((start, index) => { if (start <= cell.x + row.size) column = index; });
+            grid[column] = grid[column] ? `${grid[column]} ${cell.text}` : cell.text;
+        });
+        return grid;
+    });
+}
+
+// Tables on a page: a "Table n" caption with at least two rows of two or more
+// cells right below it (or, failing that, right above it)
+function pageTables(lines, layout, pageNumber) {
+    const tables = [];
+    const used = new Set();
+    lines.forEach((line, index) => {
+        const cell = line.cells.find(candidate => TABLE_CAPTION.test(candidate.text));
+        if (!cell) return;
+        const [, number] = cell.text.match(TABLE_CAPTION);
+        const column = columnOf(cell, layout);
+        const caption = readCaption(lines, index, cell, column, layout);
+
+        const collect = (from, direction) => {
+            const rows = [];
+            for (let at = from; at >= 0 && at < lines.length && !used.has(at); at += direction) {
+                const cells = cellsIn(lines[at], column, layout);
+                const previous = lines[at - direction];
+                if (cells.length < 2 || cells.some(candidate => TABLE_CAPTION.test(candidate.text) || FIGURE_CAPTION.test(candidate.text))
+                    || Math.abs(previous.y - lines[at].y) > lines[at].size * 3) break;
+                rows.push({ at, size: lines[at].size, cells });
+            }
+            return direction < 0 ? rows.reverse() : rows;
+        };
+        let rows = collect(caption.end + 1, 1);
+        if (rows.length < 2) rows = collect(index - 1, -1);
+        if (rows.length < 2) return;
+
+        rows.forEach(row => used.add(row.at));
+        tables.push({ label: `Table ${number}`, caption: caption.text, page: pageNumber, rows: toGrid(rows) });
+    });
+    return tables;
+}
+
+// Embedded images large enough to be figures, each with the caption closest
+// below it (or above it) in the same column
+function pageFigures(images, lines, layout, pageNumber) {
+    const { view } = layout;
+    const pageArea = (view[2] - view[0]) * (view[3] - view[1]);
+    const captions = [];
+    lines.forEach((line, index) => {
+        const cell = line.cells.find(candidate => FIGURE_CAPTION.test(candidate.text));
+        if (!cell) return;
+        const [, number] = cell.text.match(FIGURE_CAPTION);
+        const caption = readCaption(lines, index, cell, columnOf(cell, layout), layout);
+        captions.push({ label: `Figure ${number}`, text: caption.text, y: line.y, x: cell.x, right: cell.right });
+    });
+
+    const figures = images
+        .filter(({ image, box }) => {
+            const width = box.right - box.left;
+            const height = box.top - box.bottom;
+            return width >= MIN_FIGURE_POINTS && height >= MIN_FIGURE_POINTS
+                && image.width >= MIN_FIGURE_PIXELS && image.height >= MIN_FIGURE_PIXELS
+                && width * height <= pageArea * MAX_FIGURE_COVERAGE;
+        })
+        .sort((a, b) => b.box.top - a.box.top || a.box.left - b.box.left)
+        .map(({ image, box }) => {
+            let best = null;
+            let bestDistance = Infinity;
+            captions
+                .filter(caption => caption.x < box.right && caption.right > box.left)
+                .forEach(caption => {
+                    // Captions usually sit below the figure; one above has to be much closer
+                    const distance = caption.y <= box.bottom ? box.bottom - caption.y : (caption.y - box.top) * 3;
+                    if (distance >= 0 && distance < bestDistance) {
+                        best = caption;
+                        bestDistance = distance;
+                    }
+                });
+            return { image, caption: best };
+        });
+
+    // Panels of one figure share its caption: Figure 2a, Figure 2b, ...
+    return figures.map(({ image, caption }, index) => {
+        const panels = figures.filter(other => caption && other.caption === caption);
+        const label = !caption ? `Image on page ${pageNumber}${figures.length > 1 ? ` (${index + 1})` : ''}`
+            : caption.label + (panels.length > 1 ? String.fromCharCode(97 + panels.findIndex(other => other.image === image)) : '');
+        const step = Math.ceil(Math.max(image.width, image.height) / MAX_FIGURE_SIDE);
+        return {
+            label,
+            caption: caption ? caption.text : '',
+            page: pageNumber,
+            width: Math.ceil(image.width / step),
+            height: Math.ceil(image.height / step),
+            png: toPng(image, { color: true, step })
+        };
+    });
+}
+
+const gradePage = (page) => ({
+    ...page,
+    score: Math.round(page.score * 100) / 100,
+    // Blank pages are fine; a page with an image and no readable text is not
+    quality: page.chars === 0 && !page.image ? 'empty' : (page.score >= MIN_READABILITY ? 'good' : 'poor')
+});
+
+// Warning for the user if some of the document could not be read
+function qualityWarning(pages, ocrFailed) {
+    const plural = (list) => list.length === 1 ? '' : 's';
+    const warnings = [];
+    const poor = pages.filter(page => page.quality === 'poor');
+    if (poor.length > 0) {
+        const numbers = poor.map(page => page.page).join(', ');
+        let reason = '';
+        if (!OCR_ENABLED) reason = ' OCR is switched off on this server.';
+        else if (ocrFailed) reason = ' OCR failed.';
+        else if (poor.some(page => page.method === 'none')) reason = ` OCR stopped after ${OCR_MAX_PAGES} pages.`;
+        warnings.push(`${poor.length} of ${pages.length} page${plural(pages)} could not be read reliably (page${plural(poor)} ${numbers}).${reason} Check the extracted text before generating.`);
+    }
+    const unread = pages.filter(page => page.warning);
+    if (unread.length > 0) {
+        warnings.push(`Figures and tables could not be read on page${plural(unread)} ${unread.map(page => page.page).join(', ')}.`);
+    }
+    return warnings.length > 0 ? warnings.join(' ') : null;
+}
+
+async function extract(buffer, { language } = {}) {
+    const pages = [];
+    const layers = [];
+    const scans = [];
+    const figures = [];
+    const tables = [];
+    let failure = null;
+
+    const readPage = async (page) => {
+        const items = await textItems(page);
+        const text = pageText(items);
+        const number = page.pageIndex + 1;
+        const entry = { page: number, method: 'text', chars: text.replace(/\s/g, '').length, score: readability(text) };
+        pages[page.pageIndex] = entry;
+        layers[page.pageIndex] = text;
+
+        // Figures, tables and the image for OCR are extras: when they cannot be
+        // read, the page keeps its text and says so in the quality report
+        let images = [];
+        try {
+            images = await pageImages(page);
+            const lines = pageLines(items);
+            const layout = pageLayout(lines, page.view);
+            tables.push(...pageTables(lines, layout, number));
+            figures.push(...pageFigures(images, lines, layout, number).slice(0, MAX_FIGURES - figures.length));
+        } catch (error) {
+            console.warn(`Figure Extraction Error (page ${number}):`, error.message);
+            entry.warning = 'Figures and tables could not be read';
+        }
+
+        if (entry.chars < MIN_PAGE_CHARS || entry.score < MIN_READABILITY) {
+            const image = largestImage(images);
+            entry.image = Boolean(image);
+            if (image && OCR_ENABLED && scans.length < OCR_MAX_PAGES) {
+                scans.push({ entry, png: toPng(image) });
+            } else if (image) {
+                entry.method = 'none';
+            }
+        }
+        return text;
+    };
+
+    // pdf-parse hands `buffer` on to pdf.js as document parameters; decoding
+    // JPEGs in pdf.js itself gives OCR and the figures the pixels without a browser
+    const data = await pdfParse({ data: buffer, nativeImageDecoderSupport: 'none' }, {
+        version: PDFJS_VERSION,
+        pagerender: (page) => readPage(page).catch(error => {
+            // The text could not be read: pdf-parse would carry on with an empty
+            // page, fail the document instead
+            failure = failure || error;
+            return '';
+        })
+    });
+    if (failure) throw failure;
+
+    // OCR text replaces the text layer where it reads better
+    let text = data.text;
+    let results = [];
+    let ocrFailed = false;
+    if (scans.length > 0) {
+        try {
+            results = await recognize(scans.map(scan => scan.png), { language });
+        } catch (error) {
+            // Missing language data or a broken image: keep the text layer and say so
+            console.error('OCR Error:', error);
+            ocrFailed = true;
+            scans.forEach(({ entry }) => { entry.method = 'none'; });
+        }
+    }
+    if (results.length > 0) {
+        scans.forEach(({ entry }, index) => {
+            const { text: ocrText, confidence } = results[index];
+            const chars = ocrText.replace(/\s/g, '').length;
+            const score = Math.min(readability(ocrText), confidence / 100);
+            if (score > entry.score || (entry.chars < MIN_PAGE_CHARS && chars > entry.chars && score >= MIN_READABILITY)) {
+                Object.assign(entry, { method: 'ocr', chars, score, confidence });
+                layers[entry.page - 1] = ocrText;
+            }
+        });
+        text = layers.join('\n\n');
+    }
+
+    const graded = pages.filter(Boolean).map(gradePage);
+    return {
+        text,
+        meta: { title: data.info && data.info.Title },
+        figures,
+        tables,
+        quality: {
+            pages: graded,
+            ocrPages: graded.filter(page => page.method === 'ocr').length,
+            poorPages: graded.filter(page => page.quality === 'poor').map(page => page.page),
+            warning: qualityWarning(graded, ocrFailed)
+        }
+    };
+}
+
+module.exports = {
+    name: 'pdf',
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+    extract
+};
@@ -0,0 +1,155 @@
+// Verification pass for a rendered infographic: every statement in the
+// infographic's text is looked up in the source document and marked as
+// supported, unsupported or contradicted, with the closest source passage.
+// Matching is lexical (shared content words and numbers), so the report is
+// fast, deterministic and works offline; it flags what a human should check.
+
+const STOPWORDS = new Set(('a an and are as at be been but by can could did do does for from had has have how in into is it its '
+    + 'may more most of on or our so than that the their them then there these they this those to was we were what when where '
+    + 'which while who will with within without would you your also such very much many only about over under between both each '
+    + 'other some any all not no nor per via').split(' '));
+
+const NEGATIONS = /\b(not|no|never|none|neither|nor|without|cannot|fails?|failed|lack(?:s|ed)?|unlike|decreas\w*|reduc\w*|lower|fewer|less)\b/i;
+
+// A passage must share at least this fraction of a claim's content words to count as its source
+const SUPPORT_THRESHOLD = 0.6;
+const RELATED_THRESHOLD = 0.4;
+
+// Plain words, lowercased, with a crude plural strip so "cells" matches "cell"
+const contentWords = (text) => (text.toLowerCase().match(/[\p{L}][\p{L}\p{N}-]{2,}/gu) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(word => word.length > 4 ? word.replace(/(?<!s)s$/, '') : word);
+
+/**
+ * Numbers in a statement, with thousands separators removed. Numbers glued to
+ * letters (H2O, COVID-19) are part of a name and are left out.
+ * @param {string} text
+ * @returns {Array<{value: number, decimals: number, raw: string}>}
+ */
+function extractNumbers(text) {
+    return [...text.matchAll(/(?<![\p{L}\d.,\-−])[-−]?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?(?![\p{L}\d])/gu)]
+        .map(match => {
+            const raw = match[0].replace('−', '-');
+            const plain = raw.replace(/,/g, '');
+            return { value: parseFloat(plain), decimals: (plain.split('.')[1] || '').length, raw: match[0] };
+        });
+}
+
+// A claimed number matches a source number if it is the same after rounding to the claim's precision
+const sameNumber = (claimed, found) => Math.abs(claimed.value - found.value) <= 0.5 * Math.pow(10, -claimed.decimals) + 1e-9;
+
+/**
+ * Split the infographic's text into checkable statements: one per line or
+ * sentence, without list markers, keeping only those with some content.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitClaims(text) {
+    const seen = new Set();
+    return (text || '')
+        .split(/\n+|(?<=[.!?])\s+(?=[\p{Lu}\d])/u)
+        .map(line => line
+            .replace(/^\s*(?:[-•*#>]+|\d+[.)])\s*/, '')
+            .replace(/[*_`]+/g, '')
+            .trim())
+        .filter(line => contentWords(line).length >= 2 || (extractNumbers(line).length > 0 && contentWords(line).length >= 1))
+        .filter(line => {
+            const key = line.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// Overlapping two-sentence windows, so a claim that spans a sentence break still finds its source
+function sourcePassages(sourceText) {
+    const sentences = sourceText
+        .replace(/-\n(?=\p{Ll})/gu, '')
+        .replace(/\s+/g, ' ')
+        .split(/(?<=[.!?])\s+(?=[\p{Lu}\d(])/u)
+        .filter(sentence => sentence.trim().length > 0);
+
+    return sentences.map((sentence, index) => {
+        const text = index + 1 < sentences.length ? `${sentence} ${sentences[index + 1]}` : sentence;
+        return { text, words: new Set(contentWords(text)), numbers: extractNumbers(text) };
+    });
+}
+
+function checkClaim(claim, passages, allNumbers) {
+    const words = [...new Set(contentWords(claim))];
+    const numbers = extractNumbers(claim);
+
+    let best = null;
+    let bestScore = 0;
+    passages.forEach(passage => {
+        const shared = words.filter(word => passage.words.has(word)).length;
+        const numberHits = numbers.filter(number => passage.numbers.some(found => sameNumber(number, found))).length;
+        // Matching numbers count like words: "42%" pins a passage down more than most words do
+        const score = (shared + numberHits) / (words.length + numbers.length || 1);
+        if (score > bestScore) {
+            bestScore = score;
+            best = passage;
+        }
+    });
+
+    const result = {
+        text: claim,
+        status: 'unsupported',
+        score: Math.round(bestScore * 100) / 100,
+        passage: best && bestScore >= RELATED_THRESHOLD ? best.text.trim() : null
+    };
+    if (!best || bestScore < RELATED_THRESHOLD) {
+        return result;
+    }
+
+    // A number that appears nowhere in the source while the passage talks about other numbers
+    const missingNumbers = numbers.filter(number => !best.numbers.some(found => sameNumber(number, found)));
+    if (missingNumbers.length > 0) {
+        const elsewhere = missingNumbers.every(number => allNumbers.some(found => sameNumber(number, found)));
+        if (!elsewhere && best.numbers.length > 0) {
+            result.status = 'contradicted';
+            result.note = `Source gives ${best.numbers.map(number => number.raw).join(', ')}; infographic says ${missingNumbers.map(number => number.raw).join(', ')}`;
+        }
+        return result;
+    }
+
+    if (bestScore >= SUPPORT_THRESHOLD) {
+        // Same words, opposite direction ("increased" vs "did not increase")
+        if (NEGATIONS.test(claim) !== NEGATIONS.test(best.text)) {
+            result.status = 'contradicted';
+            result.note = 'The source passage states the opposite direction or a negation';
+        } else {
+            result.status = 'supported';
+        }
+    }
+    return result;
+}
+
+/**
+ * Check the text of an infographic against the document it was made from.
+ * @param {string} infographicText - Text the model returned with the image, or OCR output
+ * @param {string} sourceText - Extracted document text
+ * @returns {{summary: object, claims: object[]}} Per-claim status with the closest source passage
+ */
+function factCheck(infographicText, sourceText) {
+    const passages = sourcePassages(sourceText || '');
+    const allNumbers = passages.flatMap(passage => passage.numbers);
+    const claims = splitClaims(infographicText).map(claim => checkClaim(claim, passages, allNumbers));
+
+    const count = (status) => claims.filter(claim => claim.status === status).length;
+    return {
+        summary: {
+            total: claims.length,
+            supported: count('supported'),
+            unsupported: count('unsupported'),
+            contradicted: count('contradicted')
+        },
+        claims
+    };
+}
+
+module.exports = {
+    extractNumbers,
+    splitClaims,
+    factCheck
+};
@@ -0,0 +1,90 @@
+// Output presets offered in Step 2. Each preset sets the shape of the image
+// (aspect ratio and size passed to the image model) and tells the prompt
+// writer how to lay the content out for that shape and medium.
+//
+// Aspect ratios are limited to what the image model supports: 1:1, 2:3, 3:2,
+// 3:4, 4:3, 4:5, 5:4, 9:16, 16:9 and 21:9. Print sizes use the closest match
+// to the ISO 216 ratio (1:1.414), i.e. 2:3 / 3:2.
+const FORMATS = [
+    {
+        id: 'slide-16-9',
+        label: 'Slide 16:9',
+        aspectRatio: '16:9',
+        imageSize: '2K',
+        orientation: 'landscape',
+        layout: 'Landscape presentation slide. Arrange content in 2-4 columns read left to right, keep text large enough to read from the back of a lecture hall, and leave a small margin on all sides.'
+    },
+    {
+        id: 'poster-a0-portrait',
+        label: 'Conference poster A0 portrait',
+        aspectRatio: '2:3',
+        imageSize: '4K',
+        orientation: 'portrait',
+        layout: 'Tall portrait poster read from 1-2 metres away. Use a title banner across the top, then 2-3 columns read top to bottom, with one dominant central figure and generous white space. Headings must be readable from a distance.'
+    },
+    {
+        id: 'print-a4-portrait',
+        label: 'Handout A4 portrait',
+        aspectRatio: '2:3',
+        imageSize: '2K',
+        orientation: 'portrait',
+        layout: 'Printed A4 handout held in the hand. Stack sections top to bottom in a single or double column, allow more detail and smaller text than a poster, and keep a print-safe margin around the edges.'
+    },
+    {
+        id: 'print-a3-landscape',
+        label: 'Print A3 landscape',
+        aspectRatio: '3:2',
+        imageSize: '4K',
+        orientation: 'landscape',
+        layout: 'Printed A3 landscape sheet. Use a horizontal flow of 3-4 panels with a title strip on top, and keep a print-safe margin around the edges.'
+    },
+    {
+        id: 'instagram-square',
+        label: 'Instagram square',
+        aspectRatio: '1:1',
+        imageSize: '1K',
+        orientation: 'square',
+        layout: 'Square social media post viewed on a phone. Show only the single key message with at most 3 short points, very large text, bold icons and no fine print.'
+    },
+    {
+        id: 'instagram-portrait',
+        label: 'Instagram portrait 4:5',
+        aspectRatio: '4:5',
+        imageSize: '1K',
+        orientation: 'portrait',
+        layout: 'Portrait social media post viewed on a phone. Big headline at the top, 3-4 short points stacked vertically, very large text and bold icons.'
+    },
+    {
+        id: 'story-9-16',
+        label: 'Story / reel 9:16',
+        aspectRatio: '9:16',
+        imageSize: '1K',
+        orientation: 'portrait',
+        layout: 'Full-screen vertical phone story. Keep the top and bottom 10% free of text (covered by app controls), stack 3 short points vertically with very large text.'
+    },
+    {
+        id: 'linkedin-banner',
+        label: 'LinkedIn banner',
+        aspectRatio: '21:9',
+        imageSize: '2K',
+        orientation: 'wide',
+        layout: 'Very wide banner that will be cropped to about 4:1. Keep all text and key visuals inside the central horizontal band, use a single row of at most 4 elements and a short headline.'
+    }
+];
+
+const DEFAULT_FORMAT = 'slide-16-9';
+
+/**
+ * Look up a preset by id, falling back to the default 16:9 slide.
+ * @param {string} [id]
+ * @returns {object} Format preset
+ */
+function getFormat(id) {
+    return FORMATS.find(format => format.id === id) || FORMATS.find(format => format.id === DEFAULT_FORMAT);
+}
+
+module.exports = {
+    FORMATS,
+    DEFAULT_FORMAT,
+    getFormat
+};
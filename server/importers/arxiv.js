@@ -0,0 +1,54 @@
+// arXiv identifiers (new style 2101.01234v2 and old style hep-th/9901001) and
+// arxiv.org links. Metadata comes from the arXiv API, the text from the PDF.
+const { decodeEntities } = require('../extractors/html');
+
+const API_BASE = process.env.ARXIV_API_BASE || 'https://export.arxiv.org/api';
+const SITE_BASE = process.env.ARXIV_BASE || 'https://arxiv.org';
+
+const ID = /(\d{4}\.\d{4,5}(?:v\d+)?|[a-z-]+(?:\.[A-Z]{2})?\/\d{7}(?:v\d+)?)/;
+
+function parse(input) {
+    const match = input.match(new RegExp(`^(?:arxiv:\\s*)?${ID.source}$`, 'i'))
+        || input.match(new RegExp(`^https?://(?:www\\.|export\\.)?arxiv\\.org/(?:abs|pdf)/${ID.source}(?:\\.pdf)?/?$`, 'i'));
+    return match ? match[1] : null;
+}
+
+const tag = (xml, name) => {
+    const match = xml.match(new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`));
+    return match ? decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : undefined;
+};
+
+async function resolve(id, { http }) {
+    const response = await http.get(`${API_BASE}/query`, { params: { id_list: id }, responseType: 'text' });
+    const found = String(response.data).match(/<entry>([\s\S]*?)<\/entry>/);
+    const entry = found ? found[1] : '';
+
+    // Unknown ids come back without an entry, as an entry without a title, or as an "Error" entry
+    const title = tag(entry, 'title');
+    if (!title || title === 'Error') {
+        const error = new Error(`arXiv paper ${id} not found`);
+        error.status = 404;
+        throw error;
+    }
+
+    const published = tag(entry, 'published');
+    return {
+        metadata: {
+            title,
+            authors: [...entry.matchAll(/<author>\s*<name>([\s\S]*?)<\/name>/g)].map(match => decodeEntities(match[1]).trim()),
+            venue: tag(entry, 'arxiv:journal_ref') || 'arXiv',
+            year: published ? parseInt(published.slice(0, 4), 10) : undefined,
+            doi: tag(entry, 'arxiv:doi'),
+            arxivId: id,
+            url: `${SITE_BASE}/abs/${id}`
+        },
+        urls: [`${SITE_BASE}/pdf/${id}`, `${SITE_BASE}/abs/${id}`]
+    };
+}
+
+module.exports = {
+    name: 'arxiv',
+    priority: 1,
+    parse,
+    resolve
+};
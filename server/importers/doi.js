@@ -0,0 +1,51 @@
+// DOIs, bare or as doi.org links. Metadata comes from Crossref; the text from
+// a PDF link Crossref knows about, else from wherever doi.org redirects to.
+const { decodeEntities } = require('../extractors/html');
+
+const API_BASE = process.env.CROSSREF_API_BASE || 'https://api.crossref.org';
+const RESOLVER_BASE = process.env.DOI_RESOLVER_BASE || 'https://doi.org';
+
+function parse(input) {
+    const match = input.match(/^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?(10\.\d{4,9}\/\S+)$/i);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Crossref titles may carry JATS markup (<i>, <sub>) and entities
+const clean = (text) => text && decodeEntities(text.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+
+const yearOf = (date) => date && date['date-parts'] && date['date-parts'][0] && date['date-parts'][0][0];
+
+async function resolve(doi, { http }) {
+    let work = {};
+    try {
+        const response = await http.get(`${API_BASE}/works/${encodeURIComponent(doi)}`);
+        work = response.data.message || {};
+    } catch (error) {
+        // Not every DOI is registered with Crossref (DataCite, mEDRA, ...); the resolver still works
+        if (!error.response || error.response.status !== 404) throw error;
+    }
+
+    const first = (list) => (Array.isArray(list) && list.length > 0 ? list[0] : undefined);
+    const pdfLinks = (work.link || [])
+        .filter(link => link['content-type'] === 'application/pdf')
+        .map(link => link.URL);
+
+    return {
+        metadata: {
+            title: clean(first(work.title)),
+            authors: (work.author || []).map(author => [author.given, author.family].filter(Boolean).join(' ') || author.name).filter(Boolean),
+            venue: clean(first(work['container-title']) || work.publisher),
+            year: yearOf(work['published-print']) || yearOf(work['published-online']) || yearOf(work.issued),
+            doi,
+            url: `${RESOLVER_BASE}/${doi}`
+        },
+        urls: [...pdfLinks, `${RESOLVER_BASE}/${doi}`]
+    };
+}
+
+module.exports = {
+    name: 'doi',
+    priority: 2,
+    parse,
+    resolve
+};
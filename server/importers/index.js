@@ -0,0 +1,216 @@
+// Paper import by identifier. An importer is a module in this directory that
+// exports:
+//
+//   name                    - stored as the source kind ('arxiv', 'doi', ...)
+//   priority                - importers are tried in ascending order
+//   parse(input)            - normalised identifier, or null if the input is not for this importer
+//   resolve(id, { http })   - resolves with { metadata, urls }: citation metadata
+//                             ({ title, authors, venue, year, doi, url }) and the
+//                             URLs to try for the full text, best first
+//
+// The full text behind the URLs is fetched here (PDF or HTML) and goes
+// through the same extraction as an upload. All network access goes through
+// the `http` client, and every importer reads its base URLs from the
+// environment, so a local stub server can stand in for the real services.
+//
+// Since the server fetches what users ask for, every URL it downloads (each
+// redirect and linked PDF included) must point outside the local network.
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const dns = require('dns').promises;
+const axios = require('axios');
+const { extractFile } = require('../extractors');
+const { htmlMetadata } = require('../extractors/html');
+
+const TIMEOUT_MS = (parseInt(process.env.IMPORT_TIMEOUT_SECONDS, 10) || 30) * 1000;
+const ALLOW_PRIVATE_HOSTS = process.env.IMPORT_ALLOW_PRIVATE_HOSTS === 'true';
+const MAX_REDIRECTS = 5;
+
+const defaultHttp = axios.create({
+    timeout: TIMEOUT_MS,
+    maxContentLength: 50 * 1024 * 1024, // Same limit as uploads
+    headers: {
+        'User-Agent': 'myinfographic/1.0 (paper import)',
+        'Accept': 'application/pdf, text/html;q=0.9, */*;q=0.5'
+    }
+});
+
+const importers = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .map(file => require(path.join(__dirname, file)))
+    .sort((a, b) => a.priority - b.priority);
+
+const fail = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const PRIVATE_NAMES = /(^|\.)(localhost|local|internal)$/i;
+
+const isPrivateAddress = (address) => {
+    // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1, which URLs write as
+    // ::ffff:a00:1) count as their IPv4 address
+    const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    const host = hex
+        ? [parseInt(hex[1], 16) >> 8, parseInt(hex[1], 16) & 255, parseInt(hex[2], 16) >> 8, parseInt(hex[2], 16) & 255].join('.')
+        : address.replace(/^::ffff:/i, '');
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+    }
+    return host === '::1' || host === '::' || /^f[cd]/i.test(host) || /^fe[89ab]/i.test(host);
+};
+
+/**
+ * Refuse a URL the server must not fetch for a user: anything but http(s),
+ * and hosts on the local network, by name or by the addresses the name
+ * resolves to.
+ * @param {string} url
+ * @param {function} lookup - dns.promises.lookup or a stand-in
+ * @throws {Error} With status 400
+ */
+async function assertPublicUrl(url, lookup) {
+    const { protocol, hostname } = new URL(url);
+    if (!['http:', 'https:'].includes(protocol)) {
+        throw fail(`Only http(s) links can be imported, not ${protocol}`, 400);
+    }
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = PRIVATE_NAMES.test(host) ? null
+        : (net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true }));
+    if (!addresses || addresses.some(({ address }) => isPrivateAddress(address))) {
+        const error = fail(`Private hosts are not allowed: ${host}`, 400);
+        error.code = 'private_host';
+        throw error;
+    }
+}
+
+/**
+ * GET a URL, following redirects one by one so that each hop is checked.
+ * @returns {Promise<{response: object, url: string}>} The final response and its URL
+ */
+async function download(url, http, check) {
+    let current = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        await check(current);
+        const response = await http.get(current, {
+            responseType: 'arraybuffer',
+            maxRedirects: 0,
+            validateStatus: status => status >= 200 && status < 400
+        });
+        const location = response.headers && response.headers.location;
+        if (response.status < 300 || !location) {
+            return { response, url: current };
+        }
+        current = new URL(location, current).href;
+    }
+    throw fail(`More than ${MAX_REDIRECTS} redirects`, 502);
+}
+
+// Fields found in the full text fill the gaps left by the identifier lookup
+const mergeMetadata = (primary, secondary) => {
+    const merged = { ...primary };
+    ['title', 'venue', 'year', 'doi'].forEach(key => {
+        if (!merged[key] && secondary[key]) merged[key] = secondary[key];
+    });
+    if (!merged.authors || merged.authors.length === 0) merged.authors = secondary.authors || [];
+    return merged;
+};
+
+/**
+ * Download one URL and extract it: PDFs like an upload, article pages via
+ * their linked PDF (citation_pdf_url) or else their text.
+ * @returns {Promise<{text: string, document: object, metadata: object}>}
+ */
+async function fetchFullText(url, http, check, followPdfLink = true) {
+    const { response, url: finalUrl } = await download(url, http, check);
+    const buffer = Buffer.from(response.data);
+    const type = String(response.headers['content-type'] || '');
+
+    if (type.includes('pdf') || buffer.subarray(0, 5).toString() === '%PDF-') {
+        return { ...await extractFile({ buffer, mimetype: 'application/pdf' }), metadata: {} };
+    }
+
+    const html = buffer.toString('utf8');
+    const metadata = htmlMetadata(html);
+    if (metadata.pdfUrl && followPdfLink) {
+        // Redirects (doi.org → publisher) change the base for relative links
+        try {
+            return { ...await fetchFullText(new URL(metadata.pdfUrl, finalUrl).href, http, check, false), metadata };
+        } catch (error) {
+            console.warn(`Import: linked PDF ${metadata.pdfUrl} failed (${error.message}), using the page text`);
+        }
+    }
+    return { ...await extractFile({ buffer, mimetype: 'text/html' }), metadata };
+}
+
+/**
+ * Resolve a DOI, arXiv ID or URL to the paper, fetch its full text and
+ * extract it.
+ * @param {string} input - e.g. "10.1038/nature14539", "arXiv:1706.03762", "https://..."
+ * @param {object} [options]
+ * @param {object} [options.http] - axios-compatible client (for tests)
+ * @param {function} [options.lookup] - DNS lookup like dns.promises.lookup (for tests)
+ * @param {boolean} [options.allowPrivateHosts] - Fetch from the local network too
+ *   (IMPORT_ALLOW_PRIVATE_HOSTS; for tests against a local stub server)
+ * @returns {Promise<{text: string, document: object, metadata: object, kind: string, figures?: object[], tables?: object[]}>}
+ *   The document carries the metadata as `citation`; figures and tables are those of an imported PDF
+ */
+async function importDocument(input, { http = defaultHttp, lookup = dns.lookup, allowPrivateHosts = ALLOW_PRIVATE_HOSTS } = {}) {
+    const value = String(input || '').trim();
+    const match = importers
+        .map(importer => ({ importer, id: importer.parse(value) }))
+        .find(candidate => candidate.id);
+    if (!match) {
+        throw fail('Not a DOI, arXiv ID or http(s) URL', 400);
+    }
+
+    const { importer, id } = match;
+    const check = allowPrivateHosts ? async () => {} : (url) => assertPublicUrl(url, lookup);
+    if (importer.name === 'url') {
+        // Say why right away rather than as a failed download
+        await check(id);
+    }
+    const resolved = await importer.resolve(id, { http });
+
+    let extracted = null;
+    let refused = null;
+    for (const url of resolved.urls) {
+        try {
+            extracted = await fetchFullText(url, http, check);
+            break;
+        } catch (error) {
+            if (error.code === 'private_host') refused = error;
+            console.warn(`Import: ${url} failed (${error.message})`);
+        }
+    }
+    if (!extracted && refused) {
+        throw refused;
+    }
+    if (!extracted) {
+        throw fail('Could not retrieve the full text. It may be paywalled; download the PDF and upload it instead.', 502);
+    }
+
+    const metadata = mergeMetadata(resolved.metadata, extracted.metadata);
+    const document = {
+        ...extracted.document,
+        title: metadata.title || extracted.document.title,
+        authors: metadata.authors.length > 0 ? metadata.authors : extracted.document.authors,
+        citation: metadata
+    };
+    return {
+        text: extracted.text,
+        document,
+        metadata,
+        kind: importer.name,
+        ...(extracted.figures ? { figures: extracted.figures } : {}),
+        ...(extracted.tables ? { tables: extracted.tables } : {})
+    };
+}
+
+module.exports = {
+    importers,
+    importDocument
+};
@@ -0,0 +1,22 @@
+// Any other http(s) link: a PDF, or an article page with citation meta tags.
+// Links to the local network are refused when fetching (see index.js).
+function parse(input) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch (e) {
+        return null;
+    }
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+}
+
+async function resolve(url) {
+    return { metadata: { url, authors: [] }, urls: [url] };
+}
+
+module.exports = {
+    name: 'url',
+    priority: 3,
+    parse,
+    resolve
+};
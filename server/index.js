@@ -1,231 +1,1909 @@
 const express = require('express');
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
 const cors = require('cors');
 const path = require('path');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { AsyncResource } = require('async_hooks');
+const fs = require('fs');
+const JSZip = require('jszip');
 require('dotenv').config();
+const {
+    MAX_SOURCES, extractSources, combineSources, extractText, formatCitation, validateReferences, buildSystemPrompt, generatePrompt,
+    generateInfographic, refineInfographic, readImageText, variantPrompts, generateVariants, describeError, wrapFailure, MAX_VARIANTS, SOURCE_MODES
+} = require('./pipeline');
+const { isModelError, errorCode, withDeadline } = require('./model-errors');
+const { factCheck } = require('./factcheck');
+const { importDocument } = require('./importers');
+const { findExtractor, supportedExtensions } = require('./extractors');
+const { getProvider } = require('./providers');
+const { FORMATS, getFormat } = require('./formats');
+const { resolveLanguage, listLanguages } = require('./languages');
+const { createJob, getJob, subscribe } = require('./jobs');
+const { normalizeLayout, generateLayout } = require('./layout');
+const { sidecarText, embedDescription } = require('./accessibility');
+const { validateRun, extractRun, runSource, currentPrompt, describeCurrent, describeQuietly, runInfographic } = require('./runs');
+const {
+    AUTH_ENABLED, SIGNUP_ENABLED, OWN_KEYS, setSessionCookie, clearSessionCookie, authenticate, requireAdmin,
+    mayAccess, limitRate, requireQuota, limitLogins
+} = require('./auth');
+const {
+    listUsers, createUser, updateUser, deleteUser, verifyPassword, changePassword, issueToken,
+    listTokens, revokeToken, setOwnKey, ensureAdmin
+} = require('./accounts');
+const { quotaStatus, usageReport } = require('./usage');
+const { imageSize, listExporters, exportInfographic } = require('./exporters');
+const { assertValid, sendValid } = require('./schemas');
+const { API_VERSION, openApiDocument } = require('./openapi');
+const { listBrandKits, getBrandKit, saveBrandKit, deleteBrandKit, getBrandLogo } = require('./brands');
+const { BATCH_CONCURRENCY, batchCells, runLimited, saveBatch, getBatch, cellFileName } = require('./batches');
+const {
+    TEMPLATE_VARIABLES, renderTemplate, sampleVariables, listTemplates, getTemplate, loadTemplate, templateTag, saveTemplate, activateTemplate
+} = require('./templates');
+const { createShare, listShares, getShare, revokeShare } = require('./shares');
+const { VIEWER_LOCALES, fitSize, embedSnippet, renderViewer, renderEmbed, renderUnavailable } = require('./viewer');
+const {
+    saveInfographic, listInfographics, getInfographic, getInfographicImage,
+    selectVariant, replaceVariant, addRevision, setCurrentRevision, saveFactCheck, saveLayout, deleteInfographic, getFigureImage
+} = require('./store');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+// Same-origin only unless CORS_ORIGINS lists the sites that may call the API from a browser
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false, credentials: true }));
 app.use(express.json());
+// Signed-in user and their context for everything under /api (see auth.js)
+app.use('/api', authenticate);
+
+// Stored records and everything under them are only for their owner and
+// admins (see auth.mayAccess); anyone else gets "not found", as for an unknown
+// id. Unknown ids go on to the route, which answers for them.
+const ownedBy = (find, what, param = 'id') => async (req, res, next) => {
+    try {
+        const record = await find(req.params[param]);
+        if (record && !mayAccess(req.user, record)) {
+            return res.status(404).json({ error: `${what} not found`, code: 'not_found' });
+        }
+        next();
+    } catch (error) {
+        console.error(`${what} Store Error:`, error);
+        res.status(500).json({ error: `Failed to load ${what.toLowerCase()}` });
+    }
+};
+app.use(['/api/infographics/:id', '/api/v1/infographics/:id'], ownedBy(getInfographic, 'Infographic'));
+app.use(['/api/jobs/:id', '/api/v1/jobs/:id'], ownedBy(getJob, 'Job'));
+app.use('/api/batches/:id', ownedBy(getBatch, 'Batch'));
+app.use('/api/shares/:token', ownedBy(getShare, 'Share link', 'token'));
 
 // Serve static files from React build in production
 if (process.env.NODE_ENV === 'production') {
     app.use(express.static(path.join(__dirname, '../client/dist')));
 }
 
-// Check API Keys on Startup
+// Check Providers on Startup
 console.log('--- Server Startup ---');
-const API_KEY = process.env.LLM_API_KEY || process.env.NANO_BANANA_API_KEY;
-console.log('API_KEY present:', !!API_KEY);
+['text', 'image'].forEach(kind => {
+    const provider = getProvider(kind);
+    console.log(`${kind} provider: ${provider.name} (available: ${provider.isAvailable()})`);
+});
+console.log(`accounts: ${AUTH_ENABLED ? 'on' : 'off (AUTH=off)'}, own Gemini keys: ${OWN_KEYS}`);
 console.log('----------------------');
-
-// Initialize Google Generative AI
-const genAI = new GoogleGenerativeAI(API_KEY);
+ensureAdmin()
+    .then(created => created && console.log(`Created admin account "${created.username}"`))
+    .catch(error => console.error('Account Store Error:', error));
 
 // Configure Multer for file upload
 const upload = multer({
     limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
     storage: multer.memoryStorage(),
     fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'application/pdf') {
+        if (findExtractor(file)) {
             cb(null, true);
         } else {
-            cb(new Error('Only PDF files are allowed!'), false);
+            const error = new Error(`Unsupported file type. Allowed: ${supportedExtensions().join(', ')}`);
+            error.status = 400;
+            cb(error, false);
         }
     }
 });
 
+// Multer hands the request on from the upload stream, outside the context the
+// request runs in (user, key, deadline; see context.js), so bind it back
+const uploadFiles = (field) => (req, res, next) => upload.array(field, MAX_SOURCES)(req, res, AsyncResource.bind(next));
+
+// Brand kit logos arrive as multipart uploads next to the kit's fields
+const logoUpload = multer({
+    limits: { fileSize: 10 * 1024 * 1024 }, // Kits take 2MB; larger files are rejected with a message
+    storage: multer.memoryStorage()
+});
+
 // --- Routes ---
 
 // 0. Status Check
-app.get('/api/status', (req, res) => {
-    res.json({
-        llm: !!API_KEY,
-        nanoBanana: !!API_KEY
-    });
+// Every configured model is checked for real, by its provider (at most once a
+// minute); `llm` and `nanoBanana` say whether prompts and images can be made.
+// Providers without a check count as working when configured.
+const modelHealth = async (kind, provider) => {
+    const models = provider.checkHealth
+        ? await provider.checkHealth()
+        : [{ kind, model: provider.name, role: 'primary', ok: provider.isAvailable(), code: null, message: null }];
+    return models.filter(model => model.kind === kind).map(model => ({ ...model, provider: provider.name }));
+};
+
+// Working if one model answers; unchecked models fall back to the configuration
+const isWorking = (models, provider) => models.some(model => model.ok === true)
+    || (models.every(model => model.ok === null) && provider.isAvailable());
+
+const checkModels = async () => {
+    const textProvider = getProvider('text');
+    const imageProvider = getProvider('image');
+    const [textModels, imageModels] = await Promise.all([modelHealth('text', textProvider), modelHealth('image', imageProvider)]);
+    return {
+        llm: isWorking(textModels, textProvider),
+        nanoBanana: isWorking(imageModels, imageProvider),
+        providers: { text: textProvider.name, image: imageProvider.name },
+        models: [...textModels, ...imageModels]
+    };
+};
+
+// Public, so failures only say `code` and `message`; what the API answered
+// (`detail`) is for admins, under /api/admin/models
+app.get('/api/status', async (req, res) => {
+    try {
+        const status = await checkModels();
+        res.json({ ...status, models: status.models.map(({ detail, ...model }) => model) });
+    } catch (error) {
+        console.error('Status Error:', error);
+        res.status(500).json({ error: 'Failed to check the models' });
+    }
+});
+
+// 0b. Output Format Presets
+app.get('/api/formats', (req, res) => {
+    res.json({ formats: FORMATS.map(({ id, label, aspectRatio, imageSize, orientation }) => ({ id, label, aspectRatio, imageSize, orientation })) });
+});
+
+// 0c. Output Languages offered in Step 2 (any other BCP-47 code or language name works too)
+app.get('/api/languages', (req, res) => {
+    res.json({ languages: listLanguages() });
+});
+
+// 0d. Editable Export Formats (see exporters)
+app.get('/api/export-formats', (req, res) => {
+    res.json({ formats: listExporters() });
 });
 
-// 1. PDF Upload & Text Extraction
-app.post('/api/upload', upload.single('pdf'), async (req, res) => {
+// 1. Document Upload & Text Extraction
+// PDF, Word, HTML, Markdown, LaTeX (.tex or a zipped project) and EPUB files,
+// picked by the extractor registry. Several files (and text snippets in
+// `texts`) can be sent at once; they come back labelled S1, S2, ... in
+// `sources`, and combined in `text`. Scanned PDF pages are read with OCR in
+// the output `language`; each PDF source carries a per-page `quality` report
+// and `warnings` lists the files that could not be read reliably. Embedded
+// figures and captioned tables come back in `figures` and `tables`, for the
+// run to pick the ones to feature.
+app.post('/api/upload', withDeadline, uploadFiles('pdf'), async (req, res) => {
+    let texts;
     try {
-        if (!req.file) {
+        texts = typeof req.body.texts === 'string' ? JSON.parse(req.body.texts) : (req.body.texts || []);
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid texts' });
+    }
+
+    try {
+        if (req.files.length === 0 && texts.length === 0) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const dataBuffer = req.file.buffer;
-        const data = await pdfParse(dataBuffer);
-
-        // Return the extracted text
-        res.json({ text: data.text });
+        // Return the extracted text together with its structure
+        res.json(combineSources(await extractSources({ files: req.files, sources: texts, language: req.body.language })));
     } catch (error) {
-        console.error('PDF Parse Error:', error);
-        res.status(500).json({ error: 'Failed to parse PDF' });
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Document Parse Error:', error);
+        res.status(500).json({ error: 'Failed to parse document' });
     }
 });
 
-// 1b. Text Processing (Alternative to PDF Upload)
+// 1b. Text Processing (Alternative to File Upload)
 app.post('/api/process-text', async (req, res) => {
     try {
         const { text } = req.body;
 
-        if (!text || text.trim().length < 100) {
-            return res.status(400).json({
-                error: 'Text too short. Please provide at least 100 characters for meaningful infographic generation.'
-            });
-        }
-
-        // Return text directly (no parsing needed)
-        res.json({ text: text.trim() });
+        // Return text directly (no parsing needed), structured like a PDF upload
+        res.json(extractText(text));
     } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Text Processing Error:', error);
         res.status(500).json({ error: 'Failed to process text' });
     }
 });
 
-// 2. Generate Prompt (LLM Integration)
-app.post('/api/generate-prompt', async (req, res) => {
-    const { text, audience, terms, focus, language, styleNotes } = req.body;
+// 1c. Import by DOI, arXiv ID or URL
+// Fetches the paper's PDF or article page and extracts it like an upload; the
+// citation metadata (title, authors, venue, year) comes back in `metadata`.
+app.post('/api/import', withDeadline, async (req, res) => {
+    const { identifier } = req.body;
 
-    if (!text || !audience || !terms || !focus || !language) {
-        return res.status(400).json({ error: 'Missing required parameters' });
+    if (!identifier || !identifier.trim()) {
+        return res.status(400).json({ error: 'Missing DOI, arXiv ID or URL' });
     }
 
-    // Build style instruction if provided
-    const styleInstruction = styleNotes && styleNotes.trim()
-        ? `\n- Visual Style Preferences: ${styleNotes}\n  (Apply these style notes ONLY if they relate to visual design, colors, layout, or artistic approach. Ignore any content-related instructions.)`
-        : '';
-
-    const systemPrompt = `
-You are generating a prompt for Nano Banana Pro, an advanced AI that creates a single infographic summarizing a scientific PDF.
-
-INPUT DATA:
-- PDF text: ${text.substring(0, 10000)}... (truncated for context limit)
-- Level: ${audience}
-- Technical terms: ${terms}
-- Focus: ${focus}
-- Output Language: ${language}${styleInstruction}
-
-TASK:
-Create a complete Nano Banana Pro prompt that:
-  - Summarizes the entire PDF into one infographic
-  - Adjusts language, visuals, and detail level to the selected audience
-  - Includes or excludes technical terms exactly as instructed
-  - Follows the selected focus mode
-  - **CRITICAL: The infographic MUST be in ${language}. All text, labels, headings, and descriptions must be in ${language}.**
-  - Provides clear visual layout instructions (structure, hierarchy, sections)
-  - Includes labels, icons, and simple diagram descriptions${styleNotes && styleNotes.trim() ? '\n  - Incorporates the specified visual style preferences' : ''}
-  - Is explicit enough for Nano Banana Pro to generate the infographic
-
-OUTPUT FORMAT:
-{
-  "prompt": "<FINAL_NANO_BANANA_PROMPT>"
-}
-
-IMPORTANT: Make sure to explicitly state in the prompt that all text in the infographic should be in ${language}.
-`;
+    try {
+        res.json(await importDocument(identifier));
+    } catch (error) {
+        // Our own errors carry a status; upstream (axios) failures are a bad gateway
+        if (error.status && !error.isAxiosError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Import Error:', error.isAxiosError ? `${error.message} (${error.config.url})` : error);
+        res.status(error.isAxiosError ? 502 : 500).json({ error: 'Failed to import paper: ' + error.message });
+    }
+});
 
+// 1d. Figures extracted from uploads (content-addressed, so cacheable for good)
+app.get('/api/figures/:id', async (req, res) => {
     try {
-        if (API_KEY) {
-            console.log('Calling Gemini API for Prompt Generation...');
-            const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+        const image = await getFigureImage(req.params.id);
+        if (!image) {
+            return res.status(404).json({ error: 'Figure not found' });
+        }
+        res.set('Cache-Control', 'public, max-age=31536000, immutable');
+        res.type(image.mimeType).sendFile(image.path);
+    } catch (error) {
+        console.error('Figure Store Error:', error);
+        res.status(500).json({ error: 'Failed to load figure' });
+    }
+});
 
-            const result = await model.generateContent(systemPrompt);
-            const response = await result.response;
-            const content = response.text();
+// 2. Generate Prompt (LLM Integration)
+app.post('/api/generate-prompt', limitRate, withDeadline, async (req, res) => {
+    const {
+        text, document, sources, sourceMode, audience, terms, focus, language, styleNotes, format, figures, tables, brand, template: version, fresh
+    } = req.body;
 
-            try {
-                const jsonMatch = content.match(/\{[\s\S]*\}/);
-                const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : content);
-                return res.json({ prompt: parsed.prompt });
-            } catch (e) {
-                console.warn('Failed to parse LLM JSON, returning raw content');
-                return res.json({ prompt: content });
-            }
-        } else {
-            // Mock Fallback
-            console.log('Using Mock LLM Response (No API Key)');
-            await new Promise(resolve => setTimeout(resolve, 1500));
-            res.json({ prompt: "Mock prompt for " + audience });
+    if ((!text && !document && !sources) || !audience || !terms || !focus || !language) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    let template;
+    try {
+        resolveLanguage(language);
+        validateReferences({ figures, tables });
+        // `template` picks a prompt template version; the active one otherwise
+        template = await loadTemplate(version);
+    } catch (error) {
+        if (error.status !== 400) {
+            console.error('Prompt Template Error:', error);
+            return res.status(500).json({ error: 'Failed to load the prompt template' });
         }
+        return res.status(400).json({ error: error.message });
+    }
 
+    try {
+        // `fresh` asks for a new prompt rather than the one written for the same input before
+        const prompt = await generatePrompt(
+            { text, document, sources, sourceMode, audience, terms, focus, language, styleNotes, format, figures, tables, brand },
+            { template, reuse: !fresh }
+        );
+        // The client passes the version on as `options.template`, so the result is tagged with it
+        res.json({ prompt, template: templateTag(template) });
     } catch (error) {
+        if (isModelError(error)) {
+            console.error('LLM Error:', error.detail);
+            return sendModelError(res, error, 'Failed to generate prompt');
+        }
+        if (isRefusal(error)) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        // A brand kit that no longer exists
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('LLM Error:', error);
         res.status(500).json({ error: 'Failed to generate prompt: ' + error.message });
     }
 });
 
-// 3. Generate Infographic (Gemini 3 Pro Image Preview - Nano Banana Pro)
-app.post('/api/generate-infographic', async (req, res) => {
-    const { prompt } = req.body;
+// 3. Generate Infographic (configured image provider, Nano Banana Pro by default)
+app.post('/api/generate-infographic', limitRate, requireQuota, withDeadline, async (req, res) => {
+    const { prompt, variants, format, grounding, figures, tables, brand, reuseImage } = req.body;
 
     if (!prompt) {
         return res.status(400).json({ error: 'Missing prompt' });
     }
 
     try {
-        if (API_KEY) {
-            console.log('Calling Gemini 3 Pro Image Preview (Nano Banana Pro) for Image Generation...');
-
-            // Use the native Gemini image generation endpoint with gemini-3-pro-image-preview
-            const axios = require('axios');
-            const response = await axios.post(
-                'https://generativelanguage.googleapis.com/v1beta/models/gemini-3-pro-image-preview:generateContent',
-                {
-                    contents: [{
-                        parts: [{ text: prompt }]
-                    }],
-                    tools: [{ google_search: {} }], // Enable Google Search grounding for factual infographics
-                    generationConfig: {
-                        responseModalities: ["TEXT", "IMAGE"],
-                        imageConfig: {
-                            aspectRatio: "16:9",
-                            imageSize: "2K" // High quality 2K output
-                        }
-                    }
-                },
-                {
-                    headers: {
-                        'x-goog-api-key': API_KEY,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-
-            // Extract the image from the response
-            if (response.data && response.data.candidates && response.data.candidates[0]) {
-                const parts = response.data.candidates[0].content.parts;
-
-                // Find the image part (skip thought parts)
-                const imagePart = parts.find(part => part.inlineData && !part.thought);
-
-                if (imagePart && imagePart.inlineData) {
-                    const imageData = imagePart.inlineData.data;
-                    const imageUrl = `data:image/png;base64,${imageData}`;
-                    console.log('Nano Banana Pro image generated successfully!');
-                    res.json({ imageUrl });
-                } else {
-                    throw new Error('No image data in response');
-                }
-            } else {
-                throw new Error('Invalid response structure');
+        validateReferences({ figures, tables });
+        const rendered = await generateVariants(variantPrompts(prompt, variants), { format, grounding, figures, tables, brand, reuse: reuseImage !== false });
+        res.json({ imageUrl: rendered[0].imageUrl, imageUrls: rendered.map(variant => variant.imageUrl) });
+    } catch (error) {
+        if (isModelError(error)) {
+            console.error('Nano Banana Pro Error:', error.detail);
+            return sendModelError(res, error, 'Failed to generate infographic');
+        }
+        if (isRefusal(error)) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        // Figures or a brand kit that were picked but cannot be used
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Nano Banana Pro Error:', error);
+        res.status(500).json({ error: 'Failed to generate infographic: ' + describeError(error) });
+    }
+});
+
+// A model call refused for the user (quota used up, own key missing); see auth.js.
+// Model failures can carry the same statuses, so check isModelError first.
+const isRefusal = (error) => error.status === 429 || error.status === 403;
+
+// A model call that failed after retries and fallbacks: its status, and a
+// code the client words for the user (see model-errors.js)
+const sendModelError = (res, error, action) => res.status(error.status).json({ error: `${action}: ${error.message}`, code: error.code });
+
+// Multipart requests carry the nested fields as JSON strings
+const parseField = (value) => typeof value === 'string' ? JSON.parse(value) : value;
+
+// Input and options of a job or batch request; throws on malformed JSON
+const parseRun = (req) => {
+    const sources = parseField(req.body.sources);
+    return {
+        options: parseField(req.body.options) || {},
+        document: parseField(req.body.document),
+        source: parseField(req.body.source) || {},
+        sources: sources && sources.length > 0 ? sources : undefined
+    };
+};
+
+// 4. Generation Jobs
+// Runs the whole pipeline in the background so no request has to stay open
+// for the duration of the image call. Accepts file uploads and/or `sources`
+// (text snippets or extracted documents), pasted text, an already extracted
+// document, or a finished prompt (render only).
+app.post('/api/jobs', limitRate, requireQuota, uploadFiles('pdf'), async (req, res) => {
+    let options, document, source, sources;
+    try {
+        ({ options, document, source, sources } = parseRun(req));
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid options or document' });
+    }
+
+    const { text, prompt } = req.body;
+    const { audience, terms, focus, language } = options;
+    const files = req.files || [];
+
+    if (files.length === 0 && !text && !document && !sources && !prompt) {
+        return res.status(400).json({ error: 'Provide a file, text, document or prompt' });
+    }
+    if (!prompt && (!audience || !terms || !focus || !language)) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    try {
+        await validateRun({ options, prompt });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Brand Kit Error:', error);
+        return res.status(500).json({ error: 'Failed to load brand kit' });
+    }
+
+    const job = createJob(progress => runInfographic({ files, sources, text, document, prompt, source, owner: req.user.id, options }, progress), req.user.id);
+
+    res.status(202).json(job);
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
+
+// Server-Sent Events stream of job updates; closes once the job has finished
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable response buffering in nginx-style proxies
+    });
+    res.flushHeaders();
+
+    const send = (snapshot) => {
+        res.write(`event: ${snapshot.stage}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+        if (snapshot.status !== 'running') {
+            close();
+        }
+    };
+
+    // Comment lines keep idle proxies from dropping the connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    const unsubscribe = subscribe(job.id, send);
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    req.on('close', close);
+    send(job);
+});
+
+// 5. Infographic History
+app.get('/api/infographics', async (req, res) => {
+    try {
+        // Admins see everyone's
+        res.json({ infographics: await listInfographics(req.user.role === 'admin' ? {} : { owner: req.user.id }) });
+    } catch (error) {
+        console.error('History Store Error:', error);
+        res.status(500).json({ error: 'Failed to load history' });
+    }
+});
+
+app.get('/api/infographics/:id', async (req, res) => {
+    try {
+        const infographic = await getInfographic(req.params.id);
+        if (!infographic) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+        res.json(infographic);
+    } catch (error) {
+        console.error('History Store Error:', error);
+        res.status(500).json({ error: 'Failed to load infographic' });
+    }
+});
+
+// Serves the selected image, or a specific variant; images can change when a
+// variant is regenerated, so clients must revalidate.
+const sendImage = async (req, res) => {
+    try {
+        const variant = req.params.index === undefined ? undefined : parseInt(req.params.index, 10);
+        const revision = req.params.number === undefined ? undefined : parseInt(req.params.number, 10);
+        const image = await getInfographicImage(req.params.id, { variant, revision });
+        if (!image) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+        res.set('Cache-Control', 'no-cache');
+        if (req.query.download) {
+            const suffix = variant !== undefined ? `-${variant + 1}` : (revision !== undefined ? `-rev${revision}` : '');
+            res.attachment(`infographic-${req.params.id.slice(0, 8)}${suffix}${path.extname(image.path)}`);
+            // A downloaded current image carries its description as metadata
+            const infographic = await getInfographic(req.params.id);
+            const current = await getInfographicImage(req.params.id);
+            if (infographic.accessibility && current.path === image.path) {
+                const buffer = await fs.promises.readFile(image.path);
+                return res.type(image.mimeType).send(embedDescription({ mimeType: image.mimeType, buffer }, infographic.accessibility, infographic.title));
             }
+        }
+        res.type(image.mimeType).sendFile(image.path);
+    } catch (error) {
+        console.error('History Store Error:', error);
+        res.status(500).json({ error: 'Failed to load image' });
+    }
+};
 
-        } else {
-            // Mock Fallback
-            console.log('Using Mock Image Response (No API Key)');
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            const mockImageUrl = 'https://placehold.co/600x800/8b5cf6/ffffff?text=Infographic+Generated';
-            res.json({ imageUrl: mockImageUrl });
+app.get('/api/infographics/:id/image', sendImage);
+app.get('/api/infographics/:id/variants/:index/image', sendImage);
+app.get('/api/infographics/:id/revisions/:number/image', sendImage);
+
+// Pick the favourite variant
+app.put('/api/infographics/:id/selection', async (req, res) => {
+    try {
+        const updated = await selectVariant(req.params.id, parseInt(req.body.index, 10));
+        if (!updated) {
+            return res.status(404).json({ error: 'Infographic or variant not found' });
+        }
+        res.json(updated);
+    } catch (error) {
+        console.error('History Store Error:', error);
+        res.status(500).json({ error: 'Failed to select variant' });
+    }
+});
+
+// Renders variants of a stored infographic anew from their prompts, never from
+// the cache, and puts them in place of the old images (runs as a job)
+const rerenderVariants = (infographic, indexes, owner) => createJob(async ({ stage }) => {
+    stage('rendering');
+    let rendered;
+    try {
+        rendered = await Promise.all(indexes.map(index => generateInfographic(infographic.variants[index].prompt, {
+            format: infographic.options.format,
+            grounding: infographic.options.grounding,
+            figures: infographic.options.figures,
+            tables: infographic.options.tables,
+            brand: infographic.options.brand
+        })));
+    } catch (error) {
+        console.error('Nano Banana Pro Error:', error.detail || error.message);
+        throw wrapFailure('Failed to generate infographic', error);
+    }
+    for (const [i, index] of indexes.entries()) {
+        await replaceVariant(infographic.id, index, rendered[i]);
+    }
+    const stored = await getInfographic(infographic.id);
+    // Only the main image is described right away; other variants when they are picked
+    const isCurrent = indexes.includes(stored.selected) && stored.currentRevision === 0;
+    if (isCurrent) stage('describing');
+    return {
+        prompt: infographic.prompt,
+        imageUrl: stored.imageUrl,
+        variants: stored.variants.map(variant => variant.imageUrl),
+        infographicId: infographic.id,
+        accessibility: isCurrent ? await describeQuietly(stored) : stored.accessibility
+    };
+}, owner);
+
+// Re-render a single variant from its prompt (runs as a job)
+app.post('/api/infographics/:id/variants/:index/regenerate', limitRate, requireQuota, async (req, res) => {
+    const index = parseInt(req.params.index, 10);
+    let infographic;
+    try {
+        infographic = await getInfographic(req.params.id);
+    } catch (error) {
+        console.error('History Store Error:', error);
+        return res.status(500).json({ error: 'Failed to load infographic' });
+    }
+    if (!infographic || !infographic.variants[index]) {
+        return res.status(404).json({ error: 'Infographic or variant not found' });
+    }
+
+    res.status(202).json(rerenderVariants(infographic, [index], req.user.id));
+});
+
+// Re-render every variant, e.g. when they came from the cache (runs as a job).
+// The record keeps its id, prompt and revisions, so the history gains no entry.
+app.post('/api/infographics/:id/render', limitRate, requireQuota, async (req, res) => {
+    let infographic;
+    try {
+        infographic = await getInfographic(req.params.id);
+    } catch (error) {
+        console.error('History Store Error:', error);
+        return res.status(500).json({ error: 'Failed to load infographic' });
+    }
+    if (!infographic) {
+        return res.status(404).json({ error: 'Infographic not found' });
+    }
+
+    res.status(202).json(rerenderVariants(infographic, infographic.variants.map((variant, index) => index), req.user.id));
+});
+
+// Refine the current image with a follow-up instruction (runs as a job).
+// Each refinement is kept as a numbered revision; pass `revision` to branch
+// off an earlier one instead of the current image.
+app.post('/api/infographics/:id/refine', limitRate, requireQuota, async (req, res) => {
+    const { instruction } = req.body;
+    if (!instruction || !instruction.trim()) {
+        return res.status(400).json({ error: 'Missing instruction' });
+    }
+
+    let infographic, basedOn, image;
+    try {
+        infographic = await getInfographic(req.params.id);
+        if (!infographic) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+        basedOn = req.body.revision === undefined ? infographic.currentRevision : parseInt(req.body.revision, 10);
+        const base = await getInfographicImage(infographic.id, { revision: basedOn });
+        if (!base) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        image = { mimeType: base.mimeType, data: (await fs.promises.readFile(base.path)).toString('base64') };
+    } catch (error) {
+        // The record names an image file that is gone
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Revision image not found' });
+        }
+        console.error('History Store Error:', error);
+        return res.status(500).json({ error: 'Failed to load infographic' });
+    }
+
+    const job = createJob(async ({ stage }) => {
+        stage('rendering');
+
+        let edited;
+        try {
+            edited = await refineInfographic(image, instruction.trim(), {
+                prompt: infographic.variants[infographic.selected].prompt,
+                format: infographic.options.format,
+                grounding: infographic.options.grounding
+            });
+        } catch (error) {
+            console.error('Nano Banana Pro Error:', error.detail || error.message);
+            throw wrapFailure('Failed to refine infographic', error);
+        }
+
+        const revision = await addRevision(infographic.id, { instruction: instruction.trim(), basedOn, ...edited });
+        const stored = await getInfographic(infographic.id);
+        stage('describing');
+        return {
+            prompt: infographic.prompt,
+            imageUrl: revision.imageUrl,
+            revision: revision.number,
+            revisions: stored.revisions,
+            infographicId: infographic.id,
+            accessibility: await describeQuietly(stored)
+        };
+    }, req.user.id);
+
+    res.status(202).json(job);
+});
+
+// Step back or forward through the revisions (0 = the unrefined favourite variant)
+app.put('/api/infographics/:id/revision', async (req, res) => {
+    try {
+        const updated = await setCurrentRevision(req.params.id, parseInt(req.body.number, 10));
+        if (!updated) {
+            return res.status(404).json({ error: 'Infographic or revision not found' });
+        }
+        res.json(updated);
+    } catch (error) {
+        console.error('History Store Error:', error);
+        res.status(500).json({ error: 'Failed to change revision' });
+    }
+});
+
+// Fact-check the current image against the source document (runs as a job,
+// so without the deadline of routes that answer right away: the job starts in
+// this request's context and would inherit it). Uses the text the model
+// returned with the image; the image is read with OCR when there is no such
+// text or when `ocr` is set.
+app.post('/api/infographics/:id/fact-check', limitRate, async (req, res) => {
+    let infographic, image;
+    try {
+        infographic = await getInfographic(req.params.id);
+        image = infographic && await getInfographicImage(infographic.id);
+    } catch (error) {
+        console.error('History Store Error:', error);
+        return res.status(500).json({ error: 'Failed to load infographic' });
+    }
+    if (!infographic || !image) {
+        return res.status(404).json({ error: 'Infographic not found' });
+    }
+    if (!infographic.text) {
+        return res.status(400).json({ error: 'No source text stored for this infographic' });
+    }
+
+    const job = createJob(async ({ stage }) => {
+        let text = image.text;
+        let textSource = 'model';
+        if (req.body.ocr || !text.trim()) {
+            stage('extracting');
+            try {
+                const data = (await fs.promises.readFile(image.path)).toString('base64');
+                text = await readImageText({ mimeType: image.mimeType, data });
+                textSource = 'ocr';
+            } catch (error) {
+                console.error('OCR Error:', error.detail || error.message);
+                throw wrapFailure('Failed to read the infographic text', error);
+            }
+        }
+        if (!text.trim()) {
+            throw new Error('The infographic has no readable text to check');
+        }
+
+        stage('checking');
+        const report = await saveFactCheck(infographic.id, { textSource, ...factCheck(text, infographic.text) });
+        return { infographicId: infographic.id, factCheck: report };
+    }, req.user.id);
+
+    res.status(202).json(job);
+});
+
+// Description of the current image: POST writes it (again) with the text
+// model, the .md file is the sidecar that goes with downloads
+app.post('/api/infographics/:id/accessibility', limitRate, withDeadline, async (req, res) => {
+    let infographic;
+    try {
+        infographic = await getInfographic(req.params.id);
+    } catch (error) {
+        console.error('History Store Error:', error);
+        return res.status(500).json({ error: 'Failed to load infographic' });
+    }
+    if (!infographic) {
+        return res.status(404).json({ error: 'Infographic not found' });
+    }
+
+    try {
+        res.json({ accessibility: await describeCurrent(infographic) });
+    } catch (error) {
+        if (isModelError(error)) {
+            console.error('Description Error:', error.detail);
+            return sendModelError(res, error, 'Failed to describe the infographic');
+        }
+        if (isRefusal(error)) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Description Error:', error.message);
+        res.status(500).json({ error: 'Failed to describe the infographic: ' + describeError(error) });
+    }
+});
+
+app.get('/api/infographics/:id/accessibility.md', async (req, res) => {
+    try {
+        const infographic = await getInfographic(req.params.id);
+        if (!infographic) {
+            return res.status(404).json({ error: 'Infographic not found' });
         }
+        if (!infographic.accessibility) {
+            return res.status(409).json({ error: 'Describe the current image first' });
+        }
+        res.attachment(`infographic-${infographic.id.slice(0, 8)}-description.md`);
+        res.type('text/markdown').send(sidecarText(infographic.accessibility, infographic.title));
+    } catch (error) {
+        console.error('History Store Error:', error);
+        res.status(500).json({ error: 'Failed to load the description' });
+    }
+});
+
+// Text layer of the current image for the editable exports (see layout.js):
+// POST builds it with the text model, replacing an earlier one, PUT saves one
+// corrected by hand. It is dropped when the current image changes.
+app.post('/api/infographics/:id/layout', limitRate, withDeadline, async (req, res) => {
+    let infographic, image;
+    try {
+        infographic = await getInfographic(req.params.id);
+        image = infographic && await getInfographicImage(infographic.id);
+    } catch (error) {
+        console.error('History Store Error:', error);
+        return res.status(500).json({ error: 'Failed to load infographic' });
+    }
+    if (!infographic || !image) {
+        return res.status(404).json({ error: 'Infographic not found' });
+    }
+
+    try {
+        const data = (await fs.promises.readFile(image.path)).toString('base64');
+        const layout = await generateLayout({
+            prompt: currentPrompt(infographic),
+            text: image.text,
+            image: { mimeType: image.mimeType, data },
+            format: infographic.options.format,
+            language: infographic.options.language
+        });
+        res.json({ layout: await saveLayout(infographic.id, layout) });
+    } catch (error) {
+        if (isModelError(error)) {
+            console.error('Layout Error:', error.detail);
+            return sendModelError(res, error, 'Failed to build the text layer');
+        }
+        if (isRefusal(error)) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Layout Error:', error.message);
+        res.status(500).json({ error: 'Failed to build the text layer: ' + describeError(error) });
+    }
+});
+
+app.put('/api/infographics/:id/layout', async (req, res) => {
+    try {
+        const infographic = await getInfographic(req.params.id);
+        if (!infographic) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+        let layout;
+        try {
+            layout = normalizeLayout(req.body, { language: infographic.options.language });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        res.json({ layout: await saveLayout(infographic.id, layout) });
+    } catch (error) {
+        console.error('History Store Error:', error);
+        res.status(500).json({ error: 'Failed to save the text layer' });
+    }
+});
+
+// The current image with its text layer as an editable file: SVG, HTML page
+// or PowerPoint slide (see exporters)
+app.get('/api/infographics/:id/export/:format', async (req, res) => {
+    try {
+        const infographic = await getInfographic(req.params.id);
+        const image = infographic && await getInfographicImage(infographic.id);
+        if (!infographic || !image) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+        if (!infographic.layout) {
+            return res.status(409).json({ error: 'Build the text layer of the current image first' });
+        }
+
+        let language;
+        try {
+            language = resolveLanguage(infographic.options.language).tag;
+        } catch (error) {
+            language = undefined;
+        }
+        const file = await exportInfographic(req.params.format, {
+            layout: infographic.layout,
+            image: { mimeType: image.mimeType, buffer: await fs.promises.readFile(image.path) },
+            format: infographic.options.format,
+            title: infographic.title,
+            altText: infographic.accessibility && infographic.accessibility.altText,
+            language
+        });
+        res.attachment(`infographic-${infographic.id.slice(0, 8)}${file.extension}`);
+        res.type(file.mimeType).send(file.body);
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Export Error:', error);
+        res.status(500).json({ error: 'Failed to export infographic' });
+    }
+});
+
+// All variants as one zip download
+app.get('/api/infographics/:id/zip', async (req, res) => {
+    try {
+        const infographic = await getInfographic(req.params.id);
+        if (!infographic) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+
+        const zip = new JSZip();
+        for (let index = 0; index < infographic.variants.length; index++) {
+            const image = await getInfographicImage(infographic.id, { variant: index });
+            zip.file(`variant-${index + 1}${path.extname(image.path)}`, fs.createReadStream(image.path));
+        }
+        if (infographic.accessibility) {
+            zip.file('description.md', sidecarText(infographic.accessibility, infographic.title));
+        }
+
+        res.attachment(`infographic-${infographic.id.slice(0, 8)}.zip`);
+        zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true }).pipe(res);
+    } catch (error) {
+        console.error('History Store Error:', error);
+        res.status(500).json({ error: 'Failed to build zip' });
+    }
+});
+
+app.delete('/api/infographics/:id', async (req, res) => {
+    try {
+        if (!await deleteInfographic(req.params.id)) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('History Store Error:', error);
+        res.status(500).json({ error: 'Failed to delete infographic' });
+    }
+});
+
+// 6. Brand Kits
+// Named style presets picked in Step 2 (`options.brand`): palette, typography,
+// icon style, footer text and a logo, which goes to the image model as a
+// reference image. Fields are sent as multipart form data, the logo in `logo`;
+// `removeLogo=true` drops it. Every account can use every kit; `editable` says
+// whether the caller may change it (its owner and admins).
+const withEditable = (req, kit) => ({ ...kit, editable: mayAccess(req.user, kit) });
+
+app.get('/api/brands', async (req, res) => {
+    try {
+        res.json({ brands: (await listBrandKits()).map(kit => withEditable(req, kit)) });
+    } catch (error) {
+        console.error('Brand Kit Error:', error);
+        res.status(500).json({ error: 'Failed to load brand kits' });
+    }
+});
+
+const saveBrand = async (req, res) => {
+    const logo = req.file ? req.file : (req.body.removeLogo === 'true' ? null : undefined);
+    try {
+        const kit = await saveBrandKit(req.body, logo, req.params.id, req.user.id);
+        if (!kit) {
+            return res.status(404).json({ error: 'Brand kit not found' });
+        }
+        res.status(req.params.id ? 200 : 201).json(withEditable(req, kit));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Brand Kit Error:', error);
+        res.status(500).json({ error: 'Failed to save brand kit' });
+    }
+};
+
+const ownBrandKit = ownedBy(getBrandKit, 'Brand kit');
 
+app.post('/api/brands', logoUpload.single('logo'), saveBrand);
+app.put('/api/brands/:id', ownBrandKit, logoUpload.single('logo'), saveBrand);
+
+app.get('/api/brands/:id', async (req, res) => {
+    try {
+        const kit = await getBrandKit(req.params.id);
+        if (!kit) {
+            return res.status(404).json({ error: 'Brand kit not found' });
+        }
+        res.json(withEditable(req, kit));
+    } catch (error) {
+        console.error('Brand Kit Error:', error);
+        res.status(500).json({ error: 'Failed to load brand kit' });
+    }
+});
+
+app.get('/api/brands/:id/logo', async (req, res) => {
+    try {
+        const logo = await getBrandLogo(req.params.id);
+        if (!logo) {
+            return res.status(404).json({ error: 'Logo not found' });
+        }
+        res.set('Cache-Control', 'no-cache');
+        res.type(logo.mimeType).sendFile(logo.path);
+    } catch (error) {
+        console.error('Brand Kit Error:', error);
+        res.status(500).json({ error: 'Failed to load logo' });
+    }
+});
+
+app.delete('/api/brands/:id', ownBrandKit, async (req, res) => {
+    try {
+        if (!await deleteBrandKit(req.params.id)) {
+            return res.status(404).json({ error: 'Brand kit not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Brand Kit Error:', error);
+        res.status(500).json({ error: 'Failed to delete brand kit' });
+    }
+});
+
+// 7. Batch Runs
+// One document for every combination of `options.audiences`, `languages` and
+// `focuses`; the other options are shared. The input is extracted once, then
+// each combination gets its own prompt and image (BATCH_CONCURRENCY at a time)
+// and is stored in the history. Runs as a job whose `cells` report progress;
+// the finished batch can be fetched again and downloaded as a zip.
+app.post('/api/batches', limitRate, requireQuota, uploadFiles('pdf'), async (req, res) => {
+    let options, document, source, sources;
+    try {
+        ({ options, document, source, sources } = parseRun(req));
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid options or document' });
+    }
+
+    const { text } = req.body;
+    // The combinations replace the single audience, language and focus
+    const { audiences, languages, focuses, audience, language, focus, ...shared } = options;
+    const { terms, format, figures = [], tables = [], brand } = shared;
+    let template;
+    const files = req.files || [];
+
+    if (files.length === 0 && !text && !document && !sources) {
+        return res.status(400).json({ error: 'Provide a file, text or document' });
+    }
+    if (!terms) {
+        return res.status(400).json({ error: 'Missing required parameters' });
+    }
+    let cells;
+    try {
+        cells = batchCells({ audiences, languages, focuses });
+        validateReferences({ figures, tables });
+        if (brand && !await getBrandKit(brand)) {
+            return res.status(400).json({ error: 'Brand kit not found' });
+        }
+        // All combinations are prompted with the same template version
+        template = await loadTemplate(shared.template);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        // The brand kit or the prompt template could not be read
+        console.error('Batch Error:', error);
+        return res.status(500).json({ error: 'Failed to prepare the batch' });
+    }
+
+    const job = createJob(async ({ stage, partial }) => {
+        // The first language is the OCR hint
+        const extracted = await extractRun({ files, sources, text, document, language: cells[0].language }, { stage, partial });
+        const recordSource = runSource({ files, extracted, source });
+
+        stage('rendering');
+        const report = () => partial({ cells: cells.map(cell => ({ ...cell })) });
+        report();
+
+        await runLimited(cells, BATCH_CONCURRENCY, async (cell) => {
+            const cellOptions = { ...shared, audience: cell.audience, language: cell.language, focus: cell.focus, variants: 1 };
+            try {
+                cell.status = 'prompting';
+                report();
+                const prompt = await generatePrompt({ ...extracted, ...cellOptions }, { template });
+                cell.status = 'rendering';
+                report();
+                const variants = await generateVariants([prompt], { format, grounding: shared.grounding, figures, tables, brand, reuse: shared.reuseImage !== false });
+                const saved = await saveInfographic({
+                    source: recordSource,
+                    text: extracted.text,
+                    document: extracted.document,
+                    sources: extracted.sources || [],
+                    options: cellOptions,
+                    prompt,
+                    template: templateTag(template),
+                    variants,
+                    owner: req.user.id
+                });
+                await describeQuietly(await getInfographic(saved.id));
+                Object.assign(cell, { status: 'done', infographicId: saved.id, imageUrl: saved.imageUrl });
+            } catch (error) {
+                // One combination failing should not cost the others
+                console.error('Batch Error:', error.detail || error.message);
+                Object.assign(cell, { status: 'failed', error: describeError(error), code: errorCode(error) });
+            }
+            report();
+        });
+
+        if (cells.every(cell => cell.status === 'failed')) {
+            throw new Error(`All ${cells.length} combinations failed: ${cells[0].error}`);
+        }
+        const batch = await saveBatch({
+            title: (extracted.document && extracted.document.title) || recordSource.name || 'Batch',
+            source: { name: recordSource.name, kind: recordSource.kind },
+            options: shared,
+            cells,
+            owner: req.user.id
+        });
+        return { batchId: batch.id, cells: cells.map(cell => ({ ...cell })) };
+    }, req.user.id);
+
+    res.status(202).json(job);
+});
+
+// Cells of a stored batch, with the image of each finished one
+const withImages = (batch) => ({
+    ...batch,
+    cells: batch.cells.map(cell => ({ ...cell, imageUrl: cell.infographicId ? `/api/infographics/${cell.infographicId}/image` : null }))
+});
+
+app.get('/api/batches/:id', async (req, res) => {
+    try {
+        const batch = await getBatch(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        res.json(withImages(batch));
+    } catch (error) {
+        console.error('Batch Store Error:', error);
+        res.status(500).json({ error: 'Failed to load batch' });
+    }
+});
+
+// All images of a batch as one zip, with manifest.json describing each file
+// (combination, prompt, history id, alt text) and each image's description
+// next to it. Infographics deleted from the history
+// since are listed without a file.
+app.get('/api/batches/:id/zip', async (req, res) => {
+    try {
+        const batch = await getBatch(req.params.id);
+        if (!batch) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        const zip = new JSZip();
+        const items = [];
+        for (const [index, cell] of batch.cells.entries()) {
+            const { audience, language, focus, infographicId } = cell;
+            const infographic = infographicId ? await getInfographic(infographicId) : null;
+            const image = infographic ? await getInfographicImage(infographicId) : null;
+            if (!image) {
+                items.push({ file: null, audience, language, focus, infographicId, error: cell.error || 'Not in the history any more' });
+                continue;
+            }
+            const file = cellFileName(cell, index, path.extname(image.path));
+            const { accessibility } = infographic;
+            if (accessibility) {
+                const buffer = await fs.promises.readFile(image.path);
+                zip.file(file, embedDescription({ mimeType: image.mimeType, buffer }, accessibility, infographic.title));
+                zip.file(cellFileName(cell, index, '-description.md'), sidecarText(accessibility, infographic.title));
+            } else {
+                zip.file(file, fs.createReadStream(image.path));
+            }
+            items.push({ file, audience, language, focus, infographicId, prompt: infographic.prompt, altText: accessibility ? accessibility.altText : null });
+        }
+        zip.file('manifest.json', JSON.stringify({
+            id: batch.id,
+            title: batch.title,
+            source: batch.source,
+            options: batch.options,
+            createdAt: batch.createdAt,
+            items
+        }, null, 2));
+
+        res.attachment(`batch-${batch.id.slice(0, 8)}.zip`);
+        zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true }).pipe(res);
+    } catch (error) {
+        console.error('Batch Store Error:', error);
+        res.status(500).json({ error: 'Failed to build zip' });
+    }
+});
+
+// 8. Accounts & Usage
+// Sign-in with a session cookie, API tokens for scripts, an own Gemini key per
+// user (OWN_GEMINI_KEYS) and the admin's view of accounts and usage. See
+// auth.js, accounts.js and usage.js.
+
+// The account with today's quota
+const presentAccount = (user) => ({ ...user, usage: quotaStatus(user) });
+
+// Account routes need accounts; with AUTH=off there is only the built-in user
+const requireAccounts = (req, res, next) => {
+    if (!AUTH_ENABLED) {
+        return res.status(404).json({ error: 'Accounts are switched off on this server (AUTH=off)' });
+    }
+    next();
+};
+
+app.get('/api/auth/session', (req, res) => {
+    res.json({
+        authEnabled: AUTH_ENABLED,
+        signupEnabled: AUTH_ENABLED && SIGNUP_ENABLED,
+        ownKeys: OWN_KEYS,
+        user: req.user ? presentAccount(req.user) : null
+    });
+});
+
+const startSession = async (res, user) => {
+    const { token, info } = await issueToken(user.id, { kind: 'session' });
+    setSessionCookie(res, token, info.expiresAt);
+    res.json({ user: presentAccount(user) });
+};
+
+app.post('/api/auth/login', requireAccounts, limitLogins, async (req, res) => {
+    try {
+        const user = await verifyPassword(req.body.username, req.body.password);
+        if (!user) {
+            return res.status(401).json({ error: 'Wrong username or password' });
+        }
+        await startSession(res, user);
+    } catch (error) {
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to sign in' });
+    }
+});
+
+app.post('/api/auth/signup', requireAccounts, limitLogins, async (req, res) => {
+    if (!SIGNUP_ENABLED) {
+        return res.status(403).json({ error: 'Sign-up is closed; ask an admin for an account' });
+    }
+    try {
+        await startSession(res, await createUser({ username: req.body.username, password: req.body.password }));
+    } catch (error) {
+        if (error.status === 400 || error.status === 409) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to create the account' });
+    }
+});
+
+// Ends the session of this browser (API tokens are revoked under /api/account/tokens)
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        if (req.user && req.tokenId) await revokeToken(req.user.id, req.tokenId);
+        clearSessionCookie(res);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to sign out' });
+    }
+});
+
+app.put('/api/account/password', requireAccounts, async (req, res) => {
+    try {
+        if (!await changePassword(req.user.id, req.body.current, req.body.password)) {
+            return res.status(400).json({ error: 'The current password is wrong' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to change the password' });
+    }
+});
+
+// The user's own Gemini key: stored encrypted, used only for their requests
+const saveOwnKey = async (req, res) => {
+    if (OWN_KEYS === 'off') {
+        return res.status(403).json({ error: 'This server does not take own Gemini keys' });
+    }
+    try {
+        const user = await setOwnKey(req.user.id, req.method === 'DELETE' ? null : (req.body.key || ''));
+        res.json({ user: presentAccount(user) });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to save the key' });
+    }
+};
+
+app.put('/api/account/key', requireAccounts, saveOwnKey);
+app.delete('/api/account/key', requireAccounts, saveOwnKey);
+
+// API tokens: sent as "Authorization: Bearer <token>" by scripts
+app.get('/api/account/tokens', requireAccounts, async (req, res) => {
+    try {
+        res.json({ tokens: await listTokens(req.user.id) });
+    } catch (error) {
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to load tokens' });
+    }
+});
+
+// The token itself is only in this response
+app.post('/api/account/tokens', requireAccounts, async (req, res) => {
+    try {
+        const { token, info } = await issueToken(req.user.id, { kind: 'api', label: req.body.label });
+        res.status(201).json({ token, info });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to create a token' });
+    }
+});
+
+app.delete('/api/account/tokens/:tokenId', requireAccounts, async (req, res) => {
+    try {
+        if (!await revokeToken(req.user.id, req.params.tokenId)) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to revoke the token' });
+    }
+});
+
+// Admin: every account with today's quota and its model calls over the last `days` (default 30)
+app.get('/api/admin/usage', requireAdmin, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+        const report = usageReport(days);
+        const users = AUTH_ENABLED ? await listUsers() : [req.user];
+        const empty = { total: { shared: {}, own: {} }, days: {} };
+        res.json({
+            days,
+            users: users.map(user => ({ ...presentAccount(user), ...(report[user.id] || empty) }))
+        });
+    } catch (error) {
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to load usage' });
+    }
+});
+
+// Admin: the models of /api/status with what the API answered for failures (`detail`)
+app.get('/api/admin/models', requireAdmin, async (req, res) => {
+    try {
+        res.json(await checkModels());
+    } catch (error) {
+        console.error('Status Error:', error);
+        res.status(500).json({ error: 'Failed to check the models' });
+    }
+});
+
+app.post('/api/admin/users', requireAccounts, requireAdmin, async (req, res) => {
+    try {
+        const { username, password, role, quota } = req.body;
+        res.status(201).json(presentAccount(await createUser({ username, password, role, quota })));
+    } catch (error) {
+        if (error.status === 400 || error.status === 409) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to create the account' });
+    }
+});
+
+// Role, quota (null for the default) and whether the account is disabled
+app.put('/api/admin/users/:id', requireAccounts, requireAdmin, async (req, res) => {
+    const { role, quota, disabled } = req.body;
+    if (req.params.id === req.user.id && (disabled || (role && role !== 'admin'))) {
+        return res.status(400).json({ error: 'You cannot lock yourself out' });
+    }
+    try {
+        const user = await updateUser(req.params.id, { role, quota, disabled });
+        if (!user) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        res.json(presentAccount(user));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to update the account' });
+    }
+});
+
+app.delete('/api/admin/users/:id', requireAccounts, requireAdmin, async (req, res) => {
+    if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    try {
+        if (!await deleteUser(req.params.id)) {
+            return res.status(404).json({ error: 'Account not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Account Store Error:', error);
+        res.status(500).json({ error: 'Failed to delete the account' });
+    }
+});
+
+// 9. Public API (v1)
+// Versioned routes for scripts and CI (see cli.js). Requests
+// and responses are checked against the schemas in schemas.js, which
+// /api/v1/openapi.json publishes; errors always come as { error, code, details? }.
+const API_ERROR_CODES = { 400: 'invalid_request', 404: 'not_found' };
+
+const apiError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const sendApiError = (res, error, label) => {
+    if (error.status === 400 || error.status === 404 || isRefusal(error) || isModelError(error)) {
+        if (isModelError(error)) console.error(`${label} Error:`, error.detail);
+        return res.status(error.status).json({
+            error: error.message,
+            code: error.code || API_ERROR_CODES[error.status],
+            ...(error.details ? { details: error.details } : {})
+        });
+    }
+    console.error(`${label} Error:`, error);
+    res.status(500).json({ error: `${label} failed: ${describeError(error)}`, code: 'internal' });
+};
+
+// The options a run needs unless it renders a finished prompt
+const requireRunOptions = (options) => {
+    const details = ['audience', 'terms', 'focus', 'language']
+        .filter(name => !options[name])
+        .map(name => ({ path: `options.${name}`, message: 'is required' }));
+    if (details.length > 0) {
+        const error = apiError(`Invalid request: ${details.map(detail => `${detail.path} ${detail.message}`).join('; ')}`, 400);
+        error.details = details;
+        throw error;
+    }
+};
+
+// Documents arrive as `files`; upload errors answer like validation errors
+const apiUpload = (req, res, next) => uploadFiles('files')(req, res, (error) => error
+    ? res.status(400).json({ error: error.message, code: 'invalid_request' })
+    : next());
+
+// A job as the API describes it: the result without the extracted text
+const apiJob = (job) => {
+    const { prompt, infographicId, imageUrl, variants, reusedImage, accessibility } = job.result;
+    return {
+        id: job.id,
+        status: job.status,
+        stage: job.stage,
+        error: job.error,
+        code: job.code,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        result: {
+            prompt,
+            infographicId,
+            imageUrl,
+            variants,
+            reusedImage,
+            altText: job.status === 'done' ? (accessibility ? accessibility.altText : null) : undefined
+        }
+    };
+};
+
+const apiInfographic = (infographic) => ({
+    id: infographic.id,
+    title: infographic.title,
+    source: { name: infographic.source.name, kind: infographic.source.kind },
+    options: infographic.options,
+    prompt: infographic.variants[infographic.selected].prompt,
+    template: infographic.template || null,
+    imageUrl: infographic.imageUrl,
+    variants: infographic.variants.map(variant => variant.imageUrl),
+    accessibility: infographic.accessibility,
+    createdAt: infographic.createdAt,
+    updatedAt: infographic.updatedAt
+});
+
+app.get('/api/v1/openapi.json', (req, res) => {
+    res.json(openApiDocument());
+});
+
+app.get('/api/v1/capabilities', (req, res) => {
+    sendValid(res, 'Capabilities', {
+        version: API_VERSION,
+        formats: FORMATS.map(({ id, label, aspectRatio, orientation }) => ({ id, label, aspectRatio, orientation })),
+        languages: listLanguages().map(({ tag, name, nativeName }) => ({ tag, name, nativeName })),
+        extensions: supportedExtensions(),
+        sourceModes: Object.keys(SOURCE_MODES),
+        maxSources: MAX_SOURCES,
+        maxVariants: MAX_VARIANTS
+    });
+});
+
+app.post('/api/v1/prompts', limitRate, withDeadline, async (req, res) => {
+    try {
+        const { text, sources, options, fresh } = assertValid('PromptRequest', req.body || {});
+        if (!text && !sources) {
+            throw apiError('Provide text or sources', 400);
+        }
+        requireRunOptions(options);
+        await validateRun({ options });
+        const extracted = await extractRun({ files: [], sources, text, language: options.language }, { stage: () => {}, partial: () => {} });
+        const template = await loadTemplate(options.template);
+        sendValid(res, 'Prompt', {
+            prompt: await generatePrompt({ ...extracted, ...options }, { template, reuse: !fresh }),
+            template: templateTag(template)
+        });
+    } catch (error) {
+        sendApiError(res, error, 'Prompt');
+    }
+});
+
+app.post('/api/v1/jobs', limitRate, requireQuota, apiUpload, async (req, res) => {
+    try {
+        let request = req.body || {};
+        if (req.is('multipart/form-data')) {
+            try {
+                request = JSON.parse(req.body.request);
+            } catch (e) {
+                throw apiError('The request field must be a JobRequest as JSON', 400);
+            }
+        }
+        const { text, sources, prompt, name, options } = assertValid('JobRequest', request);
+        const files = req.files || [];
+
+        if (files.length === 0 && !text && !sources && !prompt) {
+            throw apiError('Provide files, text, sources or a prompt', 400);
+        }
+        if (files.length + (sources || []).length > MAX_SOURCES) {
+            throw apiError(`Too many sources. Combine at most ${MAX_SOURCES} documents in one infographic.`, 400);
+        }
+        if (!prompt) requireRunOptions(options);
+        await validateRun({ options, prompt });
+
+        const source = { name: name || (files[0] && files[0].originalname) || 'API request', kind: prompt ? 'prompt' : 'text' };
+        const job = createJob(progress => runInfographic({ files, sources, text, prompt, source, owner: req.user.id, options }, progress), req.user.id);
+        sendValid(res, 'Job', apiJob(job), 202);
+    } catch (error) {
+        sendApiError(res, error, 'Job');
+    }
+});
+
+app.get('/api/v1/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found', code: 'not_found' });
+    }
+    sendValid(res, 'Job', apiJob(job));
+});
+
+app.get('/api/v1/infographics/:id', async (req, res) => {
+    try {
+        const infographic = await getInfographic(req.params.id);
+        if (!infographic) {
+            throw apiError('Infographic not found', 404);
+        }
+        sendValid(res, 'Infographic', apiInfographic(infographic));
+    } catch (error) {
+        sendApiError(res, error, 'Infographic');
+    }
+});
+
+// Files saved by scripts keep their description: the current image always
+// carries it as metadata
+app.get('/api/v1/infographics/:id/image', async (req, res) => {
+    try {
+        const variant = req.query.variant === undefined ? undefined : Number(req.query.variant);
+        if (variant !== undefined && !(Number.isInteger(variant) && variant >= 0)) {
+            throw apiError('variant must be an index from 0', 400);
+        }
+        const infographic = await getInfographic(req.params.id);
+        const image = infographic && await getInfographicImage(req.params.id, { variant });
+        if (!image) {
+            throw apiError('Infographic or variant not found', 404);
+        }
+        const buffer = await fs.promises.readFile(image.path);
+        const current = await getInfographicImage(req.params.id);
+        res.set('Cache-Control', 'no-cache');
+        res.type(image.mimeType).send(infographic.accessibility && current.path === image.path
+            ? embedDescription({ mimeType: image.mimeType, buffer }, infographic.accessibility, infographic.title)
+            : buffer);
+    } catch (error) {
+        sendApiError(res, error, 'Image');
+    }
+});
+
+// 10. Prompt Templates (admin)
+// The instructions for writing the image prompt, as numbered versions (see
+// templates.js). Saving creates a new version; prompts are written with the
+// active one unless a run asks for another with `options.template`.
+const versionParam = (req) => /^\d+$/.test(req.params.version) ? Number(req.params.version) : null;
+
+app.get('/api/admin/templates', requireAdmin, async (req, res) => {
+    try {
+        res.json({ templates: await listTemplates(), variables: TEMPLATE_VARIABLES });
+    } catch (error) {
+        console.error('Prompt Template Error:', error);
+        res.status(500).json({ error: 'Failed to load prompt templates' });
+    }
+});
+
+app.get('/api/admin/templates/:version', requireAdmin, async (req, res) => {
+    try {
+        const template = versionParam(req) === null ? null : await getTemplate(versionParam(req));
+        if (!template) {
+            return res.status(404).json({ error: 'Prompt template version not found' });
+        }
+        res.json(template);
+    } catch (error) {
+        console.error('Prompt Template Error:', error);
+        res.status(500).json({ error: 'Failed to load prompt template' });
+    }
+});
+
+app.post('/api/admin/templates', requireAdmin, async (req, res) => {
+    try {
+        const { body, note, activate } = req.body;
+        const template = await saveTemplate({ body, note }, req.user.username);
+        res.status(201).json(activate ? await activateTemplate(template.version) : template);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Prompt Template Error:', error);
+        res.status(500).json({ error: 'Failed to save prompt template' });
+    }
+});
+
+app.put('/api/admin/templates/active', requireAdmin, async (req, res) => {
+    try {
+        const template = Number.isInteger(req.body.version) ? await activateTemplate(req.body.version) : null;
+        if (!template) {
+            return res.status(404).json({ error: 'Prompt template version not found' });
+        }
+        res.json(template);
+    } catch (error) {
+        console.error('Prompt Template Error:', error);
+        res.status(500).json({ error: 'Failed to activate prompt template' });
+    }
+});
+
+// The document and options of a stored infographic, to prompt it again
+const comparisonInput = (infographic) => {
+    if (!infographic.text || !infographic.options.audience) {
+        const error = new Error('This infographic was made from a finished prompt and has no document to prompt again');
+        error.status = 400;
+        throw error;
+    }
+    const { template, ...options } = infographic.options;
+    return {
+        ...options,
+        text: infographic.text,
+        document: infographic.document,
+        sources: infographic.sources.length > 1 ? infographic.sources : undefined
+    };
+};
+
+// The instructions a template (`body`, or a saved `version`) gives the text
+// model, for an infographic from the history or with placeholders. Calls no model.
+app.post('/api/admin/templates/preview', requireAdmin, async (req, res) => {
+    const { body, version, infographicId } = req.body;
+    try {
+        const template = typeof body === 'string' ? { body } : await loadTemplate(version);
+        if (!infographicId) {
+            return res.json({ systemPrompt: renderTemplate(template.body, sampleVariables()) });
+        }
+        const infographic = await getInfographic(infographicId);
+        if (!infographic) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+        res.json({ systemPrompt: await buildSystemPrompt(comparisonInput(infographic), template) });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Prompt Template Error:', error);
+        res.status(500).json({ error: 'Failed to preview prompt template' });
+    }
+});
+
+// A/B comparison: the document of a history infographic prompted and rendered
+// once with each of two template versions. Runs as a job whose `comparison`
+// lists both sides as they finish; each result is stored in the history,
+// tagged with its version.
+app.post('/api/admin/templates/compare', requireAdmin, limitRate, requireQuota, async (req, res) => {
+    const { infographicId, versions } = req.body;
+    if (!Array.isArray(versions) || versions.length !== 2 || versions[0] === versions[1]) {
+        return res.status(400).json({ error: 'Pick two different template versions' });
+    }
+
+    let infographic, input, templates;
+    try {
+        infographic = await getInfographic(infographicId);
+        if (!infographic) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+        input = comparisonInput(infographic);
+        await validateRun({ options: input });
+        templates = await Promise.all(versions.map(version => loadTemplate(version)));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Prompt Template Error:', error);
+        return res.status(500).json({ error: 'Failed to start the comparison' });
+    }
+
+    const job = createJob(async ({ stage, partial }) => {
+        const sides = templates.map(template => ({ version: template.version, status: 'queued' }));
+        const report = () => partial({ comparison: sides.map(side => ({ ...side })) });
+        stage('rendering');
+        report();
+
+        // One side after the other; the image API rate-limits parallel calls
+        for (const [index, template] of templates.entries()) {
+            const side = sides[index];
+            try {
+                side.status = 'prompting';
+                report();
+                const prompt = await generatePrompt(input, { template });
+                Object.assign(side, { status: 'rendering', prompt });
+                report();
+                const { format, grounding, figures = [], tables = [], brand } = input;
+                const variants = await generateVariants([prompt], { format, grounding, figures, tables, brand, reuse: true });
+                const saved = await saveInfographic({
+                    source: infographic.source,
+                    text: infographic.text,
+                    document: infographic.document,
+                    sources: infographic.sources,
+                    options: { ...infographic.options, template: template.version, variants: 1 },
+                    prompt,
+                    template: templateTag(template),
+                    variants,
+                    owner: req.user.id
+                });
+                await describeQuietly(await getInfographic(saved.id));
+                Object.assign(side, { status: 'done', infographicId: saved.id, imageUrl: saved.imageUrl });
+            } catch (error) {
+                // One side failing still leaves the other to look at
+                console.error('Comparison Error:', error.detail || error.message);
+                Object.assign(side, { status: 'failed', error: describeError(error), code: errorCode(error) });
+            }
+            report();
+        }
+
+        if (sides.every(side => side.status === 'failed')) {
+            throw new Error(`Both versions failed: ${sides[0].error}`);
+        }
+        return { infographicId, comparison: sides.map(side => ({ ...side })) };
+    }, req.user.id);
+
+    res.status(202).json(job);
+});
+
+// 11. Share Links
+// Anyone with a link sees the infographic under /s/<token> without signing in
+// (see shares.js and viewer.js); signed-in users create and revoke links.
+// Previews and embed snippets need absolute URLs, and the Host header is up to
+// the client: PUBLIC_URL sets their origin. It is required in production; in
+// development the server's own local address stands in.
+const PUBLIC_URL = (process.env.PUBLIC_URL || (process.env.NODE_ENV === 'production' ? '' : `http://localhost:${port}`)).replace(/\/+$/, '');
+const absoluteUrl = (urlPath) => `${PUBLIC_URL}${urlPath}`;
+if (!PUBLIC_URL) console.warn('PUBLIC_URL is not set: share links are off until it is');
+
+// Share links, their pages and oEmbed answer 503 without a public address
+const requirePublicUrl = (req, res, next) => {
+    if (PUBLIC_URL) return next();
+    res.status(503).json({ error: 'Share links need PUBLIC_URL, the public address of the app', code: 'public_url_missing' });
+};
+
+// Pixel size of the current image, or of its format preset if the file does not tell
+const currentImageSize = async (infographic) => {
+    const image = await getInfographicImage(infographic.id);
+    const size = imageSize({ mimeType: image.mimeType, buffer: await fs.promises.readFile(image.path) });
+    if (size) return size;
+    const [w, h] = getFormat(infographic.options.format).aspectRatio.split(':').map(Number);
+    return { width: 2048, height: Math.round(2048 * h / w) };
+};
+
+const presentShare = ({ path: viewPath, embedPath, imagePath, ...share }, { title, size }) => {
+    const embedUrl = absoluteUrl(embedPath);
+    return {
+        ...share,
+        url: absoluteUrl(viewPath),
+        embedUrl,
+        imageUrl: absoluteUrl(imagePath),
+        oembedUrl: absoluteUrl(`/api/oembed?url=${encodeURIComponent(absoluteUrl(viewPath))}`),
+        embedCode: embedSnippet({ embedUrl, title, ...fitSize(size) })
+    };
+};
+
+// Citations, else titles or names, of the documents an infographic summarises
+const sourceNames = (infographic) => (infographic.sources.length > 0 ? infographic.sources : [{ ...infographic.source, document: infographic.document }])
+    .filter(source => source.kind !== 'prompt')
+    .map(source => formatCitation(source.document && source.document.citation) || (source.document && source.document.title) || source.name)
+    .filter(Boolean);
+
+const pageLanguage = (infographic) => {
+    try {
+        return resolveLanguage((infographic.accessibility && infographic.accessibility.language) || infographic.options.language || 'en');
+    } catch (error) {
+        return resolveLanguage('en');
+    }
+};
+
+/**
+ * What the public pages of a link show, or why the link does not work.
+ * @returns {Promise<{view: object, image: object}|{status: number, reason: string, message: string}>}
+ */
+async function openShare(token) {
+    const share = await getShare(token);
+    if (!share) return { status: 404, reason: 'missing', message: 'There is no infographic at this link.' };
+    if (share.status === 'revoked') return { status: 410, reason: 'revoked', message: 'This link has been revoked.' };
+    if (share.status === 'expired') return { status: 410, reason: 'expired', message: 'This link has expired.' };
+    const infographic = await getInfographic(share.infographicId);
+    if (!infographic) return { status: 410, reason: 'deleted', message: 'This infographic has been deleted.' };
+
+    const { width, height } = await currentImageSize(infographic);
+    const pageUrl = absoluteUrl(share.path);
+    const language = pageLanguage(infographic);
+    return {
+        image: await getInfographicImage(infographic.id),
+        view: {
+            title: infographic.title,
+            pageUrl,
+            imageUrl: absoluteUrl(share.imagePath),
+            embedUrl: absoluteUrl(share.embedPath),
+            oembedUrl: absoluteUrl(`/api/oembed?url=${encodeURIComponent(pageUrl)}`),
+            width,
+            height,
+            sources: sourceNames(infographic),
+            accessibility: infographic.accessibility,
+            language: language.tag,
+            direction: language.direction
+        }
+    };
+}
+
+app.get('/api/infographics/:id/shares', requirePublicUrl, async (req, res) => {
+    try {
+        const infographic = await getInfographic(req.params.id);
+        if (!infographic) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+        const size = await currentImageSize(infographic);
+        const shares = await listShares(infographic.id);
+        res.json({ shares: shares.map(share => presentShare(share, { title: infographic.title, size })) });
+    } catch (error) {
+        console.error('Share Store Error:', error);
+        res.status(500).json({ error: 'Failed to load share links' });
+    }
+});
+
+app.post('/api/infographics/:id/shares', requirePublicUrl, async (req, res) => {
+    try {
+        const infographic = await getInfographic(req.params.id);
+        if (!infographic) {
+            return res.status(404).json({ error: 'Infographic not found' });
+        }
+        const share = await createShare(infographic.id, { expiresInDays: (req.body || {}).expiresInDays }, req.user);
+        res.status(201).json(presentShare(share, { title: infographic.title, size: await currentImageSize(infographic) }));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Share Store Error:', error);
+        res.status(500).json({ error: 'Failed to create the share link' });
+    }
+});
+
+app.delete('/api/shares/:token', async (req, res) => {
+    try {
+        const share = await revokeShare(req.params.token);
+        if (!share) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        res.json({ token: share.token, status: share.status, revokedAt: share.revokedAt });
+    } catch (error) {
+        console.error('Share Store Error:', error);
+        res.status(500).json({ error: 'Failed to revoke the share link' });
+    }
+});
+
+// The public pages answer as pages, also when the link does not work; those
+// say why in the visitor's language
+const sendSharePage = (render) => async (req, res) => {
+    const locale = req.acceptsLanguages(...VIEWER_LOCALES) || 'en';
+    try {
+        const opened = await openShare(req.params.token);
+        res.set('Cache-Control', 'no-cache');
+        if (!opened.view) {
+            return res.status(opened.status).type('html').send(renderUnavailable(opened.reason, locale));
+        }
+        res.type('html').send(render(opened.view));
+    } catch (error) {
+        console.error('Share Viewer Error:', error);
+        res.status(500).type('html').send(renderUnavailable('failed', locale));
+    }
+};
+
+app.get('/s/:token', requirePublicUrl, sendSharePage(renderViewer));
+app.get('/s/:token/embed', requirePublicUrl, sendSharePage(renderEmbed));
+
+app.get('/s/:token/image', requirePublicUrl, async (req, res) => {
+    try {
+        const opened = await openShare(req.params.token);
+        if (!opened.view) {
+            return res.status(opened.status).json({ error: opened.message });
+        }
+        // The current image can change, and the link can be revoked
+        res.set('Cache-Control', 'no-cache');
+        res.type(opened.image.mimeType).sendFile(opened.image.path);
+    } catch (error) {
+        console.error('Share Viewer Error:', error);
+        res.status(500).json({ error: 'Failed to load image' });
+    }
+});
+
+// oEmbed (https://oembed.com) for sites that turn pasted links into embeds.
+// Public, see PUBLIC_PATHS in auth.js.
+app.get('/api/oembed', requirePublicUrl, async (req, res) => {
+    if (req.query.format && req.query.format !== 'json') {
+        return res.status(501).json({ error: 'Only the json format is supported' });
+    }
+    let token;
+    try {
+        const match = new URL(String(req.query.url)).pathname.match(/^\/s\/([A-Za-z0-9_-]+)(\/embed)?\/?$/);
+        token = match && match[1];
+    } catch (error) {
+        token = null;
+    }
+    if (!token) {
+        return res.status(404).json({ error: 'Not a share link of this server' });
+    }
+
+    try {
+        const opened = await openShare(token);
+        if (!opened.view) {
+            return res.status(404).json({ error: opened.message });
+        }
+        const { view } = opened;
+        const bound = (value) => (/^\d+$/.test(value) && Number(value) > 0 ? Number(value) : undefined);
+        const size = fitSize(view, bound(req.query.maxwidth), bound(req.query.maxheight));
+        res.json({
+            version: '1.0',
+            type: 'rich',
+            title: view.title,
+            provider_name: 'MyInfographic',
+            provider_url: absoluteUrl('/'),
+            html: embedSnippet({ embedUrl: view.embedUrl, title: view.title, ...size }),
+            width: size.width,
+            height: size.height,
+            thumbnail_url: view.imageUrl,
+            thumbnail_width: view.width,
+            thumbnail_height: view.height
+        });
     } catch (error) {
-        console.error('Nano Banana Pro Error:', error.response ? error.response.data : error.message);
-        res.status(500).json({ error: 'Failed to generate infographic: ' + (error.response ? JSON.stringify(error.response.data) : error.message) });
+        console.error('Share Viewer Error:', error);
+        res.status(500).json({ error: 'Failed to load the infographic' });
     }
 });
 
@@ -0,0 +1,115 @@
+// In-memory job store for long-running generation runs. A job moves through
+// stages and notifies subscribers (the SSE stream) on every change.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { errorCode } = require('./model-errors');
+
+// Finished jobs are kept this long so a reloaded client can still pick up the result
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+const STAGES = ['queued', 'extracting', 'prompting', 'rendering', 'describing', 'checking', 'done', 'failed'];
+
+const jobs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const snapshot = (job) => ({
+    id: job.id,
+    owner: job.owner,
+    stage: job.stage,
+    status: job.status,
+    history: job.history,
+    result: job.result,
+    error: job.error,
+    code: job.code,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+});
+
+const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    events.emit(job.id, snapshot(job));
+};
+
+const setStage = (job, stage) => {
+    job.history.push({ stage, at: new Date().toISOString() });
+    update(job, { stage });
+};
+
+const scheduleCleanup = (job) => {
+    setTimeout(() => {
+        jobs.delete(job.id);
+        events.removeAllListeners(job.id);
+    }, JOB_TTL_MS).unref();
+};
+
+/**
+ * Create a job and start running it on the next tick.
+ * @param {function(object): Promise<object>} run - Receives a context with
+ *   `stage(name)` and `partial(result)`; resolves with the final result
+ * @param {string} [owner] - Id of the user who started it
+ * @returns {object} Snapshot of the new job
+ */
+function createJob(run, owner) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        owner: owner || null,
+        stage: 'queued',
+        status: 'running',
+        history: [{ stage: 'queued', at: now }],
+        result: {},
+        error: null,
+        code: null, // Stable reason of a failure, e.g. no_image (see model-errors.js)
+        createdAt: now,
+        updatedAt: now
+    };
+    jobs.set(job.id, job);
+
+    const context = {
+        stage: (stage) => setStage(job, stage),
+        // Intermediate results (extracted text, prompt) are exposed as soon as they exist
+        partial: (result) => update(job, { result: { ...job.result, ...result } })
+    };
+
+    setImmediate(async () => {
+        try {
+            const result = await run(context);
+            job.history.push({ stage: 'done', at: new Date().toISOString() });
+            update(job, { stage: 'done', status: 'done', result: { ...job.result, ...result } });
+        } catch (error) {
+            job.history.push({ stage: 'failed', at: new Date().toISOString() });
+            update(job, { stage: 'failed', status: 'failed', error: error.message, code: errorCode(error) });
+        }
+        scheduleCleanup(job);
+    });
+
+    return snapshot(job);
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null} Job snapshot, or null if unknown or expired
+ */
+function getJob(id) {
+    const job = jobs.get(id);
+    return job ? snapshot(job) : null;
+}
+
+/**
+ * Subscribe to updates of a job.
+ * @param {string} id
+ * @param {function(object)} listener - Called with a snapshot after every change
+ * @returns {function} Unsubscribe function
+ */
+function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+}
+
+module.exports = {
+    STAGES,
+    createJob,
+    getJob,
+    subscribe
+};
@@ -0,0 +1,117 @@
+// Output languages. Any language the runtime's Unicode data (ICU) has a name
+// for is supported, given as a BCP-47 tag ('de', 'pt-BR', 'zh-Hant', 'ar') or
+// by name in English or in the language itself ('German', 'Deutsch'). The
+// script (from the tag, or the language's usual one) decides the typography
+// guidance, including right-to-left layout, given to the prompt writer.
+
+// Offered in Step 2; any other supported tag can be typed in
+const LANGUAGES = [
+    'ar', 'bg', 'bn', 'ca', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fa', 'fi', 'fr', 'he', 'hi', 'hr', 'hu',
+    'id', 'it', 'ja', 'ko', 'lt', 'lv', 'ms', 'nb', 'nl', 'pl', 'pt', 'pt-BR', 'ro', 'ru', 'sk', 'sl', 'sr', 'sv',
+    'sw', 'ta', 'th', 'tr', 'uk', 'ur', 'vi', 'zh-Hans', 'zh-Hant'
+];
+
+const RTL_SCRIPTS = ['Arab', 'Hebr', 'Thaa', 'Syrc', 'Nkoo', 'Adlm', 'Rohg', 'Mand', 'Samr'];
+
+const RTL_LAYOUT = 'The script runs right to left: mirror the whole layout, so the reading order, '
+    + 'numbered steps, timelines and arrows flow from right to left and headings and text blocks are right-aligned. '
+    + 'Numbers, units and Latin-script terms (gene names, formulas) keep their left-to-right order inside the text.';
+
+const INDIC = 'Use a typeface made for the script, so conjuncts and vowel signs are shaped correctly; '
+    + 'never split a syllable across lines, and leave extra line height for the marks above and below the letters.';
+
+const NO_WORD_SPACES = 'Words are not separated by spaces: break lines only between words, never inside one, '
+    + 'and leave extra line height for the vowel and tone marks stacked above and below.';
+
+// Typography guidance by ISO 15924 script code
+const SCRIPT_TYPOGRAPHY = {
+    Latn: 'Reproduce every diacritic exactly (e.g. ä, ç, ø, ő, ș) and use the quotation marks of the language; words are often longer than in English, so leave room in labels.',
+    Cyrl: 'Use a typeface with full Cyrillic support; do not substitute look-alike Latin letters. Words run longer than in English, so leave room in labels.',
+    Grek: 'Use a typeface with full Greek support, including the accents (tonos); do not substitute look-alike Latin letters.',
+    Arab: `${RTL_LAYOUT} Use a typeface made for Arabic script (Naskh style for text, Kufi style for headings); keep the letters joined, never letter-space or stretch words apart, and leave extra line height for dots and vowel marks.`,
+    Hebr: `${RTL_LAYOUT} Use a typeface made for Hebrew; vowel points, where used, must sit correctly under the letters.`,
+    Thaa: `${RTL_LAYOUT} Use a typeface made for Thaana; every consonant carries a vowel sign that must be kept.`,
+    Syrc: `${RTL_LAYOUT} Use a typeface made for Syriac; keep the letters joined.`,
+    Hans: 'Use a font made for Simplified Chinese (e.g. Noto Sans SC) and full-width punctuation. There are no spaces between words; lines may break between characters but never before closing punctuation. Text is dense, so keep labels short and the smallest text larger than you would for Latin script.',
+    Hant: 'Use a font made for Traditional Chinese (e.g. Noto Sans TC) and full-width punctuation. There are no spaces between words; lines may break between characters but never before closing punctuation. Text is dense, so keep labels short and the smallest text larger than you would for Latin script.',
+    Jpan: 'Use a Japanese font (e.g. Noto Sans JP) for kanji and kana alike, with full-width punctuation. There are no spaces between words; do not start a line with small kana or closing punctuation. Keep the smallest text larger than you would for Latin script.',
+    Kore: 'Use a Korean font (e.g. Noto Sans KR) for Hangul; words are separated by spaces and lines break between words, not inside them. Keep the smallest text larger than you would for Latin script.',
+    Deva: `${INDIC} Keep the headline bar (shirorekha) continuous along each word.`,
+    Beng: `${INDIC} Keep the headline bar continuous along each word.`,
+    Guru: `${INDIC} Keep the headline bar continuous along each word.`,
+    Gujr: INDIC,
+    Orya: INDIC,
+    Taml: `${INDIC} Tamil words are long, so leave room in labels.`,
+    Telu: INDIC,
+    Knda: INDIC,
+    Mlym: `${INDIC} Malayalam words are long, so leave room in labels.`,
+    Sinh: INDIC,
+    Thai: NO_WORD_SPACES,
+    Laoo: NO_WORD_SPACES,
+    Khmr: NO_WORD_SPACES,
+    Mymr: NO_WORD_SPACES
+};
+
+const GENERIC_TYPOGRAPHY = 'Use a typeface with full support for the script, and render every letter and mark exactly.';
+
+const englishNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+// English and native names of the offered languages → tag, for input like "Deutsch"
+const NAMES = new Map(LANGUAGES.flatMap(tag => [
+    [englishNames.of(tag).toLowerCase(), tag],
+    [new Intl.DisplayNames([tag], { type: 'language' }).of(tag).toLowerCase(), tag]
+]));
+
+/**
+ * @param {string} input - BCP-47 tag, or a language name in English or in the language itself
+ * @returns {{tag: string, name: string, nativeName: string, script: string, direction: string}}
+ * @throws {Error} With status 400 if the language is not supported
+ */
+function resolveLanguage(input) {
+    const value = String(input || '').trim();
+    let tag = NAMES.get(value.toLowerCase());
+    if (!tag) {
+        try {
+            [tag] = Intl.getCanonicalLocales(value);
+        } catch (error) {
+            tag = null;
+        }
+    }
+    const name = tag && englishNames.of(tag);
+    if (!name) {
+        throw fail(`Unsupported language "${value}". Use a language name or a BCP-47 code such as de, pt-BR or ar.`);
+    }
+    const script = new Intl.Locale(tag).maximize().script || 'Latn';
+    return {
+        tag,
+        name,
+        nativeName: new Intl.DisplayNames([tag], { type: 'language' }).of(tag),
+        script,
+        direction: RTL_SCRIPTS.includes(script) ? 'rtl' : 'ltr'
+    };
+}
+
+/**
+ * @returns {object[]} The languages offered in Step 2, see resolveLanguage
+ */
+const listLanguages = () => LANGUAGES.map(resolveLanguage);
+
+/**
+ * Typography guidance for writing a language.
+ * @param {object} language - As returned by resolveLanguage
+ * @returns {string}
+ */
+const typographyGuidance = (language) => SCRIPT_TYPOGRAPHY[language.script] || GENERIC_TYPOGRAPHY;
+
+module.exports = {
+    LANGUAGES,
+    resolveLanguage,
+    listLanguages,
+    typographyGuidance
+};
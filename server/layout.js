@@ -0,0 +1,185 @@
+// Text layer of a rendered infographic: its title, headings, bullet text and
+// labels, each with the box it occupies on the image. Boxes and font sizes are
+// fractions of the image's width and height, so the layer fits the artwork at
+// any resolution. The text model builds the layer once from the prompt and the
+// text the image model returned (and sees the image, if it can); after that it
+// is edited by hand and the exporters set it as real text over the artwork, so
+// a typo no longer needs another model call.
+const { getProvider } = require('./providers');
+const { getFormat } = require('./formats');
+const { resolveLanguage } = require('./languages');
+
+const ROLES = ['title', 'subtitle', 'heading', 'text', 'bullets', 'label', 'footer'];
+
+// Font size (fraction of the image height) when the model gives none
+const FONT_SIZES = { title: 0.055, subtitle: 0.03, heading: 0.032, text: 0.022, bullets: 0.022, label: 0.018, footer: 0.014 };
+
+const MAX_BLOCKS = 60;
+const MAX_TEXT = 2000;
+
+const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+// Direction of the infographic's language; names stored before languages were
+// resolved, or unknown ones, read left to right
+const textDirection = (language) => {
+    try {
+        return resolveLanguage(language).direction;
+    } catch (error) {
+        return 'ltr';
+    }
+};
+
+/**
+ * Check a text layer (from the model or edited by hand) and fill in defaults.
+ * @param {object} layout - { blocks: [{ role, text, items?, x, y, width, height, fontSize?, align?, color?, background? }], direction? }
+ * @param {object} [defaults]
+ * @param {string} [defaults.language] - Language of the infographic, which sets the
+ *   direction if the layout has none
+ * @returns {{direction: string, blocks: object[]}}
+ * @throws {Error} With status 400 if it is not a usable layer
+ */
+function normalizeLayout(layout, { language } = {}) {
+    if (!layout || !Array.isArray(layout.blocks)) {
+        throw fail('A text layer needs a list of blocks');
+    }
+    if (layout.blocks.length > MAX_BLOCKS) {
+        throw fail(`Too many text blocks. A text layer has at most ${MAX_BLOCKS}.`);
+    }
+
+    const blocks = layout.blocks.map((block, index) => {
+        if (!block || typeof block !== 'object') {
+            throw fail(`Block ${index + 1} is not an object`);
+        }
+        const role = ROLES.includes(block.role) ? block.role : 'text';
+        const items = role === 'bullets'
+            ? (Array.isArray(block.items) ? block.items : String(block.text || '').split('\n'))
+                .map(item => String(item).replace(/^\s*[-•*]\s*/, '').trim())
+                .filter(Boolean)
+            : undefined;
+        const text = role === 'bullets' ? items.join('\n') : String(block.text || '').trim();
+        if (text.length > MAX_TEXT) {
+            throw fail(`Block ${index + 1} is too long (at most ${MAX_TEXT} characters)`);
+        }
+        const x = clamp(block.x, 0, 0.99, 0);
+        const y = clamp(block.y, 0, 0.99, 0);
+        return {
+            role,
+            text,
+            ...(items ? { items } : {}),
+            x,
+            y,
+            width: clamp(block.width, 0.01, 1 - x, 1 - x),
+            height: clamp(block.height, 0.01, 1 - y, 1 - y),
+            fontSize: clamp(block.fontSize, 0.005, 0.2, FONT_SIZES[role]),
+            align: ['left', 'center', 'right'].includes(block.align) ? block.align : (role === 'title' || role === 'subtitle' ? 'center' : 'start'),
+            color: isColor(block.color) ? block.color : '#1f2937',
+            // Painted behind the text to cover the lettering drawn into the artwork; null leaves it visible
+            background: isColor(block.background) ? block.background : null
+        };
+    }).filter(block => block.text);
+
+    return { direction: layout.direction === 'rtl' || layout.direction === 'ltr' ? layout.direction : textDirection(language), blocks };
+}
+
+function buildLayoutPrompt({ prompt, text, aspectRatio, direction }) {
+    return `
+TEXT LAYER
+You are given the prompt an infographic was generated from${text ? ' and the text the image model returned with it' : ''}, and the image itself if you can see images.
+List every piece of text in the infographic as a block of an editable text layer that will be placed over the artwork.
+
+IMAGE PROMPT:
+${prompt}
+${text ? `
+TEXT RETURNED BY THE IMAGE MODEL:
+${text}
+` : ''}
+- Aspect ratio: ${aspectRatio}
+- Text direction: ${direction}
+
+For each block give:
+- role: one of ${ROLES.join(', ')}
+- text: the exact text as printed (for bullets, "items": one string per bullet instead)
+- x, y, width, height: the box the text occupies, as fractions (0-1) of the image width and height, measured from the top left
+- fontSize: the font size (height of one line of text) as a fraction of the image height
+- align: left, center or right
+- color: the text colour as #rrggbb
+- background: the colour directly behind the text as #rrggbb
+
+Keep the reading order of the infographic. Use the text as printed in the image where you can see it, otherwise as the prompt describes it.
+
+OUTPUT FORMAT:
+{
+  "blocks": [ { "role": "title", "text": "...", "x": 0.05, "y": 0.03, "width": 0.9, "height": 0.08, "fontSize": 0.05, "align": "center", "color": "#ffffff", "background": "#8b5cf6" } ]
+}
+`;
+}
+
+/**
+ * Layer made without the model's help: the first line of the text is the
+ * title, the others are stacked below it. Used when the model's answer cannot
+ * be read.
+ * @param {string} text - Text returned with the image, else the prompt
+ * @returns {{blocks: object[]}}
+ */
+function fallbackLayout(text) {
+    const lines = String(text || '')
+        .split('\n')
+        .map(line => line.replace(/^\s*(?:[-•*#]+|\d+[.)])\s*/, '').trim())
+        .filter(Boolean)
+        .slice(0, 12);
+    const [title = 'Infographic', ...rest] = lines;
+    const rowHeight = rest.length > 0 ? 0.8 / rest.length : 0;
+    return {
+        blocks: [
+            { role: 'title', text: title, x: 0.05, y: 0.03, width: 0.9, height: 0.1 },
+            ...rest.map((line, index) => ({ role: 'text', text: line, x: 0.05, y: 0.15 + index * rowHeight, width: 0.9, height: rowHeight * 0.9 }))
+        ]
+    };
+}
+
+/**
+ * Build the text layer of a rendered image with the configured text provider.
+ * @param {object} params
+ * @param {string} params.prompt - Prompt the image was rendered from
+ * @param {string} [params.text] - Text the image model returned with it
+ * @param {{mimeType: string, data: string}} [params.image] - The image (base64), for models that can see
+ * @param {string} [params.format] - Output preset id
+ * @param {string} [params.language] - Language of the infographic's text
+ * @returns {Promise<{direction: string, blocks: object[], generatedBy: string}>}
+ */
+async function generateLayout({ prompt, text, image, format, language }) {
+    const direction = textDirection(language);
+    const provider = getProvider('text');
+    const content = await provider.generateText(
+        buildLayoutPrompt({ prompt, text, aspectRatio: getFormat(format).aspectRatio, direction }),
+        { images: image ? [image] : [] }
+    );
+
+    let layout;
+    try {
+        const jsonMatch = content.match(/\{[\s\S]*\}/);
+        layout = normalizeLayout(JSON.parse(jsonMatch ? jsonMatch[0] : content), { language });
+        if (layout.blocks.length === 0) throw new Error('No text blocks');
+    } catch (e) {
+        console.warn('Failed to parse the text layer, laying out the text in rows');
+        layout = normalizeLayout(fallbackLayout(text || prompt), { language });
+    }
+    return { ...layout, generatedBy: provider.name };
+}
+
+module.exports = {
+    ROLES,
+    normalizeLayout,
+    generateLayout
+};
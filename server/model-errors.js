@@ -0,0 +1,164 @@
+// Failures of model calls, sorted into stable codes. Providers translate what
+// their API answers into one of these (see providers/index.js), so routes and
+// jobs answer with a status and code that clients can word for their users,
+// and the upstream detail only goes to the log. Transient failures are retried
+// with backoff, and a provider may fall back to a second model; on routes that
+// answer right away, both stop at the request's deadline (see withDeadline).
+const { runInContext, currentContext } = require('./context');
+
+const MODEL_RETRIES = Math.max(0, parseInt(process.env.MODEL_RETRIES, 10) || 2);
+const RETRY_DELAY_MS = parseInt(process.env.MODEL_RETRY_DELAY_MS, 10) || 1000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+// How long a route that answers right away may spend on model calls, retries
+// and fallbacks included; jobs take as long as they need
+const REQUEST_DEADLINE_MS = (parseInt(process.env.MODEL_REQUEST_SECONDS, 10) || 240) * 1000;
+
+const MODEL_ERRORS = {
+    model_quota_exceeded: {
+        status: 429,
+        message: 'The model provider\'s quota for this API key is used up. Try again later or use another key.'
+    },
+    safety_blocked: {
+        status: 422,
+        message: 'The model declined the request for safety reasons. Rephrase the content or style notes and try again.'
+    },
+    invalid_api_key: {
+        status: 502,
+        message: 'The model provider rejected the API key. Check that it is valid and allowed to use the model.'
+    },
+    model_timeout: {
+        status: 504,
+        message: 'The model took too long to answer. Please try again.'
+    },
+    no_image: {
+        status: 502,
+        message: 'The model answered without an image. Try again, or shorten the prompt.'
+    },
+    model_unavailable: {
+        status: 503,
+        message: 'The model is overloaded or unavailable right now. Please try again in a few minutes.'
+    },
+    model_error: {
+        status: 502,
+        message: 'The model could not handle the request.'
+    }
+};
+
+// Worth asking the same model again after a pause
+const RETRYABLE = ['model_timeout', 'model_unavailable'];
+// Worth asking the fallback model: anything but a refusal of the content or the key
+const FALLBACK = ['model_quota_exceeded', 'model_timeout', 'no_image', 'model_unavailable', 'model_error'];
+
+/**
+ * @param {string} code - One of MODEL_ERRORS
+ * @param {string} [detail] - What the API answered, for the log
+ * @param {object} [options]
+ * @param {number} [options.retryAfterMs] - Wait the API asked for; makes the failure retryable
+ * @returns {Error} With status, code and detail
+ */
+function modelError(code, detail, { retryAfterMs } = {}) {
+    const { status, message } = MODEL_ERRORS[code] || MODEL_ERRORS.model_error;
+    const error = new Error(message);
+    error.status = status;
+    error.code = MODEL_ERRORS[code] ? code : 'model_error';
+    error.detail = detail || message;
+    error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+const isModelError = (error) => Boolean(error && MODEL_ERRORS[error.code] && error.detail);
+
+/**
+ * The stable code of an error we raised ourselves (model failures, refusals
+ * such as quota_exceeded), for clients to word; null for anything else.
+ * @param {Error} error
+ * @returns {string|null}
+ */
+const errorCode = (error) => (error && error.status && typeof error.code === 'string' ? error.code : null);
+
+const isRetryable = (error) => isModelError(error) && (RETRYABLE.includes(error.code) || error.retryAfterMs !== undefined);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Time left until the request's deadline; Infinity outside such a request
+const remainingMs = () => {
+    const context = currentContext();
+    return context && context.deadline ? context.deadline - Date.now() : Infinity;
+};
+
+/**
+ * Middleware for routes that answer with the result instead of a job: model
+ * calls made while handling them give up at a common deadline rather than
+ * retrying and falling back for many minutes.
+ */
+const withDeadline = (req, res, next) => {
+    runInContext({ ...currentContext(), deadline: Date.now() + REQUEST_DEADLINE_MS }, next);
+};
+
+/**
+ * How long one call may take: the provider's timeout, or less if the request
+ * must answer sooner.
+ * @param {number} timeoutMs
+ * @returns {number}
+ */
+function callTimeout(timeoutMs) {
+    const remaining = remainingMs();
+    if (remaining <= 0) {
+        throw modelError('model_timeout', `Request deadline of ${REQUEST_DEADLINE_MS / 1000} s passed`);
+    }
+    return Math.min(timeoutMs, remaining);
+}
+
+/**
+ * Call again after transient failures, waiting twice as long each time (or as
+ * long as the API asked for).
+ * @param {function(): Promise<*>} call
+ * @param {string} label - For the log, e.g. the model name
+ * @param {number} [retries]
+ * @returns {Promise<*>} What the call resolves with
+ */
+async function withRetries(call, label, retries = MODEL_RETRIES) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await call();
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) throw error;
+            const backoff = RETRY_DELAY_MS * 2 ** attempt * (1 + Math.random() / 2);
+            const delay = Math.min(error.retryAfterMs || backoff, MAX_RETRY_DELAY_MS);
+            // No time left for another attempt
+            if (delay >= remainingMs()) throw error;
+            console.warn(`${label}: ${error.code} (${error.detail}); retrying in ${Math.round(delay)} ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Call each model in turn, with retries, until one succeeds. A failure that
+ * another model would not avoid (safety block, invalid key) ends the run.
+ * @param {string[]} models - Primary model first
+ * @param {function(string): Promise<*>} call - Receives the model name
+ * @returns {Promise<*>} What the first successful call resolves with
+ */
+async function withFallback(models, call) {
+    for (const [index, model] of models.entries()) {
+        try {
+            return await withRetries(() => call(model), model);
+        } catch (error) {
+            const next = models[index + 1];
+            if (!next || !isModelError(error) || !FALLBACK.includes(error.code) || remainingMs() <= 0) throw error;
+            console.warn(`${model}: ${error.code} (${error.detail}); falling back to ${next}`);
+        }
+    }
+}
+
+module.exports = {
+    MODEL_ERRORS,
+    modelError,
+    isModelError,
+    errorCode,
+    withRetries,
+    withFallback,
+    withDeadline,
+    callTimeout
+};
@@ -0,0 +1,117 @@
+// Local OCR for scanned pages, with Tesseract (tesseract.js, WebAssembly, no
+// system packages). Language data is downloaded on first use (from the
+// jsDelivr CDN, or OCR_LANG_PATH for offline setups) and cached in
+// DATA_DIR/ocr.
+const path = require('path');
+const fs = require('fs');
+const { createWorker } = require('tesseract.js');
+const { DATA_DIR } = require('./store');
+const { resolveLanguage } = require('./languages');
+
+const OCR_ENABLED = process.env.OCR !== 'off';
+const CACHE_DIR = path.join(DATA_DIR, 'ocr');
+
+// Output language (BCP-47 tag, see languages.js) → Tesseract language. Chinese
+// goes by script; everything else by its primary language subtag.
+const TESSERACT_LANGUAGES = {
+    en: 'eng', de: 'deu', fr: 'fra', es: 'spa', it: 'ita', pt: 'por', nl: 'nld', pl: 'pol', cs: 'ces', sk: 'slk',
+    da: 'dan', sv: 'swe', nb: 'nor', no: 'nor', fi: 'fin', hu: 'hun', ro: 'ron', tr: 'tur', ru: 'rus', uk: 'ukr',
+    bg: 'bul', sr: 'srp', hr: 'hrv', sl: 'slv', el: 'ell', ar: 'ara', he: 'heb', fa: 'fas', ur: 'urd', hi: 'hin',
+    bn: 'ben', ta: 'tam', th: 'tha', vi: 'vie', id: 'ind', ms: 'msa', ja: 'jpn', ko: 'kor',
+    'zh-Hans': 'chi_sim', 'zh-Hant': 'chi_tra'
+};
+
+/**
+ * Tesseract languages for a language hint. English is always included, since
+ * most papers are written in it whatever language the infographic is for.
+ * @param {string} [language] - e.g. "Deutsch", "German", "de-AT"
+ * @returns {string} e.g. "deu+eng"
+ */
+function ocrLanguages(language) {
+    let resolved;
+    try {
+        resolved = resolveLanguage(language);
+    } catch (error) {
+        return 'eng';
+    }
+    const [primary] = resolved.tag.split('-');
+    const code = primary === 'zh' ? TESSERACT_LANGUAGES[`zh-${resolved.script}`] : TESSERACT_LANGUAGES[primary];
+    return code && code !== 'eng' ? `${code}+eng` : 'eng';
+}
+
+// Workers load their language data once and are kept for the next upload
+// until they have been idle for a while
+const IDLE_MS = 5 * 60 * 1000;
+// A language set whose data could not be loaded is not tried again before this
+const RETRY_MS = 10 * 60 * 1000;
+const workers = new Map(); // languages → { ready: Promise<worker>, timer }
+
+// tesseract.js never settles createWorker when the language data cannot be
+// loaded; it only reports that to the error handler, so race the two. The
+// failed worker cannot be terminated (we never get hold of it), which is why
+// failures are remembered for a while instead of retried on every upload.
+function getWorker(languages) {
+    let entry = workers.get(languages);
+    if (!entry) {
+        let fail;
+        const failed = new Promise((resolve, reject) => { fail = reject; });
+        const ready = Promise.race([
+            createWorker(languages, undefined, {
+                cachePath: CACHE_DIR,
+                errorHandler: (error) => fail(new Error(`Tesseract (${languages}): ${error}`)),
+                ...(process.env.OCR_LANG_PATH ? { langPath: process.env.OCR_LANG_PATH } : {})
+            }),
+            failed
+        ]);
+        entry = { ready, timer: null, failed: false };
+        workers.set(languages, entry);
+        ready.catch(() => {
+            entry.failed = true;
+            clearTimeout(entry.timer);
+            setTimeout(() => workers.delete(languages), RETRY_MS).unref();
+        });
+    }
+    if (entry.failed) return entry.ready;
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+        workers.delete(languages);
+        entry.ready.then(worker => worker.terminate(), () => {});
+    }, IDLE_MS);
+    entry.timer.unref();
+    return entry.ready;
+}
+
+/**
+ * Read the text in page images.
+ * @param {Buffer[]} images - PNG or JPEG files, one per page
+ * @param {object} [options]
+ * @param {string} [options.language] - Language hint, see ocrLanguages
+ * @returns {Promise<Array<{text: string, confidence: number}>>} Confidence is 0–100
+ */
+async function recognize(images, { language } = {}) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const languages = ocrLanguages(language);
+    let worker;
+    try {
+        worker = await getWorker(languages);
+    } catch (error) {
+        if (languages === 'eng') throw error;
+        // English alone still reads most papers
+        console.warn(`OCR: ${error.message}, falling back to English`);
+        worker = await getWorker('eng');
+    }
+
+    const results = [];
+    for (const image of images) {
+        const { data } = await worker.recognize(image);
+        results.push({ text: data.text.trim(), confidence: Math.round(data.confidence) });
+    }
+    return results;
+}
+
+module.exports = {
+    OCR_ENABLED,
+    ocrLanguages,
+    recognize
+};
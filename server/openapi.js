@@ -0,0 +1,142 @@
+// OpenAPI description of the public API (/api/v1), served at
+// /api/v1/openapi.json. The schemas are the ones the routes validate with
+// (see schemas.js), so the description cannot drift from what is enforced.
+const { SCHEMAS } = require('./schemas');
+
+const API_VERSION = '1.2.0';
+
+const json = (schema) => ({ 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } });
+
+const errorResponse = (description) => ({ description, content: json('Error') });
+
+// Answers every authenticated route can give
+const COMMON_ERRORS = {
+    401: errorResponse('Not signed in, or the token is unknown, revoked or expired'),
+    500: errorResponse('Server or model failure')
+};
+
+// Answers of the routes that call the models
+const MODEL_ERRORS = {
+    400: errorResponse('The request does not match its schema (code invalid_request), or its input cannot be used'),
+    403: errorResponse('The server only uses own Gemini keys and the account has none (code own_key_required)'),
+    422: errorResponse('The model declined the content for safety reasons (code safety_blocked)'),
+    429: errorResponse('Rate limit (code rate_limited, see Retry-After), daily image quota (code quota_exceeded) '
+        + 'or the model provider\'s quota (code model_quota_exceeded) reached'),
+    502: errorResponse('The model rejected the API key (code invalid_api_key), answered without an image (code no_image) '
+        + 'or could not handle the request (code model_error)'),
+    503: errorResponse('The model is overloaded or unavailable, also after retries and the fallback model (code model_unavailable)'),
+    504: errorResponse('The model took too long to answer (code model_timeout)')
+};
+
+const idParameter = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+
+const PATHS = {
+    '/openapi.json': {
+        get: {
+            operationId: 'getOpenApi',
+            summary: 'This description',
+            security: [],
+            responses: { 200: { description: 'OpenAPI 3.1 document', content: { 'application/json': {} } } }
+        }
+    },
+    '/capabilities': {
+        get: {
+            operationId: 'getCapabilities',
+            summary: 'Output formats, languages, readable document types and limits',
+            responses: { 200: { description: 'What this server offers', content: json('Capabilities') }, ...COMMON_ERRORS }
+        }
+    },
+    '/prompts': {
+        post: {
+            operationId: 'createPrompt',
+            summary: 'Write the image prompt for a text, without rendering it',
+            requestBody: { required: true, content: json('PromptRequest') },
+            responses: { 200: { description: 'The prompt', content: json('Prompt') }, ...MODEL_ERRORS, ...COMMON_ERRORS }
+        }
+    },
+    '/jobs': {
+        post: {
+            operationId: 'createJob',
+            summary: 'Start a generation run: extract, write the prompt, render, store and describe',
+            description: 'Send documents as multipart `files` with the JobRequest as JSON in the `request` field, '
+                + 'or a JobRequest as JSON with text, sources or a finished prompt. Poll the job until its status is done or failed.',
+            requestBody: {
+                required: true,
+                content: {
+                    ...json('JobRequest'),
+                    'multipart/form-data': {
+                        schema: {
+                            type: 'object',
+                            required: ['request'],
+                            properties: {
+                                request: { type: 'string', description: 'JobRequest as JSON' },
+                                files: { type: 'array', items: { type: 'string', format: 'binary' } }
+                            }
+                        }
+                    }
+                }
+            },
+            responses: { 202: { description: 'The job was started', content: json('Job') }, ...MODEL_ERRORS, ...COMMON_ERRORS }
+        }
+    },
+    '/jobs/{id}': {
+        get: {
+            operationId: 'getJob',
+            summary: 'State of a job; finished jobs are kept for an hour',
+            parameters: [idParameter('id', 'Job id')],
+            responses: { 200: { description: 'The job', content: json('Job') }, 404: errorResponse('Unknown or expired job'), ...COMMON_ERRORS }
+        }
+    },
+    '/infographics/{id}': {
+        get: {
+            operationId: 'getInfographic',
+            summary: 'A stored infographic with its prompt and description',
+            parameters: [idParameter('id', 'Infographic id')],
+            responses: { 200: { description: 'The infographic', content: json('Infographic') }, 404: errorResponse('Unknown infographic'), ...COMMON_ERRORS }
+        }
+    },
+    '/infographics/{id}/image': {
+        get: {
+            operationId: 'getInfographicImage',
+            summary: 'The current image, or one variant, with its description embedded as metadata',
+            parameters: [
+                idParameter('id', 'Infographic id'),
+                { name: 'variant', in: 'query', required: false, description: 'Variant index, starting at 0', schema: { type: 'integer', minimum: 0 } }
+            ],
+            responses: {
+                200: { description: 'The image', content: { 'image/png': {}, 'image/jpeg': {}, 'image/webp': {}, 'image/svg+xml': {} } },
+                404: errorResponse('Unknown infographic or variant'),
+                ...COMMON_ERRORS
+            }
+        }
+    }
+};
+
+/**
+ * @returns {object} OpenAPI 3.1 document; its server URL is relative to
+ *   wherever the document was fetched from
+ */
+const openApiDocument = () => ({
+    openapi: '3.1.0',
+    info: {
+        title: 'MyInfographic API',
+        version: API_VERSION,
+        description: 'Turn scientific documents into infographics from scripts and CI. '
+            + 'Authenticate with an API token created under Account (Authorization: Bearer <token>).'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerToken: [] }, { sessionCookie: [] }],
+    paths: PATHS,
+    components: {
+        schemas: SCHEMAS,
+        securitySchemes: {
+            bearerToken: { type: 'http', scheme: 'bearer' },
+            sessionCookie: { type: 'apiKey', in: 'cookie', name: 'myinfographic_session' }
+        }
+    }
+});
+
+module.exports = {
+    API_VERSION,
+    openApiDocument
+};
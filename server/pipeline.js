@@ -0,0 +1,475 @@
+// The three stages of an infographic run (extract → prompt → render), shared
+// by the synchronous routes and the job runner.
+const fs = require('fs/promises');
+const { structureDocument, selectContent, DEFAULT_TOKEN_BUDGET } = require('./document');
+const { getProvider } = require('./providers');
+const { getFormat } = require('./formats');
+const { extractFile } = require('./extractors');
+const { getFigureImage } = require('./store');
+const { loadBrandKit, brandInstructions } = require('./brands');
+const { resolveLanguage, typographyGuidance } = require('./languages');
+const { cacheKey, cached } = require('./cache');
+const { loadTemplate, renderTemplate } = require('./templates');
+const { errorCode } = require('./model-errors');
+
+/**
+ * Validate and structure pasted text.
+ * @param {string} text
+ * @returns {{text: string, document: object}}
+ */
+function extractText(text) {
+    if (!text || text.trim().length < 100) {
+        const error = new Error('Text too short. Please provide at least 100 characters for meaningful infographic generation.');
+        error.status = 400;
+        throw error;
+    }
+    return { text: text.trim(), document: structureDocument(text.trim()) };
+}
+
+// Upper limit on documents combined into one infographic
+const MAX_SOURCES = parseInt(process.env.MAX_SOURCES, 10) || 8;
+
+const sourceTitle = (source) => (source.document && source.document.title) || source.name;
+
+/**
+ * Extract every input of a run and label it S1, S2, ... so the prompt and the
+ * infographic can say which document a statement came from.
+ * @param {object} inputs
+ * @param {Array<{originalname: string, mimetype: string, buffer: Buffer}>} [inputs.files] - Uploaded
+ *   documents, in any format an extractor reads
+ * @param {Array<{name?: string, kind?: string, text: string, document?: object}>} [inputs.sources] -
+ *   Pasted text snippets, or sources that were extracted before (with a document, and
+ *   the figures and tables found in them)
+ * @param {string} [inputs.language] - Output language, the hint for OCR of scanned pages
+ * @returns {Promise<Array<{label: string, name: string, kind: string, text: string, document: object,
+ *   quality?: object, figures?: object[], tables?: object[]}>>}
+ */
+async function extractSources({ files = [], sources = [], language }) {
+    if (files.length + sources.length > MAX_SOURCES) {
+        const error = new Error(`Too many sources. Combine at most ${MAX_SOURCES} documents in one infographic.`);
+        error.status = 400;
+        throw error;
+    }
+
+    const extracted = [];
+    for (const file of files) {
+        extracted.push({ name: file.originalname, ...await extractFile(file, { language }) });
+    }
+    sources.forEach((source, index) => {
+        extracted.push(source.document
+            ? {
+                name: source.name,
+                kind: source.kind || 'text',
+                text: source.text,
+                document: source.document,
+                ...(source.figures ? { figures: source.figures } : {}),
+                ...(source.tables ? { tables: source.tables } : {})
+            }
+            : { name: source.name || `Text snippet ${index + 1}`, kind: 'text', ...extractText(source.text) });
+    });
+    return extracted.map((source, index) => ({ ...source, label: `S${index + 1}` }));
+}
+
+/**
+ * Merge labelled sources into the { text, document } shape of a single input.
+ * One source passes through as it is; several are joined into one text, each
+ * part headed by its label, and keep their structure in `sources` only.
+ * Extraction warnings (pages that could not be read) are collected in
+ * `warnings`, prefixed with the file name, and the figures and tables of all
+ * sources in `figures` and `tables`, each with the label of its source.
+ * @param {object[]} sources - Output of extractSources
+ * @returns {{text: string, document: object|null, sources: object[], warnings: string[], figures: object[], tables: object[]}}
+ */
+function combineSources(sources) {
+    const warnings = sources
+        .filter(source => source.quality && source.quality.warning)
+        .map(source => `${source.name}: ${source.quality.warning}`);
+    const figures = sources.flatMap(source => (source.figures || []).map(figure => ({ ...figure, source: source.label })));
+    const tables = sources.flatMap(source => (source.tables || []).map(table => ({ ...table, source: source.label })));
+    const stripped = sources.map(({ figures: _figures, tables: _tables, ...source }) => source);
+    if (sources.length === 1) {
+        return { text: sources[0].text, document: sources[0].document, sources: stripped, warnings, figures, tables };
+    }
+    return {
+        text: sources.map(source => `[${source.label}] ${sourceTitle(source)}\n\n${source.text}`).join('\n\n'),
+        document: null,
+        sources: stripped,
+        warnings,
+        figures,
+        tables
+    };
+}
+
+// Most figures sent to the image model with one prompt
+const MAX_FIGURES = 6;
+
+// "Figure 2 [S1]" when several sources may have a Figure 2
+const referenceLabel = (item) => `${item.label}${item.source ? ` [${item.source}]` : ''}`;
+
+// A table as Markdown, which both the text and the image model read reliably
+function tableMarkdown(table) {
+    const cell = (value) => String(value || '').replace(/\|/g, '/').trim();
+    const [header = [], ...body] = table.rows || [];
+    return [
+        `| ${header.map(cell).join(' | ')} |`,
+        `| ${header.map(() => '---').join(' | ')} |`,
+        ...body.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * Check the figures and tables picked for a run.
+ * @param {object} [picked]
+ * @param {object[]} [picked.figures] - { id, label, caption, source? } from an upload
+ * @param {object[]} [picked.tables] - { label, caption, rows, source? } from an upload
+ * @throws {Error} With status 400 if they cannot be used
+ */
+function validateReferences({ figures = [], tables = [] } = {}) {
+    const fail = (message) => {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    };
+    if (!Array.isArray(figures) || !Array.isArray(tables)) {
+        throw fail('figures and tables must be lists');
+    }
+    if (figures.length > MAX_FIGURES) {
+        throw fail(`Too many figures. Feature at most ${MAX_FIGURES} in one infographic.`);
+    }
+    if (figures.some(figure => !figure || typeof figure.id !== 'string') || tables.some(table => !table || !Array.isArray(table.rows))) {
+        throw fail('Each figure needs an id and each table its rows');
+    }
+}
+
+// The picked figures' images, read back from the store for the image model
+async function referenceImages(figures = []) {
+    return Promise.all(figures.map(async (figure) => {
+        const image = await getFigureImage(figure.id);
+        if (!image) {
+            const error = new Error(`${referenceLabel(figure)} is no longer available. Upload the document again.`);
+            error.status = 400;
+            throw error;
+        }
+        return { mimeType: image.mimeType, data: (await fs.readFile(image.path)).toString('base64'), label: referenceLabel(figure) };
+    }));
+}
+
+// Appended to the prompt at render time, so the source's own figures and
+// numbers reach the image model even if the prompt was edited
+function referenceInstructions(figures = [], tables = []) {
+    if (figures.length === 0 && tables.length === 0) return '';
+    const lines = [
+        'REFERENCE MATERIAL FROM THE SOURCE (show these faithfully; do not change, round or invent any value):',
+        ...figures.map((figure, index) => `- Reference image ${index + 1} is ${referenceLabel(figure)}${figure.caption ? ` (${figure.caption})` : ''}. `
+            + 'Redraw it in the style of the infographic, keeping its data, axes, labels and proportions.'),
+        ...tables.map(table => `- ${referenceLabel(table)}${table.caption ? ` (${table.caption})` : ''}, shown as a table or chart with exactly these values:\n${tableMarkdown(table)}`)
+    ];
+    return `\n\n${lines.join('\n')}`;
+}
+
+// How several sources are combined (Step 2, shown once there is more than one)
+const SOURCE_MODES = {
+    synthesise: 'Synthesise them into one coherent story: merge what they agree on, show what each one adds, and point out where they disagree.',
+    compare: 'Compare them side by side: give each source its own column, row or panel with its question, method and key result in parallel, then highlight the similarities and differences.'
+};
+
+/**
+ * Short reference for the infographic's footer, e.g.
+ * "Vaswani A, Shazeer N, Parmar N et al. (2017). Attention Is All You Need. NeurIPS. doi:10.…"
+ * @param {object} [citation] - Metadata of an imported paper (see importers)
+ * @returns {string} Empty if there is no citation
+ */
+function formatCitation(citation) {
+    if (!citation || !citation.title) return '';
+    const authors = (citation.authors || []).map(name => name.trim()).filter(Boolean);
+    const names = authors.length > 3 ? `${authors.slice(0, 3).join(', ')} et al.` : authors.join(', ');
+    return [
+        names && `${names}${citation.year ? ` (${citation.year})` : ''}.`,
+        !names && citation.year && `(${citation.year}).`,
+        `${citation.title}.`,
+        citation.venue && `${citation.venue}.`,
+        citation.doi ? `doi:${citation.doi}` : (citation.url || '')
+    ].filter(Boolean).join(' ');
+}
+
+// Document content for the prompt; several sources share the token budget
+function documentContent({ text, document, sources }, focus) {
+    if (!sources || sources.length < 2) {
+        return selectContent(document || structureDocument(text), focus);
+    }
+    const tokenBudget = Math.floor(DEFAULT_TOKEN_BUDGET / sources.length);
+    return sources
+        .map(source => {
+            const citation = formatCitation(source.document && source.document.citation);
+            return `### Source [${source.label}]: ${sourceTitle(source)}\n`
+                + (citation ? `Citation: ${citation}\n` : '')
+                + selectContent(source.document || structureDocument(source.text), focus, { tokenBudget });
+        })
+        .join('\n\n');
+}
+
+// Values for the prompt template (see TEMPLATE_VARIABLES in templates.js)
+function templateVariables({ text, document, sources, sourceMode, audience, terms, focus, language, styleNotes, format, figures = [], tables = [], brand }) {
+    // Pick the sections that matter for the chosen focus within the token budget
+    const content = documentContent({ text, document, sources }, focus);
+    const outputFormat = getFormat(format);
+    // e.g. "Arabic (العربية, ar)"; names alone are ambiguous and codes alone obscure
+    const outputLanguage = resolveLanguage(language);
+    const languageName = outputLanguage.nativeName === outputLanguage.name
+        ? `${outputLanguage.name} (${outputLanguage.tag})`
+        : `${outputLanguage.name} (${outputLanguage.nativeName}, ${outputLanguage.tag})`;
+    const multiple = sources && sources.length > 1;
+    const featured = [
+        ...figures.map(figure => `  ${referenceLabel(figure)}: ${figure.caption || '(no caption)'}`),
+        ...tables.map(table => `  ${referenceLabel(table)}: ${table.caption || '(no caption)'}\n${tableMarkdown(table)}`)
+    ].join('\n');
+
+    return {
+        text: content,
+        audience,
+        terms,
+        focus,
+        language: languageName,
+        languageName: outputLanguage.name,
+        typography: typographyGuidance(outputLanguage),
+        rtl: outputLanguage.direction === 'rtl',
+        format: `${outputFormat.label} (${outputFormat.orientation}, aspect ratio ${outputFormat.aspectRatio})`,
+        layout: outputFormat.layout,
+        style: styleNotes && styleNotes.trim() ? styleNotes : '',
+        sourceCount: multiple ? sources.length : 0,
+        sourceMode: multiple ? SOURCE_MODES[sourceMode] || SOURCE_MODES.synthesise : '',
+        citation: !multiple && formatCitation(document && document.citation),
+        featured,
+        brand: brand ? brandInstructions(brand.kit, brand.logo ? figures.length + 1 : undefined).replace(/\n/g, '\n  ') : ''
+    };
+}
+
+/**
+ * The instructions for the text model: a prompt template filled in with the
+ * document and options of a run.
+ * @param {object} params - As for generatePrompt
+ * @param {object} template - As returned by templates.loadTemplate
+ * @returns {Promise<string>}
+ */
+async function buildSystemPrompt(params, template) {
+    const brand = params.brand ? await loadBrandKit(params.brand) : null;
+    return renderTemplate(template.body, templateVariables({ ...params, brand }));
+}
+
+/**
+ * The run itself, for providers that write the prompt from it instead of
+ * following the instructions (the offline local provider): the document, or
+ * the titles of several sources, the options and the brand kit.
+ * @param {object} params - As for generatePrompt
+ * @returns {Promise<object>} document, sources ([{ label, title }] for two or more), audience,
+ *   terms, focus, language ({ tag, name, direction }), typography, format and brand (kit or null)
+ */
+async function promptInput({ text, document, sources, audience, terms, focus, language, format, brand }) {
+    const multiple = sources && sources.length > 1;
+    const outputLanguage = resolveLanguage(language);
+    return {
+        document: multiple ? null : document || structureDocument(text || ''),
+        sources: multiple ? sources.map(source => ({ label: source.label, title: sourceTitle(source) })) : [],
+        audience,
+        terms,
+        focus,
+        language: { tag: outputLanguage.tag, name: outputLanguage.name, direction: outputLanguage.direction },
+        typography: typographyGuidance(outputLanguage),
+        format,
+        brand: brand ? (await loadBrandKit(brand)).kit : null
+    };
+}
+
+/**
+ * Ask the configured text provider to write the Nano Banana Pro prompt for a document.
+ * @param {object} params - text and/or document (or several labelled sources with a
+ *   sourceMode), audience, terms, focus, language, styleNotes, format, the
+ *   figures and tables to feature, and the id of a brand kit
+ * @param {object} [options]
+ * @param {object} [options.template] - Prompt template (see templates.js); defaults to the active one
+ * @param {boolean} [options.reuse=true] - false writes a fresh prompt even if the
+ *   same document and options were prompted before (see cache.js)
+ * @returns {Promise<string>} The generated prompt
+ */
+async function generatePrompt(params, { template, reuse = true } = {}) {
+    const systemPrompt = await buildSystemPrompt(params, template || await loadTemplate());
+    const provider = getProvider('text');
+    // The instructions hold the selected content and every option, so they make the key
+    const { value } = await cached('prompt', cacheKey(provider.name, systemPrompt),
+        async () => writePrompt(provider, systemPrompt, await promptInput(params)), { reuse });
+    return value;
+}
+
+async function writePrompt(provider, systemPrompt, input) {
+    const content = await provider.generateText(systemPrompt, { input });
+
+    // Never hand the raw answer on as a prompt: it would be rendered, JSON and all
+    let parsed = null;
+    try {
+        const jsonMatch = content.match(/\{[\s\S]*\}/);
+        parsed = JSON.parse(jsonMatch ? jsonMatch[0] : content);
+    } catch (e) {
+        console.warn('Failed to parse LLM JSON:', content.slice(0, 200));
+    }
+    if (!parsed || typeof parsed.prompt !== 'string' || !parsed.prompt.trim()) {
+        throw new Error('The text model did not return a prompt');
+    }
+    return parsed.prompt.trim();
+}
+
+// Google Search grounding lets the image model add facts from the web; it is
+// on unless the run turns it off or SEARCH_GROUNDING=off disables it entirely.
+const searchGrounding = (grounding) => grounding !== false && process.env.SEARCH_GROUNDING !== 'off';
+
+/**
+ * Render an infographic from a prompt with the configured image provider.
+ * @param {string} prompt
+ * @param {object} [options]
+ * @param {string} [options.format] - Output preset id (see formats.js)
+ * @param {boolean} [options.grounding] - false to render without web search grounding
+ * @param {object[]} [options.figures] - Figures to feature, sent as reference images
+ * @param {object[]} [options.tables] - Tables to feature, added to the prompt as data
+ * @param {string} [options.brand] - Brand kit id; its rules are added to the prompt
+ *   and its logo is sent after the figures
+ * @param {boolean} [options.reuse] - true returns the image rendered before from
+ *   exactly the same prompt, settings and references, if it is still cached
+ * @returns {Promise<{imageUrl: string, text: string, cached?: boolean}>} Image as a
+ *   data URL and the text the model returned alongside it; `cached` if it was reused
+ */
+async function generateInfographic(prompt, { format, grounding, figures = [], tables = [], brand, reuse = false } = {}) {
+    const provider = getProvider('image');
+    const { aspectRatio, imageSize } = getFormat(format);
+    const references = await referenceImages(figures);
+    let instructions = referenceInstructions(figures, tables);
+    let brandKit = null;
+    if (brand) {
+        const { kit, logo } = await loadBrandKit(brand);
+        if (logo) references.push({ ...logo, label: `Logo of ${kit.name}`, role: 'logo' });
+        instructions += `\n\n${brandInstructions(kit, logo ? references.length : undefined)}`;
+        brandKit = kit;
+    }
+    const settings = { aspectRatio, imageSize, grounding: searchGrounding(grounding), references, brand: brandKit };
+    // Every render is kept, so a later run can choose to reuse it instead of paying again
+    const key = cacheKey(provider.name, prompt + instructions, settings);
+    const { value: image, cached: reused } = await cached('image', key, async () => {
+        const rendered = await provider.generateImage(prompt + instructions, settings);
+        console.log(`Infographic generated by the ${provider.name} provider`);
+        return rendered;
+    }, { reuse });
+    return { imageUrl: `data:${image.mimeType};base64,${image.data}`, text: image.text || '', ...(reused ? { cached: true } : {}) };
+}
+
+/**
+ * Apply a follow-up instruction to a previously generated image.
+ * @param {{mimeType: string, data: string}} image - Previous image (base64 data)
+ * @param {string} instruction - e.g. "make the title larger"
+ * @param {object} options
+ * @param {string} options.prompt - Prompt the image was generated from
+ * @param {string} [options.format] - Output preset id
+ * @param {boolean} [options.grounding] - false to edit without web search grounding
+ * @returns {Promise<{imageUrl: string, text: string}>} Edited image as a data URL, with the model's text
+ */
+async function refineInfographic(image, instruction, { prompt, format, grounding } = {}) {
+    const provider = getProvider('edit');
+    const { aspectRatio, imageSize } = getFormat(format);
+    const edited = await provider.editImage(image, instruction, { prompt, aspectRatio, imageSize, grounding: searchGrounding(grounding) });
+    console.log(`Infographic refined by the ${provider.name} provider`);
+    return { imageUrl: `data:${edited.mimeType};base64,${edited.data}`, text: edited.text || '' };
+}
+
+/**
+ * Read the text printed in an image (OCR), for images whose model text is
+ * missing or cannot be trusted to match what was drawn.
+ * @param {{mimeType: string, data: string}} image - base64 data
+ * @returns {Promise<string>}
+ */
+async function readImageText(image) {
+    const provider = getProvider('ocr');
+    return provider.readText(image);
+}
+
+const MAX_VARIANTS = 4;
+
+// Extra layout direction for variants after the first, so the user gets a real choice
+const LAYOUT_EMPHASES = [
+    'Layout emphasis: arrange the content as a top-to-bottom flow with one large central diagram.',
+    'Layout emphasis: use a modular grid of equally sized panels with a strong icon in each.',
+    'Layout emphasis: lead with the single most important number or finding as a large hero element, supporting points around it.'
+];
+
+/**
+ * Prompts for a run with several variants. The first variant uses the prompt
+ * as is; with `varyLayout` the others get a different layout emphasis.
+ * @param {string} prompt
+ * @param {number} count - Number of variants (clamped to 1–4)
+ * @param {boolean} [varyLayout=true]
+ * @returns {string[]}
+ */
+function variantPrompts(prompt, count, varyLayout = true) {
+    const total = Math.min(Math.max(parseInt(count, 10) || 1, 1), MAX_VARIANTS);
+    return Array.from({ length: total }, (_, index) => (index === 0 || !varyLayout)
+        ? prompt
+        : `${prompt}\n\n${LAYOUT_EMPHASES[(index - 1) % LAYOUT_EMPHASES.length]}`);
+}
+
+/**
+ * Render several variants in parallel. Variants that fail are dropped as long
+ * as at least one succeeds.
+ * @param {string[]} prompts - One prompt per variant (see variantPrompts)
+ * @param {object} [options] - Passed on to generateInfographic
+ * @returns {Promise<Array<{prompt: string, imageUrl: string, text: string}>>}
+ */
+async function generateVariants(prompts, options) {
+    const results = await Promise.allSettled(prompts.map(prompt => generateInfographic(prompt, options)));
+    const variants = results
+        .map((result, index) => result.status === 'fulfilled' ? { prompt: prompts[index], ...result.value } : null)
+        .filter(Boolean);
+
+    if (variants.length === 0) {
+        throw results[0].reason;
+    }
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.warn('Variant failed:', describeError(result.reason)));
+
+    return variants;
+}
+
+// Upstream (axios) errors carry the useful part in the response body; model
+// failures (see model-errors.js) already say what went wrong in their message
+const describeError = (error) => error.response ? JSON.stringify(error.response.data) : error.message;
+
+/**
+ * An error saying which step failed, for job results. It keeps the status
+ * and code of the cause, so clients can still word a model failure themselves.
+ * @param {string} action - e.g. 'Failed to generate infographic'
+ * @param {Error} cause
+ * @returns {Error}
+ */
+function wrapFailure(action, cause) {
+    const error = new Error(`${action}: ${describeError(cause)}`);
+    const code = errorCode(cause);
+    if (code) Object.assign(error, { status: cause.status, code });
+    return error;
+}
+
+module.exports = {
+    MAX_SOURCES,
+    MAX_FIGURES,
+    MAX_VARIANTS,
+    SOURCE_MODES,
+    extractText,
+    extractSources,
+    combineSources,
+    formatCitation,
+    validateReferences,
+    buildSystemPrompt,
+    generatePrompt,
+    generateInfographic,
+    refineInfographic,
+    readImageText,
+    variantPrompts,
+    generateVariants,
+    describeError,
+    wrapFailure
+};
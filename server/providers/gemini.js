@@ -0,0 +1,236 @@
+// Google Gemini: gemini-2.0-flash writes the prompt, Gemini 3 Pro Image
+// Preview (Nano Banana Pro) renders the infographic. Failures are translated
+// into the codes of model-errors.js; transient ones are retried, and
+// GEMINI_TEXT_FALLBACK_MODEL / GEMINI_IMAGE_FALLBACK_MODEL take over when a
+// model keeps failing.
+const axios = require('axios');
+const { GoogleGenerativeAI, GoogleGenerativeAIAbortError, GoogleGenerativeAIResponseError } = require('@google/generative-ai');
+const { currentContext } = require('../context');
+const { modelError, isModelError, withFallback, callTimeout } = require('../model-errors');
+
+const API_KEY = process.env.LLM_API_KEY || process.env.NANO_BANANA_API_KEY;
+const TEXT_MODEL = process.env.GEMINI_TEXT_MODEL || 'gemini-2.0-flash';
+const IMAGE_MODEL = process.env.GEMINI_IMAGE_MODEL || 'gemini-3-pro-image-preview';
+const TEXT_MODELS = [TEXT_MODEL, process.env.GEMINI_TEXT_FALLBACK_MODEL].filter(Boolean);
+const IMAGE_MODELS = [IMAGE_MODEL, process.env.GEMINI_IMAGE_FALLBACK_MODEL].filter(Boolean);
+const API_BASE = process.env.GEMINI_API_BASE || 'https://generativelanguage.googleapis.com/v1beta';
+
+// Image calls with search grounding can take well over a minute
+const TIMEOUT_MS = (parseInt(process.env.MODEL_TIMEOUT_SECONDS, 10) || 180) * 1000;
+const HEALTH_TIMEOUT_MS = 10 * 1000;
+const HEALTH_TTL_MS = 60 * 1000;
+
+// Finish and block reasons that mean the content was refused
+const SAFETY_REASONS = ['SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'IMAGE_PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'];
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+// The user's own key when the request brings one (see auth.js), else the shared key
+const apiKey = () => {
+    const context = currentContext();
+    return (context && context.geminiKey) || API_KEY;
+};
+
+const requireKey = () => {
+    if (!apiKey()) {
+        throw new Error('Gemini provider selected but LLM_API_KEY is not set');
+    }
+    return apiKey();
+};
+
+/**
+ * What a failed call means, as an error of model-errors.js. axios errors carry
+ * the API's answer in `response`, the SDK's carry status and details themselves.
+ * @param {Error} error
+ * @returns {Error}
+ */
+function translateError(error) {
+    if (isModelError(error)) return error;
+    const body = error.response && error.response.data && error.response.data.error;
+    const status = error.response ? error.response.status : error.status;
+    const details = (body && body.details) || error.errorDetails || [];
+    const detail = body ? `${status} ${body.status}: ${body.message}` : error.message;
+
+    if (error instanceof GoogleGenerativeAIAbortError || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return modelError('model_timeout', detail);
+    }
+    if (error instanceof GoogleGenerativeAIResponseError && /blocked/i.test(error.message)) {
+        return modelError('safety_blocked', detail);
+    }
+    if (status === 429) {
+        // Per-minute limits clear by themselves (RetryInfo says when); daily ones do not
+        const daily = JSON.stringify(details).includes('PerDay');
+        const retryInfo = details.find(item => item && item.retryDelay);
+        return modelError('model_quota_exceeded', detail, { retryAfterMs: daily ? undefined : (retryInfo ? parseFloat(retryInfo.retryDelay) * 1000 : 0) });
+    }
+    if (status === 401 || status === 403 || details.some(item => item && item.reason === 'API_KEY_INVALID')) {
+        return modelError('invalid_api_key', detail);
+    }
+    if (status === 504) return modelError('model_timeout', detail);
+    if (status >= 500 || (!status && (NETWORK_ERRORS.includes(error.code) || /Error fetching from/.test(error.message)))) {
+        return modelError('model_unavailable', detail);
+    }
+    return modelError('model_error', detail);
+}
+
+// Asks the text model, or its fallback, with the prompt and any images
+async function askText(contents) {
+    const genAI = new GoogleGenerativeAI(requireKey());
+    return withFallback(TEXT_MODELS, async (model) => {
+        try {
+            const result = await genAI.getGenerativeModel({ model }, { timeout: callTimeout(TIMEOUT_MS) }).generateContent(contents);
+            // Throws if the answer was blocked
+            return result.response.text();
+        } catch (error) {
+            throw translateError(error);
+        }
+    });
+}
+
+async function generateText(prompt, { images = [] } = {}) {
+    console.log(`Calling Gemini API (${TEXT_MODEL}) for Prompt Generation...`);
+    return askText(images.length > 0
+        ? [...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } })), prompt]
+        : prompt);
+}
+
+// The image in an answer of the image model, and the text it came with
+function imageFrom(data) {
+    const feedback = data && data.promptFeedback;
+    if (feedback && feedback.blockReason) {
+        throw modelError('safety_blocked', `Prompt blocked: ${feedback.blockReason}`);
+    }
+    const candidate = data && data.candidates && data.candidates[0];
+    if (!candidate) {
+        throw modelError('no_image', 'The response has no candidates');
+    }
+
+    const parts = (candidate.content && candidate.content.parts) || [];
+    const text = parts
+        .filter(part => part.text && !part.thought)
+        .map(part => part.text)
+        .join('\n');
+
+    // Find the image part (skip thought parts)
+    const imagePart = parts.find(part => part.inlineData && !part.thought);
+    if (!imagePart) {
+        if (SAFETY_REASONS.includes(candidate.finishReason)) {
+            throw modelError('safety_blocked', `Image blocked: ${candidate.finishReason}`);
+        }
+        throw modelError('no_image', `Finished with ${candidate.finishReason || 'no reason'}; text only: ${text.slice(0, 200)}`);
+    }
+
+    return {
+        mimeType: imagePart.inlineData.mimeType || 'image/png',
+        data: imagePart.inlineData.data,
+        text
+    };
+}
+
+// Sends a conversation to the image model, or its fallback, and returns the image it answers with
+async function requestImage(contents, { aspectRatio = '16:9', imageSize = '2K', grounding = true } = {}) {
+    const key = requireKey();
+
+    return withFallback(IMAGE_MODELS, async (model) => {
+        try {
+            // Use the native Gemini image generation endpoint
+            const response = await axios.post(
+                `${API_BASE}/models/${model}:generateContent`,
+                {
+                    contents,
+                    // Google Search grounding for factual infographics, unless switched off
+                    ...(grounding ? { tools: [{ google_search: {} }] } : {}),
+                    generationConfig: {
+                        responseModalities: ["TEXT", "IMAGE"],
+                        imageConfig: {
+                            aspectRatio,
+                            imageSize // High quality 2K output by default
+                        }
+                    }
+                },
+                {
+                    headers: {
+                        'x-goog-api-key': key,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: callTimeout(TIMEOUT_MS)
+                }
+            );
+            return imageFrom(response.data);
+        } catch (error) {
+            throw translateError(error);
+        }
+    });
+}
+
+// Reference images (figures from the source) go ahead of the prompt, each
+// introduced by its number so the prompt can refer to it
+async function generateImage(prompt, { references = [], ...options } = {}) {
+    console.log(`Calling ${IMAGE_MODEL} (Nano Banana Pro) for Image Generation...`);
+    const parts = references.flatMap((reference, index) => [
+        { text: `Reference image ${index + 1}: ${reference.label}` },
+        { inlineData: { mimeType: reference.mimeType, data: reference.data } }
+    ]);
+    return requestImage([{ parts: [...parts, { text: prompt }] }], options);
+}
+
+// Multi-turn edit: the original prompt, the image the model answered with,
+// then the user's correction as the next turn.
+async function editImage(image, instruction, { prompt, ...options } = {}) {
+    console.log(`Calling ${IMAGE_MODEL} (Nano Banana Pro) for Image Refinement...`);
+    return requestImage([
+        { role: 'user', parts: [{ text: prompt }] },
+        { role: 'model', parts: [{ inlineData: { mimeType: image.mimeType, data: image.data } }] },
+        { role: 'user', parts: [{ text: `Edit the infographic above: ${instruction}\nKeep everything else unchanged.` }] }
+    ], options);
+}
+
+// OCR with the (multimodal) text model
+async function readText(image) {
+    console.log(`Calling Gemini API (${TEXT_MODEL}) for Text Recognition...`);
+    return askText([
+        { inlineData: { mimeType: image.mimeType, data: image.data } },
+        'Transcribe all text in this infographic exactly as written, one line per text element (title, heading, label, number). Output only the text.'
+    ]);
+}
+
+// Reading a model's metadata costs nothing and fails like a real call would
+// for a wrong key or model name, or an API that is down
+async function checkModel(kind, model, role) {
+    const entry = { kind, model, role };
+    try {
+        await axios.get(`${API_BASE}/models/${model}`, { headers: { 'x-goog-api-key': API_KEY }, timeout: HEALTH_TIMEOUT_MS });
+        return { ...entry, ok: true, code: null, message: null };
+    } catch (error) {
+        const failure = translateError(error);
+        return { ...entry, ok: false, code: failure.code, message: failure.message, detail: failure.detail };
+    }
+}
+
+let health = null; // { at, models } of the last check
+
+// Checks every configured model with the shared key, at most once a minute
+async function checkHealth() {
+    const models = [
+        ...TEXT_MODELS.map((model, index) => ['text', model, index === 0 ? 'primary' : 'fallback']),
+        ...IMAGE_MODELS.map((model, index) => ['image', model, index === 0 ? 'primary' : 'fallback'])
+    ];
+    if (!API_KEY) {
+        // Only users' own keys (OWN_GEMINI_KEYS=required): nothing to check with
+        return models.map(([kind, model, role]) => ({ kind, model, role, ok: null, code: null, message: 'No shared API key to check with' }));
+    }
+    if (!health || Date.now() - health.at > HEALTH_TTL_MS) {
+        health = { at: Date.now(), models: Promise.all(models.map(args => checkModel(...args))) };
+    }
+    return health.models;
+}
+
+module.exports = {
+    name: 'gemini',
+    // With OWN_GEMINI_KEYS=required every user brings the key
+    isAvailable: () => !!apiKey() || process.env.OWN_GEMINI_KEYS === 'required',
+    generateText,
+    generateImage,
+    editImage,
+    readText,
+    checkHealth
+};
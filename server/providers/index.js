@@ -0,0 +1,82 @@
+// Model provider registry. A provider is a module in this directory that
+// exports some of:
+//
+//   name                               - id used in TEXT_PROVIDER / IMAGE_PROVIDER
+//   isAvailable()                      - whether it is configured (keys, endpoints)
+//   generateText(prompt, options)      - resolves with the model's text answer; options.images are
+//                                        { mimeType, data } images shown with the prompt, for
+//                                        models that can see them; when the prompt is the instructions
+//                                        for writing an image prompt, options.input is the run they
+//                                        were filled in from (see pipeline.promptInput)
+//   generateImage(prompt, options)     - resolves with { mimeType, data (base64), text }; options
+//                                        are aspectRatio, imageSize, grounding (web search allowed),
+//                                        references: figures from the source and a brand logo as
+//                                        { mimeType, data, label, role? ('logo') }, in the order the
+//                                        prompt numbers them, and the brand kit (null if none)
+//   editImage(image, instruction, options)
+//                                      - edits a previous { mimeType, data } image; options
+//                                        include the original prompt; resolves like generateImage
+//   readText(image)                    - resolves with the text printed in a { mimeType, data } image (OCR)
+//   checkHealth()                      - resolves with [{ kind ('text'|'image'), model, role ('primary'|
+//                                        'fallback'), ok (null if it cannot be checked), code, message }],
+//                                        one per configured model, for /api/status
+//
+// Calls that fail should reject with an error of model-errors.js (modelError),
+// so users see what went wrong in their own words; retrying transient failures
+// and falling back to another model is up to the provider (withRetries,
+// withFallback).
+//
+// Every module dropped in here is registered automatically; pick it through
+// configuration, no other code changes needed.
+//
+// Calls made while handling a request are reported to its context first (see
+// context.js), which counts them and may refuse them (quotas).
+const fs = require('fs');
+const path = require('path');
+const { currentContext } = require('../context');
+
+const providers = {};
+
+fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .forEach(file => {
+        const provider = require(path.join(__dirname, file));
+        providers[provider.name] = provider;
+    });
+
+const METHODS = { text: 'generateText', image: 'generateImage', edit: 'editImage', ocr: 'readText' };
+
+// Gemini when a key is present, otherwise the offline renderer
+const defaultProvider = () => (providers.gemini && providers.gemini.isAvailable() ? 'gemini' : 'local');
+
+/**
+ * Resolve the configured provider for a capability.
+ * @param {'text'|'image'|'edit'|'ocr'} kind - Edits and OCR use the image provider
+ * @returns {object} Provider module
+ */
+function getProvider(kind) {
+    const configured = kind === 'text' ? process.env.TEXT_PROVIDER : process.env.IMAGE_PROVIDER;
+    const name = configured || process.env.MODEL_PROVIDER || defaultProvider();
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`Unknown ${kind} provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+    }
+    if (typeof provider[METHODS[kind]] !== 'function') {
+        throw new Error(`Provider "${name}" does not support ${kind} generation`);
+    }
+    const method = METHODS[kind];
+    return {
+        ...provider,
+        [method]: async (...args) => {
+            const context = currentContext();
+            if (context && context.onModelCall) context.onModelCall(kind);
+            return provider[method](...args);
+        }
+    };
+}
+
+module.exports = {
+    providers,
+    getProvider
+};
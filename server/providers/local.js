@@ -0,0 +1,287 @@
+// Fully offline provider for development and tests. It writes a prompt from
+// the structured input of the run (options.input, see pipeline.promptInput),
+// not from the instructions, whose wording admins can change, and renders an
+// SVG infographic from the prompt, so the whole pipeline runs end-to-end
+// without network access. Output depends only on the input: the same prompt
+// always gives the same image.
+const crypto = require('crypto');
+const { escapeXml } = require('../encoding');
+const { EXCLUDED_KINDS } = require('../document');
+
+const PALETTES = [
+    ['#8b5cf6', '#ec4899', '#06b6d4'],
+    ['#0ea5e9', '#22c55e', '#f59e0b'],
+    ['#ef4444', '#f97316', '#eab308'],
+    ['#14b8a6', '#6366f1', '#a855f7']
+];
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Greedy word wrap by character count; SVG has no text layout of its own
+const wrap = (text, maxChars, maxLines) => {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        if ((line + ' ' + word).trim().length > maxChars) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = (line + ' ' + word).trim();
+        }
+    });
+    if (line) lines.push(line);
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = kept[maxLines - 1].replace(/\s*\S*$/, '') + ' …';
+        return kept;
+    }
+    return lines;
+};
+
+const field = (prompt, label) => {
+    const match = prompt.match(new RegExp(`^-?\\s*${label}:\\s*(.+)$`, 'im'));
+    return match ? match[1].trim() : '';
+};
+
+async function generateText(prompt, { input } = {}) {
+    if (/^TEXT LAYER$/m.test(prompt)) {
+        return JSON.stringify(textLayer(prompt));
+    }
+    if (/^ACCESSIBLE DESCRIPTION$/m.test(prompt)) {
+        return JSON.stringify(description(prompt));
+    }
+    if (!input) {
+        throw new Error('The local provider writes prompts from the run, not from instructions; pass options.input');
+    }
+
+    // Several documents: one panel per source, credited with its label
+    const { document, sources, audience, focus, language, typography } = input;
+    const title = (sources.length > 1 ? `Research Overview: ${sources.length} Sources` : document.title) || 'Research Summary';
+    const headings = sources.length > 1 ? [] : document.sections
+        .filter(section => section.heading && !EXCLUDED_KINDS.includes(section.kind))
+        .map(section => section.heading)
+        .slice(0, 6);
+
+    const sections = (sources.length > 1
+        ? sources.map(source => `${source.title} [${source.label}]`)
+        : headings.length > 0 ? headings : ['Background', 'Approach', 'Key Findings', 'Implications'])
+        .map((heading, index) => `${index + 1}. ${heading}`)
+        .join('\n');
+
+    return JSON.stringify({
+        prompt: `Create a clean, modern infographic titled "${title}" for ${audience || 'General public'}, focusing on ${focus || 'Balanced overview'}. `
+            + `All text in the infographic must be in ${language.name}.\n`
+            + (typography ? `Typography: ${typography}\n` : '')
+            + `Layout: a title banner followed by one panel per section:\n${sections}\n`
+            + 'Use simple icons, short labels and a consistent colour palette.'
+    });
+}
+
+// The brand's colours, else a palette picked by the prompt's hash
+const paletteFor = (prompt, brand) => (brand && brand.palette.length > 0
+    ? [0, 1, 2].map(index => brand.palette[index % brand.palette.length])
+    : PALETTES[hash(prompt)[0] % PALETTES.length]);
+
+// Title and panels of the image drawn for a prompt, and where they go
+function composition(prompt, width, height, figureCount) {
+    const body = prompt.split(/\n\n(?:REFERENCE MATERIAL|BRAND KIT)\b/)[0];
+    const titleMatch = body.match(/titled\s+"([^"]+)"/i) || body.match(/^(.{10,90}?)[.:\n]/);
+    const title = titleMatch ? titleMatch[1] : 'Infographic';
+
+    // Panels come from list items in the prompt (numbered or bulleted)
+    let panels = [...body.matchAll(/^\s*(?:\d+[.)]|[-•*])\s+(.+)$/gm)].map(match => match[1]).slice(0, 6);
+    if (panels.length === 0) {
+        panels = body.split(/(?<=[.!?])\s+/).slice(1, 5);
+    }
+
+    const columns = panels.length > 3 ? 3 : Math.max(panels.length, 1);
+    const rows = Math.ceil(panels.length / columns) || 1;
+    const margin = 60;
+    const top = 220;
+    const gap = 30;
+    const strip = figureCount > 0 ? Math.min(320, Math.floor(height * 0.3)) : 0;
+    const panelWidth = Math.floor((width - margin * 2 - gap * (columns - 1)) / columns);
+    const panelHeight = Math.floor((height - top - margin - strip - (strip ? gap : 0) - gap * (rows - 1)) / rows);
+    return {
+        title,
+        panels,
+        margin,
+        gap,
+        strip,
+        panelWidth,
+        panelHeight,
+        charsPerLine: Math.max(12, Math.floor(panelWidth / 15)),
+        maxLines: Math.max(2, Math.floor((panelHeight - 110) / 34)),
+        panelAt: (index) => ({
+            x: margin + (index % columns) * (panelWidth + gap),
+            y: top + Math.floor(index / columns) * (panelHeight + gap)
+        })
+    };
+}
+
+// Text layer request (see layout.js): the boxes are where generateImage puts
+// the title and panel text for the same prompt (without reference images, whose
+// strip would shrink the panels)
+function textLayer(request) {
+    const prompt = (request.match(/^IMAGE PROMPT:\n([\s\S]*?)\n(?:TEXT RETURNED BY THE IMAGE MODEL:|- Aspect ratio:)/m) || [])[1] || '';
+    const [w, h] = (field(request, 'Aspect ratio') || '16:9').split(':').map(Number);
+    const width = 1600;
+    const height = Math.round(width * (h || 9) / (w || 16));
+    const { title, panels, panelWidth, panelHeight, panelAt } = composition(prompt, width, height, 0);
+    return {
+        blocks: [
+            { role: 'title', text: title, x: 0.03, y: 20 / height, width: 0.94, height: 140 / height, fontSize: 52 / height, align: 'center', color: '#ffffff', background: paletteFor(prompt)[0] },
+            ...panels.map((text, index) => {
+                const { x, y } = panelAt(index);
+                return {
+                    role: 'text',
+                    text,
+                    x: (x + 20) / width,
+                    y: (y + 105) / height,
+                    width: (panelWidth - 40) / width,
+                    height: (panelHeight - 120) / height,
+                    fontSize: 26 / height,
+                    align: 'left',
+                    color: '#1f2937',
+                    background: '#ffffff'
+                };
+            })
+        ]
+    };
+}
+
+// Description request (see accessibility.js), read off the panels generateImage
+// draws for the same prompt
+function description(request) {
+    const prompt = (request.match(/^IMAGE PROMPT:\n([\s\S]*?)\n(?:TEXT RETURNED BY THE IMAGE MODEL:|- Audience:)/m) || [])[1] || '';
+    const { title, panels } = composition(prompt, 1600, 900, 0);
+    const sections = panels.map(text => text.replace(/\s*\[S\d+\]$/, ''));
+    const count = `${sections.length} ${sections.length === 1 ? 'panel' : 'panels'}`;
+    return {
+        altText: `${title}: an overview in ${count} covering ${sections.join(', ')}.`,
+        longDescription: [
+            { heading: 'Title', text: title },
+            ...sections.map((text, index) => ({ heading: `Panel ${index + 1}`, text }))
+        ],
+        summary: `This infographic is for ${field(request, 'Audience') || 'a general audience'}. It explains ${title} in ${count}: ${sections.join('; ')}.`
+    };
+}
+
+// Where a brand logo goes, by the kit's placement (see brands.LOGO_PLACEMENTS)
+const LOGO_CORNERS = {
+    'top-left': () => ({ x: 30, y: 30 }),
+    'top-right': (width) => ({ x: width - 150, y: 30 }),
+    'bottom-left': (width, height) => ({ x: 30, y: height - 150 }),
+    'bottom-right': (width, height) => ({ x: width - 150, y: height - 150 }),
+    'footer-center': (width, height) => ({ x: width / 2 - 60, y: height - 150 })
+};
+
+// Reference images (figures from the source) are shown as they are in a strip
+// along the bottom, a brand logo in its corner. The reference and brand
+// instructions appended to the prompt are not turned into panels; the brand's
+// colours and footer come from the kit itself.
+async function generateImage(prompt, { aspectRatio = '16:9', references = [], brand = null } = {}) {
+    const [w, h] = aspectRatio.split(':').map(Number);
+    const width = 1600;
+    const height = Math.round(width * (h || 9) / (w || 16));
+    const palette = paletteFor(prompt, brand);
+    const footer = brand && brand.footer;
+    const logo = references.find(reference => reference.role === 'logo');
+    const figures = references.filter(reference => reference !== logo);
+    const { title, panels, margin, gap, strip, panelWidth, panelHeight, charsPerLine, maxLines, panelAt } = composition(prompt, width, height, figures.length);
+
+    const panelsSvg = panels.map((text, index) => {
+        const { x, y } = panelAt(index);
+        const color = palette[index % palette.length];
+        const lines = wrap(text, charsPerLine, maxLines)
+            .map((line, i) => `<tspan x="${x + 30}" dy="${i === 0 ? 0 : 34}">${escapeXml(line)}</tspan>`)
+            .join('');
+        return `<g>
+    <rect x="${x}" y="${y}" width="${panelWidth}" height="${panelHeight}" rx="24" fill="#ffffff" stroke="${color}" stroke-width="4"/>
+    <circle cx="${x + 60}" cy="${y + 60}" r="30" fill="${color}"/>
+    <text x="${x + 60}" y="${y + 71}" font-size="30" font-weight="700" fill="#ffffff" text-anchor="middle">${index + 1}</text>
+    <text x="${x + 30}" y="${y + 140}" font-size="26" fill="#1f2937">${lines}</text>
+  </g>`;
+    }).join('\n  ');
+
+    const figureWidth = Math.floor((width - margin * 2 - gap * (figures.length - 1)) / Math.max(figures.length, 1));
+    const figuresSvg = figures.map((reference, index) => {
+        const x = margin + index * (figureWidth + gap);
+        const y = height - margin - strip;
+        return `<g>
+    <image x="${x}" y="${y}" width="${figureWidth}" height="${strip - 40}" preserveAspectRatio="xMidYMid meet" href="data:${reference.mimeType};base64,${reference.data}"/>
+    <text x="${x + figureWidth / 2}" y="${y + strip - 10}" font-size="22" fill="#6b7280" text-anchor="middle">${escapeXml(wrap(reference.label, Math.floor(figureWidth / 12), 1)[0] || '')}</text>
+  </g>`;
+    }).join('\n  ');
+
+    const corner = (LOGO_CORNERS[brand && brand.logoPlacement] || LOGO_CORNERS['top-left'])(width, height);
+    const brandSvg = [
+        logo && `<image x="${corner.x}" y="${corner.y}" width="120" height="120" preserveAspectRatio="xMidYMid meet" href="data:${logo.mimeType};base64,${logo.data}"/>`,
+        footer && `<text x="${width - 60}" y="${height - 20}" font-size="20" fill="#6b7280" text-anchor="end">${escapeXml(footer)}</text>`
+    ].filter(Boolean).join('\n  ');
+
+    const titleLines = wrap(title, 60, 2)
+        .map((line, i) => `<tspan x="${width / 2}" dy="${i === 0 ? 0 : 60}">${escapeXml(line)}</tspan>`)
+        .join('');
+
+    const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">
+  <rect width="100%" height="100%" fill="#f8fafc"/>
+  <rect width="100%" height="180" fill="${palette[0]}"/>
+  <text x="${width / 2}" y="${titleLines.includes('dy="60"') ? 80 : 110}" font-size="52" font-weight="700" fill="#ffffff" text-anchor="middle">${titleLines}</text>
+  ${panelsSvg}${figuresSvg ? `\n  ${figuresSvg}` : ''}${brandSvg ? `\n  ${brandSvg}` : ''}
+</svg>
+`;
+
+    return {
+        mimeType: 'image/svg+xml',
+        data: Buffer.from(svg).toString('base64'),
+        text: [title, ...panels, ...figures.map(reference => reference.label), footer].filter(Boolean).join('\n')
+    };
+}
+
+// Edits stack up as notes along the bottom of the previous SVG; any other
+// image type is re-rendered from the prompt with the instruction added.
+async function editImage(image, instruction, { prompt = '', ...options } = {}) {
+    if (image.mimeType !== 'image/svg+xml') {
+        return generateImage(`${prompt}\n- ${instruction}`, options);
+    }
+
+    const svg = Buffer.from(image.data, 'base64').toString('utf8');
+    const height = parseInt((svg.match(/height="(\d+)"/) || [])[1], 10) || 900;
+    const count = (svg.match(/data-revision=/g) || []).length;
+    const note = `<text data-revision="${count + 1}" x="60" y="${height - 20 - count * 30}" font-size="22" fill="#6b7280">`
+        + `Revision ${count + 1}: ${escapeXml(instruction)}</text>`;
+
+    return {
+        mimeType: image.mimeType,
+        data: Buffer.from(svg.replace('</svg>', `  ${note}\n</svg>`)).toString('base64'),
+        text: instruction
+    };
+}
+
+// SVG text is text already; other images would need a real OCR engine
+async function readText(image) {
+    if (image.mimeType !== 'image/svg+xml') {
+        return '';
+    }
+    const svg = Buffer.from(image.data, 'base64').toString('utf8');
+    return [...svg.matchAll(/<text\b[^>]*>([\s\S]*?)<\/text>/g)]
+        .map(match => match[1].replace(/<tspan\b[^>]*>([\s\S]*?)<\/tspan>/g, '$1 ').replace(/<[^>]+>/g, '').trim())
+        .map(line => line
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&amp;/g, '&'))
+        .filter(Boolean)
+        .join('\n');
+}
+
+module.exports = {
+    name: 'local',
+    isAvailable: () => true,
+    generateText,
+    generateImage,
+    editImage,
+    readText
+};
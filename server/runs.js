@@ -0,0 +1,211 @@
+// A whole infographic run, from the input to the stored and described result.
+// Shared by the job routes, /api/v1 and the command-line client (which runs it
+// in-process, see cli.js).
+const fs = require('fs');
+const {
+    extractSources, combineSources, extractText, validateReferences, generatePrompt, variantPrompts, generateVariants, wrapFailure
+} = require('./pipeline');
+const { resolveLanguage } = require('./languages');
+const { getBrandKit } = require('./brands');
+const { loadTemplate, templateTag } = require('./templates');
+const { describeInfographic } = require('./accessibility');
+const { hashContent, saveInfographic, getInfographic, getInfographicImage, saveAccessibility } = require('./store');
+
+const fail = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Check the options of a run before it starts, so a job does not fail on
+ * them halfway. Throws with status 400 on an unknown language, unusable
+ * figures or tables, or a brand kit or prompt template version that does not exist.
+ * @param {object} run
+ * @param {object} run.options - Options as sent to the job route
+ * @param {string} [run.prompt] - Finished prompt; the language is not needed then
+ */
+async function validateRun({ options, prompt }) {
+    const { language, figures = [], tables = [], brand, template } = options;
+    if (!prompt) resolveLanguage(language);
+    validateReferences({ figures, tables });
+    if (brand && !await getBrandKit(brand)) {
+        throw fail('Brand kit not found', 400);
+    }
+    if (template !== undefined) await loadTemplate(template);
+}
+
+/**
+ * Read the uploads, sources or pasted text of a run, unless they come already
+ * extracted.
+ * @param {object} input - files, sources, text, document and the output language (the OCR hint)
+ * @param {object} progress - stage(name) and partial(result) of the job
+ * @returns {Promise<{text: string, document: object, sources?: object[]}>}
+ */
+async function extractRun({ files, sources, text, document, language }, { stage, partial }) {
+    let extracted = { text, document };
+    if (files.length > 0 || sources) {
+        stage('extracting');
+        extracted = combineSources(await extractSources({ files, sources: sources || [], language }));
+        partial(extracted);
+    } else if (!document && text) {
+        stage('extracting');
+        extracted = extractText(text);
+        partial(extracted);
+    }
+    return extracted;
+}
+
+/**
+ * How the input of a run is recorded in the history.
+ * @returns {{name: string, kind: string, hash: string}}
+ */
+function runSource({ files, extracted, source, prompt }) {
+    const extractedSources = extracted.sources || [];
+    const single = files.length === 1 && extractedSources.length === 1 ? files[0] : null;
+    return extractedSources.length > 1 ? {
+        name: `${extractedSources[0].name} + ${extractedSources.length - 1} more`,
+        kind: 'multi',
+        hash: hashContent(extracted.text)
+    } : {
+        name: single ? single.originalname : (extractedSources[0] ? extractedSources[0].name : source.name),
+        kind: single ? extractedSources[0].kind : (source.kind || 'text'),
+        hash: hashContent(single ? single.buffer : (extracted.text || prompt))
+    };
+}
+
+/**
+ * Prompt behind the current image: the favourite variant's, and the
+ * refinements on the way to the current revision.
+ * @param {object} infographic - As returned by store.getInfographic
+ * @returns {string}
+ */
+const currentPrompt = (infographic) => {
+    const edits = [];
+    for (let number = infographic.currentRevision; number > 0; number = infographic.revisions[number - 1].basedOn) {
+        edits.unshift(`"${infographic.revisions[number - 1].instruction}"`);
+    }
+    const prompt = infographic.variants[infographic.selected].prompt;
+    return edits.length > 0 ? `${prompt}\n\nEdited afterwards: ${edits.join('; ')}` : prompt;
+};
+
+/**
+ * Write and keep the alt text, long description and summary of the current
+ * image (see accessibility.js).
+ * @param {object} infographic - As returned by store.getInfographic
+ * @returns {Promise<object>} The description
+ */
+const describeCurrent = async (infographic) => {
+    const image = await getInfographicImage(infographic.id);
+    const data = (await fs.promises.readFile(image.path)).toString('base64');
+    const description = await describeInfographic({
+        prompt: currentPrompt(infographic),
+        text: image.text,
+        image: { mimeType: image.mimeType, data },
+        audience: infographic.options.audience,
+        language: infographic.options.language
+    });
+    return saveAccessibility(infographic.id, description);
+};
+
+// Runs do not fail over a missing description; Step 4 can write it again
+const describeQuietly = (infographic) => describeCurrent(infographic).catch(error => {
+    console.error('Description Error:', error.detail || error.message);
+    return null;
+});
+
+/**
+ * Run the pipeline for one infographic: extract the input, write the prompt
+ * (unless a finished one is given), render the variants, keep the result in
+ * the history and describe it.
+ * @param {object} input
+ * @param {object[]} [input.files] - Uploaded documents ({ originalname, mimetype, buffer })
+ * @param {object[]} [input.sources] - Text snippets or extracted sources
+ * @param {string} [input.text] - Pasted text
+ * @param {object} [input.document] - Already extracted document, with its text
+ * @param {string} [input.prompt] - Finished prompt (render only)
+ * @param {object} [input.source] - Name and kind of the input, for the history
+ * @param {string} [input.owner] - Id of the user the infographic belongs to
+ * @param {object} input.options - audience, terms, focus, language, styleNotes, format,
+ *   sourceMode, variants, grounding, figures, tables and brand; reuseImage: false
+ *   renders anew even if the same prompt was rendered before (see cache.js);
+ *   template is the prompt template version to write the prompt with (see
+ *   templates.js), or the one a finished prompt was written with
+ * @param {object} progress - stage(name) and partial(result) of the job
+ * @returns {Promise<{prompt: string, imageUrl: string, variants: string[], reusedImage: boolean,
+ *   template: object|null, infographicId?: string, accessibility?: object}>} Without an id when
+ *   the history could not store the result; reusedImage if an image came from the cache;
+ *   template is the version and hash of the prompt template, if known
+ */
+async function runInfographic({ files = [], sources, text, document, prompt, source = {}, owner, options }, { stage, partial }) {
+    const { audience, terms, focus, language, styleNotes, format, sourceMode, figures = [], tables = [], brand } = options;
+    const extracted = await extractRun({ files, sources, text, document, language }, { stage, partial });
+
+    // A finished prompt is only tagged with a template if the client names the one it came from
+    const template = !prompt || options.template !== undefined ? await loadTemplate(options.template) : null;
+    let finalPrompt = prompt;
+    if (!finalPrompt) {
+        stage('prompting');
+        // Only the figures and tables picked in Step 2, not everything the upload found
+        finalPrompt = await generatePrompt({ ...extracted, sourceMode, audience, terms, focus, language, styleNotes, format, figures, tables, brand }, { template });
+        partial({ prompt: finalPrompt });
+    }
+
+    stage('rendering');
+    let variants;
+    try {
+        variants = await generateVariants(variantPrompts(finalPrompt, options.variants), {
+            format, grounding: options.grounding, figures, tables, brand, reuse: options.reuseImage !== false
+        });
+    } catch (error) {
+        console.error('Nano Banana Pro Error:', error.detail || error.message);
+        throw wrapFailure('Failed to generate infographic', error);
+    }
+
+    const reusedImage = variants.some(variant => variant.cached);
+
+    // Keep the result in the history; the job itself only lives in memory
+    try {
+        const saved = await saveInfographic({
+            source: runSource({ files, extracted, source, prompt: finalPrompt }),
+            text: extracted.text,
+            document: extracted.document,
+            sources: extracted.sources || [],
+            options,
+            prompt: finalPrompt,
+            template: template && templateTag(template),
+            variants,
+            owner
+        });
+        const stored = await getInfographic(saved.id);
+        stage('describing');
+        return {
+            prompt: finalPrompt,
+            imageUrl: stored.imageUrl,
+            variants: stored.variants.map(variant => variant.imageUrl),
+            reusedImage,
+            template: template && templateTag(template),
+            infographicId: saved.id,
+            accessibility: await describeQuietly(stored)
+        };
+    } catch (error) {
+        console.error('History Store Error:', error);
+        return {
+            prompt: finalPrompt,
+            imageUrl: variants[0].imageUrl,
+            variants: variants.map(variant => variant.imageUrl),
+            reusedImage,
+            template: template && templateTag(template)
+        };
+    }
+}
+
+module.exports = {
+    validateRun,
+    extractRun,
+    runSource,
+    currentPrompt,
+    describeCurrent,
+    describeQuietly,
+    runInfographic
+};
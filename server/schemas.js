@@ -0,0 +1,306 @@
+// Request and response schemas of the public API (/api/v1), written in the
+// JSON Schema subset OpenAPI 3.1 uses, so openapi.js can publish them as they
+// are. validate() checks a value against one of them; it understands type,
+// properties, required, additionalProperties, items, enum, minLength,
+// maxLength, minimum, maximum, minItems, maxItems and local $refs.
+const { FORMATS } = require('./formats');
+const { MAX_SOURCES, MAX_FIGURES, MAX_VARIANTS, SOURCE_MODES } = require('./pipeline');
+const { STAGES } = require('./jobs');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: { type: 'string', description: 'What went wrong, readable by people' },
+            code: {
+                type: 'string',
+                description: 'Stable reason for scripts, e.g. invalid_request, unauthenticated, quota_exceeded, rate_limited, own_key_required, '
+                    + 'or a model failure: model_quota_exceeded, safety_blocked, invalid_api_key, model_timeout, no_image, model_unavailable, model_error'
+            },
+            details: {
+                type: 'array',
+                description: 'The fields that failed validation',
+                items: {
+                    type: 'object',
+                    required: ['path', 'message'],
+                    properties: { path: { type: 'string' }, message: { type: 'string' } }
+                }
+            }
+        }
+    },
+    Capabilities: {
+        type: 'object',
+        required: ['version', 'formats', 'languages', 'extensions', 'sourceModes', 'maxSources', 'maxVariants'],
+        properties: {
+            version: { type: 'string' },
+            formats: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'label', 'aspectRatio', 'orientation'],
+                    properties: {
+                        id: { type: 'string' },
+                        label: { type: 'string' },
+                        aspectRatio: { type: 'string' },
+                        orientation: { type: 'string' }
+                    }
+                }
+            },
+            languages: {
+                type: 'array',
+                description: 'Languages offered in the app; any other BCP-47 code or language name works too',
+                items: {
+                    type: 'object',
+                    required: ['tag', 'name'],
+                    properties: { tag: { type: 'string' }, name: { type: 'string' }, nativeName: { type: 'string' } }
+                }
+            },
+            extensions: { type: 'array', description: 'Document types the server reads', items: { type: 'string' } },
+            sourceModes: { type: 'array', items: { type: 'string' } },
+            maxSources: { type: 'integer' },
+            maxVariants: { type: 'integer' }
+        }
+    },
+    RunOptions: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            audience: { type: 'string', minLength: 1, maxLength: 200, examples: ['General public', 'High school students', 'Expert researchers'] },
+            terms: { type: 'string', minLength: 1, maxLength: 200, examples: ['Include & Explain', 'Include without explanation', 'Exclude, simplify to context'] },
+            focus: { type: 'string', minLength: 1, maxLength: 200, examples: ['Balanced overview', 'Methodology & process', 'Results & findings'] },
+            language: { type: 'string', minLength: 1, maxLength: 100, description: 'BCP-47 code or language name of the infographic text', examples: ['en', 'de', 'pt-BR'] },
+            styleNotes: { type: 'string', maxLength: 2000 },
+            format: { type: 'string', enum: FORMATS.map(format => format.id) },
+            sourceMode: { type: 'string', enum: Object.keys(SOURCE_MODES), description: 'How several sources are combined' },
+            variants: { type: 'integer', minimum: 1, maximum: MAX_VARIANTS },
+            grounding: { type: 'boolean', description: 'false renders without Google Search grounding' },
+            reuseImage: { type: 'boolean', description: 'false renders anew even if the same prompt and settings were rendered before; default true' },
+            brand: { type: 'string', description: 'Brand kit id' },
+            template: { type: 'integer', minimum: 0, description: 'Prompt template version to write the prompt with (or the one a given prompt was written with); default the active one' },
+            figures: {
+                type: 'array',
+                maxItems: MAX_FIGURES,
+                description: 'Figures to feature, as returned by the upload of the same document',
+                items: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }
+            },
+            tables: {
+                type: 'array',
+                items: { type: 'object', required: ['rows'], properties: { rows: { type: 'array' } } }
+            }
+        }
+    },
+    Source: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+            name: { type: 'string', maxLength: 300 },
+            text: { type: 'string', minLength: 1 }
+        }
+    },
+    PromptRequest: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['options'],
+        properties: {
+            text: { type: 'string', description: 'Document text (at least 100 characters)' },
+            sources: { type: 'array', minItems: 1, maxItems: MAX_SOURCES, items: ref('Source') },
+            fresh: { type: 'boolean', description: 'true writes a new prompt instead of reusing the one written for the same input' },
+            options: { ...ref('RunOptions'), description: 'audience, terms, focus and language are required' }
+        }
+    },
+    TemplateTag: {
+        type: 'object',
+        required: ['version', 'hash'],
+        description: 'Prompt template version the prompt was written with, and a hash of its wording',
+        properties: { version: { type: 'integer' }, hash: { type: 'string' } }
+    },
+    Prompt: {
+        type: 'object',
+        required: ['prompt', 'template'],
+        properties: { prompt: { type: 'string' }, template: ref('TemplateTag') }
+    },
+    JobRequest: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['options'],
+        description: 'As JSON, or as the `request` field of a multipart request whose `files` are the documents',
+        properties: {
+            text: { type: 'string', description: 'Document text (at least 100 characters)' },
+            sources: { type: 'array', minItems: 1, maxItems: MAX_SOURCES, items: ref('Source') },
+            prompt: { type: 'string', minLength: 1, description: 'Finished prompt: render only' },
+            name: { type: 'string', maxLength: 300, description: 'Name of the input in the history' },
+            options: { ...ref('RunOptions'), description: 'audience, terms, focus and language are required unless a prompt is given' }
+        }
+    },
+    Job: {
+        type: 'object',
+        required: ['id', 'status', 'stage', 'error', 'createdAt', 'updatedAt', 'result'],
+        properties: {
+            id: { type: 'string' },
+            status: { type: 'string', enum: ['running', 'done', 'failed'] },
+            stage: { type: 'string', enum: STAGES },
+            error: nullable({ type: 'string' }),
+            code: nullable({ type: 'string', description: 'Stable reason of a failure, as in Error' }),
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            result: {
+                type: 'object',
+                description: 'Filled in as the job goes; complete once status is done',
+                properties: {
+                    prompt: { type: 'string' },
+                    infographicId: { type: 'string' },
+                    imageUrl: { type: 'string', description: 'Path of the image on this server' },
+                    variants: { type: 'array', items: { type: 'string' } },
+                    reusedImage: { type: 'boolean', description: 'An image was reused from the cache instead of rendered' },
+                    altText: nullable({ type: 'string' })
+                }
+            }
+        }
+    },
+    Description: {
+        type: 'object',
+        required: ['altText', 'longDescription', 'summary'],
+        properties: {
+            altText: { type: 'string' },
+            longDescription: {
+                type: 'array',
+                items: { type: 'object', required: ['heading', 'text'], properties: { heading: { type: 'string' }, text: { type: 'string' } } }
+            },
+            summary: { type: 'string' },
+            language: { type: 'string' }
+        }
+    },
+    Infographic: {
+        type: 'object',
+        required: ['id', 'title', 'source', 'options', 'prompt', 'imageUrl', 'variants', 'accessibility', 'createdAt', 'updatedAt'],
+        properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            source: { type: 'object', properties: { name: { type: 'string' }, kind: { type: 'string' } } },
+            options: { type: 'object' },
+            prompt: { type: 'string', description: 'Prompt of the selected variant' },
+            template: { oneOf: [ref('TemplateTag'), { type: 'null' }] },
+            imageUrl: { type: 'string', description: 'Path of the current image on this server' },
+            variants: { type: 'array', items: { type: 'string' } },
+            accessibility: { oneOf: [ref('Description'), { type: 'null' }] },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+        }
+    }
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => (Array.isArray(type) ? type : [type])
+    .some(expected => typeOf(value) === expected || (expected === 'number' && typeOf(value) === 'integer'));
+
+function check(schema, value, path, problems) {
+    if (schema.$ref) {
+        return check(SCHEMAS[schema.$ref.split('/').pop()], value, path, problems);
+    }
+    const problem = (message) => problems.push({ path: path || '(body)', message });
+
+    if (schema.oneOf) {
+        const matching = schema.oneOf.filter(option => validate(option, value).length === 0);
+        if (matching.length !== 1) problem('does not match the schema');
+        return;
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+        return problem(`must be ${[].concat(schema.type).join(' or ')}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return problem(`must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) problem(`must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) problem(`must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) problem(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) problem(`must be at most ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) problem(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) problem(`must have at most ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, problems));
+    }
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || [])
+            .filter(name => value[name] === undefined)
+            .forEach(name => problems.push({ path: path ? `${path}.${name}` : name, message: 'is required' }));
+        Object.entries(value).forEach(([name, item]) => {
+            const itemPath = path ? `${path}.${name}` : name;
+            if (properties[name]) {
+                if (item !== undefined) check(properties[name], item, itemPath, problems);
+            } else if (schema.additionalProperties === false) {
+                problems.push({ path: itemPath, message: 'is not allowed' });
+            }
+        });
+    }
+}
+
+/**
+ * Check a value against a schema.
+ * @param {object|string} schema - A schema, or the name of one in SCHEMAS
+ * @param {*} value
+ * @returns {Array<{path: string, message: string}>} What does not match; empty if it is valid
+ */
+function validate(schema, value) {
+    const problems = [];
+    check(typeof schema === 'string' ? ref(schema) : schema, value, '', problems);
+    return problems;
+}
+
+/**
+ * Check a request body, throwing with status 400 (and the problems as
+ * `details`) if it does not match.
+ * @param {string} name - Schema name
+ * @param {*} value
+ * @returns {*} The value
+ */
+function assertValid(name, value) {
+    const details = validate(name, value);
+    if (details.length > 0) {
+        const error = new Error(`Invalid request: ${details.map(detail => `${detail.path} ${detail.message}`).join('; ')}`);
+        error.status = 400;
+        error.code = 'invalid_request';
+        error.details = details;
+        throw error;
+    }
+    return value;
+}
+
+/**
+ * Send a response after checking it against its schema. A mismatch is our
+ * bug, so it is logged and answered with 500 instead of breaking clients that
+ * trust the description.
+ * @param {object} res
+ * @param {string} name - Schema name
+ * @param {object} body
+ * @param {number} [status=200]
+ */
+function sendValid(res, name, body, status = 200) {
+    const problems = validate(name, body);
+    if (problems.length > 0) {
+        console.error(`Schema Error (${name}):`, problems);
+        return res.status(500).json({ error: 'The server produced an invalid response', code: 'internal' });
+    }
+    res.status(status).json(body);
+}
+
+module.exports = {
+    SCHEMAS,
+    validate,
+    assertValid,
+    sendValid
+};
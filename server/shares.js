@@ -0,0 +1,143 @@
+// Share links: a stable, unguessable URL (/s/<token>) under which anyone can
+// view an infographic without signing in, and embed it in another site. Each
+// link is a JSON file in DATA_DIR/shares. Links show the current image of
+// their infographic, may expire, and can be revoked; a revoked link stays on
+// file so its URL keeps answering "revoked" instead of "not found".
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./store');
+
+const SHARES_DIR = path.join(DATA_DIR, 'shares');
+
+const MAX_EXPIRY_DAYS = 365;
+
+const sharePath = (token) => path.join(SHARES_DIR, `${token}.json`);
+
+// 24 random bytes, base64url: unguessable, and safe in URLs and file names
+const isValidToken = (token) => /^[A-Za-z0-9_-]{32}$/.test(token);
+
+const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+/**
+ * @param {object} share
+ * @param {Date} [now]
+ * @returns {'active'|'expired'|'revoked'}
+ */
+const shareStatus = (share, now = new Date()) => {
+    if (share.revokedAt) return 'revoked';
+    if (share.expiresAt && new Date(share.expiresAt) <= now) return 'expired';
+    return 'active';
+};
+
+// What clients see: the status and the paths of the viewer, embed and image
+const present = (share) => ({
+    ...share,
+    status: shareStatus(share),
+    path: `/s/${share.token}`,
+    embedPath: `/s/${share.token}/embed`,
+    imagePath: `/s/${share.token}/image`
+});
+
+async function readShare(token) {
+    if (!isValidToken(token)) return null;
+    try {
+        return JSON.parse(await fs.readFile(sharePath(token), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeShare(share) {
+    await fs.mkdir(SHARES_DIR, { recursive: true });
+    // Write-then-rename so a crash never leaves a half-written link behind
+    const target = sharePath(share.token);
+    await fs.writeFile(`${target}.tmp`, JSON.stringify(share, null, 2));
+    await fs.rename(`${target}.tmp`, target);
+}
+
+/**
+ * Publish an infographic under a new link.
+ * @param {string} infographicId
+ * @param {object} [settings]
+ * @param {number|null} [settings.expiresInDays] - Days until the link stops working; none for a link that does not expire
+ * @param {object} [author] - Account of whoever shared it ({ id, username }); they own the link
+ * @returns {Promise<object>} The link
+ * @throws {Error} With status 400 if the expiry is not a whole number of days within the limit
+ */
+async function createShare(infographicId, { expiresInDays } = {}, author) {
+    const days = expiresInDays === undefined || expiresInDays === null || expiresInDays === '' ? null : Number(expiresInDays);
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS)) {
+        throw fail(`Links expire after 1 to ${MAX_EXPIRY_DAYS} days, or not at all`);
+    }
+    const now = new Date();
+    const share = {
+        token: crypto.randomBytes(24).toString('base64url'),
+        infographicId,
+        owner: author ? author.id : null,
+        author: author ? author.username : null,
+        createdAt: now.toISOString(),
+        expiresAt: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+        revokedAt: null
+    };
+    await writeShare(share);
+    return present(share);
+}
+
+/**
+ * @param {string} infographicId
+ * @returns {Promise<object[]>} Links of the infographic, newest first, revoked and expired ones included
+ */
+async function listShares(infographicId) {
+    let files;
+    try {
+        files = await fs.readdir(SHARES_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const shares = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => readShare(path.basename(file, '.json'))));
+    return shares
+        .filter(share => share && share.infographicId === infographicId)
+        .map(present)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * @param {string} token
+ * @returns {Promise<object|null>} The link with its status, whether or not it still works
+ */
+async function getShare(token) {
+    const share = await readShare(token);
+    return share ? present(share) : null;
+}
+
+/**
+ * Stop a link from working. Revoking twice keeps the first date.
+ * @param {string} token
+ * @returns {Promise<object|null>} The link, or null if there is no such link
+ */
+async function revokeShare(token) {
+    const share = await readShare(token);
+    if (!share) return null;
+    if (!share.revokedAt) {
+        share.revokedAt = new Date().toISOString();
+        await writeShare(share);
+    }
+    return present(share);
+}
+
+module.exports = {
+    MAX_EXPIRY_DAYS,
+    createShare,
+    listShares,
+    getShare,
+    revokeShare
+};
@@ -0,0 +1,429 @@
+// Persistent history of generated infographics. Each generation is a JSON
+// record plus its image file in DATA_DIR/infographics, so the store needs no
+// database server and can be backed up by copying a directory. Figures
+// extracted from uploaded documents are kept in DATA_DIR/figures, named by
+// their content hash.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const INFOGRAPHICS_DIR = path.join(DATA_DIR, 'infographics');
+const FIGURES_DIR = path.join(DATA_DIR, 'figures');
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg'
+};
+
+const recordPath = (id) => path.join(INFOGRAPHICS_DIR, `${id}.json`);
+
+// Ids are generated by us; anything else must not reach the filesystem
+const isValidId = (id) => /^[a-f0-9-]{36}$/.test(id);
+
+/**
+ * Hash of the source document, used to recognise the same input later.
+ * @param {Buffer|string} content
+ * @returns {string} sha256 hex digest
+ */
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Split a data URL into its MIME type and bytes.
+ * @param {string} dataUrl
+ * @returns {{mimeType: string, buffer: Buffer}}
+ */
+function parseDataUrl(dataUrl) {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(dataUrl || '');
+    if (!match) {
+        throw new Error('Expected a base64 data URL');
+    }
+    return { mimeType: match[1], buffer: Buffer.from(match[2], 'base64') };
+}
+
+const imageUrl = (record) => `/api/infographics/${record.id}/image`;
+const variantUrl = (record, index) => `/api/infographics/${record.id}/variants/${index}/image`;
+const revisionUrl = (record, number) => `/api/infographics/${record.id}/revisions/${number}/image`;
+
+// The main image: the current refinement if there is one, else the favourite variant
+const currentImage = (record) => record.currentRevision > 0
+    ? record.revisions[record.currentRevision - 1]
+    : record.variants[record.selected];
+
+// Alt text, long description and summary of the current image, if written for it
+const currentDescription = (record) => {
+    const { file, ...description } = record.accessibility || {};
+    return record.accessibility && file === currentImage(record).file ? description : null;
+};
+
+// Summary used for list views; leaves out the (large) extracted text
+const summarize = (record) => ({
+    id: record.id,
+    title: record.title,
+    source: record.source,
+    options: record.options,
+    template: record.template || null,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    imageUrl: imageUrl(record),
+    altText: (currentDescription(record) || {}).altText || null,
+    variantCount: record.variants.length,
+    selected: record.selected,
+    revisionCount: record.revisions.length,
+    currentRevision: record.currentRevision
+});
+
+const writeImage = async (id, dataUrl) => {
+    const { mimeType, buffer } = parseDataUrl(dataUrl);
+    // A fresh name per write, so browsers never show a cached old version
+    const file = `${id}-${crypto.randomBytes(4).toString('hex')}.${EXTENSIONS[mimeType] || 'bin'}`;
+    await fs.mkdir(INFOGRAPHICS_DIR, { recursive: true });
+    await fs.writeFile(path.join(INFOGRAPHICS_DIR, file), buffer);
+    return { file, mimeType };
+};
+
+async function readRecord(id) {
+    if (!isValidId(id)) return null;
+    try {
+        const record = JSON.parse(await fs.readFile(recordPath(id), 'utf8'));
+        // Records written before variants existed hold a single image
+        if (!record.variants) {
+            record.variants = [{ ...record.image, prompt: record.prompt }];
+            record.selected = 0;
+            delete record.image;
+        }
+        // ...and before refinements and multi-document runs existed, no revisions or sources
+        record.revisions = record.revisions || [];
+        record.sources = record.sources || [];
+        record.currentRevision = record.currentRevision || 0;
+        return record;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeRecord(record) {
+    await fs.mkdir(INFOGRAPHICS_DIR, { recursive: true });
+    // Write-then-rename so a crash never leaves a half-written record behind
+    const target = recordPath(record.id);
+    await fs.writeFile(`${target}.tmp`, JSON.stringify(record, null, 2));
+    await fs.rename(`${target}.tmp`, target);
+}
+
+/**
+ * Store a finished generation.
+ * @param {object} data
+ * @param {object} data.source - { name, hash, kind }
+ * @param {string} [data.text] - Extracted document text
+ * @param {object} [data.document] - Structured document
+ * @param {object[]} [data.sources] - Labelled sources of a multi-document run (text holds them combined)
+ * @param {object} data.options - Options the infographic was generated with
+ * @param {string} data.prompt - Prompt written for the document
+ * @param {{version: number, hash: string}|null} [data.template] - Prompt template it was written with (see templates.js)
+ * @param {Array<{prompt: string, imageUrl: string, text: string}>} data.variants - Rendered variants
+ *   (data URLs) with the text the model returned for each
+ * @param {string} [data.owner] - Id of the user it belongs to (see accounts.js)
+ * @returns {Promise<object>} Stored record summary
+ */
+async function saveInfographic({ source, text, document, sources, options, prompt, template, variants, owner }) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    const storedVariants = [];
+    for (const variant of variants) {
+        storedVariants.push({ ...await writeImage(id, variant.imageUrl), prompt: variant.prompt, text: variant.text || '' });
+    }
+
+    const record = {
+        id,
+        owner: owner || null,
+        title: (document && document.title) || (source && source.name) || prompt.slice(0, 80),
+        source: source || {},
+        text: text || '',
+        document: document || null,
+        sources: sources && sources.length > 1 ? sources : [],
+        options: options || {},
+        prompt,
+        template: template || null,
+        variants: storedVariants,
+        selected: 0,
+        revisions: [],
+        currentRevision: 0,
+        factCheck: null,
+        layout: null,
+        accessibility: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    await writeRecord(record);
+
+    return summarize(record);
+}
+
+/**
+ * @param {object} [filter]
+ * @param {string} [filter.owner] - Only the infographics of this user
+ * @returns {Promise<object[]>} Summaries of the stored infographics, newest first
+ */
+async function listInfographics({ owner } = {}) {
+    let files;
+    try {
+        files = await fs.readdir(INFOGRAPHICS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const records = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => readRecord(file.slice(0, -'.json'.length))));
+
+    return records
+        .filter(record => record && (owner === undefined || record.owner === owner))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summarize);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>} Full record including text and prompt
+ */
+async function getInfographic(id) {
+    const record = await readRecord(id);
+    if (!record) return null;
+    // A fact-check report, a text layer and a description only apply to the image they were made for
+    const { file, ...factCheck } = record.factCheck || {};
+    const { file: layoutFile, ...layout } = record.layout || {};
+    return {
+        ...record,
+        factCheck: record.factCheck && file === currentImage(record).file ? factCheck : null,
+        layout: record.layout && layoutFile === currentImage(record).file ? layout : null,
+        accessibility: currentDescription(record),
+        imageUrl: imageUrl(record),
+        variants: record.variants.map((variant, index) => ({ prompt: variant.prompt, imageUrl: variantUrl(record, index) })),
+        revisions: record.revisions.map(revision => ({
+            number: revision.number,
+            instruction: revision.instruction,
+            basedOn: revision.basedOn,
+            createdAt: revision.createdAt,
+            imageUrl: revisionUrl(record, revision.number)
+        }))
+    };
+}
+
+/**
+ * @param {string} id
+ * @param {object} [which] - Defaults to the current main image
+ * @param {number} [which.variant] - Variant index
+ * @param {number} [which.revision] - Revision number (0 is the favourite variant before any refinement)
+ * @returns {Promise<{path: string, mimeType: string, text: string}|null>} Location of the image
+ *   file and the text the model returned with it
+ */
+async function getInfographicImage(id, { variant, revision } = {}) {
+    const record = await readRecord(id);
+    if (!record) return null;
+
+    let image;
+    if (variant !== undefined) {
+        image = record.variants[variant];
+    } else if (revision !== undefined) {
+        image = revision === 0 ? record.variants[record.selected] : record.revisions[revision - 1];
+    } else {
+        image = currentImage(record);
+    }
+    if (!image) return null;
+    return { path: path.join(INFOGRAPHICS_DIR, image.file), mimeType: image.mimeType, text: image.text || '' };
+}
+
+/**
+ * Store a refined version of the infographic and make it the current image.
+ * @param {string} id
+ * @param {object} revision
+ * @param {string} revision.instruction - What the user asked to change
+ * @param {number} revision.basedOn - Revision the edit was applied to (0 = favourite variant)
+ * @param {string} revision.imageUrl - Edited image as a data URL
+ * @param {string} [revision.text] - Text the model returned with it
+ * @returns {Promise<object|null>} The new revision, or null if the id is unknown
+ */
+async function addRevision(id, { instruction, basedOn, imageUrl: dataUrl, text }) {
+    const record = await readRecord(id);
+    if (!record) return null;
+
+    const revision = {
+        number: record.revisions.length + 1,
+        instruction,
+        basedOn,
+        ...await writeImage(id, dataUrl),
+        text: text || '',
+        createdAt: new Date().toISOString()
+    };
+    record.revisions.push(revision);
+    record.currentRevision = revision.number;
+    record.updatedAt = revision.createdAt;
+    await writeRecord(record);
+
+    return { number: revision.number, instruction, basedOn, createdAt: revision.createdAt, imageUrl: revisionUrl(record, revision.number) };
+}
+
+/**
+ * Step back (or forward) through the refinements.
+ * @param {string} id
+ * @param {number} number - Revision to make current; 0 is the favourite variant
+ * @returns {Promise<object|null>} Updated summary, or null if id or number are unknown
+ */
+async function setCurrentRevision(id, number) {
+    const record = await readRecord(id);
+    if (!record || !(number >= 0 && number <= record.revisions.length)) return null;
+    record.currentRevision = number;
+    record.updatedAt = new Date().toISOString();
+    await writeRecord(record);
+    return summarize(record);
+}
+
+/**
+ * Mark a variant as the favourite; it becomes the infographic's main image.
+ * @param {string} id
+ * @param {number} index
+ * @returns {Promise<object|null>} Updated summary, or null if id or index are unknown
+ */
+async function selectVariant(id, index) {
+    const record = await readRecord(id);
+    if (!record || !record.variants[index]) return null;
+    record.selected = index;
+    record.currentRevision = 0; // Refinements were made on the previous favourite
+    record.updatedAt = new Date().toISOString();
+    await writeRecord(record);
+    return summarize(record);
+}
+
+/**
+ * Replace the image of one variant, e.g. after regenerating it.
+ * @param {string} id
+ * @param {number} index
+ * @param {{imageUrl: string, text: string}} rendered - New image as a data URL, with the model's text
+ * @returns {Promise<object|null>} Updated summary, or null if id or index are unknown
+ */
+async function replaceVariant(id, index, { imageUrl: dataUrl, text }) {
+    const record = await readRecord(id);
+    if (!record || !record.variants[index]) return null;
+
+    const previous = record.variants[index];
+    record.variants[index] = { ...await writeImage(id, dataUrl), prompt: previous.prompt, text: text || '' };
+    record.updatedAt = new Date().toISOString();
+    await writeRecord(record);
+    await fs.rm(path.join(INFOGRAPHICS_DIR, previous.file), { force: true });
+    return summarize(record);
+}
+
+/**
+ * Keep the fact-check report for the current image.
+ * @param {string} id
+ * @param {object} report - See factcheck.js
+ * @returns {Promise<object|null>} The stored report, or null if the id is unknown
+ */
+async function saveFactCheck(id, report) {
+    const record = await readRecord(id);
+    if (!record) return null;
+    const checked = { ...report, checkedAt: new Date().toISOString() };
+    record.factCheck = { ...checked, file: currentImage(record).file };
+    await writeRecord(record);
+    return checked;
+}
+
+/**
+ * Keep the text layer of the current image, replacing an earlier one.
+ * @param {string} id
+ * @param {object} layout - See layout.js
+ * @returns {Promise<object|null>} The stored layer, or null if the id is unknown
+ */
+async function saveLayout(id, layout) {
+    const record = await readRecord(id);
+    if (!record) return null;
+    const saved = { ...layout, updatedAt: new Date().toISOString() };
+    record.layout = { ...saved, file: currentImage(record).file };
+    await writeRecord(record);
+    return saved;
+}
+
+/**
+ * Keep the alt text, long description and summary of the current image.
+ * @param {string} id
+ * @param {object} description - See accessibility.js
+ * @returns {Promise<object|null>} The stored description, or null if the id is unknown
+ */
+async function saveAccessibility(id, description) {
+    const record = await readRecord(id);
+    if (!record) return null;
+    const saved = { ...description, describedAt: new Date().toISOString() };
+    record.accessibility = { ...saved, file: currentImage(record).file };
+    await writeRecord(record);
+    return saved;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether a record was deleted
+ */
+async function deleteInfographic(id) {
+    const record = await readRecord(id);
+    if (!record) return false;
+
+    await Promise.all([...record.variants, ...record.revisions]
+        .map(image => fs.rm(path.join(INFOGRAPHICS_DIR, image.file), { force: true })));
+    await fs.rm(recordPath(id), { force: true });
+    return true;
+}
+
+const isFigureId = (id) => /^[a-f0-9]{64}$/.test(id);
+
+/**
+ * Keep a figure extracted from a document. The same image uploaded twice is
+ * stored once.
+ * @param {Buffer} buffer - PNG file
+ * @returns {Promise<string>} Figure id
+ */
+async function saveFigure(buffer) {
+    const id = hashContent(buffer);
+    await fs.mkdir(FIGURES_DIR, { recursive: true });
+    await fs.writeFile(path.join(FIGURES_DIR, `${id}.png`), buffer);
+    return id;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<{path: string, mimeType: string}|null>} Location of the figure's image file
+ */
+async function getFigureImage(id) {
+    if (!isFigureId(id)) return null;
+    const file = path.join(FIGURES_DIR, `${id}.png`);
+    try {
+        await fs.access(file);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    return { path: file, mimeType: 'image/png' };
+}
+
+module.exports = {
+    DATA_DIR,
+    hashContent,
+    parseDataUrl,
+    saveInfographic,
+    listInfographics,
+    getInfographic,
+    getInfographicImage,
+    selectVariant,
+    replaceVariant,
+    addRevision,
+    setCurrentRevision,
+    saveFactCheck,
+    saveLayout,
+    saveAccessibility,
+    deleteInfographic,
+    saveFigure,
+    getFigureImage
+};
@@ -0,0 +1,276 @@
+// Prompt templates: the instructions the text model gets for writing the image
+// prompt, with {{variables}} for the document and the options of a run. The
+// built-in template ships as prompt-template.txt (version 0); admins save new
+// versions, which are JSON files in DATA_DIR/templates and never change once
+// written, and pick the active one. Every infographic records the version and
+// a hash of the template it was prompted with.
+//
+// Syntax: {{name}} inserts a variable, {{#name}}…{{/name}} keeps its content
+// only if the variable is set and {{^name}}…{{/name}} only if it is not.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./store');
+
+const TEMPLATES_DIR = path.join(DATA_DIR, 'templates');
+const ACTIVE_FILE = path.join(TEMPLATES_DIR, 'active.json');
+const BUILT_IN_FILE = path.join(__dirname, 'prompt-template.txt');
+
+const BUILT_IN_VERSION = 0;
+const MAX_TEMPLATE_LENGTH = 20000;
+
+// What a template can use, as shown in the admin view
+const TEMPLATE_VARIABLES = {
+    text: 'Document content selected for the focus; several sources are labelled [S1], [S2] …',
+    audience: 'Target audience',
+    terms: 'How to handle technical terms',
+    focus: 'Content focus',
+    language: 'Output language with its native name and code, e.g. "German (Deutsch, de)"',
+    languageName: 'Output language in English, e.g. "German"',
+    typography: 'Script and typography guidance for the output language',
+    rtl: 'Set if the output language is written right to left',
+    format: 'Output format with orientation and aspect ratio',
+    layout: 'Layout guidance for the output format',
+    style: 'Visual style notes from Step 2',
+    sourceCount: 'Number of sources when there are several; not set for one document',
+    sourceMode: 'How several sources are combined (synthesise or compare)',
+    citation: 'Reference of an imported paper',
+    featured: 'Figures and tables to feature, with their captions and values',
+    brand: 'Instructions of the chosen brand kit'
+};
+
+const versionPath = (version) => path.join(TEMPLATES_DIR, `${version}.json`);
+
+const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const hashBody = (body) => crypto.createHash('sha256').update(body).digest('hex').slice(0, 12);
+
+const TAG = /\{\{\s*([#^/]?)\s*([A-Za-z]+)\s*\}\}/g;
+
+/**
+ * Parse a template into text and tags, checking its variables and sections.
+ * @param {string} body
+ * @returns {Array<string|object>} Text, { name } for variables, and
+ *   { name, inverted, children } for sections
+ * @throws {Error} With status 400 naming the first problem
+ */
+function parseTemplate(body) {
+    const root = { children: [] };
+    const open = [root];
+    let last = 0;
+    for (const match of body.matchAll(TAG)) {
+        const [tag, kind, name] = match;
+        const { children } = open[open.length - 1];
+        if (match.index > last) children.push(body.slice(last, match.index));
+        last = match.index + tag.length;
+
+        if (!TEMPLATE_VARIABLES[name]) {
+            throw fail(`Unknown variable {{${name}}}. Available: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`);
+        }
+        if (kind === '#' || kind === '^') {
+            const section = { name, inverted: kind === '^', children: [] };
+            children.push(section);
+            open.push(section);
+        } else if (kind === '/') {
+            if (open.length === 1 || open[open.length - 1].name !== name) {
+                throw fail(`{{/${name}}} closes a section that is not open`);
+            }
+            open.pop();
+        } else {
+            children.push({ name });
+        }
+    }
+    if (open.length > 1) {
+        throw fail(`The section {{#${open[open.length - 1].name}}} is not closed`);
+    }
+    if (last < body.length) root.children.push(body.slice(last));
+    return root.children;
+}
+
+const renderNodes = (nodes, variables) => nodes.map(node => {
+    if (typeof node === 'string') return node;
+    const value = variables[node.name];
+    if (!node.children) return value === undefined || value === null || value === false ? '' : String(value);
+    return Boolean(value) !== node.inverted ? renderNodes(node.children, variables) : '';
+}).join('');
+
+// Whether the variable is inserted somewhere, not only tested by a section
+const insertsVariable = (nodes, name) => nodes.some(node => typeof node !== 'string'
+    && (node.children ? insertsVariable(node.children, name) : node.name === name));
+
+/**
+ * Fill in a template.
+ * @param {string} body
+ * @param {object} variables - Values by name (see TEMPLATE_VARIABLES); unset ones stay empty
+ * @returns {string}
+ * @throws {Error} With status 400 if the template does not parse
+ */
+const renderTemplate = (body, variables) => renderNodes(parseTemplate(body), variables);
+
+/**
+ * Every variable as a visible placeholder, for previews without a document.
+ * @returns {object}
+ */
+const sampleVariables = () => Object.fromEntries(Object.keys(TEMPLATE_VARIABLES).map(name => [name, `[${name}]`]));
+
+async function readActive() {
+    try {
+        return JSON.parse(await fs.readFile(ACTIVE_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return { version: BUILT_IN_VERSION, updatedAt: null };
+        throw error;
+    }
+}
+
+async function readVersion(version) {
+    if (version === BUILT_IN_VERSION) {
+        const body = await fs.readFile(BUILT_IN_FILE, 'utf8');
+        return { version, note: 'Built-in', author: null, body, createdAt: null };
+    }
+    if (!Number.isInteger(version) || version < 0) return null;
+    try {
+        return JSON.parse(await fs.readFile(versionPath(version), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+const present = (stored, active) => ({
+    ...stored,
+    builtIn: stored.version === BUILT_IN_VERSION,
+    active: stored.version === active.version,
+    hash: hashBody(stored.body)
+});
+
+/**
+ * @returns {Promise<object[]>} Every version without its body, newest first
+ */
+async function listTemplates() {
+    let files;
+    try {
+        files = await fs.readdir(TEMPLATES_DIR);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        files = [];
+    }
+    const versions = files
+        .filter(file => /^\d+\.json$/.test(file))
+        .map(file => parseInt(file, 10));
+    const active = await readActive();
+    const stored = await Promise.all([BUILT_IN_VERSION, ...versions].map(readVersion));
+    return stored
+        .filter(Boolean)
+        .map(template => {
+            const { body, ...summary } = present(template, active);
+            return summary;
+        })
+        .sort((a, b) => b.version - a.version);
+}
+
+/**
+ * @param {number} version
+ * @returns {Promise<object|null>} The version with its body
+ */
+async function getTemplate(version) {
+    const stored = await readVersion(version);
+    return stored ? present(stored, await readActive()) : null;
+}
+
+/**
+ * The template a prompt is written with.
+ * @param {number} [version] - Defaults to the active version
+ * @returns {Promise<object>}
+ * @throws {Error} With status 400 if there is no such version
+ */
+async function loadTemplate(version) {
+    const active = await readActive();
+    const wanted = version === undefined || version === null ? active.version : version;
+    const stored = await readVersion(wanted);
+    if (!stored) {
+        throw fail(`Prompt template version ${wanted} not found`);
+    }
+    return present(stored, active);
+}
+
+/**
+ * How an infographic records the template it was prompted with.
+ * @param {object} template - As returned by loadTemplate
+ * @returns {{version: number, hash: string}}
+ */
+const templateTag = (template) => ({ version: template.version, hash: template.hash });
+
+/**
+ * Save a new version. Versions are numbered in order and never changed, so
+ * the tag of an infographic keeps pointing at the wording it was made with.
+ * @param {object} fields
+ * @param {string} fields.body - The template
+ * @param {string} [fields.note] - What changed, e.g. "Shorter task list"
+ * @param {string} [author] - Username of the admin
+ * @returns {Promise<object>} The new version
+ * @throws {Error} With status 400 if the template is empty, too long or does not parse
+ */
+async function saveTemplate({ body, note }, author) {
+    if (typeof body !== 'string' || !body.trim()) {
+        throw fail('The template is empty');
+    }
+    if (body.length > MAX_TEMPLATE_LENGTH) {
+        throw fail(`The template is too long. It may have at most ${MAX_TEMPLATE_LENGTH} characters.`);
+    }
+    const nodes = parseTemplate(body);
+    if (!insertsVariable(nodes, 'text')) {
+        throw fail('The template must include the document with {{text}}');
+    }
+
+    await fs.mkdir(TEMPLATES_DIR, { recursive: true });
+    const existing = (await listTemplates()).map(template => template.version);
+    for (let version = Math.max(...existing) + 1; ; version++) {
+        const template = {
+            version,
+            note: String(note || '').trim().slice(0, 200),
+            author: author || null,
+            body,
+            createdAt: new Date().toISOString()
+        };
+        try {
+            // Exclusive create: two admins saving at once get different numbers
+            await fs.writeFile(versionPath(version), JSON.stringify(template, null, 2), { flag: 'wx' });
+            return present(template, await readActive());
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+}
+
+/**
+ * Make a version the one new prompts are written with.
+ * @param {number} version
+ * @returns {Promise<object|null>} The version, or null if it does not exist
+ */
+async function activateTemplate(version) {
+    const stored = await readVersion(version);
+    if (!stored) return null;
+    const active = { version, updatedAt: new Date().toISOString() };
+    await fs.mkdir(TEMPLATES_DIR, { recursive: true });
+    // Write-then-rename so a crash never leaves a half-written choice behind
+    await fs.writeFile(`${ACTIVE_FILE}.tmp`, JSON.stringify(active, null, 2));
+    await fs.rename(`${ACTIVE_FILE}.tmp`, ACTIVE_FILE);
+    return present(stored, active);
+}
+
+module.exports = {
+    BUILT_IN_VERSION,
+    TEMPLATE_VARIABLES,
+    renderTemplate,
+    sampleVariables,
+    listTemplates,
+    getTemplate,
+    loadTemplate,
+    templateTag,
+    saveTemplate,
+    activateTemplate
+};
@@ -0,0 +1,115 @@
+// Accounts, sign-in tokens, ownership, quotas and rate limits. Run with
+// `npm test` in server/.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Accounts and usage live in the data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.DAILY_IMAGE_QUOTA = '2';
+
+const { createUser, issueToken, revokeToken, updateUser, verifyPassword } = require('../accounts');
+const { authenticate, mayAccess } = require('../auth');
+const { currentContext } = require('../context');
+const { quotaStatus, recordCall, rateLimit } = require('../usage');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// Just enough of Express's req and res for the middleware
+const request = (headers, urlPath = '/jobs') => ({ path: urlPath, get: (name) => headers[name.toLowerCase()] });
+const response = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => Object.assign(res, { statusCode: code });
+    res.json = (body) => Object.assign(res, { body });
+    return res;
+};
+
+// Runs the middleware; resolves with what the route would see
+const authenticateWith = (req) => new Promise((resolve, reject) => {
+    const res = response();
+    authenticate(req, res, () => resolve({ res, user: req.user, context: currentContext() }))
+        .then(() => res.body && resolve({ res }), reject);
+});
+
+test('lets owners and admins reach a record, nobody else', () => {
+    const alice = { id: 'alice', role: 'user' };
+    const bob = { id: 'bob', role: 'user' };
+    const admin = { id: 'root', role: 'admin' };
+
+    assert.strictEqual(mayAccess(alice, { owner: 'alice' }), true);
+    assert.strictEqual(mayAccess(bob, { owner: 'alice' }), false);
+    assert.strictEqual(mayAccess(admin, { owner: 'alice' }), true);
+    // Records from before accounts belong to nobody but admins
+    assert.strictEqual(mayAccess(alice, { owner: null }), false);
+    assert.strictEqual(mayAccess(admin, { owner: null }), true);
+    assert.strictEqual(mayAccess(null, { owner: 'alice' }), false);
+});
+
+test('signs in with a bearer token or the session cookie until it is revoked', async () => {
+    const user = await createUser({ username: 'Alice', password: 'correct horse' });
+    assert.strictEqual(user.username, 'alice');
+    assert.strictEqual(user.passwordHash, undefined);
+    assert.ok(await verifyPassword('alice', 'correct horse'));
+    assert.ok(!await verifyPassword('alice', 'wrong horse'));
+
+    const api = await issueToken(user.id, { kind: 'api', label: 'CI' });
+    const byToken = await authenticateWith(request({ authorization: `Bearer ${api.token}` }));
+    assert.strictEqual(byToken.user.id, user.id);
+    // The rest of the request runs as the user
+    assert.strictEqual(byToken.context.user.id, user.id);
+
+    const session = await issueToken(user.id);
+    const byCookie = await authenticateWith(request({ cookie: `myinfographic_session=${encodeURIComponent(session.token)}` }));
+    assert.strictEqual(byCookie.user.id, user.id);
+
+    await revokeToken(user.id, api.info.id);
+    const revoked = await authenticateWith(request({ authorization: `Bearer ${api.token}` }));
+    assert.strictEqual(revoked.res.statusCode, 401);
+    assert.strictEqual(revoked.res.body.code, 'unauthenticated');
+});
+
+test('refuses tokens of disabled accounts and made-up tokens', async () => {
+    const user = await createUser({ username: 'carol', password: 'carol password' });
+    const { token } = await issueToken(user.id);
+    await updateUser(user.id, { disabled: true });
+
+    assert.strictEqual((await authenticateWith(request({ authorization: `Bearer ${token}` }))).res.statusCode, 401);
+    assert.strictEqual((await authenticateWith(request({ authorization: `Bearer ${user.id}.guessed` }))).res.statusCode, 401);
+    assert.strictEqual((await authenticateWith(request({}))).res.statusCode, 401);
+    // Public paths go ahead without a user
+    assert.strictEqual((await authenticateWith(request({}, '/status'))).user, null);
+});
+
+test('counts images against the daily quota unless an own key pays', () => {
+    const user = { id: 'quota-user', role: 'user', quota: null };
+    recordCall(user, 'image');
+    recordCall(user, 'text'); // Prompts are free
+    recordCall(user, 'image', { ownKey: true });
+    assert.deepStrictEqual(quotaStatus(user), { limit: 2, used: 1, remaining: 1 });
+
+    recordCall(user, 'edit');
+    assert.throws(() => recordCall(user, 'image'), { status: 429, code: 'quota_exceeded' });
+    assert.doesNotThrow(() => recordCall(user, 'image', { ownKey: true }));
+
+    // Admins are unlimited unless given a quota; an account's own quota replaces the default
+    assert.strictEqual(quotaStatus({ id: 'quota-admin', role: 'admin', quota: null }).limit, null);
+    assert.strictEqual(quotaStatus({ id: 'quota-user', role: 'user', quota: 5 }).remaining, 3);
+});
+
+test('limits requests per minute in a sliding window', (t) => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+
+    assert.strictEqual(rateLimit('window', 2), 0);
+    now += 20 * 1000;
+    assert.strictEqual(rateLimit('window', 2), 0);
+    // The first request leaves the window 40 seconds from now
+    assert.strictEqual(rateLimit('window', 2), 40);
+    assert.strictEqual(rateLimit('other', 2), 0);
+
+    now += 40 * 1000;
+    assert.strictEqual(rateLimit('window', 2), 0);
+    assert.strictEqual(rateLimit('window', 2), 20);
+});
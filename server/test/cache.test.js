@@ -0,0 +1,75 @@
+// The result cache: entries per user, expiry and the size limit. Run with
+// `npm test` in server/.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+process.env.CACHE_MAX_MB = '1';
+process.env.CACHE_TTL_HOURS = '1';
+
+const { runInContext } = require('../context');
+const { cacheKey, readCache, writeCache, cached } = require('../cache');
+
+const CACHE_DIR = path.join(process.env.DATA_DIR, 'cache');
+const entryFile = (kind, key) => path.join(CACHE_DIR, kind, `${key}.json`);
+
+// Pruning runs in the background after each write
+const settle = () => new Promise(resolve => setTimeout(resolve, 200));
+
+const asUser = (id, fn) => runInContext({ user: { id, role: 'user' } }, fn);
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('keeps entries per user', async () => {
+    const aliceKey = asUser('alice', () => cacheKey('image', 'same prompt'));
+    const bobKey = asUser('bob', () => cacheKey('image', 'same prompt'));
+    assert.notStrictEqual(aliceKey, bobKey);
+    assert.strictEqual(asUser('alice', () => cacheKey('image', 'same prompt')), aliceKey);
+    // The command line runs outside a request and has a cache of its own
+    assert.notStrictEqual(cacheKey('image', 'same prompt'), aliceKey);
+
+    let renders = 0;
+    const render = async () => ({ image: ++renders });
+    const alice = await asUser('alice', () => cached('image', cacheKey('image', 'prompt'), render));
+    const again = await asUser('alice', () => cached('image', cacheKey('image', 'prompt'), render));
+    const bob = await asUser('bob', () => cached('image', cacheKey('image', 'prompt'), render));
+
+    assert.deepStrictEqual([alice.cached, again.cached, bob.cached], [false, true, false]);
+    assert.deepStrictEqual(again.value, alice.value);
+    assert.strictEqual(renders, 2);
+    await settle();
+});
+
+test('drops entries older than the time to live', async () => {
+    const key = cacheKey('prompt', 'old');
+    await writeCache('prompt', key, 'a prompt');
+    assert.strictEqual(await readCache('prompt', key), 'a prompt');
+
+    const file = entryFile('prompt', key);
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fs.writeFileSync(file, JSON.stringify({ ...entry, createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() }));
+
+    assert.strictEqual(await readCache('prompt', key), null);
+    assert.strictEqual(fs.existsSync(file), false);
+    await settle();
+});
+
+test('removes the least recently used entries beyond the size limit', async () => {
+    const large = 'x'.repeat(400 * 1024);
+    const keys = ['first', 'second', 'third'].map(name => cacheKey('extraction', name));
+
+    await writeCache('extraction', keys[0], large);
+    await settle();
+    await writeCache('extraction', keys[1], large);
+    await settle();
+    // Using the first entry makes the second the least recently used
+    assert.strictEqual(await readCache('extraction', keys[0]), large);
+    await settle();
+    await writeCache('extraction', keys[2], large);
+    await settle();
+
+    assert.deepStrictEqual(keys.map(key => fs.existsSync(entryFile('extraction', key))), [true, false, true]);
+});
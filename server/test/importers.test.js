@@ -0,0 +1,167 @@
+// Paper import against a local stub server standing in for arXiv, Crossref,
+// doi.org and a publisher. Run with `npm test` in server/.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+
+// Extractions are cached in the data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'import-test-'));
+
+const pdf = fs.readFileSync(path.join(path.dirname(require.resolve('pdf-parse/package.json')), 'test/data', '01-valid.pdf'));
+
+const ARTICLE_TEXT = 'Glaciers in the Alps have lost more than half of their volume since 1900. '.repeat(12);
+
+const article = (pdfUrl) => `<html><head>
+<meta name="citation_title" content="Alpine glacier retreat">
+<meta name="citation_author" content="Ada Muster">
+<meta name="citation_author" content="Ben Beispiel">
+<meta name="citation_journal_title" content="Journal of Ice">
+<meta name="citation_publication_date" content="2021/03/04">
+${pdfUrl ? `<meta name="citation_pdf_url" content="${pdfUrl}">` : ''}
+</head><body><article><h1>Alpine glacier retreat</h1><p>${ARTICLE_TEXT}</p></article></body></html>`;
+
+const ATOM = `<feed><entry>
+<title>Attention Is All
+  You Need</title>
+<published>2017-06-12T17:57:34Z</published>
+<author><name>Ashish Vaswani</name></author>
+<author><name>Noam Shazeer</name></author>
+<arxiv:doi>10.5555/attention</arxiv:doi>
+</entry></feed>`;
+
+const CROSSREF = {
+    message: {
+        title: ['Alpine <i>glacier</i> retreat'],
+        author: [{ given: 'Ada', family: 'Muster' }],
+        'container-title': [],
+        issued: { 'date-parts': [[2021, 3]] }
+    }
+};
+
+const send = (type, body) => (req, res) => res.writeHead(200, { 'Content-Type': type }).end(body);
+
+const routes = {
+    '/arxiv-api/query': send('application/atom+xml', ATOM),
+    '/arxiv/pdf/1706.03762': send('application/pdf', pdf),
+    '/crossref/works/10.1234%2Fglacier': send('application/json', JSON.stringify(CROSSREF)),
+    '/doi/10.1234/glacier': (req, res) => res.writeHead(302, { Location: '/publisher/article' }).end(),
+    '/publisher/article': send('text/html', article('files/paper.pdf')),
+    '/publisher/files/paper.pdf': send('application/pdf', pdf)
+};
+
+let server;
+let base;
+let importDocument;
+const requested = [];
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        const route = routes[req.url.split('?')[0]];
+        requested.push(req.url);
+        if (!route) return res.writeHead(404).end();
+        route(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    // Importers read their base URLs when loaded
+    process.env.ARXIV_API_BASE = `${base}/arxiv-api`;
+    process.env.ARXIV_BASE = `${base}/arxiv`;
+    process.env.CROSSREF_API_BASE = `${base}/crossref`;
+    process.env.DOI_RESOLVER_BASE = `${base}/doi`;
+    ({ importDocument } = require('../importers'));
+});
+
+test.after(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+});
+
+// The stub server is on the local network, which imports normally refuse
+const stub = () => ({ http: axios.create(), allowPrivateHosts: true });
+
+test('imports an arXiv paper with the metadata of the arXiv API', async () => {
+    const result = await importDocument('arXiv:1706.03762', stub());
+
+    assert.strictEqual(result.kind, 'arxiv');
+    assert.strictEqual(result.metadata.title, 'Attention Is All You Need');
+    assert.deepStrictEqual(result.metadata.authors, ['Ashish Vaswani', 'Noam Shazeer']);
+    assert.strictEqual(result.metadata.year, 2017);
+    assert.strictEqual(result.metadata.doi, '10.5555/attention');
+    assert.strictEqual(result.document.citation, result.metadata);
+    assert.ok(result.text.trim().length > 0);
+});
+
+test('imports a DOI through the resolver and the linked PDF, merging the citation', async () => {
+    const result = await importDocument('https://doi.org/10.1234/glacier', stub());
+
+    assert.strictEqual(result.kind, 'doi');
+    // Crossref knows title, author and year; the venue only comes from the publisher's page
+    assert.deepStrictEqual(result.metadata, {
+        title: 'Alpine glacier retreat',
+        authors: ['Ada Muster'],
+        venue: 'Journal of Ice',
+        year: 2021,
+        doi: '10.1234/glacier',
+        url: `${base}/doi/10.1234/glacier`
+    });
+    assert.ok(requested.includes('/publisher/files/paper.pdf'));
+    assert.ok(result.text.trim().length > 0);
+});
+
+test('imports an article page by URL with its citation meta tags', async () => {
+    routes['/page'] = send('text/html', article());
+    const result = await importDocument(`${base}/page`, stub());
+
+    assert.strictEqual(result.kind, 'url');
+    assert.strictEqual(result.metadata.title, 'Alpine glacier retreat');
+    assert.deepStrictEqual(result.metadata.authors, ['Ada Muster', 'Ben Beispiel']);
+    assert.strictEqual(result.metadata.venue, 'Journal of Ice');
+    assert.match(result.text, /Glaciers in the Alps/);
+});
+
+test('refuses links to private hosts', async () => {
+    await assert.rejects(importDocument(`${base}/page`, { http: axios.create() }), { status: 400, message: /Private hosts are not allowed/ });
+    await assert.rejects(importDocument('http://localhost/paper.pdf'), { status: 400 });
+    await assert.rejects(importDocument('http://[::ffff:169.254.169.254]/'), { status: 400 });
+});
+
+test('checks the addresses a name resolves to', async () => {
+    const lookup = async () => [{ address: '10.0.0.5', family: 4 }];
+    await assert.rejects(importDocument('https://papers.example.org/paper.pdf', { http: axios.create(), lookup }), { status: 400 });
+});
+
+// A client that answers from a table and notes what was asked for
+const fakeHttp = (answers, asked) => ({
+    get: async (url) => {
+        asked.push(url);
+        const answer = answers[url];
+        if (!answer) throw new Error(`unexpected request to ${url}`);
+        return { status: 200, headers: {}, ...answer };
+    }
+});
+
+test('checks every redirect before following it', async () => {
+    const asked = [];
+    const http = fakeHttp({
+        'http://93.184.216.34/paper': { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } }
+    }, asked);
+
+    await assert.rejects(importDocument('http://93.184.216.34/paper', { http }), { status: 400, message: /169\.254\.169\.254/ });
+    assert.deepStrictEqual(asked, ['http://93.184.216.34/paper']);
+});
+
+test('does not follow a linked PDF on a private host', async () => {
+    const asked = [];
+    const http = fakeHttp({
+        'http://93.184.216.34/article': { headers: { 'content-type': 'text/html' }, data: Buffer.from(article('http://10.0.0.1/paper.pdf')) }
+    }, asked);
+
+    const result = await importDocument('http://93.184.216.34/article', { http });
+    assert.deepStrictEqual(asked, ['http://93.184.216.34/article']);
+    assert.match(result.text, /Glaciers in the Alps/);
+});
@@ -0,0 +1,30 @@
+// Retries and fallbacks of model calls, and the deadline of routes that answer
+// right away. Run with `npm test` in server/.
+const test = require('node:test');
+const assert = require('node:assert');
+const { runInContext } = require('../context');
+
+process.env.MODEL_RETRY_DELAY_MS = '1';
+const { modelError, withFallback, callTimeout } = require('../model-errors');
+
+test('falls back to the next model once retries are used up', async () => {
+    const calls = [];
+    const result = await withFallback(['primary', 'fallback'], async (model) => {
+        calls.push(model);
+        if (model === 'primary') throw modelError('model_unavailable', '503 UNAVAILABLE');
+        return 'image';
+    });
+    assert.strictEqual(result, 'image');
+    assert.deepStrictEqual(calls, ['primary', 'primary', 'primary', 'fallback']);
+});
+
+test('stops retrying and falling back at the request deadline', async () => {
+    const calls = [];
+    await assert.rejects(runInContext({ deadline: Date.now() + 50 }, () => withFallback(['primary', 'fallback'], async (model) => {
+        calls.push(model);
+        assert.ok(callTimeout(180 * 1000) <= 50);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        throw modelError('model_timeout', 'timed out');
+    })), { code: 'model_timeout' });
+    assert.deepStrictEqual(calls, ['primary']);
+});
@@ -0,0 +1,58 @@
+// PDF extraction against real PDFs: the ones pdf-parse ships for its own tests.
+// Run with `npm test` in server/.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { OPS } = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const { extract } = require('../extractors/pdf');
+
+const sample = (name) => fs.readFileSync(path.join(path.dirname(require.resolve('pdf-parse/package.json')), 'test/data', name));
+
+test('reads a text PDF with embedded fonts like plain pdf-parse does', async () => {
+    // Reading page operators used to load the fonts into a DOM and take the process down
+    for (const name of ['01-valid.pdf', '05-versions-space.pdf']) {
+        const buffer = sample(name);
+        const result = await extract(buffer);
+        const plain = await pdfParse(buffer);
+        assert.strictEqual(result.text, plain.text, name);
+        assert.ok(result.quality.pages.length > 0, name);
+    }
+});
+
+test('picks up the figures and tables of a paper with their captions', async () => {
+    const { figures, tables } = await extract(sample('02-valid.pdf'));
+
+    assert.deepStrictEqual(figures.map(figure => figure.label).sort(), ['Figure 1', 'Figure 2', 'Figure 3', 'Figure 4', 'Figure 5', 'Figure 6']);
+    const sims = figures.find(figure => figure.label === 'Figure 4');
+    assert.match(sims.caption, /^Fig\. 4\. SIMS depth profile/);
+    assert.strictEqual(sims.page, 3);
+    assert.deepStrictEqual(sims.png.subarray(0, 8), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    assert.strictEqual(sims.png.readUInt32BE(16), sims.width);
+
+    assert.strictEqual(tables.length, 1);
+    assert.strictEqual(tables[0].label, 'Table 1');
+    assert.ok(tables[0].rows.length >= 2 && tables[0].rows[0].length >= 2);
+});
+
+test('keeps the text when figures cannot be read', async () => {
+    // Any failure while walking a page's drawing operators
+    const save = OPS.save;
+    Object.defineProperty(OPS, 'save', { configurable: true, get: () => { throw new Error('broken operator list'); } });
+    let result;
+    try {
+        result = await extract(sample('02-valid.pdf'));
+    } finally {
+        Object.defineProperty(OPS, 'save', { configurable: true, enumerable: true, writable: true, value: save });
+    }
+
+    assert.strictEqual(result.text, (await pdfParse(sample('02-valid.pdf'))).text);
+    assert.deepStrictEqual(result.figures, []);
+    assert.ok(result.quality.pages.every(page => page.warning === 'Figures and tables could not be read'));
+    assert.match(result.quality.warning, /Figures and tables could not be read on pages 1, 2, 3/);
+});
+
+test('rejects a broken PDF', async () => {
+    await assert.rejects(extract(sample('03-invalid.pdf')));
+});
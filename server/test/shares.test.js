@@ -0,0 +1,156 @@
+// Share links: expiry and revocation, and what their public page answers.
+// Starts the server on the test's data directory. Run with `npm test` in server/.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shares-test-'));
+
+const { saveInfographic } = require('../store');
+const { createShare, getShare, listShares, revokeShare } = require('../shares');
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+let base;
+
+test.before(async () => {
+    const port = 40000 + Math.floor(Math.random() * 10000);
+    base = `http://localhost:${port}`;
+    server = spawn(process.execPath, ['index.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, PORT: String(port), AUTH: 'on', ADMIN_USERNAME: '', LLM_API_KEY: '', NANO_BANANA_API_KEY: '' },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        server.stdout.on('data', chunk => String(chunk).includes('Server running') && resolve());
+        server.on('exit', code => reject(new Error(`Server exited with ${code}`)));
+    });
+});
+
+test.after(() => {
+    server.kill();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const infographic = (language = 'de') => saveInfographic({
+    source: { name: 'glaciers.pdf', kind: 'pdf' },
+    options: { language, format: 'landscape' },
+    prompt: 'Create an infographic titled "Gletscher".',
+    variants: [{ prompt: 'Create an infographic titled "Gletscher".', imageUrl: PIXEL, text: '' }],
+    owner: 'alice'
+});
+
+test('creates links that expire after the given days, or never', async () => {
+    const { id } = await infographic();
+    const lasting = await createShare(id, {}, { id: 'alice', username: 'alice' });
+    const weekly = await createShare(id, { expiresInDays: 7 }, { id: 'alice', username: 'alice' });
+
+    assert.match(lasting.token, /^[A-Za-z0-9_-]{32}$/);
+    assert.strictEqual(lasting.owner, 'alice');
+    assert.strictEqual(lasting.status, 'active');
+    assert.strictEqual(lasting.expiresAt, null);
+    assert.strictEqual(lasting.path, `/s/${lasting.token}`);
+    const days = (Date.parse(weekly.expiresAt) - Date.parse(weekly.createdAt)) / DAY_MS;
+    assert.strictEqual(days, 7);
+
+    assert.deepStrictEqual((await listShares(id)).map(share => share.token).sort(), [lasting.token, weekly.token].sort());
+    for (const expiresInDays of [0, 1.5, 366, 'soon']) {
+        await assert.rejects(createShare(id, { expiresInDays }), { status: 400 });
+    }
+});
+
+test('revoked and expired links stop working but stay on file', async () => {
+    const { id } = await infographic();
+    const share = await createShare(id, { expiresInDays: 1 });
+
+    const file = path.join(process.env.DATA_DIR, 'shares', `${share.token}.json`);
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fs.writeFileSync(file, JSON.stringify({ ...stored, expiresAt: new Date(Date.now() - 1000).toISOString() }));
+    assert.strictEqual((await getShare(share.token)).status, 'expired');
+
+    const revoked = await revokeShare(share.token);
+    assert.strictEqual(revoked.status, 'revoked');
+    // Revoking again keeps the first date
+    assert.strictEqual((await revokeShare(share.token)).revokedAt, revoked.revokedAt);
+    assert.strictEqual(await revokeShare('x'.repeat(32)), null);
+    assert.strictEqual(await getShare('../../users/admin'), null);
+});
+
+test('the public page shows working links without a sign-in', async () => {
+    const { id } = await infographic();
+    const share = await createShare(id, {});
+
+    const page = await fetch(`${base}/s/${share.token}`);
+    assert.strictEqual(page.status, 200);
+    const html = await page.text();
+    assert.match(html, /<html lang="de"/);
+    assert.match(html, /<title>glaciers\.pdf<\/title>/);
+    // Labels come from the interface's German catalogue
+    assert.match(html, /<summary>Diese Infografik einbetten<\/summary>/);
+    assert.match(html, /<meta name="description" content="Infografik: glaciers\.pdf">/);
+    assert.match(html, new RegExp(`<meta property="og:url" content="${base}/s/${share.token}">`));
+
+    const image = await fetch(`${base}/s/${share.token}/image`);
+    assert.strictEqual(image.status, 200);
+    assert.strictEqual(image.headers.get('content-type'), 'image/png');
+});
+
+test('labels pages in English when the interface lacks the language', async () => {
+    const { id } = await infographic('ar');
+    const share = await createShare(id, {});
+
+    const html = await (await fetch(`${base}/s/${share.token}`)).text();
+    assert.match(html, /<html lang="en" dir="ltr">/);
+    assert.match(html, /<h1 lang="ar" dir="rtl">glaciers\.pdf<\/h1>/);
+    assert.match(html, /<summary>Embed this infographic<\/summary>/);
+});
+
+test('builds absolute URLs from the configured origin, not the Host header', async () => {
+    const { id } = await infographic();
+    const share = await createShare(id, {});
+
+    const html = await new Promise((resolve, reject) => {
+        http.get(`${base}/s/${share.token}`, { headers: { Host: 'attacker.example' } }, (res) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve(body));
+        }).on('error', reject);
+    });
+    assert.doesNotMatch(html, /attacker\.example/);
+    assert.match(html, new RegExp(`<meta property="og:image" content="${base}/s/${share.token}/image">`));
+});
+
+test('the public page answers 404 for unknown links and 410 for ones that stopped working', async () => {
+    const { id } = await infographic();
+    const revoked = await createShare(id, {});
+    await revokeShare(revoked.token);
+    const expired = await createShare(id, { expiresInDays: 1 });
+    const file = path.join(process.env.DATA_DIR, 'shares', `${expired.token}.json`);
+    fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fs.readFileSync(file, 'utf8')), expiresAt: new Date(Date.now() - 1000).toISOString() }));
+
+    const unknown = await fetch(`${base}/s/${'x'.repeat(32)}`);
+    assert.strictEqual(unknown.status, 404);
+    await unknown.text();
+
+    for (const [token, reason] of [[revoked.token, /revoked/], [expired.token, /expired/]]) {
+        const page = await fetch(`${base}/s/${token}`);
+        assert.strictEqual(page.status, 410);
+        assert.match(await page.text(), reason);
+        // ... in the visitor's language
+        const german = await fetch(`${base}/s/${token}`, { headers: { 'Accept-Language': 'de-CH, en;q=0.5' } });
+        assert.match(await german.text(), /<html lang="de">[\s\S]*Infografik nicht verfügbar/);
+        const image = await fetch(`${base}/s/${token}/image`);
+        assert.strictEqual(image.status, 410);
+        await image.text();
+    }
+
+    const oembed = await fetch(`${base}/api/oembed?url=${encodeURIComponent(`${base}/s/${revoked.token}`)}`);
+    assert.strictEqual(oembed.status, 404);
+    await oembed.text();
+});
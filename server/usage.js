@@ -0,0 +1,151 @@
+// Usage accounting, daily quotas and rate limits. Every model call is counted
+// per user and day (UTC), split by capability and by whose key paid for it;
+// the counts are kept in memory and saved to DATA_DIR/usage.json shortly after
+// each change. Only images rendered or edited with the shared key count
+// against the daily quota.
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+
+const USAGE_FILE = path.join(DATA_DIR, 'usage.json');
+const SAVE_DELAY_MS = 1000;
+
+// Images per user and day with the shared key, unless the account sets its own quota
+const DAILY_IMAGE_QUOTA = parseInt(process.env.DAILY_IMAGE_QUOTA, 10) || 20;
+// Generation requests per user and minute
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 10;
+
+const CAPABILITIES = ['text', 'image', 'edit', 'ocr'];
+const QUOTA_CAPABILITIES = ['image', 'edit'];
+
+const emptyDay = () => ({ shared: {}, own: {} });
+
+// usage[userId][YYYY-MM-DD] = { shared: { text, image, ... }, own: { ... } }
+let usage = {};
+try {
+    usage = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+} catch (error) {
+    if (error.code !== 'ENOENT') console.error('Usage Store Error:', error);
+}
+
+let saveTimer = null;
+const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(async () => {
+        saveTimer = null;
+        try {
+            await fs.promises.mkdir(DATA_DIR, { recursive: true });
+            // Write-then-rename so a crash never leaves a half-written file behind
+            await fs.promises.writeFile(`${USAGE_FILE}.tmp`, JSON.stringify(usage));
+            await fs.promises.rename(`${USAGE_FILE}.tmp`, USAGE_FILE);
+        } catch (error) {
+            console.error('Usage Store Error:', error);
+        }
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const dayOf = (userId, day = today()) => (usage[userId] && usage[userId][day]) || emptyDay();
+
+const quotaOf = (user) => {
+    if (user.quota !== null && user.quota !== undefined) return user.quota;
+    // Admins run the deployment; they are only limited when given a quota of their own
+    return user.role === 'admin' ? null : DAILY_IMAGE_QUOTA;
+};
+
+const quotaUsed = (day) => QUOTA_CAPABILITIES.reduce((sum, kind) => sum + (day.shared[kind] || 0), 0);
+
+/**
+ * Today's quota of a user.
+ * @param {object} user - See accounts.js
+ * @returns {{limit: number|null, used: number, remaining: number|null}} limit and
+ *   remaining are null without a limit
+ */
+function quotaStatus(user) {
+    const limit = quotaOf(user);
+    const used = quotaUsed(dayOf(user.id));
+    return { limit, used, remaining: limit === null ? null : Math.max(0, limit - used) };
+}
+
+const quotaError = (limit) => {
+    const error = new Error(`Daily limit of ${limit} images reached; it resets at midnight UTC`);
+    error.status = 429;
+    error.code = 'quota_exceeded';
+    return error;
+};
+
+/**
+ * Count a model call, refusing it when it would go over the user's quota.
+ * @param {object} user
+ * @param {string} kind - 'text', 'image', 'edit' or 'ocr'
+ * @param {{ownKey?: boolean}} [options] - Whether the user's own key pays for it
+ * @throws {Error} With status 429 when the quota is used up
+ */
+function recordCall(user, kind, { ownKey = false } = {}) {
+    if (!CAPABILITIES.includes(kind)) return;
+    if (!ownKey && QUOTA_CAPABILITIES.includes(kind)) {
+        const { limit, remaining } = quotaStatus(user);
+        if (limit !== null && remaining <= 0) throw quotaError(limit);
+    }
+    usage[user.id] = usage[user.id] || {};
+    const day = usage[user.id][today()] = dayOf(user.id);
+    const bucket = ownKey ? day.own : day.shared;
+    bucket[kind] = (bucket[kind] || 0) + 1;
+    scheduleSave();
+}
+
+/**
+ * Usage of each user over the last days.
+ * @param {number} [days] - Days to include, today first
+ * @returns {object} { [userId]: { total: { shared, own }, days: { [date]: { shared, own } } } }
+ */
+function usageReport(days = 30) {
+    const dates = Array.from({ length: days }, (_, index) => new Date(Date.now() - index * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+    const report = {};
+    Object.keys(usage).forEach(userId => {
+        const total = emptyDay();
+        const perDay = {};
+        dates.forEach(date => {
+            const day = usage[userId][date];
+            if (!day) return;
+            perDay[date] = day;
+            ['shared', 'own'].forEach(key => Object.entries(day[key]).forEach(([kind, count]) => {
+                total[key][kind] = (total[key][kind] || 0) + count;
+            }));
+        });
+        report[userId] = { total, days: perDay };
+    });
+    return report;
+}
+
+// Request times per user within the last minute
+const recentRequests = new Map();
+
+/**
+ * Sliding-window rate limit per user (or per client address before sign-in).
+ * @param {string} key
+ * @param {number} [limit] - Requests per minute
+ * @returns {number} 0 if the request may go ahead, else the seconds to wait
+ */
+function rateLimit(key, limit = RATE_LIMIT_PER_MINUTE) {
+    const now = Date.now();
+    const times = (recentRequests.get(key) || []).filter(time => now - time < 60 * 1000);
+    if (times.length >= limit) {
+        recentRequests.set(key, times);
+        return Math.ceil((times[0] + 60 * 1000 - now) / 1000);
+    }
+    times.push(now);
+    recentRequests.set(key, times);
+    return 0;
+}
+
+module.exports = {
+    DAILY_IMAGE_QUOTA,
+    RATE_LIMIT_PER_MINUTE,
+    quotaStatus,
+    recordCall,
+    usageReport,
+    rateLimit
+};
@@ -0,0 +1,213 @@
+// Public pages of share links (see shares.js): the viewer with the image, its
+// title, sources and descriptions plus Open Graph and Twitter card tags for
+// link previews, a bare page for <iframe> embeds, and the page shown when a
+// link no longer works. Everything but the image comes from this page, so it
+// needs neither the React app nor a sign-in. Their labels come from the
+// interface's catalogues (client/src/locales, the `viewer.` keys).
+const { escapeHtml } = require('./encoding');
+
+const CATALOGUES = {
+    en: require('../client/src/locales/en.json'),
+    de: require('../client/src/locales/de.json')
+};
+
+/** Interface languages the pages have labels in, English first. */
+const VIEWER_LOCALES = Object.keys(CATALOGUES);
+
+// Catalogue for a BCP-47 tag, by its primary language; English for the rest
+const localeFor = (tag) => {
+    const primary = String(tag || '').split('-')[0].toLowerCase();
+    return CATALOGUES[primary] ? primary : 'en';
+};
+
+// "{name}" placeholders are replaced by params, as in the client's i18n.jsx
+const translate = (locale, key, params = {}) => (CATALOGUES[locale][key] ?? CATALOGUES.en[key])
+    .replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+
+const STYLE = `
+  body { margin: 0; font-family: Helvetica, Arial, sans-serif; color: #1f2937; background: #f3f4f6; line-height: 1.5; }
+  main { max-width: 960px; margin: 0 auto; padding: 24px 16px 48px; }
+  h1 { font-size: 1.6rem; margin: 0 0 16px; }
+  h2 { font-size: 1.1rem; margin: 24px 0 8px; }
+  figure { margin: 0; }
+  figure img { display: block; width: 100%; height: auto; border-radius: 8px; background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.15); }
+  figcaption { margin-top: 8px; color: #4b5563; font-size: 0.9rem; }
+  ol, ul { padding-inline-start: 1.4em; }
+  details { margin-top: 16px; }
+  textarea { width: 100%; box-sizing: border-box; font-family: monospace; font-size: 0.85rem; }
+  footer { margin-top: 32px; color: #6b7280; font-size: 0.85rem; }
+  a { color: #6d28d9; }`;
+
+// Default width of embeds
+const EMBED_WIDTH = 800;
+
+/**
+ * Scale a size down (never up) to fit the bounds.
+ * @param {{width: number, height: number}} size
+ * @param {number} [maxWidth]
+ * @param {number} [maxHeight]
+ * @returns {{width: number, height: number}}
+ */
+const fitSize = ({ width, height }, maxWidth = EMBED_WIDTH, maxHeight = Infinity) => {
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+/**
+ * Snippet that embeds the viewer in another page.
+ * @param {object} params
+ * @param {string} params.embedUrl - Absolute URL of the embed page
+ * @param {string} params.title
+ * @param {number} params.width - Size of the frame
+ * @param {number} params.height
+ * @returns {string}
+ */
+const embedSnippet = ({ embedUrl, title, width, height }) => `<iframe src="${escapeHtml(embedUrl)}" title="${escapeHtml(title)}" `
+    + `width="${width}" height="${height}" style="border:0;max-width:100%;aspect-ratio:${width}/${height};height:auto" loading="lazy"></iframe>`;
+
+function metaTags({ title, description, pageUrl, imageUrl, oembedUrl, width, height, altText }) {
+    return [
+        `<meta name="description" content="${escapeHtml(description)}">`,
+        `<link rel="canonical" href="${escapeHtml(pageUrl)}">`,
+        `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembedUrl)}" title="${escapeHtml(title)}">`,
+        '<meta property="og:type" content="article">',
+        `<meta property="og:title" content="${escapeHtml(title)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        `<meta property="og:url" content="${escapeHtml(pageUrl)}">`,
+        `<meta property="og:image" content="${escapeHtml(imageUrl)}">`,
+        `<meta property="og:image:width" content="${width}">`,
+        `<meta property="og:image:height" content="${height}">`,
+        `<meta property="og:image:alt" content="${escapeHtml(altText)}">`,
+        '<meta name="twitter:card" content="summary_large_image">',
+        `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+        `<meta name="twitter:description" content="${escapeHtml(description)}">`,
+        `<meta name="twitter:image" content="${escapeHtml(imageUrl)}">`,
+        `<meta name="twitter:image:alt" content="${escapeHtml(altText)}">`
+    ].join('\n');
+}
+
+/**
+ * The viewer page of a share link.
+ * @param {object} params
+ * @param {string} params.title
+ * @param {string} params.pageUrl - Absolute URL of this page
+ * @param {string} params.imageUrl - Absolute URL of the image
+ * @param {string} params.embedUrl - Absolute URL of the embed page
+ * @param {string} params.oembedUrl - Absolute oEmbed URL for this page
+ * @param {number} params.width - Image size in pixels
+ * @param {number} params.height
+ * @param {string[]} params.sources - Citations (or names) of the documents it summarises
+ * @param {object|null} params.accessibility - Alt text, long description and summary (see accessibility.js)
+ * @param {string} params.language - BCP-47 tag of the infographic
+ * @param {string} params.direction - 'ltr' or 'rtl'
+ * @returns {string}
+ */
+function renderViewer({ title, pageUrl, imageUrl, embedUrl, oembedUrl, width, height, sources, accessibility, language, direction }) {
+    // Labels in the infographic's language if there is a catalogue for it;
+    // otherwise they are English and the infographic's text says its own language
+    const locale = localeFor(language);
+    const t = (key, params) => translate(locale, key, params);
+    const own = language === locale ? '' : ` lang="${escapeHtml(language)}" dir="${direction}"`;
+    const altText = (accessibility && accessibility.altText) || title;
+    const description = (accessibility && (accessibility.summary || accessibility.altText)) || t('viewer.description', { title });
+    const sourceList = sources.length === 1
+        ? `<p>${escapeHtml(sources[0])}</p>`
+        : `<ol>${sources.map(source => `<li>${escapeHtml(source)}</li>`).join('')}</ol>`;
+    const longDescription = accessibility && accessibility.longDescription.map(section => (section.heading
+        ? `<h3>${escapeHtml(section.heading)}</h3>\n<p>${escapeHtml(section.text)}</p>`
+        : `<p>${escapeHtml(section.text)}</p>`)).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="${language === locale ? escapeHtml(language) : locale}" dir="${own ? 'ltr' : direction}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+${metaTags({ title, description, pageUrl, imageUrl, oembedUrl, width, height, altText })}
+<style>${STYLE}
+</style>
+</head>
+<body>
+<main>
+<h1${own}>${escapeHtml(title)}</h1>
+<figure>
+  <img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(altText)}" width="${width}" height="${height}"${own}>
+  ${accessibility ? `<figcaption${own}>${escapeHtml(accessibility.altText)}</figcaption>` : ''}
+</figure>
+${sources.length > 0 ? `<h2>${t(sources.length === 1 ? 'viewer.source' : 'viewer.sources')}</h2>\n${sourceList}` : ''}
+${accessibility && accessibility.summary ? `<h2>${t('viewer.summary')}</h2>\n<p${own}>${escapeHtml(accessibility.summary)}</p>` : ''}
+${longDescription ? `<details>\n<summary>${t('viewer.longDescription')}</summary>\n<div${own}>\n${longDescription}\n</div>\n</details>` : ''}
+<details>
+<summary>${t('viewer.embed')}</summary>
+<textarea rows="4" readonly onclick="this.select()">${escapeHtml(embedSnippet({ embedUrl, title, ...fitSize({ width, height }) }))}</textarea>
+</details>
+<footer>${t('viewer.madeWith')}</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Bare page for <iframe> embeds: the image, fitted to the frame, linking to the viewer.
+ * @param {object} params - title, pageUrl, imageUrl, accessibility, language and direction as for renderViewer
+ * @returns {string}
+ */
+function renderEmbed({ title, pageUrl, imageUrl, accessibility, language, direction }) {
+    const altText = (accessibility && accessibility.altText) || title;
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}" dir="${direction}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+  html, body { margin: 0; height: 100%; background: transparent; }
+  a { display: flex; height: 100%; align-items: center; justify-content: center; }
+  img { max-width: 100%; max-height: 100%; }
+</style>
+</head>
+<body>
+<a href="${escapeHtml(pageUrl)}" target="_blank" rel="noopener"><img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(altText)}"></a>
+</body>
+</html>
+`;
+}
+
+/**
+ * Page for a link that was revoked, has expired or whose infographic is gone.
+ * @param {string} reason - 'missing', 'revoked', 'expired', 'deleted' or 'failed'
+ * @param {string} [locale] - One of VIEWER_LOCALES, e.g. the visitor's
+ * @returns {string}
+ */
+function renderUnavailable(reason, locale = 'en') {
+    const t = (key) => translate(localeFor(locale), key);
+    return `<!DOCTYPE html>
+<html lang="${localeFor(locale)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>${t('viewer.unavailable')}</title>
+<style>${STYLE}
+</style>
+</head>
+<body>
+<main>
+<h1>${t('viewer.unavailable')}</h1>
+<p>${t(`viewer.${reason}`)}</p>
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    VIEWER_LOCALES,
+    fitSize,
+    embedSnippet,
+    renderViewer,
+    renderEmbed,
+    renderUnavailable
+};